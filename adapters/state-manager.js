@@ -24,11 +24,15 @@ class StateManager {
         // PDF text cache
         this.pdfTextCache = new Map();
 
+        // Password-protected PDFs waiting for the user's password (memory only)
+        this.pendingPdfs = new Map();
+
         // Debug stats
         this.debugStats = new Map();
 
         // Session timeout configuration
         this.SESSION_TIMEOUT_MS = 30 * 60 * 1000; // 30 minutes
+        this.PDF_PASSWORD_TIMEOUT_MS = 10 * 60 * 1000; // 10 minutes
 
         // Load menu structure
         this.menuStructure = JSON.parse(fs.readFileSync('./menu-structure.json', 'utf8'));
@@ -201,6 +205,35 @@ class StateManager {
         this.transactionCache.delete(userId);
         this.imageTransactionsCache.delete(userId);
         this.pdfTextCache.delete(userId);
+        this.pendingPdfs.delete(userId);
+    }
+
+    /**
+     * Keep a password-protected PDF until the user sends the password
+     * @param {string} userId - User ID
+     * @param {Buffer} pdfBuffer - PDF file buffer
+     */
+    setPendingPdf(userId, pdfBuffer) {
+        this.pendingPdfs.set(userId, { timestamp: Date.now(), buffer: pdfBuffer });
+    }
+
+    /**
+     * Get the PDF waiting for a password (expired ones are discarded)
+     * @param {string} userId - User ID
+     * @returns {Buffer|null} PDF file buffer
+     */
+    getPendingPdf(userId) {
+        const pending = this.pendingPdfs.get(userId);
+        if (!pending) {
+            return null;
+        }
+
+        if (Date.now() - pending.timestamp > this.PDF_PASSWORD_TIMEOUT_MS) {
+            this.pendingPdfs.delete(userId);
+            return null;
+        }
+
+        return pending.buffer;
     }
 
     // ===== MENU NAVIGATION =====
@@ -250,7 +250,8 @@ class BaseAgent {
             timestamp: new Date().toISOString(),
             tasks: options.tasks || [],
             requiresApproval: options.requiresApproval || false,
-            nextSteps: options.nextSteps || []
+            nextSteps: options.nextSteps || [],
+            data: options.data || null
         };
     }
 
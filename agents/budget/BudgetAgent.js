@@ -7,10 +7,18 @@
  * - Categorize transactions (existing)
  * - View transactions (existing)
  * - Analyze spending (enhanced)
+ * - Month category budget: view, assign and move money (NEW)
  * - Proactive alerts (NEW)
  */
 
 const BaseAgent = require('../base/BaseAgent');
+const categoryBudget = require('../../services/category-budget');
+const currencyService = require('../../services/currency-service');
+
+// Answers to "¿Confirmar? (sí/no)" before moving money
+const MOVE_YES_WORDS = ['sí', 'si', 's', 'yes', 'y', 'ok'];
+const MOVE_NO_WORDS = ['no', 'n', 'cancelar', 'cancel'];
+const MOVE_CONFIRMATION_TTL_MS = 10 * 60 * 1000;
 
 class BudgetAgent extends BaseAgent {
     constructor(anthropic, ynabService) {
@@ -20,11 +28,17 @@ class BudgetAgent extends BaseAgent {
             'categorize_transactions',
             'view_transactions',
             'analyze_spending',
+            'view_categories',
+            'assign_money',
+            'move_money',
             'general_query'
         ]);
 
         this.ynabService = ynabService;
         this.anthropic = anthropic;
+
+        // Per-user state across messages (the Orchestrator rebuilds context on every request)
+        this.pendingMoves = new Map(); // userId → move waiting for "sí"
     }
 
     /**
@@ -58,6 +72,15 @@ class BudgetAgent extends BaseAgent {
                 case 'analyze_spending':
                     return await this.analyzeSpending(params, context);
 
+                case 'view_categories':
+                    return await this.viewCategories(params, context);
+
+                case 'assign_money':
+                    return await this.moveMoney({ ...params, fromCategory: null }, context);
+
+                case 'move_money':
+                    return await this.moveMoney(params, context);
+
                 case 'general_query':
                 default:
                     // Fallback: use Claude with full YNAB context
@@ -76,18 +99,19 @@ class BudgetAgent extends BaseAgent {
         try {
             const budgetName = params.budgetName || null;
             const { budgetId, budgetName: name, accounts } = await this.ynabService.getAccounts(budgetName);
+            const format = await currencyService.getBudgetFormat(budgetId);
 
             let message = `💰 *${name} - Account Balances*\n\n`;
 
             accounts.forEach(acc => {
-                const balance = (acc.balance / 1000).toFixed(2);
-                const emoji = balance >= 0 ? '✅' : '⚠️';
+                const emoji = acc.balance >= 0 ? '✅' : '⚠️';
                 message += `${emoji} *${acc.name}*\n`;
-                message += `   $${balance} (${acc.type})\n\n`;
+                message += `   ${currencyService.format(acc.balance / 1000, format)} (${acc.type})\n\n`;
             });
 
             const totalBalance = accounts.reduce((sum, acc) => sum + acc.balance, 0) / 1000;
-            message += `📊 *Total Balance:* $${totalBalance.toFixed(2)}`;
+            message += `📊 *Total Balance:* ${currencyService.format(totalBalance, format)}`;
+            message += await this._formatInHomeCurrency(totalBalance, format, context);
 
             this.log('Balance view completed', 'success');
 
@@ -103,7 +127,7 @@ class BudgetAgent extends BaseAgent {
      */
     async createTransaction(params, context) {
         try {
-            const { budgetName, accountId, amount, payee, categoryName, memo } = params;
+            const { budgetName, accountId, amount, payee, categoryName, memo, date } = params;
 
             // Validate budget is BCP (not USA BANKS which syncs automatically)
             const allowedBudgets = ['BCP SOLES', 'BCP DOLARES'];
@@ -120,8 +144,8 @@ class BudgetAgent extends BaseAgent {
             }
 
             // Get category ID if category name provided
-            let categoryId = null;
-            if (categoryName) {
+            let categoryId = params.categoryId || null;
+            if (!categoryId && categoryName) {
                 const categories = await this.ynabService.getCategories(ynabData.budgetId);
                 const category = categories.find(c => c.name.toLowerCase() === categoryName.toLowerCase());
                 if (category) {
@@ -138,12 +162,14 @@ class BudgetAgent extends BaseAgent {
                 amount,
                 payee,
                 categoryId,
-                memo || ''
+                memo || '',
+                date || null
             );
 
-            const amountStr = (transaction.amount / 1000).toFixed(2);
+            const format = await currencyService.getBudgetFormat(ynabData.budgetId);
+            const amountStr = currencyService.format(transaction.amount / 1000, format);
             let message = `✅ *Transaction Created*\n\n`;
-            message += `💵 Amount: $${amountStr}\n`;
+            message += `💵 Amount: ${amountStr}\n`;
             message += `🏪 Payee: ${transaction.payee_name}\n`;
             message += `📁 Category: ${transaction.category_name || 'Uncategorized'}\n`;
             message += `📅 Date: ${transaction.date}\n`;
@@ -155,7 +181,7 @@ class BudgetAgent extends BaseAgent {
             // Save to Beads for tracking
             if (this.memory) {
                 await this.saveToMemory({
-                    title: `Transaction: ${payee} $${Math.abs(amountStr)}`,
+                    title: `Transaction: ${payee} ${currencyService.format(Math.abs(transaction.amount / 1000), format)}`,
                     type: 'task',
                     priority: 1,
                     description: `Created transaction in ${ynabData.budgetName}`
@@ -164,7 +190,7 @@ class BudgetAgent extends BaseAgent {
 
             this.log('Transaction created successfully', 'success');
 
-            return this.formatResponse(message);
+            return this.formatResponse(message, { data: { transaction, budgetId: ynabData.budgetId } });
         } catch (error) {
             this.log(`Failed to create transaction: ${error.message}`, 'error');
             return this.formatResponse(`❌ Error creating transaction: ${error.message}`);
@@ -194,12 +220,13 @@ class BudgetAgent extends BaseAgent {
                 .sort((a, b) => new Date(b.date) - new Date(a.date))
                 .slice(0, 10);
 
+            const format = await currencyService.getBudgetFormat(ynabData.budgetId);
+
             let message = `📊 *Recent Transactions* (Last ${recent.length})\n`;
             message += `Budget: ${ynabData.budgetName}\n\n`;
 
             recent.forEach((tx, index) => {
-                const amount = (tx.amount / 1000).toFixed(2);
-                const amountStr = tx.amount < 0 ? `-$${Math.abs(amount)}` : `+$${amount}`;
+                const amountStr = `${tx.amount < 0 ? '' : '+'}${currencyService.format(tx.amount / 1000, format)}`;
                 const emoji = tx.amount < 0 ? '🔴' : '🟢';
 
                 message += `${index + 1}. ${emoji} *${tx.payee_name || 'N/A'}*\n`;
@@ -243,12 +270,13 @@ class BudgetAgent extends BaseAgent {
 
             // Get categories
             const categories = await this.ynabService.getCategories(ynabData.budgetId);
+            const format = await currencyService.getBudgetFormat(ynabData.budgetId);
 
             // Use Claude to suggest categorizations
             const prompt = `You are helping categorize budget transactions.
 
 Uncategorized transactions:
-${uncategorized.slice(0, 10).map((tx, i) => `${i + 1}. ${tx.payee_name} - $${(tx.amount / 1000).toFixed(2)} - ${tx.date}`).join('\n')}
+${uncategorized.slice(0, 10).map((tx, i) => `${i + 1}. ${tx.payee_name} - ${currencyService.format(tx.amount / 1000, format)} - ${tx.date}`).join('\n')}
 
 Available categories:
 ${categories.map(c => c.name).join(', ')}
@@ -289,31 +317,18 @@ Respond with a simple list:
                 days || 30
             );
 
-            // Calculate total spending
-            const totalSpent = transactions
-                .filter(tx => tx.amount < 0)
-                .reduce((sum, tx) => sum + Math.abs(tx.amount), 0) / 1000;
-
-            // Group by category
-            const byCategory = {};
-            transactions.filter(tx => tx.amount < 0).forEach(tx => {
-                const cat = tx.category_name || 'Uncategorized';
-                byCategory[cat] = (byCategory[cat] || 0) + Math.abs(tx.amount / 1000);
-            });
+            const { totalSpent, categories: sorted } = BudgetAgent.computeSpendingBreakdown(transactions, 5);
+            const format = await currencyService.getBudgetFormat(ynabData.budgetId);
 
-            // Sort by spending
-            const sorted = Object.entries(byCategory)
-                .sort((a, b) => b[1] - a[1])
-                .slice(0, 5);
-
-            let message = `📊 *Spending Analysis*\n`;
+            let message = `📊 *Spending Analysis - ${ynabData.budgetName}*\n`;
             message += `Period: Last ${days || 30} days\n\n`;
-            message += `💰 Total Spent: $${totalSpent.toFixed(2)}\n\n`;
-            message += `📁 *Top 5 Categories:*\n`;
+            message += `💰 Total Spent: ${currencyService.format(totalSpent, format)}`;
+            message += await this._formatInHomeCurrency(totalSpent, format, context);
+            message += `\n\n📁 *Top 5 Categories:*\n`;
 
             sorted.forEach(([cat, amount], i) => {
                 const percent = ((amount / totalSpent) * 100).toFixed(1);
-                message += `${i + 1}. ${cat}: $${amount.toFixed(2)} (${percent}%)\n`;
+                message += `${i + 1}. ${cat}: ${currencyService.format(amount, format)} (${percent}%)\n`;
             });
 
             this.log('Spending analysis completed', 'success');
@@ -325,6 +340,198 @@ Respond with a simple list:
         }
     }
 
+    /**
+     * View the current month's categories and Ready to Assign
+     */
+    async viewCategories(params, context) {
+        try {
+            const { budgetId, budgetName } = await this.ynabService.getAccounts(params.budgetName || null);
+            const month = await this.ynabService.getMonth(budgetId);
+
+            this.log('Category budget view completed', 'success');
+
+            return this.formatResponse(categoryBudget.formatMonth(budgetName, month));
+        } catch (error) {
+            this.log(`Failed to view categories: ${error.message}`, 'error');
+            return this.formatResponse(`❌ Error viewing categories: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move assigned money between categories, after a "sí"
+     * A missing fromCategory assigns money from Ready to Assign. While a move
+     * waits for confirmation the Orchestrator sends the answer here as params.reply.
+     */
+    async moveMoney(params, context) {
+        const pending = this.getPendingMove(context.userId);
+        if (pending && params.reply !== undefined) {
+            return await this.confirmMove(pending, params.reply, context);
+        }
+
+        try {
+            const { fromCategory, toCategory } = params;
+            const amount = Math.abs(parseFloat(params.amount));
+
+            if (!(amount > 0) || !toCategory) {
+                return this.formatResponse('❌ Tell me the amount and the category, e.g. "move 50 from Restaurants to Groceries".');
+            }
+
+            const { budgetId, budgetName } = await this.ynabService.getAccounts(params.budgetName || null);
+            const month = await this.ynabService.getMonth(budgetId);
+            const categories = categoryBudget.visibleCategories(month);
+
+            const source = fromCategory
+                ? await categoryBudget.resolveCategory(categories, fromCategory, this.anthropic)
+                : { id: null, name: 'Por asignar' };
+            const target = await categoryBudget.resolveCategory(categories, toCategory, this.anthropic);
+
+            const missing = !source ? fromCategory : (!target ? toCategory : null);
+            if (missing) {
+                return this.formatResponse(
+                    `❌ Category "${missing}" not found in ${budgetName}.\n\n` +
+                    `Available: ${categories.map(c => c.name).join(', ')}`
+                );
+            }
+
+            if (source.id === target.id) {
+                return this.formatResponse('❌ El origen y el destino son la misma categoría.');
+            }
+
+            // Same confirmation as ViewCategoriesFlow: nothing moves before "sí"
+            this.pendingMoves.set(context.userId, {
+                budgetId,
+                budgetName,
+                amount,
+                fromId: source.id,
+                fromName: source.name,
+                toId: target.id,
+                toName: target.name,
+                startedAt: Date.now()
+            });
+
+            return this.formatResponse(categoryBudget.formatMoveConfirmation(month, source, target, amount));
+        } catch (error) {
+            this.log(`Failed to move money: ${error.message}`, 'error');
+            return this.formatResponse(`❌ Error moving money: ${error.message}`);
+        }
+    }
+
+    /**
+     * Answer to a move waiting for confirmation
+     */
+    async confirmMove(pending, reply, context) {
+        const normalized = String(reply || '').trim().toLowerCase();
+
+        if (MOVE_NO_WORDS.includes(normalized)) {
+            this.pendingMoves.delete(context.userId);
+            return this.formatResponse('❌ Movimiento cancelado. No se cambió nada.');
+        }
+
+        if (!MOVE_YES_WORDS.includes(normalized)) {
+            return this.formatResponse('❓ Responde "sí" para confirmar o "no" para cancelar.');
+        }
+
+        this.pendingMoves.delete(context.userId);
+
+        try {
+            await this.ynabService.moveCategoryBudget(pending.budgetId, pending.fromId, pending.toId, pending.amount);
+            const month = await this.ynabService.getMonth(pending.budgetId);
+
+            this.log(`Moved ${pending.amount} from ${pending.fromName} to ${pending.toName}`, 'success');
+
+            return this.formatResponse(
+                `✅ Movido ${pending.amount.toFixed(2)} de ${pending.fromName} a ${pending.toName}\n\n` +
+                categoryBudget.formatMonth(pending.budgetName, month)
+            );
+        } catch (error) {
+            this.log(`Failed to move money: ${error.message}`, 'error');
+            return this.formatResponse(`❌ Error moving money: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move waiting for confirmation, dropped once it is older than 10 minutes
+     * @param {string} userId - User ID
+     * @returns {Object|null}
+     */
+    getPendingMove(userId) {
+        const pending = this.pendingMoves.get(userId);
+        if (pending && Date.now() - pending.startedAt > MOVE_CONFIRMATION_TTL_MS) {
+            this.pendingMoves.delete(userId);
+            return null;
+        }
+        return pending || null;
+    }
+
+    /**
+     * Whether a message answers a move waiting for confirmation ("sí" / "no")
+     * Anything else routes as usual and the move keeps waiting.
+     * @param {string} userId - User ID
+     * @param {string} message - User message
+     * @returns {boolean}
+     */
+    isMoveReply(userId, message) {
+        const normalized = String(message || '').trim().toLowerCase();
+        return this.getPendingMove(userId) !== null &&
+            (MOVE_YES_WORDS.includes(normalized) || MOVE_NO_WORDS.includes(normalized));
+    }
+
+    /**
+     * Drop a move waiting for confirmation (/cancel, /reset)
+     * @param {string} userId - User ID
+     * @returns {boolean} Whether there was one
+     */
+    cancelPendingMove(userId) {
+        return this.pendingMoves.delete(userId);
+    }
+
+    /**
+     * " (≈ $533.47)" when the budget's currency is not the user's home currency
+     * @private
+     */
+    async _formatInHomeCurrency(amount, format, context = {}) {
+        const homeCurrency = await currencyService.getHomeCurrency(context.userId);
+        if (!format.iso_code || format.iso_code === homeCurrency) {
+            return '';
+        }
+
+        try {
+            const converted = await currencyService.convert(amount, format.iso_code, homeCurrency);
+            return ` (≈ ${currencyService.format(converted, await currencyService.getFormatFor(homeCurrency))})`;
+        } catch (error) {
+            this.log(`No conversion to ${homeCurrency}: ${error.message}`, 'warn');
+            return '';
+        }
+    }
+
+    /**
+     * Total spending and top categories for a list of transactions
+     * Shared with the scheduled digest (services/digest-service.js).
+     * @param {Array} transactions - YNAB transactions (milliunits)
+     * @param {number} limit - Number of top categories to return
+     * @returns {Object} { totalSpent, categories: [[name, amount], ...] } in currency units
+     */
+    static computeSpendingBreakdown(transactions, limit = 5) {
+        const outflows = transactions.filter(tx => tx.amount < 0 && !tx.deleted);
+
+        // Calculate total spending
+        const totalSpent = outflows.reduce((sum, tx) => sum + Math.abs(tx.amount), 0) / 1000;
+
+        // Group by category
+        const byCategory = {};
+        outflows.forEach(tx => {
+            const cat = tx.category_name || 'Uncategorized';
+            byCategory[cat] = (byCategory[cat] || 0) + Math.abs(tx.amount / 1000);
+        });
+
+        // Sort by spending
+        const categories = Object.entries(byCategory)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit);
+
+        return { totalSpent, categories };
+    }
+
     /**
      * Handle general budget queries using Claude
      */
@@ -119,8 +119,10 @@ class Orchestrator {
 • "plan trip to NYC Dec 11-21"
 • "suggest beach destinations"
 • "search flights from LAX to Tokyo"
+• "book option 2" (after a flight search)
 • "find hotels in Paris for 5 nights"
 • "create 7-day itinerary for Rome"
+• \`/perfil\` → Home airport, airlines, cabin and hotel defaults
 
 **Other modes:**
 • \`/ontrip\` → Switch when you start traveling
@@ -153,7 +155,7 @@ class Orchestrator {
 • "find restaurants nearby"
 • "update my itinerary"
 
-💰 Expenses will auto-suggest adding to YNAB budget
+💰 Expenses go to your trip budget in YNAB (\`/tripbudget\`)
 
 **Other modes:**
 • \`/tripplanning\` → Back to planning mode
@@ -241,7 +243,23 @@ ${modeDescription}
             const preferredAgent = this.userAgentPreferences.get(userId);
             let intent;
 
-            if (preferredAgent && this.agents[preferredAgent]) {
+            if (this.agents.trip && this.agents.trip.isBookingReply(userId, request.message)) {
+                // Mid-booking: answers to the TripAgent's last question (other requests route as usual)
+                intent = {
+                    agent: 'trip',
+                    action: 'book_flight',
+                    confidence: 1.0,
+                    params: { reply: request.message }
+                };
+            } else if (this.agents.budget && this.agents.budget.isMoveReply(userId, request.message)) {
+                // "sí" / "no" to a budget move waiting for confirmation
+                intent = {
+                    agent: 'budget',
+                    action: 'move_money',
+                    confidence: 1.0,
+                    params: { reply: request.message }
+                };
+            } else if (preferredAgent && this.agents[preferredAgent]) {
                 // User has explicit preference - use that agent
                 console.log(`🎯 Using preferred agent: ${preferredAgent}`);
                 intent = {
@@ -371,8 +389,8 @@ ${modeDescription}
 User message: "${message}"
 
 Available agents and their capabilities:
-- BudgetAgent: view_balance, create_transaction, categorize_transactions, view_transactions, analyze_spending
-- TripAgent: plan_trip, search_flights, book_flight, search_hotels, book_hotel, create_itinerary, track_booking, get_trip_suggestions, get_directions, check_emails, check_calendar, check_contacts, check_tasks, search_youtube, check_beads
+- BudgetAgent: view_balance, create_transaction, categorize_transactions, view_transactions, analyze_spending, view_categories, assign_money, move_money
+- TripAgent: plan_trip, search_flights, book_flight, get_flight_order, cancel_flight_order, search_hotels, book_hotel, create_itinerary, track_booking, track_expense, watch_price, get_trip_suggestions, get_directions, check_emails, check_calendar, check_contacts, check_tasks, search_youtube, check_beads
 
 Context: ${context.hasDocument ? 'User sent a document (PDF/Image)' : 'No document attached'}
 User location: ${context.userLocation ? 'User has shared their location (use for directions)' : 'No location shared'}
@@ -414,6 +432,9 @@ Examples:
 - "show me my balance" → {"agent": "budget", "action": "view_balance", "confidence": 0.95, "params": {}}
 - "add $50 expense at Starbucks" → {"agent": "budget", "action": "create_transaction", "confidence": 0.90, "params": {"amount": -50, "payee": "Starbucks"}}
 - "categorize pending transactions" → {"agent": "budget", "action": "categorize_transactions", "confidence": 0.85, "params": {}}
+- "how much is left in each category this month?" → {"agent": "budget", "action": "view_categories", "confidence": 0.90, "params": {}}
+- "assign 100 to Groceries" → {"agent": "budget", "action": "assign_money", "confidence": 0.90, "params": {"amount": 100, "toCategory": "Groceries"}}
+- "mueve 50 de Restaurantes a Supermercado" → {"agent": "budget", "action": "move_money", "confidence": 0.90, "params": {"amount": 50, "fromCategory": "Restaurantes", "toCategory": "Supermercado"}}
 
 **Trip Planning:**
 - "plan trip to NYC Dec 11-21" → {"agent": "trip", "action": "plan_trip", "confidence": 0.90, "params": {"destination": "NYC", "dates": "Dec 11-21"}}
@@ -427,6 +448,9 @@ Examples:
 - "flights from Lima to NYC Dec 11-21 exclude Spirit Airlines" → {"agent": "trip", "action": "search_flights", "confidence": 0.95, "params": {"from": "Lima", "to": "NYC", "dates": "Dec 11-21", "exclude": ["Spirit Airlines"]}}
 - "search flights LAX to NRT prefer Copa or Avianca" → {"agent": "trip", "action": "search_flights", "confidence": 0.90, "params": {"from": "LAX", "to": "NRT", "dates": null, "prefer": ["Copa", "Avianca"]}}
 - "flights from NYC to Lima only American Airlines, Delta, United" → {"agent": "trip", "action": "search_flights", "confidence": 0.90, "params": {"from": "NYC", "to": "Lima", "dates": null, "only": ["American Airlines", "Delta", "United"]}}
+- "fastest flights from Lima to Miami Dec 11" → {"agent": "trip", "action": "search_flights", "confidence": 0.95, "params": {"from": "Lima", "to": "Miami", "dates": "Dec 11", "sortBy": "duration"}}
+- "nonstop flights Lima to Miami Dec 11" → {"agent": "trip", "action": "search_flights", "confidence": 0.95, "params": {"from": "Lima", "to": "Miami", "dates": "Dec 11", "sortBy": "stops"}}
+- "flights to Miami Dec 11" → {"agent": "trip", "action": "search_flights", "confidence": 0.90, "params": {"from": null, "to": "Miami", "dates": "Dec 11"}} (no origin: the home airport from the user's travel profile is used)
 
 **Hotel Search:**
 - "search hotels in Tokyo Dec 11-21" → {"agent": "trip", "action": "search_hotels", "confidence": 0.95, "params": {"destination": "Tokyo", "dates": "Dec 11-21"}}
@@ -434,7 +458,18 @@ Examples:
 
 **Booking:**
 - "book option 1" → {"agent": "trip", "action": "book_flight", "confidence": 0.95, "params": {"option": "1"}}
+- "booking status ABC123" → {"agent": "trip", "action": "get_flight_order", "confidence": 0.95, "params": {"confirmation": "ABC123"}}
+- "cancel booking ABC123" → {"agent": "trip", "action": "cancel_flight_order", "confidence": 0.95, "params": {"confirmation": "ABC123"}}
 - "book hotel option 2" → {"agent": "trip", "action": "book_hotel", "confidence": 0.95, "params": {"option": "2"}}
+- "plan trip to Cusco Dec 11-21, budget $2000" → {"agent": "trip", "action": "plan_trip", "confidence": 0.90, "params": {"destination": "Cusco", "dates": "Dec 11-21", "budget": "$2000"}}
+
+**Trip Expenses (posted to the trip budget in YNAB):**
+- "track expense: dinner $50" → {"agent": "trip", "action": "track_expense", "confidence": 0.95, "params": {"description": "dinner", "amount": 50, "currency": "USD"}}
+- "taxi al aeropuerto 45 soles" → {"agent": "trip", "action": "track_expense", "confidence": 0.85, "params": {"description": "taxi al aeropuerto", "amount": 45, "currency": "PEN", "category": "transport"}}
+
+**Price Watch (after a flight search):**
+- "avísame si baja de $400" → {"agent": "trip", "action": "watch_price", "confidence": 0.95, "params": {"maxPrice": 400, "currency": "USD"}}
+- "alert me if the price drops" → {"agent": "trip", "action": "watch_price", "confidence": 0.90, "params": {}}
 
 **Directions (with both locations):**
 - "directions from Times Square to JFK Airport" → {"agent": "trip", "action": "get_directions", "confidence": 0.95, "params": {"from": "Times Square", "to": "JFK Airport", "mode": "driving"}}
@@ -566,13 +601,13 @@ Respond ONLY with the JSON object, no markdown, no explanations.`;
         const { action, params } = intent;
 
         // Read-only actions never need approval
-        const readOnlyActions = ['view_balance', 'view_transactions', 'analyze_spending'];
+        const readOnlyActions = ['view_balance', 'view_transactions', 'analyze_spending', 'view_categories'];
         if (readOnlyActions.includes(action)) {
             return false;
         }
 
-        // Categorization is autonomous
-        if (action === 'categorize_transactions') {
+        // Categorization is autonomous; moving assigned money asks "¿Confirmar?" in the BudgetAgent
+        if (action === 'categorize_transactions' || action === 'assign_money' || action === 'move_money') {
             return false;
         }
 
@@ -617,6 +652,19 @@ Respond ONLY with the JSON object, no markdown, no explanations.`;
         };
     }
 
+    /**
+     * Drop a user's multi-step operations in progress (/cancel, /reset)
+     * @param {string} userId - User ID
+     */
+    cancelPendingActions(userId) {
+        if (this.agents.trip && this.agents.trip.cancelPendingBooking(userId)) {
+            console.log(`🚫 Pending flight booking cancelled for ${userId}`);
+        }
+        if (this.agents.budget && this.agents.budget.cancelPendingMove(userId)) {
+            console.log(`🚫 Pending budget move cancelled for ${userId}`);
+        }
+    }
+
     /**
      * Add a new agent to the orchestrator
      * @param {string} name - Agent name
@@ -647,6 +695,19 @@ Respond ONLY with the JSON object, no markdown, no explanations.`;
             if (lowerMessage.includes('suggest') || lowerMessage.includes('recommend') || lowerMessage.includes('ideas')) {
                 return 'get_trip_suggestions';
             }
+            if (lowerMessage.includes('avisame') || lowerMessage.includes('avísame') ||
+                lowerMessage.includes('alert me') || lowerMessage.includes('watch price')) {
+                return 'watch_price';
+            }
+            if (lowerMessage.includes('cancel booking')) {
+                return 'cancel_flight_order';
+            }
+            if (lowerMessage.includes('booking status') || lowerMessage.includes('my booking')) {
+                return 'get_flight_order';
+            }
+            if (/\bbook\b/.test(lowerMessage)) {
+                return lowerMessage.includes('hotel') ? 'book_hotel' : 'book_flight';
+            }
             if (lowerMessage.includes('flight')) {
                 return 'search_flights';
             }
@@ -656,6 +717,9 @@ Respond ONLY with the JSON object, no markdown, no explanations.`;
             if (lowerMessage.includes('itinerary') || lowerMessage.includes('schedule') || lowerMessage.includes('day by day')) {
                 return 'create_itinerary';
             }
+            if (lowerMessage.includes('expense') || lowerMessage.includes('gasto') || lowerMessage.includes('spent')) {
+                return 'track_expense';
+            }
             if (lowerMessage.includes('track') || lowerMessage.includes('booking') || lowerMessage.includes('confirmation')) {
                 return 'track_booking';
             }
@@ -665,6 +729,15 @@ Respond ONLY with the JSON object, no markdown, no explanations.`;
 
         if (agentName === 'budget') {
             // Budget agent keywords
+            if (lowerMessage.includes('ready to assign') || lowerMessage.includes('por asignar')) {
+                return 'view_categories';
+            }
+            if (lowerMessage.includes('move') || lowerMessage.includes('mueve')) {
+                return 'move_money';
+            }
+            if (lowerMessage.includes('assign') || lowerMessage.includes('asigna')) {
+                return 'assign_money';
+            }
             if (lowerMessage.includes('balance') || lowerMessage.includes('how much')) {
                 return 'view_balance';
             }
@@ -5,11 +5,18 @@
  * 1. plan_trip - Complete trip planning with Claude AI
  * 2. search_flights - Real flight search via Amadeus API
  * 3. book_flight - Book flights with confirmation and payment
+ *    (get_flight_order / cancel_flight_order for booked flights)
  * 4. search_hotels - Real hotel search via Amadeus API
  * 5. book_hotel - Book hotels with confirmation and payment
  * 6. create_itinerary - Day-by-day itinerary creation
  * 7. track_booking - Track bookings and reservations
  * 8. get_trip_suggestions - Destination suggestions based on preferences
+ * 9. track_expense - Post an expense to the trip budget in YNAB
+ * 10. watch_price - Alert when the searched flight gets cheaper (services/price-watch.js)
+ *
+ * Flight and hotel searches start from the user's travel profile (/perfil,
+ * services/travel-preferences.js): home airport, preferred airlines, cabin,
+ * max stops, hotel stars and budget per night.
  *
  * Integrations:
  * - Amadeus API for flight and hotel search/booking
@@ -17,13 +24,31 @@
  * - Google Maps for geocoding, distances, place info
  * - Google Gmail for monitoring booking confirmations (optional)
  * - Beads for trip and booking persistence
- * - BudgetAgent for expense tracking
+ * - BudgetAgent for expense tracking (trip budgets in YNAB, see services/trip-budget.js)
  */
 
 const BaseAgent = require('../base/BaseAgent');
 const amadeusServer = require('../../mcp-servers/amadeus/server');
 const googleServer = require('../../mcp-servers/google/server');
 const SkyscrapperServer = require('../../mcp-servers/skyscrapper/server');
+const tripBudget = require('../../services/trip-budget');
+const priceWatch = require('../../services/price-watch');
+const flightSearch = require('../../services/flight-search');
+const travelPreferences = require('../../services/travel-preferences');
+const currencyService = require('../../services/currency-service');
+const { UserStorage } = require('../../storage');
+const {
+    TRAVELER_STEPS,
+    parseAnswer,
+    looksLikeAnswer,
+    nextStep,
+    toAmadeusTraveler,
+    describeTraveler
+} = require('../../services/traveler-profile');
+
+// Replies understood at every step of a booking in progress
+const BOOKING_CANCEL_WORDS = ['cancel', 'cancelar', 'stop', 'abort'];
+const BOOKING_YES_WORDS = ['yes', 'y', 'si', 'sí', 'ok', 'confirm'];
 
 class TripAgent extends BaseAgent {
     constructor(anthropic, budgetAgent) {
@@ -31,10 +56,14 @@ class TripAgent extends BaseAgent {
             'plan_trip',
             'search_flights',
             'book_flight',
+            'get_flight_order',
+            'cancel_flight_order',
             'search_hotels',
             'book_hotel',
             'create_itinerary',
             'track_booking',
+            'track_expense',
+            'watch_price',
             'get_trip_suggestions',
             'get_directions',
             'check_emails',
@@ -51,6 +80,32 @@ class TripAgent extends BaseAgent {
         this.google = googleServer;
         this.skyscrapper = new SkyscrapperServer();
 
+        // Per-user state across messages (the Orchestrator rebuilds context on every request)
+        this.flightSearches = new Map();   // userId → { offers, query, timestamp }
+        this.pendingBookings = new Map();  // userId → booking in progress
+        this.lastFlightQueries = new Map(); // userId → last route and dates searched (for watch_price)
+
+        // Flight searches (and price watches) query both APIs in parallel
+        flightSearch.setProviders([
+            {
+                name: 'Amadeus',
+                searchFlights: query => this.amadeus.searchFlights({
+                    ...query,
+                    travelClass: (query.travelClass || 'ECONOMY').toUpperCase(),
+                    currencyCode: query.currency
+                }),
+                airlineName: code => this.amadeus.getAirlineName(code)
+            },
+            {
+                name: 'Sky-Scrapper',
+                searchFlights: query => this.skyscrapper.searchFlights({
+                    ...query,
+                    travelClass: (query.travelClass || 'economy').toLowerCase()
+                }),
+                airlineName: code => this.skyscrapper.getAirlineName(code)
+            }
+        ]);
+
         // Initialize APIs with credentials from environment
         this.initializeAmadeus();
         this.initializeGoogle();
@@ -134,7 +189,7 @@ class TripAgent extends BaseAgent {
      * Main request handler - routes to appropriate capability
      */
     async handleRequest(request, context) {
-        const { intent, params } = request;
+        const { intent, params, originalMessage } = request;
         const { userId } = context;
 
         console.log(`💬 [TripAgent] Handling ${intent} for user ${userId}`);
@@ -145,10 +200,16 @@ class TripAgent extends BaseAgent {
                     return await this.planTrip(params, context);
 
                 case 'search_flights':
-                    return await this.searchFlights(params, context);
+                    return await this.searchFlights({ originalMessage, ...params }, context);
 
                 case 'book_flight':
-                    return await this.bookFlight(params, context);
+                    return await this.bookFlight({ originalMessage, ...params }, context);
+
+                case 'get_flight_order':
+                    return await this.getFlightOrderStatus(params, context);
+
+                case 'cancel_flight_order':
+                    return await this.cancelFlightOrder(params, context);
 
                 case 'search_hotels':
                     return await this.searchHotels(params, context);
@@ -162,6 +223,12 @@ class TripAgent extends BaseAgent {
                 case 'track_booking':
                     return await this.trackBooking(params, context);
 
+                case 'track_expense':
+                    return await this.trackExpense(params, context);
+
+                case 'watch_price':
+                    return await this.watchPrice({ originalMessage, ...params }, context);
+
                 case 'get_trip_suggestions':
                     return await this.getTripSuggestions(params, context);
 
@@ -206,6 +273,7 @@ class TripAgent extends BaseAgent {
         console.log('🗺️ [TripAgent] Planning trip with params:', params);
 
         const { destination, dates, budget, preferences, travelers } = params;
+        const profileNotes = travelPreferences.describeForPlanning(await travelPreferences.getPreferences(context.userId));
 
         // Build comprehensive trip planning prompt
         const prompt = `You are a professional travel planner. Create a comprehensive trip plan EXCLUSIVELY for the destination specified below.
@@ -220,7 +288,7 @@ class TripAgent extends BaseAgent {
 - Dates: ${dates || 'Flexible'}
 - Budget: ${budget || 'Not specified'}
 - Number of travelers: ${travelers || '1'}
-- Preferences: ${preferences || 'None specified'}
+- Preferences: ${[preferences, profileNotes].filter(Boolean).join('; ') || 'None specified'}
 
 Please provide:
 1. **Overview**: Brief overview of ${destination} and why it's great for this trip
@@ -290,6 +358,8 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
                 }
             }
 
+            response += await this.createTripBudget({ destination, dates, budget }, context);
+
             response += `\n\n💡 *I've saved this trip plan to your travel memory. Use "track booking [details]" to save reservations.*`;
 
             return this.formatResponse(response);
@@ -306,11 +376,15 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
     async searchFlights(params, context) {
         console.log('✈️ [TripAgent] Searching flights with params:', params);
 
-        const { from, to, dates, passengers, class: flightClass, exclude, prefer, only, price, maxPrice } = params;
+        // Home airport, cabin and preferred airlines from the travel profile when the message has none
+        const preferences = await travelPreferences.getPreferences(context.userId);
+        const profile = travelPreferences.flightDefaults(preferences, params);
+
+        const { from, to, dates, passengers, class: flightClass, exclude, prefer, only, price, maxPrice } = profile.params;
 
         // Validate required params
         if (!from || !to) {
-            return this.formatResponse('❌ I need both departure and destination airports to search flights.\n\nExample: "search flights from LAX to NRT"');
+            return this.formatResponse('❌ I need both departure and destination airports to search flights.\n\nExample: "search flights from LAX to NRT"\n\n💡 Set your home airport with /perfil aeropuerto LIM to just say "flights to Miami".');
         }
 
         // Parse origin and destination to IATA codes
@@ -356,40 +430,18 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
             priceConstraint = this.parsePriceConstraint(context.query);
         }
 
+        this.lastFlightQueries.set(context.userId, {
+            origin: originCode,
+            destination: destinationCode,
+            departureDate,
+            returnDate: returnDate || null,
+            adults: passengers || 1
+        });
+
         if (priceConstraint) {
             console.log(`💰 [TripAgent] Price constraint applied: max ${priceConstraint.maxPrice} ${priceConstraint.currency}`);
         }
 
-        // Try Sky-Scrapper API first (if initialized and has price constraint)
-        let skyscrapperResults = '';
-        if (this.skyscrapper && this.skyscrapper.initialized && priceConstraint) {
-            try {
-                console.log('🛩️ [TripAgent] Attempting Sky-Scrapper flight search with price filter...');
-
-                const skyResult = await this.skyscrapper.searchFlights({
-                    origin: originCode,
-                    destination: destinationCode,
-                    departureDate: departureDate,
-                    returnDate: returnDate,
-                    adults: passengers || 1,
-                    travelClass: flightClass || 'economy',
-                    maxPrice: priceConstraint.maxPrice,
-                    currency: priceConstraint.currency,
-                    maxResults: 5
-                });
-
-                if (skyResult.success && skyResult.offers && skyResult.offers.length > 0) {
-                    skyscrapperResults = this.skyscrapper.formatFlightOffersForDisplay(skyResult);
-                    console.log(`✅ [TripAgent] Found ${skyResult.offers.length} flights from Sky-Scrapper under ${priceConstraint.currency} ${priceConstraint.maxPrice}`);
-                } else {
-                    console.log(`⚠️ [TripAgent] Sky-Scrapper returned no results: ${skyResult.error || 'No flights found'}`);
-                }
-            } catch (skyError) {
-                console.log('⚠️ [TripAgent] Sky-Scrapper search failed:', skyError.message);
-                // Continue with fallback options
-            }
-        }
-
         // Generate Google Flights link (always works, all airlines)
         const googleFlightsUrl = this.generateGoogleFlightsLink({
             from: originCode,
@@ -404,71 +456,46 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
         console.log(`🔍 [TripAgent] Searching flights: ${originCode} → ${destinationCode}, Depart: ${departureDate}${returnDate ? `, Return: ${returnDate}` : ''}`);
         console.log(`🔗 [TripAgent] Google Flights URL: ${googleFlightsUrl}`);
 
-        // Try to get sample results from Amadeus (optional, may have limited data)
-        let amadeusSampleResults = '';
+        // Amadeus and Sky-Scrapper in parallel, merged and ranked (services/flight-search.js)
+        const sortBy = params.sortBy || flightSearch.parseSortBy(params.originalMessage) || 'price';
+        let searchResult = null;
 
         try {
-            if (this.amadeus && this.amadeus.initialized) {
-                const searchResult = await this.amadeus.searchFlights({
-                    origin: originCode,
-                    destination: destinationCode,
-                    departureDate: departureDate,
-                    returnDate: returnDate,
-                    adults: passengers || 1,
-                    travelClass: flightClass || 'ECONOMY',
-                    maxResults: 5
-                });
-
-                if (searchResult.success && searchResult.offers && searchResult.offers.length > 0) {
-                    // Filter by airline preferences if specified
-                    let filteredOffers = searchResult.offers;
-
-                    if (exclude && exclude.length > 0) {
-                        filteredOffers = filteredOffers.filter(offer => {
-                            const airlineCode = offer.outbound.airline;
-                            const airlineName = this.amadeus.getAirlineName(airlineCode);
-                            return !this.airlineMatches(airlineCode, airlineName, exclude);
-                        });
-                    }
-
-                    if (only && only.length > 0) {
-                        filteredOffers = filteredOffers.filter(offer => {
-                            const airlineCode = offer.outbound.airline;
-                            const airlineName = this.amadeus.getAirlineName(airlineCode);
-                            return this.airlineMatches(airlineCode, airlineName, only);
-                        });
-                    }
-
-                    if (prefer && prefer.length > 0) {
-                        filteredOffers.sort((a, b) => {
-                            const aCode = a.outbound.airline;
-                            const aName = this.amadeus.getAirlineName(aCode);
-                            const bCode = b.outbound.airline;
-                            const bName = this.amadeus.getAirlineName(bCode);
-                            const aPreferred = this.airlineMatches(aCode, aName, prefer);
-                            const bPreferred = this.airlineMatches(bCode, bName, prefer);
-                            if (aPreferred && !bPreferred) return -1;
-                            if (!aPreferred && bPreferred) return 1;
-                            return 0;
-                        });
-                    }
+            searchResult = await flightSearch.search({
+                origin: originCode,
+                destination: destinationCode,
+                departureDate,
+                returnDate,
+                adults: passengers || 1,
+                travelClass: flightClass || 'ECONOMY',
+                currency: priceConstraint ? priceConstraint.currency : 'USD',
+                maxPrice: priceConstraint ? priceConstraint.maxPrice : null
+            }, {
+                sortBy,
+                prefer: prefer || [],
+                exclude: exclude || [],
+                only: only || [],
+                maxStops: profile.maxStops,
+                maxResults: 5
+            });
 
-                    if (filteredOffers.length > 0) {
-                        searchResult.offers = filteredOffers;
-                        const sampleDisplay = this.amadeus.formatFlightOffersForDisplay(searchResult);
-                        if (typeof sampleDisplay === 'string') {
-                            amadeusSampleResults = '\n\n' + sampleDisplay;
-                            console.log(`✅ [TripAgent] Found ${filteredOffers.length} sample results from Amadeus`);
-                        }
-                    }
-                }
+            if (searchResult.success) {
+                // Kept so "book option N" and "alert me..." refer to what is shown
+                this.flightSearches.set(context.userId, {
+                    offers: searchResult.offers,
+                    query: searchResult.query,
+                    timestamp: Date.now()
+                });
+                console.log(`✅ [TripAgent] ${searchResult.offers.length} merged results, best on ${searchResult.best.provider}`);
+            } else {
+                console.log(`⚠️ [TripAgent] No flight results: ${searchResult.error}`);
             }
-        } catch (amadeusError) {
-            console.log('⚠️ [TripAgent] Amadeus sample results unavailable:', amadeusError.message);
-            // Continue without sample results
+        } catch (searchError) {
+            console.log('⚠️ [TripAgent] Flight search failed:', searchError.message);
+            // Continue with the Google Flights link
         }
 
-        // Format response with Google Flights link as primary option
+        // Format response
         const tripType = returnDate ? 'Round-trip' : 'One-way';
         const passengerText = passengers > 1 ? `${passengers} passengers` : '1 passenger';
         const classText = flightClass ? `, ${flightClass.toLowerCase()} class` : '';
@@ -483,30 +510,108 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
             response += `💰 Max price: ${priceConstraint.currency} ${priceConstraint.maxPrice.toLocaleString()}\n`;
         }
 
+        if (profile.applied.length > 0) {
+            response += `👤 ${this.describeProfileDefaults(profile)}\n`;
+        }
+
         response += `\n`;
 
-        // Show Sky-Scrapper results first (if available with price filter)
-        if (skyscrapperResults) {
-            response += skyscrapperResults;
-            response += `\n📌 **More Options:**\n`;
+        if (searchResult && searchResult.success) {
+            response += flightSearch.formatResults(searchResult);
+            response += `\n\n📌 **More Options:**\n`;
             response += `${googleFlightsUrl}\n`;
-            response += `\n💡 *Flights above are filtered by price. Use the Google Flights link for more options.*`;
+            if (searchResult.offers.some(offer => offer.bookable)) {
+                response += `\n🎫 *Reply "book option [n]" to book one of these.*`;
+            }
+            response += `\n💡 *Add "fastest" or "nonstop" to your search to rank by duration or stops.*`;
         }
         // Otherwise, show Google Flights link as primary
         else {
+            if (searchResult && profile.maxStops !== null && searchResult.providers.some(p => p.success)) {
+                response += `⚠️ No flights with ${profile.maxStops === 0 ? 'no stops' : `${profile.maxStops} stop(s) or fewer`} (your profile). Change it with /perfil escalas.\n\n`;
+            }
             response += `🔍 **Search on Google Flights** (All airlines, best prices):\n`;
             response += `${googleFlightsUrl}\n`;
+            response += `\n\n💡 *Tap the link above to see all available flights from all airlines.*`;
+        }
 
-            // Show Amadeus sample results if available (and no Sky-Scrapper results)
-            if (amadeusSampleResults) {
-                response += `\n\n📊 **Sample Results** (limited availability):${amadeusSampleResults}`;
-                response += `\n\n💡 *For complete results with ALL airlines (American, Delta, United, etc.), use the Google Flights link above.*`;
-            } else {
-                response += `\n\n💡 *Tap the link above to see all available flights from all airlines.*`;
+        response += `\n🔔 *Reply "alert me if it drops below $400" to watch this price.*`;
+
+        return this.formatResponse(response);
+    }
+
+    /**
+     * Line saying which search params came from the travel profile
+     * @param {Object} profile - travelPreferences.flightDefaults() result
+     * @returns {string} e.g. "From your profile: from LIM, prefers LATAM, Copa, max 1 stop"
+     */
+    describeProfileDefaults({ params, maxStops, applied }) {
+        const parts = [];
+        if (applied.includes('homeAirport')) {
+            parts.push(`from ${params.from}`);
+        }
+        if (applied.includes('cabin')) {
+            parts.push(`${params.class.toLowerCase().replace('_', ' ')} class`);
+        }
+        if (applied.includes('airlines')) {
+            parts.push(`prefers ${params.prefer.join(', ')}`);
+        }
+        if (applied.includes('maxStops')) {
+            parts.push(maxStops === 0 ? 'nonstop only' : `max ${maxStops} stop${maxStops > 1 ? 's' : ''}`);
+        }
+        return `From your profile: ${parts.join(', ')}`;
+    }
+
+    /**
+     * 2e. WATCH PRICE - Alert when the last searched flight gets cheaper
+     * "avísame si baja de $400" → checked on a schedule by services/price-watch.js
+     */
+    async watchPrice(params, context) {
+        console.log('🔔 [TripAgent] Watching price with params:', params);
+
+        const query = this.lastFlightQueries.get(context.userId);
+        if (!query) {
+            return this.formatResponse('❌ Search for a flight first, then ask me to watch it.\n\nExample: "search flights from Lima to Miami on Dec 11", then "alert me if it drops below $400"');
+        }
+
+        const limit = params.maxPrice
+            ? { amount: parseFloat(params.maxPrice), currency: params.currency ? String(params.currency).toUpperCase() : 'USD' }
+            : priceWatch.parseThreshold(params.price || params.originalMessage);
+
+        // Cheapest offer of the search the user just saw, as the first price in the history
+        const search = this.flightSearches.get(context.userId);
+        const offers = search && search.query.origin === query.origin && search.query.departureDate === query.departureDate
+            ? [...search.offers].sort((a, b) => a.price.total - b.price.total)
+            : [];
+        const currentBest = offers.length > 0
+            ? {
+                price: offers[0].price.total,
+                currency: offers[0].price.currency,
+                provider: offers[0].provider,
+                airline: offers[0].outbound.airlineName
             }
+            : null;
+
+        const watch = await priceWatch.addWatch(context.userId, {
+            ...query,
+            threshold: limit ? limit.amount : null,
+            currency: limit ? limit.currency : 'USD',
+            currentBest
+        });
+
+        let message = `🔔 **Price Watch On**\n\n` +
+            `✈️ ${watch.origin} → ${watch.destination}\n` +
+            `📅 ${watch.departureDate}${watch.returnDate ? ` – ${watch.returnDate}` : ''}\n` +
+            (watch.threshold
+                ? `🎯 I'll message you when it drops below ${watch.currency} ${watch.threshold}\n`
+                : `📉 I'll message you every time the price drops\n`);
+        if (currentBest) {
+            message += `💰 Now: ${currentBest.currency} ${currentBest.price.toFixed(2)} (${currentBest.airline})\n`;
         }
+        message += `\n⏰ Prices are checked every ${priceWatch.checkIntervalMs / 3600000} hours with ${flightSearch.providers.map(p => p.name).join(' and ')}.\n` +
+            `💡 /vigilar to see your watches, /vigilar revisar to check now.`;
 
-        return this.formatResponse(response);
+        return this.formatResponse(message);
     }
 
     /**
@@ -552,34 +657,6 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
         return `${monthName} ${parseInt(day)}`;
     }
 
-    /**
-     * Check if airline matches any of the filter names
-     * @param {string} airlineCode - IATA airline code (e.g., "NK", "AA")
-     * @param {string} airlineName - Full airline name (e.g., "Spirit Airlines")
-     * @param {Array<string>} filters - List of airline names/codes to match
-     * @returns {boolean} True if airline matches any filter
-     */
-    airlineMatches(airlineCode, airlineName, filters) {
-        if (!filters || filters.length === 0) return false;
-
-        return filters.some(filter => {
-            const filterLower = filter.toLowerCase().trim();
-            const codeLower = airlineCode.toLowerCase();
-            const nameLower = airlineName.toLowerCase();
-
-            // Check exact code match
-            if (codeLower === filterLower) return true;
-
-            // Check if filter is contained in airline name
-            if (nameLower.includes(filterLower)) return true;
-
-            // Check if airline name is contained in filter (for variations like "Spirit" matching "Spirit Airlines")
-            if (filterLower.includes(nameLower)) return true;
-
-            return false;
-        });
-    }
-
     /**
      * Parse date strings into YYYY-MM-DD format
      */
@@ -665,71 +742,311 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
 
     /**
      * 2b. BOOK FLIGHT - Book a selected flight
+     *
+     * Multi-step: re-validate the fare (Flight Offers Price), ask each
+     * traveler's details one question at a time, confirm, then create the
+     * order (Flight Create Orders). While a booking is in progress the
+     * Orchestrator sends every reply here as params.reply.
      */
     async bookFlight(params, context) {
         console.log('💳 [TripAgent] Booking flight with params:', params);
 
-        const { option, confirm } = params;
         const userId = context.userId;
+        const pending = this.getPendingBooking(userId);
+
+        if (pending && params.reply !== undefined) {
+            return await this.continueFlightBooking(pending, params.reply, context);
+        }
 
         // Get stored search results
-        if (!context.flightSearchResults || !context.flightSearchResults[userId]) {
+        const searchData = this.flightSearches.get(userId);
+        if (!searchData) {
             return this.formatResponse('❌ No recent flight search found. Please search for flights first using "search flights from [origin] to [destination] on [date]"');
         }
 
-        const searchData = context.flightSearchResults[userId];
-
         // Check if search results are still fresh (within 30 minutes)
         const ageMinutes = (Date.now() - searchData.timestamp) / 1000 / 60;
         if (ageMinutes > 30) {
             return this.formatResponse('❌ Your flight search results have expired (older than 30 minutes). Please search again for current prices.');
         }
 
-        // Parse option number
-        const optionNumber = parseInt(option);
+        // Parse option number ("book option 2")
+        const optionNumber = parseInt(params.option || (String(params.originalMessage || '').match(/\d+/) || [])[0]);
         if (isNaN(optionNumber) || optionNumber < 1 || optionNumber > searchData.offers.length) {
             return this.formatResponse(`❌ Invalid option number. Please choose between 1 and ${searchData.offers.length}`);
         }
 
         const selectedFlight = searchData.offers[optionNumber - 1];
+        if (!selectedFlight.bookable) {
+            return this.formatResponse(`❌ Option ${optionNumber} comes from ${selectedFlight.provider} and can't be booked here.` +
+                `${selectedFlight.deepLink ? `\n\n🔗 Book it on the website: ${selectedFlight.deepLink}` : ''}`);
+        }
 
-        // If not confirmed, ask for confirmation
-        if (!confirm || confirm.toLowerCase() !== 'yes') {
-            const confirmMessage = `💳 **Confirm Flight Booking**\n\n` +
-                `**Flight:** ${selectedFlight.outbound.airline} ${selectedFlight.outbound.flightNumber}\n` +
-                `**Route:** ${selectedFlight.outbound.departure.airport} → ${selectedFlight.outbound.arrival.airport}\n` +
-                `**Departure:** ${new Date(selectedFlight.outbound.departure.time).toLocaleString()}\n` +
-                `**Arrival:** ${new Date(selectedFlight.outbound.arrival.time).toLocaleString()}\n` +
-                `**Price:** ${selectedFlight.price.currency} ${selectedFlight.price.total}\n\n` +
-                `${selectedFlight.inbound ? `**Return:** ${new Date(selectedFlight.inbound.departure.time).toLocaleString()}\n\n` : ''}` +
-                `⚠️ **This will charge your payment method.**\n\n` +
-                `Reply "yes" to confirm booking, or "cancel" to abort.`;
+        if (!this.amadeus.isBookingEnabled()) {
+            return this.formatResponse('❌ Booking is turned off for the live Amadeus environment, so no real ticket is bought from here.' +
+                `${selectedFlight.deepLink ? `\n\n🔗 Book it on the website: ${selectedFlight.deepLink}` : ''}`);
+        }
 
-            return this.formatResponse(confirmMessage);
+        // Fares change between search and booking: price the offer again
+        const pricing = await this.amadeus.priceFlightOffer(selectedFlight.raw);
+        if (!pricing.success) {
+            return this.formatResponse(`❌ This fare is no longer available: ${pricing.description || pricing.error}\n\nPlease search again for current prices.`);
+        }
+
+        // Compared with the price shown in the search, which may be another
+        // provider's cheaper copy of this flight (see flight-search dedupe)
+        const shown = selectedFlight.price;
+        let pricedTotal = parseFloat(pricing.price.total);
+        if (pricing.price.currency !== shown.currency) {
+            try {
+                pricedTotal = await currencyService.convert(pricedTotal, pricing.price.currency, shown.currency);
+            } catch (conversionError) {
+                console.log('⚠️ [TripAgent] Could not compare with the search price:', conversionError.message);
+                pricedTotal = NaN;
+            }
+        }
+        const priceChanged = isNaN(pricedTotal) || Math.abs(pricedTotal - shown.total) >= 0.01;
+
+        const booking = {
+            step: null,
+            flight: selectedFlight,
+            pricedOffer: pricing.offer,
+            price: pricing.price,
+            passengers: (pricing.offer.travelerPricings || []).length || 1,
+            travelers: [],
+            current: {},
+            startedAt: Date.now()
+        };
+
+        // Reminders from the travel profile for the confirmation
+        const preferences = await travelPreferences.getPreferences(userId);
+        booking.loyalty = travelPreferences.loyaltyFor(preferences, selectedFlight.outbound);
+        booking.dietary = preferences.dietary;
+
+        this.pendingBookings.set(userId, booking);
+
+        let message = `💳 **Book Flight**\n\n` +
+            `**Flight:** ${selectedFlight.outbound.airline} ${selectedFlight.outbound.flightNumber}\n` +
+            `**Route:** ${selectedFlight.outbound.departure.airport} → ${selectedFlight.outbound.arrival.airport}\n` +
+            `**Departure:** ${new Date(selectedFlight.outbound.departure.time).toLocaleString()}\n` +
+            `${selectedFlight.inbound ? `**Return:** ${new Date(selectedFlight.inbound.departure.time).toLocaleString()}\n` : ''}` +
+            `**Price:** ${pricing.price.currency} ${pricing.price.total}` +
+            (priceChanged
+                ? ` ⚠️ (was ${shown.currency} ${shown.total.toFixed(2)} on ${selectedFlight.provider} in the search)`
+                : ' ✅ confirmed') +
+            `\n\n`;
+
+        const saved = await this.getSavedTraveler(userId);
+        if (saved) {
+            booking.step = 'reuse';
+            message += `👤 Book for **${describeTraveler(saved)}**?\n\nReply "yes", "no" to enter another traveler, or "cancel".`;
+        } else {
+            message += this.askTravelerStep(booking);
+        }
+
+        return this.formatResponse(message);
+    }
+
+    /**
+     * Booking in progress, dropped once it is older than 30 minutes
+     * @param {string} userId - User ID
+     * @returns {Object|null}
+     */
+    getPendingBooking(userId) {
+        const booking = this.pendingBookings.get(userId);
+        if (booking && (Date.now() - booking.startedAt) / 1000 / 60 > 30) {
+            console.log(`⌛ [TripAgent] Booking of ${userId} expired`);
+            this.pendingBookings.delete(userId);
+            return null;
+        }
+        return booking || null;
+    }
+
+    /**
+     * Whether the user is in the middle of a booking
+     * @param {string} userId - User ID
+     * @returns {boolean}
+     */
+    hasPendingBooking(userId) {
+        return this.getPendingBooking(userId) !== null;
+    }
+
+    /**
+     * Whether a message answers the booking's current question
+     * The Orchestrator only routes these to book_flight; anything else ("what's
+     * my balance", "search flights to Cusco") goes through normal routing and
+     * the booking waits.
+     * @param {string} userId - User ID
+     * @param {string} message - User message
+     * @returns {boolean}
+     */
+    isBookingReply(userId, message) {
+        const booking = this.getPendingBooking(userId);
+        if (!booking) {
+            return false;
+        }
+
+        const text = String(message || '').trim();
+        const lower = text.toLowerCase();
+
+        if (BOOKING_CANCEL_WORDS.includes(lower)) {
+            return true;
+        }
+        if (['reuse', 'confirm', 'cancel_order'].includes(booking.step)) {
+            return BOOKING_YES_WORDS.includes(lower) || ['no', 'n'].includes(lower);
+        }
+        return !parseAnswer(booking.step, text).error || looksLikeAnswer(booking.step, text);
+    }
+
+    /**
+     * Drop a booking in progress (/cancel, /reset)
+     * @param {string} userId - User ID
+     * @returns {boolean} Whether there was one
+     */
+    cancelPendingBooking(userId) {
+        return this.pendingBookings.delete(userId);
+    }
+
+    /**
+     * Next step of a booking in progress: traveler answers, confirmation or order cancellation
+     */
+    async continueFlightBooking(booking, reply, context) {
+        const userId = context.userId;
+        const text = String(reply || '').trim();
+        const lower = text.toLowerCase();
+
+        if (BOOKING_CANCEL_WORDS.includes(lower)) {
+            this.pendingBookings.delete(userId);
+            return this.formatResponse(booking.step === 'cancel_order'
+                ? `👍 Booking ${booking.confirmationCode} stays as it is.`
+                : '🚫 Booking cancelled. Nothing was charged.');
+        }
+
+        const isYes = BOOKING_YES_WORDS.includes(lower);
+
+        switch (booking.step) {
+            case 'reuse':
+                if (isYes) {
+                    booking.travelers.push(await this.getSavedTraveler(userId));
+                    return this.formatResponse(this.nextTravelerOrConfirm(booking));
+                }
+                if (lower === 'no' || lower === 'n') {
+                    return this.formatResponse(this.askTravelerStep(booking));
+                }
+                return this.formatResponse('Reply "yes" to use the saved traveler, "no" to enter another one, or "cancel".');
+
+            case 'confirm':
+                if (!isYes) {
+                    return this.formatResponse('Reply "yes" to confirm booking, or "cancel" to abort.');
+                }
+                this.pendingBookings.delete(userId);
+                return await this.createFlightOrder(booking, context);
+
+            case 'cancel_order':
+                if (!isYes) {
+                    return this.formatResponse(`Reply "yes" to cancel booking ${booking.confirmationCode}, or "cancel" to keep it.`);
+                }
+                this.pendingBookings.delete(userId);
+                return await this.cancelStoredFlightOrder(booking, context);
+
+            default: {
+                const answer = parseAnswer(booking.step, text);
+                if (answer.error) {
+                    const step = TRAVELER_STEPS.find(s => s.field === booking.step);
+                    return this.formatResponse(`❌ ${answer.error}\n\n${step.question}`);
+                }
+
+                booking.current[booking.step] = answer.value;
+                if (nextStep(booking.current)) {
+                    return this.formatResponse(this.askTravelerStep(booking));
+                }
+
+                booking.travelers.push(booking.current);
+                booking.current = {};
+                return this.formatResponse(this.nextTravelerOrConfirm(booking));
+            }
+        }
+    }
+
+    /**
+     * Ask the next traveler question (sets booking.step)
+     */
+    askTravelerStep(booking) {
+        const step = nextStep(booking.current);
+        booking.step = step.field;
+
+        const header = booking.passengers > 1 && step === TRAVELER_STEPS[0]
+            ? `**Passenger ${booking.travelers.length + 1} of ${booking.passengers}**\n`
+            : '';
+        return `${header}${step.question}\n\n_Reply "cancel" to stop._`;
+    }
+
+    /**
+     * Ask for the next passenger, or show the final confirmation when all are in
+     */
+    nextTravelerOrConfirm(booking) {
+        if (booking.travelers.length < booking.passengers) {
+            return this.askTravelerStep(booking);
+        }
+
+        booking.step = 'confirm';
+        const flight = booking.flight;
+
+        let message = `💳 **Confirm Flight Booking**\n\n` +
+            `**Flight:** ${flight.outbound.airline} ${flight.outbound.flightNumber}\n` +
+            `**Route:** ${flight.outbound.departure.airport} → ${flight.outbound.arrival.airport}\n` +
+            `**Departure:** ${new Date(flight.outbound.departure.time).toLocaleString()}\n` +
+            `**Arrival:** ${new Date(flight.outbound.arrival.time).toLocaleString()}\n` +
+            `${flight.inbound ? `**Return:** ${new Date(flight.inbound.departure.time).toLocaleString()}\n` : ''}` +
+            `**Price:** ${booking.price.currency} ${booking.price.total}\n\n` +
+            `**Travelers:**\n`;
+        booking.travelers.forEach((traveler, index) => {
+            message += `${index + 1}. ${describeTraveler(traveler)}\n`;
+        });
+
+        if (booking.loyalty) {
+            message += `\n🎖️ ${booking.loyalty.program}: ${booking.loyalty.number} (add it with the airline to earn miles)`;
+        }
+        if (booking.dietary) {
+            message += `\n🍽️ Dietary notes: ${booking.dietary} (request the meal with the airline)`;
+        }
+        if (booking.loyalty || booking.dietary) {
+            message += '\n';
         }
 
+        message += this.amadeus.hostname === 'test'
+            ? `\n🧪 **Amadeus test environment:** the order is created but no ticket is issued.\n\n`
+            : `\n⚠️ **This will charge your payment method.**\n\n`;
+        message += `Reply "yes" to confirm booking, or "cancel" to abort.`;
+
+        return message;
+    }
+
+    /**
+     * Create the Amadeus order of a confirmed booking
+     */
+    async createFlightOrder(booking, context) {
+        const userId = context.userId;
+
         try {
-            // TODO: Actual Amadeus booking API call
-            // For now, simulate booking
-            console.log('🎫 [TripAgent] Processing flight booking...');
-            console.log('Selected flight:', selectedFlight);
+            console.log('🎫 [TripAgent] Creating flight order...');
+
+            const travelers = booking.travelers.map((traveler, index) => toAmadeusTraveler(traveler, index + 1));
+            const result = await this.amadeus.createFlightOrder(booking.pricedOffer, travelers);
+
+            if (!result.success) {
+                return this.formatResponse(`❌ Booking failed: ${result.description || result.error}\n\nNothing was charged. Please search again or try another option.`);
+            }
 
-            // Simulate booking (replace with actual Amadeus booking API)
             const bookingResult = {
-                success: true,
-                confirmationCode: `TEST${Math.random().toString(36).substring(2, 8).toUpperCase()}`,
-                flightId: selectedFlight.id,
-                price: selectedFlight.price,
-                route: `${selectedFlight.outbound.departure.airport} → ${selectedFlight.outbound.arrival.airport}`,
-                departure: selectedFlight.outbound.departure.time,
-                arrival: selectedFlight.outbound.arrival.time,
-                airline: selectedFlight.outbound.airline,
-                flightNumber: selectedFlight.outbound.flightNumber
+                ...result.order,
+                airline: this.amadeus.getAirlineName(result.order.airline)
             };
 
-            if (!bookingResult.success) {
-                return this.formatResponse(`❌ Booking failed. Please try again or contact support.`);
-            }
+            // The first traveler is offered again on the next booking
+            await UserStorage.update(userId, { traveler: booking.travelers[0] });
+            await this.saveFlightOrder(userId, bookingResult);
+            this.flightSearches.delete(userId);
 
             // Save booking to Beads memory
             try {
@@ -737,9 +1054,10 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
                     title: `Flight Booking: ${bookingResult.route}`,
                     type: 'task',
                     priority: 1,
-                    description: `Flight ${bookingResult.airline} ${bookingResult.flightNumber}\nConfirmation: ${bookingResult.confirmationCode}\nPrice: ${bookingResult.price.currency} ${bookingResult.price.total}`,
+                    description: `Flight ${bookingResult.airline} ${bookingResult.flightNumber}\nConfirmation: ${bookingResult.confirmationCode}\nOrder: ${bookingResult.id}\nPrice: ${bookingResult.price.currency} ${bookingResult.price.total}`,
                     metadata: {
                         type: 'flight_booking',
+                        orderId: bookingResult.id,
                         confirmationCode: bookingResult.confirmationCode,
                         route: bookingResult.route,
                         departure: bookingResult.departure,
@@ -775,18 +1093,26 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
                 }
             }
 
-            // Clear search results after booking
-            delete context.flightSearchResults[userId];
+            const budgetLine = await this.recordTripExpense({
+                kind: 'flights',
+                amount: parseFloat(bookingResult.price.total),
+                currency: bookingResult.price.currency,
+                payee: bookingResult.airline,
+                memo: `${bookingResult.route} ${bookingResult.flightNumber} (${bookingResult.confirmationCode})`,
+                confirmation: bookingResult.confirmationCode
+            }, context);
 
             const successMessage = `✅ **Flight Booked Successfully!**\n\n` +
                 `✈️ **${bookingResult.airline} Flight ${bookingResult.flightNumber}**\n` +
                 `📍 ${bookingResult.route}\n` +
                 `📅 ${new Date(bookingResult.departure).toLocaleString()}\n` +
+                `👥 ${bookingResult.travelers.join(', ')}\n` +
                 `💰 ${bookingResult.price.currency} ${bookingResult.price.total}\n\n` +
                 `🎫 **Confirmation:** ${bookingResult.confirmationCode}\n\n` +
                 `${calendarAdded ? '✅ Added to your Google Calendar\n' : ''}` +
-                `📧 Booking confirmation will be sent to your email.\n\n` +
-                `💡 Tip: Track expenses with "spent ${bookingResult.price.total} on flight"`;
+                `📧 Booking confirmation will be sent to ${booking.travelers[0].email}.\n` +
+                `🔎 "booking status ${bookingResult.confirmationCode}" · ❌ "cancel booking ${bookingResult.confirmationCode}"\n\n` +
+                (budgetLine || `💡 Tip: Track expenses with "spent ${bookingResult.price.total} on flight"`);
 
             return this.formatResponse(successMessage);
 
@@ -796,6 +1122,140 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
         }
     }
 
+    /**
+     * 2c. FLIGHT ORDER STATUS - Retrieve a booked flight from Amadeus
+     */
+    async getFlightOrderStatus(params, context) {
+        console.log('🔎 [TripAgent] Getting flight order with params:', params);
+
+        const stored = await this.findFlightOrder(context.userId, params.order || params.confirmation);
+        if (!stored) {
+            return this.formatResponse('❌ I couldn\'t find that flight booking. Book one with "book option [n]" after a flight search.');
+        }
+
+        const result = await this.amadeus.getFlightOrder(stored.id);
+        if (!result.success) {
+            if (result.status === 404) {
+                await this.updateFlightOrder(context.userId, stored.id, { status: 'cancelled' });
+                return this.formatResponse(`❌ Booking ${stored.confirmationCode} no longer exists at the airline (cancelled).`);
+            }
+            return this.formatResponse(`❌ Couldn't retrieve booking ${stored.confirmationCode}: ${result.description || result.error}`);
+        }
+
+        const order = result.order;
+        return this.formatResponse(
+            `🎫 **Booking ${order.confirmationCode}**\n\n` +
+            `✈️ ${this.amadeus.getAirlineName(order.airline)} ${order.flightNumber}\n` +
+            `📍 ${order.route}\n` +
+            `📅 ${new Date(order.departure).toLocaleString()}\n` +
+            `${order.returnDeparture ? `🔄 Return: ${new Date(order.returnDeparture).toLocaleString()}\n` : ''}` +
+            `👥 ${order.travelers.join(', ')}\n` +
+            `💰 ${order.price.currency} ${order.price.total}\n` +
+            `📌 Status: ${order.ticketed ? 'ticketed ✅' : 'booked, awaiting ticket'}\n` +
+            `🆔 Order: ${order.id}`
+        );
+    }
+
+    /**
+     * 2d. CANCEL FLIGHT ORDER - Ask for confirmation, then cancel at Amadeus
+     */
+    async cancelFlightOrder(params, context) {
+        console.log('🗑️ [TripAgent] Cancelling flight order with params:', params);
+
+        const stored = await this.findFlightOrder(context.userId, params.order || params.confirmation);
+        if (!stored) {
+            return this.formatResponse('❌ I couldn\'t find that flight booking.');
+        }
+        if (stored.status === 'cancelled') {
+            return this.formatResponse(`ℹ️ Booking ${stored.confirmationCode} is already cancelled.`);
+        }
+
+        this.pendingBookings.set(context.userId, {
+            step: 'cancel_order',
+            orderId: stored.id,
+            confirmationCode: stored.confirmationCode,
+            startedAt: Date.now()
+        });
+
+        return this.formatResponse(
+            `⚠️ **Cancel Booking ${stored.confirmationCode}?**\n\n` +
+            `📍 ${stored.route}\n` +
+            `📅 ${new Date(stored.departure).toLocaleString()}\n` +
+            `💰 ${stored.price.currency} ${stored.price.total}\n\n` +
+            `Refunds depend on the fare rules.\n\nReply "yes" to cancel it, or "cancel" to keep it.`
+        );
+    }
+
+    /**
+     * Cancel a confirmed order at Amadeus and mark it in storage
+     */
+    async cancelStoredFlightOrder(booking, context) {
+        const result = await this.amadeus.cancelFlightOrder(booking.orderId);
+        if (!result.success) {
+            return this.formatResponse(`❌ Couldn't cancel booking ${booking.confirmationCode}: ${result.description || result.error}`);
+        }
+
+        await this.updateFlightOrder(context.userId, booking.orderId, { status: 'cancelled', cancelledAt: new Date().toISOString() });
+        console.log(`✅ [TripAgent] Flight order cancelled: ${booking.confirmationCode}`);
+
+        return this.formatResponse(`✅ Booking ${booking.confirmationCode} cancelled.`);
+    }
+
+    /**
+     * Traveler saved from the user's last booking
+     * @returns {Promise<Object|null>}
+     */
+    async getSavedTraveler(userId) {
+        const user = await UserStorage.get(userId);
+        return (user && user.traveler) || null;
+    }
+
+    /**
+     * Keep a booked order so it can be looked up and cancelled later
+     */
+    async saveFlightOrder(userId, order) {
+        const user = await UserStorage.get(userId);
+        const orders = (user && user.flightOrders) || [];
+        orders.push({
+            id: order.id,
+            confirmationCode: order.confirmationCode,
+            route: order.route,
+            departure: order.departure,
+            price: order.price,
+            status: 'booked',
+            bookedAt: new Date().toISOString()
+        });
+        await UserStorage.update(userId, { flightOrders: orders });
+    }
+
+    /**
+     * @private
+     */
+    async updateFlightOrder(userId, orderId, changes) {
+        const user = await UserStorage.get(userId);
+        const orders = ((user && user.flightOrders) || []).map(order =>
+            order.id === orderId ? { ...order, ...changes } : order
+        );
+        await UserStorage.update(userId, { flightOrders: orders });
+    }
+
+    /**
+     * Find a stored order by confirmation code or order ID (latest active one without reference)
+     */
+    async findFlightOrder(userId, reference) {
+        const user = await UserStorage.get(userId);
+        const orders = (user && user.flightOrders) || [];
+
+        if (reference) {
+            const wanted = String(reference).trim().toUpperCase();
+            return orders.find(order =>
+                (order.confirmationCode || '').toUpperCase() === wanted || order.id.toUpperCase() === wanted
+            ) || null;
+        }
+
+        return orders.filter(order => order.status !== 'cancelled').pop() || null;
+    }
+
     /**
      * 3. SEARCH HOTELS - Real hotel search via Amadeus API
      */
@@ -836,6 +1296,11 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
             return this.formatResponse(`❌ I couldn't understand the dates "${dates}". Please use format like:\n- "Dec 11 to Dec 21"\n- "2025-12-11 to 2025-12-21"`);
         }
 
+        // Star range and budget per night from the travel profile
+        const preferences = await travelPreferences.getPreferences(context.userId);
+        const ratings = travelPreferences.hotelRatings(preferences);
+        const budget = preferences.hotelBudget;
+
         try {
             // Call Amadeus hotel search
             const searchResult = await this.amadeus.searchHotels({
@@ -845,13 +1310,37 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
                 adults: guests || 1,
                 rooms: rooms || 1,
                 currency: 'USD',
-                maxResults: 5
+                ratings,
+                maxResults: budget ? 10 : 5  // More to choose from after the budget filter
             });
 
             if (!searchResult.success) {
                 return this.formatResponse(`❌ Hotel search failed: ${searchResult.error}\n\n${searchResult.description || ''}`);
             }
 
+            const profileNotes = [];
+            if (ratings) {
+                profileNotes.push(`${ratings.join('/')} stars`);
+            }
+            if (budget) {
+                try {
+                    const limit = await currencyService.convert(budget.amount, budget.currency, 'USD');
+                    const withinBudget = searchResult.offers.filter(offer => parseFloat(offer.price.perNight) <= limit);
+                    // Nothing within budget: show what there is rather than nothing
+                    if (withinBudget.length > 0) {
+                        searchResult.offers = withinBudget;
+                        profileNotes.push(`up to ${budget.currency} ${budget.amount}/night`);
+                    } else {
+                        profileNotes.push(`none within ${budget.currency} ${budget.amount}/night, showing all`);
+                    }
+                } catch (conversionError) {
+                    console.log('⚠️ [TripAgent] Hotel budget not applied:', conversionError.message);
+                }
+                searchResult.offers = searchResult.offers
+                    .slice(0, 5)
+                    .map((offer, index) => ({ ...offer, index: index + 1 }));
+            }
+
             // Store search results in context for booking
             if (!context.hotelSearchResults) {
                 context.hotelSearchResults = {};
@@ -868,7 +1357,9 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
             const displayMessage = this.amadeus.formatHotelOffersForDisplay(searchResult);
 
             return this.formatResponse(
-                `${displayMessage}\n\n💡 To book a hotel, say "book hotel option [number]" (e.g., "book hotel option 1")`
+                `${displayMessage}` +
+                `${profileNotes.length > 0 ? `\n👤 From your profile: ${profileNotes.join(', ')}` : ''}` +
+                `\n\n💡 To book a hotel, say "book hotel option [number]" (e.g., "book hotel option 1")`
             );
 
         } catch (error) {
@@ -1149,6 +1640,15 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
             // Clear search results after booking
             delete context.hotelSearchResults[userId];
 
+            const budgetLine = await this.recordTripExpense({
+                kind: 'lodging',
+                amount: parseFloat(bookingResult.price.total),
+                currency: bookingResult.price.currency,
+                payee: bookingResult.hotelName,
+                memo: `${bookingResult.checkIn} → ${bookingResult.checkOut}, ${bookingResult.nights} night(s) (${bookingResult.confirmationCode})`,
+                confirmation: bookingResult.confirmationCode
+            }, context);
+
             const successMessage = `✅ **Hotel Booked Successfully!**\n\n` +
                 `🏨 **${bookingResult.hotelName}**\n` +
                 `📍 ${bookingResult.location}\n` +
@@ -1159,7 +1659,7 @@ Format the response in a clear, organized way with emojis for visual appeal.`;
                 `🎫 **Confirmation:** ${bookingResult.confirmationCode}\n\n` +
                 `${calendarAdded ? '✅ Added to your Google Calendar\n' : ''}` +
                 `📧 Booking confirmation will be sent to your email.\n\n` +
-                `💡 Tip: Track expenses with "spent ${bookingResult.price.total} on hotel"`;
+                (budgetLine || `💡 Tip: Track expenses with "spent ${bookingResult.price.total} on hotel"`);
 
             return this.formatResponse(successMessage);
 
@@ -1269,10 +1769,22 @@ Keep it realistic - don't overschedule. Use emojis for visual organization.`;
                 console.log('⚠️ [TripAgent] Could not save booking to memory (Beads not available), continuing...');
             }
 
-            // If cost provided and budgetAgent available, suggest adding to YNAB
+            // If cost provided, post it to the trip budget in YNAB
             let budgetSuggestion = '';
-            if (cost && this.budgetAgent) {
-                budgetSuggestion = `\n\n💰 **Budget Tip**: Would you like me to add this ${cost} expense to your YNAB budget? Just say "add ${cost} for ${type} to YNAB"`;
+            const parsedCost = cost ? tripBudget.parseAmount(cost) : null;
+            if (parsedCost) {
+                const budgetLine = await this.recordTripExpense({
+                    kind: tripBudget.guessKind(type),
+                    amount: parsedCost.amount,
+                    currency: parsedCost.currency,
+                    payee: details || type,
+                    memo: `${type}${confirmation ? ` (${confirmation})` : ''}`,
+                    confirmation: confirmation || null
+                }, context);
+
+                budgetSuggestion = budgetLine
+                    ? `\n\n${budgetLine}`
+                    : `\n\n💰 **Budget Tip**: Plan a trip first ("plan trip to [destination] [dates]") and its costs will go to a trip budget in YNAB.`;
             }
 
             console.log('✅ [TripAgent] Booking tracked successfully');
@@ -1294,6 +1806,132 @@ Keep it realistic - don't overschedule. Use emojis for visual organization.`;
         }
     }
 
+    /**
+     * 5b. TRACK EXPENSE - Post an expense to the active trip's budget in YNAB
+     */
+    async trackExpense(params, context) {
+        console.log('💰 [TripAgent] Tracking expense with params:', params);
+
+        const { description, category, date } = params;
+        const fromText = tripBudget.parseAmount(description);
+        const parsed = params.amount
+            ? { amount: Math.abs(parseFloat(params.amount)), currency: params.currency ? String(params.currency).toUpperCase() : null }
+            : fromText;
+
+        if (!parsed || !(parsed.amount > 0)) {
+            return this.formatResponse('❌ How much was it?\n\nExample: "track expense: dinner $50"');
+        }
+
+        if (!this.budgetAgent) {
+            return this.formatResponse('❌ Budget tracking is not available right now.');
+        }
+
+        try {
+            const result = await tripBudget.recordExpense(context.userId, {
+                kind: tripBudget.guessKind(category || description),
+                amount: parsed.amount,
+                currency: parsed.currency,
+                payee: (fromText ? fromText.text : description) || 'Trip expense',
+                date: date || null
+            }, this.budgetAgent);
+
+            if (!result) {
+                return this.formatResponse('❌ You don\'t have a trip budget yet.\n\nPlan a trip first: "plan trip to Cusco Dec 11-21, budget $2000"');
+            }
+
+            const { trip, entry } = result;
+            const summary = tripBudget.summarize(trip);
+            const categorySummary = summary.categories.find(c => c.kind === entry.kind);
+
+            let message = `✅ **Expense Tracked**\n\n` +
+                `💵 ${trip.currency} ${entry.amount} - ${entry.payee}\n` +
+                `📁 ${trip.groupName} → ${categorySummary.name}\n` +
+                `📅 ${entry.date}\n\n` +
+                `📊 ${categorySummary.name}: ${trip.currency} ${categorySummary.spent} of ${categorySummary.plan}\n`;
+
+            if (summary.remainingPerDay !== null) {
+                message += `🧮 ${trip.currency} ${summary.remainingPerDay} left per day for food, transport and activities\n`;
+            }
+
+            message += `\n💡 Full breakdown: /tripbudget`;
+
+            return this.formatResponse(message);
+
+        } catch (error) {
+            console.error('❌ [TripAgent] Error tracking expense:', error);
+            return this.formatResponse(`❌ Sorry, I couldn't add the expense: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create the budget of a planned trip (plan per category; the YNAB group comes with the first expense)
+     * Never fails the trip plan: returns '' when the budget can't be created.
+     * @returns {Promise<string>} Section for the trip plan reply
+     */
+    async createTripBudget({ destination, dates, budget }, context) {
+        if (!destination || !context.userId) {
+            return '';
+        }
+
+        try {
+            let parsedDates = {};
+            try {
+                parsedDates = dates ? this.parseDates(dates) : {};
+            } catch (parseError) {
+                console.log(`⚠️ [TripAgent] Trip budget without dates: ${parseError.message}`);
+            }
+
+            const trip = await tripBudget.createTrip(context.userId, {
+                destination,
+                startDate: parsedDates.departure || null,
+                endDate: parsedDates.return || null,
+                total: budget
+            });
+
+            let section = `\n\n💰 **Trip budget:** ${trip.groupName} (${trip.budgetName})\n`;
+            const summary = tripBudget.summarize(trip);
+            if (summary.plan > 0) {
+                summary.categories.forEach(category => {
+                    section += `• ${category.name}: ${trip.currency} ${category.plan}\n`;
+                });
+            }
+            section += `Bookings and "track expense: dinner $50" go there. Check it with /tripbudget`;
+            if (!trip.groupId) {
+                section += `\nThe category group is created in YNAB with the first expense; to use an existing one: /tripbudget grupo`;
+            }
+            return section;
+        } catch (error) {
+            console.error('❌ [TripAgent] Could not create trip budget:', error.message);
+            return '';
+        }
+    }
+
+    /**
+     * Post a booking or expense to the trip budget in YNAB
+     * @returns {Promise<string|null>} Line for the reply, null if the user has no trip budget
+     */
+    async recordTripExpense(expense, context) {
+        if (!this.budgetAgent || !context.userId) {
+            return null;
+        }
+
+        try {
+            const result = await tripBudget.recordExpense(context.userId, expense, this.budgetAgent);
+            if (!result) {
+                return null;
+            }
+
+            const category = result.trip.categories[result.entry.kind].name;
+            if (result.duplicate) {
+                return `💰 Already in your ${result.trip.destination} trip budget (${category}).`;
+            }
+            return `💰 Added ${result.trip.currency} ${result.entry.amount} to ${result.trip.groupName} → ${category} in YNAB. See /tripbudget`;
+        } catch (error) {
+            console.error('❌ [TripAgent] Could not record trip expense:', error.message);
+            return `⚠️ Couldn't add it to the trip budget: ${error.message}`;
+        }
+    }
+
     /**
      * 6. GET TRIP SUGGESTIONS - Destination suggestions based on preferences
      */
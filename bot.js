@@ -1,4 +1,4 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
 const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs');
@@ -10,11 +10,22 @@ const { normalizeMessage, hasIntent, isMenuOption } = require('./message-normali
 // ===== MODULAR SERVICES =====
 const ynabService = require('./services/ynab-service');
 const pdfService = require('./services/pdf-service');
+const statementParser = require('./services/statement-parser');
+const receiptArchive = require('./services/receipt-archive');
+const speechService = require('./services/speech-service');
 const stateManager = require('./adapters/state-manager');
+const scheduler = require('./services/scheduler');
+const digestService = require('./services/digest-service');
+const alertService = require('./services/alert-service');
+const priceWatch = require('./services/price-watch');
+const travelPreferences = require('./services/travel-preferences');
+const payeeRules = require('./services/payee-rules');
+const currencyService = require('./services/currency-service');
+const tripBudget = require('./services/trip-budget');
 
 // ===== FLOW-BASED SYSTEM =====
 const flowRouter = require('./flows/router');
-const { ProcessPDFFlow, ProcessImageFlow } = require('./flows/index');
+const { BaseDocumentFlow, ProcessPDFFlow, ProcessImageFlow, flowState } = require('./flows/index');
 
 // ===== DUAL-MODE SYSTEM =====
 const modeRouter = require('./mode-router');
@@ -39,6 +50,12 @@ const orchestrator = new Orchestrator(anthropic, ynabService);
 modeRouter.setOrchestrator(orchestrator);
 console.log('✅ Multi-agent orchestrator connected to mode router');
 
+// ===== SCHEDULED JOBS =====
+// Se inician cuando WhatsApp está listo (ver 'ready')
+digestService.register(scheduler);
+alertService.register(scheduler);
+priceWatch.register(scheduler);
+
 // Detectar el path de Chrome según el entorno
 function getChromePath() {
     // En Docker, usar Chrome del sistema (instalado en el Dockerfile)
@@ -139,9 +156,10 @@ async function executeClaudeTransactions(params, userId) {
         }
         message += `*Presupuesto:* ${params.budgetName}\n\n`;
 
+        const format = await currencyService.getBudgetFormat(budgetId);
+
         recentTransactions.forEach((tx, index) => {
-            const amount = (tx.amount / 1000).toFixed(2);
-            const amountStr = tx.amount < 0 ? `-$${Math.abs(amount)}` : `+$${amount}`;
+            const amountStr = `${tx.amount < 0 ? '' : '+'}${currencyService.format(tx.amount / 1000, format)}`;
             const category = tx.category_name || 'Sin categoría';
             const status = tx.approved ? '✅' : '⏳';
 
@@ -785,6 +803,8 @@ async function executeToolCall(toolName, toolInput, userId = 'default') {
 
                 console.log(`✅ Transacción categorizada exitosamente: ${transactionPayee} → ${targetCategory.name}`);
 
+                await payeeRules.recordCategory(categBudgetId, categYnabData.budgetName, transactionPayee, targetCategory);
+
                 return {
                     success: true,
                     transaction: {
@@ -1072,6 +1092,11 @@ ${pdfCachedData.text}`;
 
 async function askClaude(userMessage, conversationHistory = [], userId = 'default', imageData = null, pdfText = null) {
     try {
+        // Reglas payee → categoría que el usuario ya confirmó
+        const learnedRules = await payeeRules.describeForPrompt();
+        // Monedas de cada presupuesto y tipos de cambio, para no mezclar S/ con $
+        const currencyInfo = await currencyService.describeForPrompt(userId);
+
         const systemPrompt = `Eres un asistente financiero personal conectado a YNAB (You Need A Budget).
 
 IMPORTANTE: El usuario tiene 3 presupuestos separados en YNAB:
@@ -1079,6 +1104,11 @@ IMPORTANTE: El usuario tiene 3 presupuestos separados en YNAB:
 - **BCP DOLARES**: Para transacciones en dólares del BCP
 - **USA BANKS**: Para cuentas bancarias de USA (CHASE, PayPal, etc.)
 
+Monedas y tipos de cambio:
+${currencyInfo || '- (no disponibles)'}
+- NUNCA sumes montos de presupuestos en monedas distintas sin convertirlos con estos tipos de cambio.
+- Usa el símbolo de la moneda de cada presupuesto al mostrar montos.
+
 Cuando el usuario mencione "BCP SOLES" o "BCP DOLARES", DEBES usar ese presupuesto específico.
 Cuando mencione cuentas USA (CHASE, PayPal, etc.), usa el presupuesto "USA BANKS".
 
@@ -1121,7 +1151,10 @@ CATEGORIZACIÓN AUTOMÁTICA:
   * SOLO puedes sugerir categorías que existen en get_ynab_categories
   * Copia el nombre de la categoría EXACTAMENTE como aparece (case-sensitive)
 
-- Reglas de categorización inteligente:
+- Reglas aprendidas del usuario (tienen prioridad, el usuario ya las confirmó):
+${learnedRules || '  * (aún no hay reglas aprendidas)'}
+
+- Reglas generales de categorización (solo si no hay regla aprendida):
   * Restaurantes/Cafés → "Eating Out"
   * Supermercados → "Groceries"
   * Gasolineras → "Transportation"
@@ -1319,6 +1352,15 @@ whatsappClient.on('qr', (qr) => {
 whatsappClient.on('ready', () => {
     console.log('✅ Bot de WhatsApp listo!');
     console.log('💬 Ya puedes enviar mensajes');
+
+    // Tareas programadas (digest, alertas) - envían mensajes sin esperar uno entrante
+    scheduler.start((userId, text) => whatsappClient.sendMessage(userId, text));
+
+    // Progreso de documentos largos ("Procesando página 3/8...")
+    BaseDocumentFlow.setNotifier((userId, text) => whatsappClient.sendMessage(userId, text));
+
+    // PDFs escaneados se convierten a imágenes en el Chrome de WhatsApp
+    pdfService.setBrowserProvider(() => whatsappClient.pupBrowser);
 });
 
 // NOTA: All state and caches are now managed by stateManager
@@ -1331,13 +1373,163 @@ whatsappClient.on('ready', () => {
 // NOTA: storage.js está disponible para migración futura
 // Para integrar: reemplazar Maps con CacheStorage.get/set
 
+const PDF_PASSWORD_PROMPT = '🔒 *PDF protegido*\n\nEste PDF tiene contraseña (en los estados de cuenta BCP suele ser tu DNI).\nEnvíame la contraseña para abrirlo, o escribe "cancelar".';
+
+/**
+ * Archivar una imagen o PDF recibido (se recupera con /recibo)
+ * @returns {Promise<string|null>} Hash del documento, o null si no se pudo guardar
+ */
+async function archiveDocument(userId, buffer, info) {
+    try {
+        return await receiptArchive.save(userId, buffer, info);
+    } catch (error) {
+        // El archivo es un respaldo: no impide procesar el documento
+        console.error('Error archivando documento:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Transcribir una nota de voz para procesarla como un mensaje escrito
+ * @returns {Promise<string|null>} Texto transcrito, o null si ya se respondió al usuario
+ */
+async function transcribeVoiceNote(msg) {
+    if (!speechService.isAvailable()) {
+        await msg.reply('🎙️ Las notas de voz no están habilitadas en este bot. Escríbeme el mensaje, por favor.');
+        return null;
+    }
+
+    if (speechService.isTooLong(msg)) {
+        await msg.reply('🎙️ La nota de voz es muy larga. Envía una de menos de 2 minutos, por ejemplo: "gasté 45 soles en el mercado".');
+        return null;
+    }
+
+    try {
+        const media = await msg.downloadMedia();
+        const text = await speechService.transcribe(Buffer.from(media.data, 'base64'), { mimetype: media.mimetype });
+
+        if (!text) {
+            await msg.reply('🎙️ No logré entender la nota de voz. ¿Puedes repetirla o escribirla?');
+            return null;
+        }
+
+        await msg.reply(`🎙️ _"${text}"_`);
+        return text;
+    } catch (error) {
+        console.error('Error transcribiendo nota de voz:', error.message);
+        await msg.reply('❌ No pude transcribir la nota de voz. Intenta de nuevo o escríbeme el mensaje.');
+        return null;
+    }
+}
+
+/**
+ * Leer un PDF recibido: texto por página, o imágenes de las páginas si es escaneado
+ * @returns {Promise<Object|null>} { pdfText, pdfPages, images }, o null si la contraseña falta o es incorrecta
+ */
+async function readPdf(userId, pdfBuffer, password = null) {
+    let pdf;
+    try {
+        pdf = await pdfService.extract(pdfBuffer, { password });
+    } catch (error) {
+        if (pdfService.isPasswordError(error)) {
+            stateManager.setPendingPdf(userId, pdfBuffer);
+            return null;
+        }
+        throw error;
+    }
+
+    // Track PDF processing
+    const userStats = stateManager.debugStats.get(userId) || {
+        lastToolCalls: [],
+        imagesProcessed: 0,
+        pdfsProcessed: 0,
+        lastBudget: null,
+        lastAccount: null
+    };
+    userStats.pdfsProcessed++;
+    stateManager.debugStats.set(userId, userStats);
+
+    // Sin texto: las páginas van por el camino de imágenes (Claude Vision)
+    if (pdf.isScanned) {
+        console.log(`🖨️ PDF escaneado (${pdf.numPages} páginas), se procesará como imágenes`);
+        const images = await pdfService.rasterize(pdfBuffer, { password });
+        return { pdfText: null, pdfPages: null, images };
+    }
+
+    // Guardar texto del PDF en caché para que las herramientas puedan accederlo
+    stateManager.pdfTextCache.set(userId, {
+        timestamp: Date.now(),
+        text: pdf.text
+    });
+    console.log(`💾 PDF text guardado en caché para ${userId}`);
+
+    return { pdfText: pdf.text, pdfPages: pdf.pages, images: null };
+}
+
+/**
+ * El mensaje anterior fue un PDF protegido: este texto es la contraseña.
+ * No se registra, no va al historial y no se envía a Claude.
+ */
+async function handlePdfPassword(msg, pdfBuffer) {
+    const password = msg.body.trim();
+
+    if (['cancelar', 'cancel'].includes(password.toLowerCase())) {
+        stateManager.pendingPdfs.delete(msg.from);
+        await msg.reply(stateManager.addStatusFooter('❌ PDF descartado.', msg.from));
+        return;
+    }
+
+    let pdf;
+    try {
+        pdf = await readPdf(msg.from, pdfBuffer, password);
+    } catch (error) {
+        console.error('Error procesando PDF protegido:', error);
+        stateManager.pendingPdfs.delete(msg.from);
+        await msg.reply('❌ No pude procesar el PDF. Intenta de nuevo.');
+        return;
+    }
+
+    if (!pdf) {
+        await msg.reply(stateManager.addStatusFooter('🔒 Contraseña incorrecta. Vuelve a intentarlo o escribe "cancelar".', msg.from));
+        return;
+    }
+
+    stateManager.pendingPdfs.delete(msg.from);
+    console.log(`🔓 PDF desbloqueado para ${msg.from}`);
+
+    // Ya archivado al recibirlo: save() solo devuelve su hash
+    const documentHash = await archiveDocument(msg.from, pdfBuffer, { mimetype: 'application/pdf' });
+
+    // Mismo ruteo que un PDF recién recibido, sin texto del usuario
+    const imageData = pdf.images ? pdf.images[0] : null;
+    const modeResult = await modeRouter.handleMessage(msg.from, '', {
+        hasDocument: true,
+        isPDF: pdf.pdfText !== null,
+        isImage: imageData !== null,
+        pdfText: pdf.pdfText,
+        pdfPages: pdf.pdfPages,
+        imageData: imageData,
+        images: pdf.images,
+        documentHash: documentHash,
+        userLocation: userLocations.get(msg.from)
+    });
+
+    const response = modeResult.handled
+        ? modeResult.response
+        : await askClaude('', [], msg.from, imageData, pdf.pdfText);
+    await msg.reply(stateManager.addStatusFooter(response, msg.from));
+}
+
 whatsappClient.on('message', async (msg) => {
     // ⚡ QUEUE MESSAGE: Prevent race conditions by queuing messages per user
     await messageQueue.enqueue(msg.from, async () => {
+        // Si hay un PDF protegido esperando, el texto es su contraseña
+        const pendingPdf = msg.hasMedia || msg.body.startsWith('/') ? null : stateManager.getPendingPdf(msg.from);
+
         console.log('========================================');
         console.log('📨 MENSAJE RECIBIDO:');
         console.log('De:', msg.from);
-        console.log('Cuerpo:', msg.body);
+        console.log('Cuerpo:', pendingPdf ? '🔒 (contraseña de PDF)' : msg.body);
         console.log('Tipo:', msg.type);
         console.log('Es de grupo?', msg.from.includes('@g.us'));
         console.log('Es estado?', msg.from.includes('status'));
@@ -1350,6 +1542,24 @@ whatsappClient.on('message', async (msg) => {
             return;
         }
 
+        // ===== CONTRASEÑA DE PDF =====
+        if (pendingPdf) {
+            stateManager.updateLastActivity(msg.from);
+            await handlePdfPassword(msg, pendingPdf);
+            return;
+        }
+
+        // ===== NOTA DE VOZ =====
+        // La transcripción reemplaza el cuerpo y sigue el mismo camino que un mensaje escrito
+        const isVoiceNote = speechService.isVoiceNote(msg);
+        if (isVoiceNote) {
+            const transcript = await transcribeVoiceNote(msg);
+            if (!transcript) {
+                return;
+            }
+            msg.body = transcript;
+        }
+
         console.log(`📩 Procesando mensaje de ${msg.from}: ${msg.body}`);
 
         // Track message received
@@ -1392,8 +1602,10 @@ whatsappClient.on('message', async (msg) => {
             const flowResponse = flowRouter.handleGlobalCommand(msg.from, '/reset');
 
             stateManager.conversations.delete(msg.from);
+            stateManager.pendingPdfs.delete(msg.from);
             stateManager.initializeMenuState(msg.from);
             messageQueue.clearQueue(msg.from);
+            orchestrator.cancelPendingActions(msg.from);
             console.log(`🔄 Flow state, menu state, and queue cleared for ${msg.from}`);
 
             await msg.reply(stateManager.addStatusFooter(flowResponse || '🔄 Todo reiniciado. ¿En qué puedo ayudarte?', msg.from));
@@ -1409,7 +1621,9 @@ whatsappClient.on('message', async (msg) => {
                 console.log(`🚫 Usuario ${msg.from} canceló flow desde estado: ${menuState.state}`);
             }
             stateManager.conversations.delete(msg.from);
+            stateManager.pendingPdfs.delete(msg.from);
             stateManager.initializeMenuState(msg.from);
+            orchestrator.cancelPendingActions(msg.from);
 
             await msg.reply(stateManager.addStatusFooter(flowResponse || '❌ Operación cancelada. Regresando al menú...', msg.from));
             return;
@@ -1574,6 +1788,14 @@ Usa los números (1, 2, 3, etc.) para navegar por las opciones del menú.
 🔄 /reset - Reiniciar todo (limpia historial)
 🐛 /debug - Ver información del sistema
 ❓ /help - Ver esta ayuda
+📬 /digest - Resumen diario o semanal (ej: /digest diario 8am)
+🚨 /alertas - Alertas de categorías y saldos (ej: /alerta Groceries 80%)
+📚 /reglas - Reglas aprendidas de categorización (payee → categoría)
+💱 /moneda y /tipocambio - Moneda de los totales y tipos de cambio (ej: /moneda USD)
+🧳 /tripbudget - Presupuesto del viaje: gastado vs plan por categoría y por día
+👀 /vigilar - Avisos cuando baja el precio de un vuelo (ej: /vigilar LIM MIA 11/12 $400)
+🧳 /perfil - Perfil de viaje: aeropuerto, aerolíneas, cabina, escalas, hotel, millas (ej: /perfil aeropuerto LIM)
+🗄️ /recibo - Recuperar un recibo o PDF archivado (ej: /recibo tottus, /recibo 14/03)
 
 *Cambio de Modo:*
 🔵 /budgetok o /budgetlegacy - Modo Legacy (flujos probados)
@@ -1591,13 +1813,46 @@ También puedes escribir:
 • Revisar transacciones recientes
 • Registrar gastos/ingresos
 • Categorizar pendientes
+• Presupuesto del mes y mover dinero ("mueve 50 de Restaurants a Groceries")
+• Pagos programados ("alquiler 1500 cada mes el día 1")
+• Transferencias entre cuentas ("transferí 500 de ahorro a tarjeta")
+• Conciliar con el estado de cuenta ("conciliar visa bcp")
 • Extraer de PDF/imagen
+• Importar CSV/OFX/QFX del banco (sin IA, montos exactos)
+• Notas de voz ("gasté 45 soles en el mercado"), transcritas en el servidor
 
 El bot combina menús estructurados con conversación inteligente de Claude AI.`;
             await msg.reply(stateManager.addStatusFooter(helpMsg, msg.from));
             return;
         }
 
+        // ===== /recibo (documentos archivados) =====
+        const receiptResult = await receiptArchive.handleCommand(msg.from, msg.body || '');
+        if (receiptResult) {
+            if (receiptResult.document) {
+                const { buffer, mimetype, filename } = receiptResult.document;
+                const media = new MessageMedia(mimetype, buffer.toString('base64'), filename);
+                await msg.reply(media, undefined, { caption: receiptResult.text });
+            } else {
+                await msg.reply(stateManager.addStatusFooter(receiptResult.text, msg.from));
+            }
+            return;
+        }
+
+        // ===== SERVICE COMMANDS (/digest, /alerta, /reglas, /moneda, /tipocambio, /tripbudget, /vigilar, /perfil) =====
+        const jobCommandResponse =
+            await digestService.handleCommand(msg.from, msg.body || '') ||
+            await alertService.handleCommand(msg.from, msg.body || '') ||
+            await payeeRules.handleCommand(msg.from, msg.body || '') ||
+            await currencyService.handleCommand(msg.from, msg.body || '') ||
+            await tripBudget.handleCommand(msg.from, msg.body || '') ||
+            await priceWatch.handleCommand(msg.from, msg.body || '') ||
+            await travelPreferences.handleCommand(msg.from, msg.body || '');
+        if (jobCommandResponse) {
+            await msg.reply(stateManager.addStatusFooter(jobCommandResponse, msg.from));
+            return;
+        }
+
         // ===== LOCATION DETECTION =====
         // Detect if user shared their location
         if (msg.location) {
@@ -1632,7 +1887,11 @@ El bot combina menús estructurados con conversación inteligente de Claude AI.`
         // Detectar si el mensaje tiene imagen o PDF
         let imageData = null;
         let pdfText = null;
-        if (msg.hasMedia) {
+        let pdfPages = null;
+        let pdfImages = null;
+        let statementFile = null;
+        let documentHash = null;
+        if (msg.hasMedia && !isVoiceNote) {
             console.log('📷 Mensaje contiene media, descargando...');
             try {
                 const media = await msg.downloadMedia();
@@ -1645,6 +1904,11 @@ El bot combina menús estructurados con conversación inteligente de Claude AI.`
                     };
                     console.log(`✅ Imagen descargada: ${media.mimetype}`);
 
+                    documentHash = await archiveDocument(msg.from, Buffer.from(media.data, 'base64'), {
+                        mimetype: media.mimetype,
+                        filename: media.filename
+                    });
+
                     // Track image processing
                     const userStats = stateManager.debugStats.get(msg.from) || {
                         lastToolCalls: [],
@@ -1660,26 +1924,30 @@ El bot combina menús estructurados con conversación inteligente de Claude AI.`
                 else if (media.mimetype === 'application/pdf') {
                     console.log('📄 PDF detectado, extrayendo texto...');
                     const pdfBuffer = Buffer.from(media.data, 'base64');
-                    pdfText = await pdfService.extractText(pdfBuffer);
-                    console.log(`✅ PDF procesado: ${pdfText.length} caracteres extraídos`);
-
-                    // Guardar texto del PDF en caché para que las herramientas puedan accederlo
-                    stateManager.pdfTextCache.set(msg.from, {
-                        timestamp: Date.now(),
-                        text: pdfText
+                    documentHash = await archiveDocument(msg.from, pdfBuffer, {
+                        mimetype: media.mimetype,
+                        filename: media.filename
                     });
-                    console.log(`💾 PDF text guardado en caché para ${msg.from}`);
 
-                    // Track PDF processing
-                    const userStats = stateManager.debugStats.get(msg.from) || {
-                        lastToolCalls: [],
-                        imagesProcessed: 0,
-                        pdfsProcessed: 0,
-                        lastBudget: null,
-                        lastAccount: null
+                    const pdf = await readPdf(msg.from, pdfBuffer);
+
+                    if (!pdf) {
+                        await msg.reply(stateManager.addStatusFooter(PDF_PASSWORD_PROMPT, msg.from));
+                        return;
+                    }
+
+                    ({ pdfText, pdfPages, images: pdfImages } = pdf);
+                    if (pdfImages) {
+                        imageData = pdfImages[0];
+                    }
+                }
+                // Procesar exportaciones del banco (CSV, OFX, QFX)
+                else if (statementParser.isStatementFile(media.filename, media.mimetype)) {
+                    statementFile = {
+                        filename: media.filename || null,
+                        text: statementParser.decodeFile(Buffer.from(media.data, 'base64'))
                     };
-                    userStats.pdfsProcessed++;
-                    stateManager.debugStats.set(msg.from, userStats);
+                    console.log(`✅ Estado de cuenta recibido: ${statementFile.filename || media.mimetype}`);
                 }
             } catch (error) {
                 console.error('Error descargando/procesando media:', error);
@@ -1698,11 +1966,16 @@ El bot combina menús estructurados con conversación inteligente de Claude AI.`
             msg.from,
             msg.body,
             {
-                hasDocument: msg.hasMedia,
+                hasDocument: msg.hasMedia && !isVoiceNote,
                 isPDF: pdfText !== null,
                 isImage: imageData !== null,
+                isStatementFile: statementFile !== null,
+                statementFile: statementFile,
                 pdfText: pdfText,
+                pdfPages: pdfPages,
                 imageData: imageData,
+                images: pdfImages,
+                documentHash: documentHash,
                 userLocation: userLocation // Pass stored location to mode router
             }
         );
@@ -1812,8 +2085,14 @@ El bot combina menús estructurados con conversación inteligente de Claude AI.`
 
 whatsappClient.on('disconnected', (reason) => {
     console.log('❌ WhatsApp desconectado:', reason);
+    scheduler.stop();
 });
 
 // Iniciar el bot
 console.log('🚀 Iniciando bot...');
-whatsappClient.initialize();
\ No newline at end of file
+
+// Restaurar conversaciones (flows) guardadas antes del último reinicio
+flowState.restoreSessions({ anthropicClient: anthropic })
+    .then(count => console.log(`♻️ Sesiones de flows restauradas: ${count}`))
+    .catch(error => console.error('❌ Error restaurando sesiones:', error.message))
+    .finally(() => whatsappClient.initialize());
\ No newline at end of file
@@ -7,6 +7,7 @@
 
 const BaseFlow = require('./BaseFlow');
 const ynabService = require('../services/ynab-service');
+const payeeRules = require('../services/payee-rules');
 
 class AddExpenseFlow extends BaseFlow {
     constructor(userId) {
@@ -20,6 +21,7 @@ class AddExpenseFlow extends BaseFlow {
                 amount: null,
                 payee: null,
                 categoryId: null,
+                splits: null,
                 memo: null
             }
         };
@@ -68,11 +70,37 @@ class AddExpenseFlow extends BaseFlow {
             params.payee = atMatch[2].trim();
         } else if (forMatch) {
             params.payee = forMatch[2].trim();
+        } else if (params.amount) {
+            // Voice notes are transcribed in lowercase: "gasté 45 soles en el mercado"
+            const spokenPayee = AddExpenseFlow._extractSpokenPayee(message);
+            if (spokenPayee) {
+                params.payee = spokenPayee;
+            }
         }
 
         return params;
     }
 
+    /**
+     * Payee after "en" without capital letters, skipping the article
+     * "gasté 45 soles en el mercado ayer" → "Mercado"
+     * @private
+     */
+    static _extractSpokenPayee(message) {
+        const match = message.match(/\ben\s+(?:(?:el|la|los|las|un|una)\s+)?([a-záéíóúñ][a-záéíóúñ&'\s]*)/i);
+        if (!match) {
+            return null;
+        }
+
+        // Stop at words that follow the place in speech ("ayer", "con tarjeta", "para el almuerzo")
+        const payee = match[1].split(/\s+(?:hoy|ayer|anoche|esta|este|por|con|para|y)\b/i)[0].trim();
+        if (!payee || /^(efectivo|total|soles|d[oó]lares)$/i.test(payee)) {
+            return null;
+        }
+
+        return payee.charAt(0).toUpperCase() + payee.slice(1);
+    }
+
     /**
      * Start the flow
      */
@@ -125,6 +153,9 @@ class AddExpenseFlow extends BaseFlow {
             case 'ask_category':
                 return await this._handleCategory(message);
 
+            case 'ask_splits':
+                return await this._handleSplits(message);
+
             case 'ask_memo':
                 return await this._handleMemo(message);
 
@@ -192,6 +223,7 @@ Escribe el número o nombre del presupuesto.`;
             // If only one account, auto-select
             if (accounts.length === 1) {
                 this.state.data.accountId = accounts[0].id;
+                this.state.data.accountName = accounts[0].name;
                 return await this._askForAmount();
             }
 
@@ -289,11 +321,39 @@ Escribe el número o nombre del presupuesto.`;
      */
     async _askForCategory() {
         this.state.step = 'ask_category';
+
+        // Suggest the category learned for this payee (if any)
+        const suggestion = await this._suggestCategoryFromRules();
+        this.state.data.suggestedCategory = suggestion;
+        const suggestionText = suggestion
+            ? `💡 Sugerencia: *${suggestion.name}* 📚 (escribe "ok" para usarla)\n\n`
+            : '';
+
         return `📁 ¿Categoría? (opcional)
 
-Ej: Food, Transportation, Shopping, etc.
+${suggestionText}Ej: Food, Transportation, Shopping, etc.
 
-Escribe la categoría o "skip" para omitir.`;
+Escribe la categoría o "skip" para omitir.
+✂️ Escribe "dividir" para repartir el monto en varias categorías.`;
+    }
+
+    /**
+     * Category learned for the current payee
+     */
+    async _suggestCategoryFromRules() {
+        const { budgetId, payee } = this.state.data;
+        if (!budgetId || !payee) {
+            return null;
+        }
+
+        try {
+            const categories = await ynabService.getCategories(budgetId);
+            const category = await payeeRules.suggest(budgetId, payee, categories);
+            return category ? { id: category.id, name: category.name } : null;
+        } catch (error) {
+            console.error('Error suggesting category from rules:', error);
+            return null;
+        }
     }
 
     /**
@@ -301,12 +361,23 @@ Escribe la categoría o "skip" para omitir.`;
      */
     async _handleCategory(message) {
         const normalized = message.trim().toLowerCase();
+        const { suggestedCategory } = this.state.data;
+
+        if (suggestedCategory && (normalized === 'ok' || normalized === 'sí' || normalized === 'si')) {
+            this.state.data.categoryId = suggestedCategory.id;
+            this.state.data.categoryName = suggestedCategory.name;
+            return await this._askForMemo();
+        }
 
         if (normalized === 'skip' || normalized === 'omitir' || normalized === 'ninguna') {
             this.state.data.categoryId = null;
             return await this._askForMemo();
         }
 
+        if (normalized === 'dividir' || normalized === 'split') {
+            return await this._askForSplits();
+        }
+
         // Find category by name
         try {
             const categories = await ynabService.getCategories(this.state.data.budgetId);
@@ -326,6 +397,96 @@ Escribe la categoría o "skip" para omitir.`;
         }
     }
 
+    /**
+     * Ask how to split the amount between categories
+     */
+    async _askForSplits() {
+        try {
+            const categories = await ynabService.getCategories(this.state.data.budgetId);
+            this.state.data.categories = categories;
+        } catch (error) {
+            console.error('Error fetching categories for split:', error);
+            return `❌ Error obteniendo categorías: ${error.message}\n\nEscribe la categoría o "skip" para omitir.`;
+        }
+
+        this.state.step = 'ask_splits';
+
+        const total = Math.abs(this.state.data.amount).toFixed(2);
+        const { categories } = this.state.data;
+
+        let message = `✂️ *Dividir ${total}*\n\n`;
+        message += `Escribe cada parte como "Categoría monto", separadas por coma:\n`;
+        message += `Ej: Groceries 80, Household 40\n\n`;
+        message += `💡 La última parte puede ir sin monto y se lleva el resto.\n\n`;
+        message += `📁 Categorías: ${categories.slice(0, 15).map(c => c.name).join(', ')}`;
+        if (categories.length > 15) {
+            message += ` ... y ${categories.length - 15} más`;
+        }
+
+        return message;
+    }
+
+    /**
+     * Handle split definition ("Groceries 80, Household 40")
+     */
+    async _handleSplits(message) {
+        const { amount, categories } = this.state.data;
+        const parts = message.split(/[,\n]/).map(p => p.trim()).filter(p => p.length > 0);
+
+        if (parts.length < 2) {
+            return '❌ Necesito al menos 2 partes. Ej: Groceries 80, Household 40';
+        }
+
+        const sign = amount < 0 ? -1 : 1;
+        const total = Math.abs(amount);
+        const splits = [];
+        let remainderIndex = -1;
+
+        for (let i = 0; i < parts.length; i++) {
+            const match = parts[i].match(/^(.+?)\s+(\d+(?:\.\d+)?)$/) || parts[i].match(/^(\d+(?:\.\d+)?)\s+(.+)$/);
+            let categoryText = parts[i];
+            let splitAmount = null;
+
+            if (match) {
+                const numberFirst = /^\d+(?:\.\d+)?$/.test(match[1]);
+                categoryText = numberFirst ? match[2] : match[1];
+                splitAmount = parseFloat(numberFirst ? match[1] : match[2]);
+                if (isNaN(splitAmount) || splitAmount <= 0) {
+                    return `❌ El monto de "${parts[i]}" debe ser mayor que 0. Ej: Groceries 80`;
+                }
+            } else if (i === parts.length - 1) {
+                remainderIndex = i;
+            } else {
+                return `❌ Falta el monto en "${parts[i]}". Ej: Groceries 80`;
+            }
+
+            const category = ynabService.findCategoryByName(categories, categoryText);
+            if (!category) {
+                return `❌ No encontré la categoría "${categoryText}". Intenta de nuevo.`;
+            }
+
+            splits.push({ categoryId: category.id, categoryName: category.name, amount: splitAmount });
+        }
+
+        const assigned = splits.reduce((sum, split) => sum + (split.amount || 0), 0);
+
+        if (remainderIndex >= 0) {
+            splits[remainderIndex].amount = Math.round((total - assigned) * 100) / 100;
+            if (splits[remainderIndex].amount <= 0) {
+                return `❌ Las partes ya suman ${assigned.toFixed(2)} de ${total.toFixed(2)}. No queda resto.`;
+            }
+        } else if (Math.abs(assigned - total) > 0.005) {
+            return `❌ Las partes suman ${assigned.toFixed(2)} pero el total es ${total.toFixed(2)}. Intenta de nuevo.`;
+        }
+
+        // Splits take the sign of the transaction (negative for expenses)
+        this.state.data.splits = splits.map(split => ({ ...split, amount: sign * split.amount }));
+        this.state.data.categoryId = null;
+        this.state.data.categoryName = null;
+
+        return await this._askForMemo();
+    }
+
     /**
      * Ask for memo
      */
@@ -353,7 +514,7 @@ Escribe la categoría o "skip" para omitir.`;
     async _confirmTransaction() {
         this.state.step = 'confirm';
 
-        const { accountName, amount, payee, categoryName, memo } = this.state.data;
+        const { accountName, amount, payee, categoryName, splits, memo } = this.state.data;
         const amountStr = amount > 0 ? `+${amount}` : `${amount}`;
 
         let message = `✅ *Confirmar Transacción*\n\n`;
@@ -363,6 +524,12 @@ Escribe la categoría o "skip" para omitir.`;
         if (categoryName) {
             message += `📁 Categoría: ${categoryName}\n`;
         }
+        if (splits) {
+            message += `✂️ Dividida:\n`;
+            splits.forEach(split => {
+                message += `   • ${split.categoryName}: ${split.amount.toFixed(2)}\n`;
+            });
+        }
         if (memo) {
             message += `💭 Nota: ${memo}\n`;
         }
@@ -388,20 +555,30 @@ Escribe la categoría o "skip" para omitir.`;
 
         // Create transaction
         try {
-            const { budgetId, accountId, amount, payee, categoryId, memo } = this.state.data;
-
-            const transaction = await ynabService.createTransaction(
-                budgetId,
-                accountId,
-                amount,
-                payee,
-                categoryId,
-                memo
-            );
+            const { budgetId, accountId, amount, payee, categoryId, splits, memo } = this.state.data;
+
+            const transaction = splits
+                ? await ynabService.createSplitTransaction(budgetId, accountId, payee, splits, memo)
+                : await ynabService.createTransaction(
+                    budgetId,
+                    accountId,
+                    amount,
+                    payee,
+                    categoryId,
+                    memo
+                );
 
             this.state.step = 'complete';
 
-            const amountStr = amount > 0 ? `+${(amount / 1000).toFixed(2)}` : `${(amount / 1000).toFixed(2)}`;
+            // Remember the confirmed category for this payee
+            if (categoryId && !splits) {
+                await payeeRules.recordCategory(budgetId, this.state.data.budgetName, payee, {
+                    id: categoryId,
+                    name: this.state.data.categoryName
+                });
+            }
+
+            const amountStr = amount > 0 ? `+${amount.toFixed(2)}` : `${amount.toFixed(2)}`;
             return `✅ *Transacción creada*\n\n💵 ${amountStr}\n🏪 ${payee}\n📅 ${transaction.date}`;
         } catch (error) {
             console.error('Error creating transaction:', error);
@@ -421,6 +598,9 @@ Puedes decir cosas como:
 - "Pagué 100 soles en Uber"
 - "Compré en Amazon por $25"
 
+En la categoría puedes escribir "dividir" para repartir
+el gasto (ej: "Groceries 80, Household 40").
+
 O seguir el flujo paso a paso.
 
 Escribe "cancelar" para salir.`;
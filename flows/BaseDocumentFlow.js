@@ -7,10 +7,27 @@
  * - Transaction correction and validation
  * - YNAB transaction creation
  * - Confirmation and display
+ * - Extracting long statements in parts (services/document-chunker.js)
+ * - Checking the result against the statement's opening and closing balances
+ * - Offering to reconcile the account with the statement's closing balance
+ * - Linking the archived document to the transactions it created
  */
 
 const BaseFlow = require('./BaseFlow');
+const ReconcileAccountFlow = require('./ReconcileAccountFlow');
 const ynabService = require('../services/ynab-service');
+const receiptArchive = require('../services/receipt-archive');
+const { assignImportIds, flagDuplicates } = require('../services/transaction-matcher');
+const { mergeChunkResults, checkBalances } = require('../services/document-chunker');
+
+// Existing transactions within this many days (same amount, similar payee) count as duplicates
+const DUPLICATE_WINDOW_DAYS = 3;
+
+// Chunks of a long statement sent to Claude at the same time
+const MAX_PARALLEL_CHUNKS = 3;
+
+// Sends progress messages while a long document is extracted (set by bot.js)
+let notifier = null;
 
 class BaseDocumentFlow extends BaseFlow {
     constructor(userId, intent) {
@@ -25,11 +42,31 @@ class BaseDocumentFlow extends BaseFlow {
                 accountName: null,
                 accounts: [],
                 extractedTransactions: [],
-                selectedTransactions: []
+                selectedTransactions: [],
+                openingBalance: null,
+                statementBalance: null,
+                documentHash: null
             }
         };
     }
 
+    /**
+     * Set the archived document this flow processes (services/receipt-archive.js)
+     * Its code goes in the memo of every created transaction.
+     * @param {string} hash - Document hash
+     */
+    setDocumentHash(hash) {
+        this.state.data.documentHash = hash;
+    }
+
+    /**
+     * Set the function that sends messages outside the request/response cycle
+     * @param {Function} fn - (userId, text) => Promise
+     */
+    static setNotifier(fn) {
+        notifier = fn;
+    }
+
     /**
      * Start the flow - must be implemented by subclass
      */
@@ -65,6 +102,9 @@ class BaseDocumentFlow extends BaseFlow {
             case 'showing_transactions':
                 return await this._handleTransactionConfirmation(message);
 
+            case 'offer_reconcile':
+                return await this._handleReconcileOffer(message);
+
             default:
                 return '❌ Estado inválido. Escribe "cancelar" para salir.';
         }
@@ -133,6 +173,81 @@ class BaseDocumentFlow extends BaseFlow {
         }
     }
 
+    /**
+     * Extract a document in chunks: MAX_PARALLEL_CHUNKS run at a time, the
+     * user gets a progress message per chunk, and the results are merged in
+     * document order without the rows repeated between neighbouring chunks
+     * @param {Array<Object>} chunks - From services/document-chunker.js
+     * @param {Function} extractChunk - async (chunk) => Claude response text
+     * @returns {Promise<Array>} Extracted transactions
+     */
+    async _extractChunks(chunks, extractChunk) {
+        const results = new Array(chunks.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < chunks.length) {
+                const index = next++;
+                const chunk = chunks[index];
+
+                if (chunks.length > 1) {
+                    await this._notify(`⏳ Procesando ${chunk.label}...`);
+                }
+
+                try {
+                    results[index] = this._parseClaudeResponse(await extractChunk(chunk));
+                } catch (error) {
+                    throw new Error(`${chunk.label}: ${error.message}`);
+                }
+            }
+        };
+
+        const workers = Array.from({ length: Math.min(MAX_PARALLEL_CHUNKS, chunks.length) }, worker);
+        await Promise.all(workers);
+
+        const merged = mergeChunkResults(results);
+        if (merged.repeatsFlagged > 0) {
+            console.log(`🔗 ${merged.repeatsFlagged} filas repetidas entre partes marcadas como posibles duplicados`);
+        }
+
+        this.state.data.openingBalance = merged.openingBalance;
+        if (merged.statementBalance !== null) {
+            this.state.data.statementBalance = merged.statementBalance;
+        }
+
+        return merged.transactions;
+    }
+
+    /**
+     * Extraction instructions for one chunk of a longer document
+     */
+    _chunkInstructions(chunk, totalChunks) {
+        if (totalChunks <= 1) {
+            return '';
+        }
+
+        return `
+
+FRAGMENTO: esta es la ${chunk.label} de un documento largo que se procesa por partes.
+- Extrae solo las transacciones de este fragmento
+- openingBalance y statementBalance: solo si aparecen en este fragmento; si no, null`;
+    }
+
+    /**
+     * Send a progress message to the user (failures don't stop the flow)
+     */
+    async _notify(text) {
+        if (!notifier) {
+            return;
+        }
+
+        try {
+            await notifier(this.userId, text);
+        } catch (error) {
+            console.error('⚠️ Error sending progress message:', error.message);
+        }
+    }
+
     /**
      * Validate transactions
      */
@@ -160,6 +275,12 @@ class BaseDocumentFlow extends BaseFlow {
                 return false;
             }
 
+            // Keep split lines only when they are consistent with the total
+            if (tx.splits && !this._isValidSplit(tx)) {
+                console.warn(`⚠️ Dropping inconsistent split for ${tx.payee}`);
+                delete tx.splits;
+            }
+
             return true;
         });
 
@@ -168,6 +289,49 @@ class BaseDocumentFlow extends BaseFlow {
         return validTransactions;
     }
 
+    /**
+     * Check that a transaction's split lines add up to its amount
+     */
+    _isValidSplit(tx) {
+        if (!Array.isArray(tx.splits) || tx.splits.length < 2) {
+            return false;
+        }
+
+        if (tx.splits.some(split => typeof split.amount !== 'number' || isNaN(split.amount))) {
+            return false;
+        }
+
+        const total = tx.splits.reduce((sum, split) => sum + split.amount, 0);
+        return Math.abs(total - tx.amount) < 0.01;
+    }
+
+    /**
+     * Format a transaction line (plus category or split lines) for display
+     */
+    _formatTransactionLine(tx, index, marker = '') {
+        const amountStr = tx.amount < 0 ? `${tx.amount}` : `+${tx.amount}`;
+        const indent = marker ? '     ' : '   ';
+
+        const skipMarker = tx.skip ? '⏭️ ' : '';
+
+        let line = `${marker}${index + 1}. ${skipMarker}${tx.date} | ${tx.payee} | ${amountStr}\n`;
+        if (tx.duplicateOf) {
+            const dup = tx.duplicateOf;
+            const labels = { import_id: 'Ya importada', page_break: 'Igual a la fila antes del salto de página' };
+            const label = labels[dup.reason] || 'Posible duplicado';
+            line += `${indent}⚠️ ${label}: ${dup.date} | ${dup.payee || 'N/A'} | ${dup.amount}\n`;
+        }
+        if (tx.splits) {
+            tx.splits.forEach(split => {
+                line += `${indent}✂️ ${split.categoryName || 'Sin categoría'}: ${split.amount}\n`;
+            });
+        } else if (tx.categoryName) {
+            line += `${indent}📁 ${tx.categoryName}\n`;
+        }
+
+        return line;
+    }
+
     /**
      * Ask for account
      */
@@ -213,10 +377,87 @@ class BaseDocumentFlow extends BaseFlow {
         this.state.data.accountId = accounts[selection].id;
         this.state.data.accountName = accounts[selection].name;
 
+        // Compare against what's already in the account before showing anything
+        await this._flagDuplicates();
+
         // Show transactions for confirmation
         return await this._showTransactionsForConfirmation();
     }
 
+    /**
+     * Assign import IDs and flag rows that already exist in the selected account
+     * Rows whose import_id is already in YNAB are skipped by default; fuzzy
+     * matches are only flagged so the user decides.
+     */
+    async _flagDuplicates() {
+        const { budgetId, accountId, extractedTransactions } = this.state.data;
+
+        assignImportIds(extractedTransactions);
+        extractedTransactions.forEach(tx => {
+            tx.skip = false;
+        });
+
+        try {
+            const oldestDate = extractedTransactions.reduce(
+                (oldest, tx) => (tx.date < oldest ? tx.date : oldest),
+                extractedTransactions[0].date
+            );
+            const daysBack = Math.ceil((Date.now() - new Date(oldestDate)) / (24 * 60 * 60 * 1000)) + DUPLICATE_WINDOW_DAYS + 1;
+
+            const existing = await ynabService.getTransactions(budgetId, accountId, Math.max(daysBack, 30));
+            const flagged = flagDuplicates(extractedTransactions, existing, {
+                accountId,
+                dateWindowDays: DUPLICATE_WINDOW_DAYS
+            });
+
+            extractedTransactions.forEach(tx => {
+                tx.skip = !!(tx.duplicateOf && tx.duplicateOf.reason === 'import_id');
+            });
+
+            console.log(`🔍 Duplicate check: ${flagged} posibles duplicados de ${extractedTransactions.length}`);
+        } catch (error) {
+            // Detection is a safety net; don't block the import if YNAB is unavailable
+            console.error('⚠️ Error checking duplicates:', error.message);
+        }
+    }
+
+    /**
+     * Handle "omitir duplicados", "omitir 2, 5" and "incluir 3"
+     * @returns {string|null} Response, or null if the message isn't a skip command
+     */
+    _handleSkipCommand(message) {
+        const { extractedTransactions } = this.state.data;
+        const normalized = message.trim().toLowerCase();
+
+        if (/^(omitir|saltar)\s+duplicados$/.test(normalized)) {
+            const duplicates = extractedTransactions.filter(tx => tx.duplicateOf);
+            duplicates.forEach(tx => {
+                tx.skip = true;
+            });
+            return `⏭️ ${duplicates.length} posibles duplicados se omitirán.\n\n`;
+        }
+
+        const match = normalized.match(/^(omitir|saltar|incluir)\s+([\d,\sy]+)$/);
+        if (!match) {
+            return null;
+        }
+
+        const skip = match[1] !== 'incluir';
+        const indexes = match[2].split(/[,\s]+|\by\b/).filter(n => /^\d+$/.test(n)).map(n => parseInt(n) - 1);
+
+        const invalid = indexes.find(index => index < 0 || index >= extractedTransactions.length);
+        if (invalid !== undefined) {
+            return `❌ Transacción ${invalid + 1} no existe. Solo hay ${extractedTransactions.length} transacciones.\n\n`;
+        }
+
+        indexes.forEach(index => {
+            extractedTransactions[index].skip = skip;
+        });
+
+        const list = indexes.map(index => index + 1).join(', ');
+        return skip ? `⏭️ Se omitirán: ${list}\n\n` : `✅ Se incluirán: ${list}\n\n`;
+    }
+
     /**
      * Show extracted transactions for confirmation
      */
@@ -229,22 +470,68 @@ class BaseDocumentFlow extends BaseFlow {
 
         // Show ALL transactions so user can validate them
         extractedTransactions.forEach((tx, index) => {
-            const amountStr = tx.amount < 0 ? `${tx.amount}` : `+${tx.amount}`;
-            message += `${index + 1}. ${tx.date} | ${tx.payee} | ${amountStr}\n`;
-            if (tx.categoryName) {
-                message += `   📁 ${tx.categoryName}\n`;
-            }
+            message += this._formatTransactionLine(tx, index);
         });
 
-        message += `\n💡 Total: ${extractedTransactions.length} transacciones\n\n`;
+        message += `\n${this._summaryLine()}\n\n`;
         message += `¿Crear estas transacciones? (sí/no)\n`;
         message += `\n💡 Tip: Puedes corregir antes de confirmar:\n`;
         message += `• Montos: "1 es 146.16" o "1 es 146.16, 4 es 0.00"\n`;
         message += `• Categorías: "1 es Groceries" o "2 es Bank Fees"`;
 
+        if (extractedTransactions.some(tx => tx.duplicateOf)) {
+            message += `\n• Duplicados (⚠️): "omitir duplicados" o "omitir 2, 5"\n`;
+            message += `• Incluir una omitida (⏭️): "incluir 3"`;
+        }
+
         return message;
     }
 
+    /**
+     * Summary line with totals, duplicates, skipped rows and the balance check
+     */
+    _summaryLine() {
+        const { extractedTransactions } = this.state.data;
+        const duplicates = extractedTransactions.filter(tx => tx.duplicateOf).length;
+        const skipped = extractedTransactions.filter(tx => tx.skip).length;
+
+        let line = `💡 Total: ${extractedTransactions.length} transacciones`;
+        if (duplicates > 0) {
+            line += `\n⚠️ Posibles duplicados: ${duplicates}`;
+        }
+        if (skipped > 0) {
+            line += `\n⏭️ Se omitirán: ${skipped}`;
+        }
+
+        const balanceLine = this._balanceCheckLine();
+        if (balanceLine) {
+            line += `\n${balanceLine}`;
+        }
+
+        return line;
+    }
+
+    /**
+     * Compare the printed opening + extracted movements with the printed closing balance
+     * Skipped rows count: they are on the statement even if they're already in YNAB.
+     * @returns {string|null} Check result, or null if the statement doesn't print both balances
+     */
+    _balanceCheckLine() {
+        const { openingBalance, statementBalance, extractedTransactions } = this.state.data;
+        const check = checkBalances(openingBalance, statementBalance, extractedTransactions);
+
+        if (!check) {
+            return null;
+        }
+
+        if (check.matches) {
+            return `🧮 Saldo inicial ${openingBalance.toFixed(2)} → final ${statementBalance.toFixed(2)}: ✅ cuadra con el estado de cuenta`;
+        }
+
+        return `🧮 Saldo inicial ${openingBalance.toFixed(2)} + movimientos da ${check.expectedClosing.toFixed(2)}, pero el saldo final es ${statementBalance.toFixed(2)}\n` +
+            `⚠️ Diferencia de ${check.difference.toFixed(2)}: revisa si falta o sobra alguna transacción o monto`;
+    }
+
     /**
      * Handle transaction creation confirmation
      */
@@ -261,6 +548,12 @@ class BaseDocumentFlow extends BaseFlow {
             return await this._createTransactions();
         }
 
+        // Skip or include rows (e.g., "omitir duplicados", "omitir 2, 5", "incluir 3")
+        const skipResponse = this._handleSkipCommand(message);
+        if (skipResponse) {
+            return skipResponse + await this._showTransactionsForConfirmation();
+        }
+
         // Try to parse corrections (e.g., "1 es 146.16, 4 es 0.00")
         const corrections = this._parseCorrections(message);
 
@@ -278,6 +571,8 @@ class BaseDocumentFlow extends BaseFlow {
 - Corregir montos: "1 es 146.16" o "1 es 146.16, 4 es 0.00"
 - Corregir categorías: "1 es Groceries" o "2 es Bank Fees"
 - Combinar: "1 es 146.16, 2 es Groceries, 4 es 0.00"
+- Omitir filas: "omitir duplicados" o "omitir 2, 5"
+- Incluir una omitida: "incluir 3"
 
 ¿Qué deseas hacer?`;
     }
@@ -365,6 +660,12 @@ class BaseDocumentFlow extends BaseFlow {
 
                 extractedTransactions[index].amount = newAmount;
 
+                // A new total no longer matches the split lines
+                if (extractedTransactions[index].splits) {
+                    delete extractedTransactions[index].splits;
+                    change.splitRemoved = true;
+                }
+
                 change.oldAmount = oldAmount;
                 change.newAmount = newAmount;
 
@@ -376,6 +677,12 @@ class BaseDocumentFlow extends BaseFlow {
 
                 extractedTransactions[index].categoryName = newCategory;
 
+                // A single category replaces the split lines
+                if (extractedTransactions[index].splits) {
+                    delete extractedTransactions[index].splits;
+                    change.splitRemoved = true;
+                }
+
                 change.oldCategory = oldCategory;
                 change.newCategory = newCategory;
 
@@ -398,23 +705,23 @@ class BaseDocumentFlow extends BaseFlow {
                 message += `   📁 Categoría - Antes: ${change.oldCategory}\n`;
                 message += `   📁 Categoría - Ahora: ${change.newCategory}\n\n`;
             }
+
+            if (change.splitRemoved) {
+                message += `   ✂️ División eliminada\n\n`;
+            }
         });
 
         message += `📋 *Lista actualizada:*\n\n`;
 
         // Show ALL transactions with changes highlighted
         extractedTransactions.forEach((tx, index) => {
-            const amountStr = tx.amount < 0 ? `${tx.amount}` : `+${tx.amount}`;
             const isChanged = changes.some(c => c.index === index + 1);
-            const marker = isChanged ? '✏️' : '  ';
+            const marker = isChanged ? '✏️ ' : '   ';
 
-            message += `${marker} ${index + 1}. ${tx.date} | ${tx.payee} | ${amountStr}\n`;
-            if (tx.categoryName) {
-                message += `     📁 ${tx.categoryName}\n`;
-            }
+            message += this._formatTransactionLine(tx, index, marker);
         });
 
-        message += `\n💡 Total: ${extractedTransactions.length} transacciones\n\n`;
+        message += `\n${this._summaryLine()}\n\n`;
         message += `¿Crear estas transacciones? (sí/no)\n`;
         message += `O puedes hacer más correcciones.`;
 
@@ -426,7 +733,7 @@ class BaseDocumentFlow extends BaseFlow {
      */
     async _createTransactions() {
         try {
-            const { budgetId, accountId, extractedTransactions } = this.state.data;
+            const { budgetId, accountId, extractedTransactions, documentHash } = this.state.data;
 
             console.log(`\n========================================`);
             console.log(`🔧 DEBUG: _createTransactions() CALLED`);
@@ -440,6 +747,9 @@ class BaseDocumentFlow extends BaseFlow {
 
             let created = 0;
             let failed = 0;
+            let skipped = 0;
+            let duplicates = 0;
+            const createdTransactions = [];
 
             // Get categories for mapping
             console.log(`🔧 DEBUG: Fetching categories for budget ${budgetId}...`);
@@ -454,7 +764,45 @@ class BaseDocumentFlow extends BaseFlow {
                 console.log(`📅 Date: ${tx.date}`);
                 console.log(`📁 CategoryName: ${tx.categoryName || 'none'}`);
 
+                if (tx.skip) {
+                    console.log(`⏭️ Skipped by user (duplicate of ${tx.duplicateOf ? tx.duplicateOf.id : 'n/a'})`);
+                    skipped++;
+                    continue;
+                }
+
+                // Memo ends with the archived document's code
+                const memo = documentHash ? receiptArchive.tagMemo(tx.memo, documentHash) : (tx.memo || null);
+
                 try {
+                    // Receipts with per-line categories become one split transaction
+                    if (tx.splits) {
+                        const splits = tx.splits.map(split => {
+                            const category = split.categoryName
+                                ? ynabService.findCategoryByName(categories, split.categoryName)
+                                : null;
+                            return {
+                                amount: split.amount,
+                                categoryId: category ? category.id : null,
+                                memo: split.memo || null
+                            };
+                        });
+
+                        const result = await ynabService.createSplitTransaction(
+                            budgetId,
+                            accountId,
+                            tx.payee,
+                            splits,
+                            memo,
+                            tx.date,
+                            { importId: tx.importId }
+                        );
+
+                        console.log(`✅ Split transaction created: ${result.id}`);
+                        createdTransactions.push(this._archiveRecord(result, tx));
+                        created++;
+                        continue;
+                    }
+
                     // Find category by name if specified
                     let categoryId = null;
                     if (tx.categoryName) {
@@ -473,7 +821,7 @@ class BaseDocumentFlow extends BaseFlow {
                     console.log(`   amount: ${tx.amount}`);
                     console.log(`   payee: ${tx.payee}`);
                     console.log(`   categoryId: ${categoryId}`);
-                    console.log(`   memo: ${tx.memo || null}`);
+                    console.log(`   memo: ${memo}`);
                     console.log(`   date: ${tx.date}`);
 
                     // CRITICAL: Do NOT multiply by 1000 here!
@@ -484,13 +832,21 @@ class BaseDocumentFlow extends BaseFlow {
                         tx.amount,           // Pass amount as-is (NOT multiplied)
                         tx.payee,
                         categoryId,
-                        tx.memo || null,
-                        tx.date              // Pass the transaction date
+                        memo,
+                        tx.date,             // Pass the transaction date
+                        { importId: tx.importId }
                     );
 
                     console.log(`✅ Transaction created successfully:`, result);
+                    createdTransactions.push(this._archiveRecord(result, tx));
                     created++;
                 } catch (error) {
+                    if (ynabService.isDuplicateImportError(error)) {
+                        console.log(`⏭️ YNAB already has import_id ${tx.importId}, skipping`);
+                        duplicates++;
+                        continue;
+                    }
+
                     console.error(`❌ ERROR creating transaction ${i + 1}: ${tx.payee}`);
                     console.error(`❌ Error message: ${error.message}`);
                     console.error(`❌ Error stack:`, error.stack);
@@ -505,15 +861,41 @@ class BaseDocumentFlow extends BaseFlow {
             console.log(`📊 Total: ${extractedTransactions.length}`);
             console.log(`========================================\n`);
 
+            // The document can be fetched later with /recibo
+            if (documentHash) {
+                try {
+                    await receiptArchive.link(documentHash, createdTransactions);
+                } catch (error) {
+                    console.error('⚠️ Error linking archived document:', error.message);
+                }
+            }
+
             this.state.step = 'complete';
 
             let message = `✅ *Transacciones Creadas*\n\n`;
             message += `✅ Creadas: ${created}\n`;
+            if (skipped > 0) {
+                message += `⏭️ Omitidas: ${skipped}\n`;
+            }
+            if (duplicates > 0) {
+                message += `♻️ Ya existían en YNAB: ${duplicates}\n`;
+            }
             if (failed > 0) {
                 message += `❌ Fallidas: ${failed}\n`;
             }
             message += `📊 Total procesadas: ${extractedTransactions.length}`;
 
+            if (documentHash && created > 0) {
+                message += `\n🗄️ Documento archivado: /recibo ${receiptArchive.shortHash(documentHash)}`;
+            }
+
+            const { statementBalance, accountName } = this.state.data;
+            if (statementBalance !== null) {
+                this.state.step = 'offer_reconcile';
+                message += `\n\n🧾 Saldo final del estado de cuenta: ${statementBalance}\n`;
+                message += `¿Conciliar ${accountName} con este saldo? (sí/no)`;
+            }
+
             return message;
         } catch (error) {
             console.error(`\n❌ CRITICAL ERROR in _createTransactions:`);
@@ -524,6 +906,56 @@ class BaseDocumentFlow extends BaseFlow {
         }
     }
 
+    /**
+     * Index record for a created transaction (services/receipt-archive.js)
+     */
+    _archiveRecord(result, tx) {
+        return {
+            id: result && result.id ? result.id : null,
+            budgetId: this.state.data.budgetId,
+            accountId: this.state.data.accountId,
+            date: tx.date,
+            payee: tx.payee,
+            amount: tx.amount
+        };
+    }
+
+    /**
+     * Handle the offer to reconcile after creating the transactions
+     */
+    async _handleReconcileOffer(message) {
+        const normalized = message.trim().toLowerCase();
+
+        if (normalized !== 'sí' && normalized !== 'si' && normalized !== 'yes') {
+            this.state.step = 'complete';
+            return '👍 Listo. Puedes conciliar luego con "conciliar cuenta".';
+        }
+
+        const { accountId, statementBalance } = this.state.data;
+        console.log(`🧾 Reconciling ${this.state.data.accountName} with statement balance ${statementBalance}`);
+
+        const reconcileFlow = new ReconcileAccountFlow(this.userId);
+        Object.assign(reconcileFlow.state.data, { accountId, statementBalance });
+
+        const response = await this.invokeChildFlow(reconcileFlow, '');
+
+        // Already balanced (or failed): there is nothing left to ask
+        if (reconcileFlow.isComplete()) {
+            this.childFlow = null;
+            this.state.step = 'complete';
+        }
+
+        return response;
+    }
+
+    /**
+     * The reconciliation child flow finished: so does the document flow
+     */
+    async onChildFlowComplete(result) {
+        this.state.step = 'complete';
+        return null;
+    }
+
     /**
      * Build extraction instructions for Claude
      */
@@ -543,12 +975,19 @@ REGLAS DE EXTRACCIÓN:
 - Fechas DDMMM: Convierte a YYYY-MM-DD (usa 2025 como año)
 - Ignora encabezados, totales, saldos y líneas no-transaccionales
 - Limpia el payee (sin caracteres especiales innecesarios)
+- statementBalance: saldo final del estado de cuenta (en tarjetas, la deuda total
+  como número positivo); null si no aparece o si es un recibo/boleta
+- openingBalance: saldo anterior/inicial impreso, con el mismo criterio; null si no aparece
+- Si es un recibo/boleta con productos de categorías distintas, agrega "splits"
+  con una línea por categoría (la suma de splits debe ser igual a amount)
 
 CATEGORÍAS DISPONIBLES (solo usa estas):
 ${categories.map(c => c.name).slice(0, 15).join(', ')}
 
 FORMATO DE RESPUESTA (SOLO JSON, sin texto adicional):
 {
+  "openingBalance": 980.00,
+  "statementBalance": 1250.50,
   "transactions": [
     {
       "date": "2025-01-15",
@@ -556,6 +995,16 @@ FORMATO DE RESPUESTA (SOLO JSON, sin texto adicional):
       "payee": "Nombre comercio",
       "categoryName": "Categoria exacta de la lista",
       "memo": ""
+    },
+    {
+      "date": "2025-01-16",
+      "amount": -120.00,
+      "payee": "Costco",
+      "memo": "",
+      "splits": [
+        { "amount": -80.00, "categoryName": "Categoria exacta de la lista", "memo": "" },
+        { "amount": -40.00, "categoryName": "Otra categoria de la lista", "memo": "" }
+      ]
     }
   ]
 }`;
@@ -563,6 +1012,7 @@ FORMATO DE RESPUESTA (SOLO JSON, sin texto adicional):
 
     /**
      * Parse JSON response from Claude with robust error handling
+     * @returns {Object} { transactions, openingBalance, statementBalance }
      */
     _parseClaudeResponse(responseText) {
         console.log(`📄 Raw Claude response length: ${responseText.length} chars`);
@@ -611,7 +1061,13 @@ FORMATO DE RESPUESTA (SOLO JSON, sin texto adicional):
             throw new Error('Formato de respuesta inválido: transactions debe ser un array');
         }
 
-        return transactions;
+        const balance = value => (typeof value === 'number' && !isNaN(value) ? value : null);
+
+        return {
+            transactions,
+            openingBalance: balance(extracted.openingBalance),
+            statementBalance: balance(extracted.statementBalance)
+        };
     }
 }
 
@@ -139,6 +139,35 @@ class BaseFlow {
         return '💡 Escribe "cancelar" para salir de esta conversación.';
     }
 
+    /**
+     * Serialize the flow so it can be persisted and rebuilt after a restart
+     * Everything a flow needs to resume must live in `state` (plain JSON).
+     * @returns {Object} Snapshot { flowClass, userId, intent, state, childFlow }
+     */
+    toJSON() {
+        return {
+            flowClass: this.constructor.name,
+            userId: this.userId,
+            intent: this.intent,
+            state: this.state,
+            childFlow: this.childFlow ? this.childFlow.toJSON() : null
+        };
+    }
+
+    /**
+     * Rebuild a flow from a snapshot created by toJSON()
+     * Child flows are restored by flows/state.js, which knows the registry.
+     * @param {Object} snapshot - Snapshot from toJSON()
+     * @param {Object} options - Constructor options (e.g. anthropicClient)
+     * @returns {BaseFlow} Restored flow instance
+     */
+    static fromJSON(snapshot, options = {}) {
+        const flow = new this(snapshot.userId, options);
+        flow.intent = snapshot.intent;
+        flow.state = snapshot.state;
+        return flow;
+    }
+
     /**
      * Validate state before proceeding
      * @returns {boolean} True if state is valid
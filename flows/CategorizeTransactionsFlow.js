@@ -2,10 +2,18 @@
  * CategorizeTransactionsFlow - Categorize pending transactions
  *
  * Helps users categorize uncategorized transactions with AI suggestions.
+ * Confirmed categories are learned as payee rules (services/payee-rules.js)
+ * and reused before asking Claude. Pending transactions from the same payee
+ * are shown as a batch and can be categorized together in one bulk update.
  */
 
 const BaseFlow = require('./BaseFlow');
 const ynabService = require('../services/ynab-service');
+const payeeRules = require('../services/payee-rules');
+const { normalizePayee } = require('../services/transaction-matcher');
+
+// Similar transactions listed under the current one
+const MAX_BATCH_LINES = 10;
 
 // TODO: Inject anthropic client
 let anthropicClient = null;
@@ -22,7 +30,11 @@ class CategorizeTransactionsFlow extends BaseFlow {
                 uncategorizedTransactions: [],
                 categories: [],
                 currentIndex: 0,
-                categorized: 0
+                categorized: 0,
+                autoApplied: 0,
+                suggestion: null,
+                applyToGroup: false,
+                bulkCategorizedIds: []
             }
         };
 
@@ -156,8 +168,14 @@ Escribe el número o nombre del presupuesto.`;
 
             console.log(`📊 Found ${uncategorized.length} uncategorized transactions`);
 
+            // Apply learned rules without asking, if the user opted in
+            let autoMessage = '';
+            if (await payeeRules.isAutoApplyEnabled(this.userId)) {
+                autoMessage = await this._autoApplyRules();
+            }
+
             // Start categorizing
-            return await this._showNextTransaction();
+            return autoMessage + await this._showNextTransaction();
         } catch (error) {
             console.error('Error getting uncategorized transactions:', error);
             this.state.step = 'complete';
@@ -165,23 +183,95 @@ Escribe el número o nombre del presupuesto.`;
         }
     }
 
+    /**
+     * Categorize every pending transaction that has a learned rule
+     * Applied transactions are removed from the list shown one by one.
+     * @returns {Promise<string>} Summary to prepend to the next message
+     */
+    async _autoApplyRules() {
+        const { budgetId, categories, uncategorizedTransactions } = this.state.data;
+        const remaining = [];
+        const updates = [];
+        const applied = [];
+
+        for (const tx of uncategorizedTransactions) {
+            const category = await payeeRules.suggest(budgetId, tx.payee_name, categories);
+
+            if (!category) {
+                remaining.push(tx);
+                continue;
+            }
+
+            updates.push({ id: tx.id, category_id: category.id, approved: true });
+            applied.push(`   • ${tx.payee_name} → ${category.name}`);
+        }
+
+        if (updates.length === 0) {
+            return '';
+        }
+
+        try {
+            await ynabService.updateTransactions(budgetId, updates);
+        } catch (error) {
+            console.error('Error auto-categorizing transactions:', error.message);
+            return `⚠️ No pude aplicar tus reglas automáticamente: ${error.message}\n\n`;
+        }
+
+        console.log(`🤖 Auto-categorized ${updates.length} transactions with payee rules`);
+
+        this.state.data.uncategorizedTransactions = remaining;
+        this.state.data.autoApplied = updates.length;
+
+        return `🤖 *Auto-categorizadas con tus reglas: ${applied.length}*\n${applied.join('\n')}\n\n`;
+    }
+
+    /**
+     * Pending transactions from the same payee as the given one (including it)
+     * Only transactions not yet reviewed are included.
+     */
+    _getSimilarPending(transaction) {
+        const { uncategorizedTransactions, currentIndex, bulkCategorizedIds = [] } = this.state.data;
+        const key = normalizePayee(transaction.payee_name);
+
+        if (!key) {
+            return [transaction];
+        }
+
+        return uncategorizedTransactions
+            .slice(currentIndex)
+            .filter(tx => !bulkCategorizedIds.includes(tx.id))
+            .filter(tx => normalizePayee(tx.payee_name) === key);
+    }
+
     /**
      * Show next transaction to categorize
      */
     async _showNextTransaction() {
-        const { uncategorizedTransactions, currentIndex, categorized } = this.state.data;
+        const { uncategorizedTransactions, categorized, autoApplied = 0, bulkCategorizedIds = [] } = this.state.data;
+
+        // Transactions already categorized as part of a batch are not shown again
+        while (this.state.data.currentIndex < uncategorizedTransactions.length &&
+            bulkCategorizedIds.includes(uncategorizedTransactions[this.state.data.currentIndex].id)) {
+            this.state.data.currentIndex++;
+        }
+
+        const { currentIndex } = this.state.data;
 
         if (currentIndex >= uncategorizedTransactions.length) {
             this.state.step = 'complete';
-            return `✅ *¡Listo!*\n\nCategorized: ${categorized} transactions\nRemaining: ${uncategorizedTransactions.length - categorized}`;
+            return `✅ *¡Listo!*\n\nCategorized: ${categorized + autoApplied} transactions\nRemaining: ${uncategorizedTransactions.length - categorized}`;
         }
 
         const tx = uncategorizedTransactions[currentIndex];
 
         this.state.step = 'categorizing';
+        this.state.data.applyToGroup = false;
 
-        // Get AI suggestion for category
+        // Get suggestion (learned rule first, then AI)
         const suggestedCategory = await this._suggestCategory(tx);
+        this.state.data.suggestion = suggestedCategory;
+
+        const similar = this._getSimilarPending(tx);
 
         const amount = (tx.amount / 1000).toFixed(2);
         const amountStr = tx.amount < 0 ? `${amount}` : `+${amount}`;
@@ -195,30 +285,61 @@ Escribe el número o nombre del presupuesto.`;
         }
         message += `\n`;
 
+        // Batch of pending transactions from the same payee
+        if (similar.length > 1) {
+            message += `🔁 *${similar.length} transacciones similares pendientes:*\n`;
+            similar.slice(0, MAX_BATCH_LINES).forEach(item => {
+                message += `   • ${item.date} | ${(item.amount / 1000).toFixed(2)} | ${item.payee_name}\n`;
+            });
+            if (similar.length > MAX_BATCH_LINES) {
+                message += `   ... y ${similar.length - MAX_BATCH_LINES} más\n`;
+            }
+            message += `\n`;
+        }
+
         if (suggestedCategory) {
-            message += `💡 Categoría sugerida: *${suggestedCategory.name}*\n\n`;
+            const source = suggestedCategory.source === 'rule' ? ' 📚 (regla aprendida)' : '';
+            message += `💡 Categoría sugerida: *${suggestedCategory.name}*${source}\n\n`;
             message += `Opciones:\n`;
             message += `1. Usar sugerencia (${suggestedCategory.name})\n`;
             message += `2. Elegir otra categoría\n`;
             message += `3. Saltar esta transacción\n`;
-            message += `\nEscribe 1, 2, o 3.`;
+            if (similar.length > 1) {
+                message += `4. Usar sugerencia para las ${similar.length} similares\n`;
+                message += `5. Elegir otra categoría para las ${similar.length} similares\n`;
+                message += `\nEscribe 1, 2, 3, 4 o 5.`;
+            } else {
+                message += `\nEscribe 1, 2, o 3.`;
+            }
         } else {
             message += `💡 No pude sugerir una categoría.\n\n`;
             message += `Opciones:\n`;
             message += `1. Elegir categoría\n`;
             message += `2. Saltar esta transacción\n`;
-            message += `\nEscribe 1 o 2.`;
+            if (similar.length > 1) {
+                message += `3. Elegir categoría para las ${similar.length} similares\n`;
+                message += `\nEscribe 1, 2 o 3.`;
+            } else {
+                message += `\nEscribe 1 o 2.`;
+            }
         }
 
         return message;
     }
 
     /**
-     * Suggest category using AI
+     * Suggest category from learned payee rules, falling back to AI
+     * @returns {Promise<Object|null>} Category with source 'rule' or 'ai'
      */
     async _suggestCategory(transaction) {
         try {
-            const { categories } = this.state.data;
+            const { budgetId, categories } = this.state.data;
+
+            const ruleCategory = await payeeRules.suggest(budgetId, transaction.payee_name, categories);
+            if (ruleCategory) {
+                return { ...ruleCategory, source: 'rule' };
+            }
+
             const client = this.anthropicClient || anthropicClient;
 
             if (!client) {
@@ -250,7 +371,7 @@ Respond with ONLY the category name from the list above, or "Unknown" if unsure.
             // Find matching category
             if (suggestedName && suggestedName !== 'Unknown') {
                 const category = ynabService.findCategoryByName(categories, suggestedName);
-                return category;
+                return category ? { ...category, source: 'ai' } : null;
             }
 
             return null;
@@ -265,33 +386,44 @@ Respond with ONLY the category name from the list above, or "Unknown" if unsure.
      */
     async _handleCategorySelection(message) {
         const normalized = message.trim();
-        const { uncategorizedTransactions, currentIndex, categories } = this.state.data;
+        const { uncategorizedTransactions, currentIndex, categories, suggestion, applyToGroup } = this.state.data;
         const tx = uncategorizedTransactions[currentIndex];
-
-        if (normalized === '1') {
-            // Use suggestion or prompt for category
-            const suggestedCategory = await this._suggestCategory(tx);
-
-            if (suggestedCategory) {
-                // Apply suggested category
-                return await this._applyCategoryToTransaction(tx, suggestedCategory);
-            } else {
-                // No suggestion, ask for category
-                return this._askForCategoryName();
-            }
-        } else if (normalized === '2') {
+        const similar = this._getSimilarPending(tx);
+        const hasGroup = similar.length > 1;
+
+        // Options shift by one when there is no suggestion (see _showNextTransaction)
+        const option = suggestion ? normalized : {
+            '1': '2',
+            '2': '3',
+            '3': hasGroup ? '5' : null
+        }[normalized] || normalized;
+
+        if (option === '1') {
+            // Use suggestion shown with the transaction
+            return await this._applyCategoryToTransaction(tx, suggestion);
+        } else if (option === '2') {
             // Choose different category
+            this.state.data.applyToGroup = false;
             return this._askForCategoryName();
-        } else if (normalized === '3' || normalized.toLowerCase() === 'skip' || normalized.toLowerCase() === 'saltar') {
+        } else if (option === '3' || normalized.toLowerCase() === 'skip' || normalized.toLowerCase() === 'saltar') {
             // Skip this transaction
             this.state.data.currentIndex++;
             return await this._showNextTransaction();
+        } else if (option === '4' && hasGroup && suggestion) {
+            // Apply the suggestion to every similar transaction
+            return await this._applyCategoryToGroup(similar, suggestion);
+        } else if (option === '5' && hasGroup) {
+            // Choose one category for every similar transaction
+            this.state.data.applyToGroup = true;
+            return this._askForCategoryName();
         } else {
             // Assume it's a category name
             const category = ynabService.findCategoryByName(categories, message);
 
             if (category) {
-                return await this._applyCategoryToTransaction(tx, category);
+                return applyToGroup && hasGroup
+                    ? await this._applyCategoryToGroup(similar, category)
+                    : await this._applyCategoryToTransaction(tx, category);
             } else {
                 return `❌ No encontré la categoría "${message}". Intenta de nuevo o escribe "skip".`;
             }
@@ -328,9 +460,11 @@ Respond with ONLY the category name from the list above, or "Unknown" if unsure.
             await ynabService.updateTransaction(
                 budgetId,
                 transaction.id,
-                { category_id: category.id }
+                category.id
             );
 
+            await payeeRules.recordCategory(budgetId, this.state.data.budgetName, transaction.payee_name, category);
+
             this.state.data.categorized++;
             this.state.data.currentIndex++;
 
@@ -341,6 +475,36 @@ Respond with ONLY the category name from the list above, or "Unknown" if unsure.
         }
     }
 
+    /**
+     * Apply one category to a batch of similar transactions (single bulk PATCH)
+     */
+    async _applyCategoryToGroup(transactions, category) {
+        try {
+            const { budgetId } = this.state.data;
+
+            console.log(`🏷️ Applying category "${category.name}" to ${transactions.length} similar transactions`);
+
+            await ynabService.updateTransactions(
+                budgetId,
+                transactions.map(tx => ({ id: tx.id, category_id: category.id, approved: true }))
+            );
+
+            await payeeRules.recordCategory(budgetId, this.state.data.budgetName, transactions[0].payee_name, category);
+
+            this.state.data.bulkCategorizedIds = [
+                ...(this.state.data.bulkCategorizedIds || []),
+                ...transactions.map(tx => tx.id)
+            ];
+            this.state.data.categorized += transactions.length;
+            this.state.data.currentIndex++;
+
+            return `✅ Categoría aplicada a ${transactions.length} transacciones: *${category.name}*\n\n` + await this._showNextTransaction();
+        } catch (error) {
+            console.error('Error applying category to group:', error);
+            return `❌ Error aplicando categoría al grupo: ${error.message}\n\nPuedes elegir otra opción o escribir "skip".`;
+        }
+    }
+
     /**
      * Get help for this flow
      */
@@ -348,14 +512,18 @@ Respond with ONLY the category name from the list above, or "Unknown" if unsure.
         return `💡 *Ayuda - Categorizar Transacciones*
 
 Este flujo te ayuda a categorizar transacciones pendientes con sugerencias de IA.
+Las categorías que confirmas se recuerdan por comercio (📚 regla aprendida).
 
 1. Selecciona el presupuesto
 2. Revisa cada transacción
 3. Acepta la sugerencia o elige otra
-4. Continúa hasta terminar
+4. Si hay varias del mismo comercio (🔁), aplícala a todas de una vez
+5. Continúa hasta terminar
 
 Escribe "skip" para saltar una transacción.
-Escribe "cancelar" para salir.`;
+Escribe "cancelar" para salir.
+
+Usa /reglas para ver tus reglas o /reglas auto on para aplicarlas sin preguntar.`;
     }
 }
 
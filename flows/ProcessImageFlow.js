@@ -3,9 +3,18 @@
  *
  * Handles Image upload and transaction creation.
  * Uses DIRECT async Claude Vision API for image analysis.
+ *
+ * Receipt mode ("recibo"/"boleta" as caption, or typed at the budget step):
+ * extracts merchant, date, subtotal, IGV, tip, total and line items, and
+ * creates ONE transaction (see services/receipt-parser.js).
  */
 
 const BaseDocumentFlow = require('./BaseDocumentFlow');
+const { chunkImages } = require('../services/document-chunker');
+const { normalizeReceipt, receiptToTransaction } = require('../services/receipt-parser');
+
+// Item lines shown per receipt in the confirmation
+const MAX_RECEIPT_LINES_SHOWN = 12;
 
 // TODO: Refactor to inject anthropic client via constructor or service
 // For now, this will be set by bot.js when initializing the flow
@@ -17,6 +26,8 @@ class ProcessImageFlow extends BaseDocumentFlow {
 
         // Add image-specific data
         this.state.data.imageData = null;
+        this.state.data.images = null; // Pages of a scanned PDF, sent together
+        this.state.data.mode = 'statement'; // 'statement' | 'receipt'
 
         // Store anthropic client if provided
         if (options.anthropicClient) {
@@ -39,6 +50,15 @@ class ProcessImageFlow extends BaseDocumentFlow {
         return false; // Image upload triggers this flow externally
     }
 
+    /**
+     * Check if the caption (or answer) asks for receipt mode
+     * @param {string} text - Image caption or user message
+     * @returns {boolean} True for "recibo", "boleta", "ticket", ...
+     */
+    static isReceiptRequest(text) {
+        return /\b(recibo|boleta|ticket|factura|voucher|receipt)\b/i.test(text || '');
+    }
+
     /**
      * Start the flow with Image
      */
@@ -47,17 +67,56 @@ class ProcessImageFlow extends BaseDocumentFlow {
 
         this.state.step = 'waiting_budget';
 
+        if (ProcessImageFlow.isReceiptRequest(message)) {
+            this.state.data.mode = 'receipt';
+            return `🧾 *Recibo*
+
+He recibido el recibo: extraeré productos, IGV, propina y total. ¿De qué presupuesto es?
+
+${this._budgetOptions()}`;
+        }
+
+        const { images } = this.state.data;
+        const received = images && images.length > 1
+            ? `He recibido el PDF escaneado (${images.length} páginas)`
+            : 'He recibido la imagen';
+
         return `🖼️ *Extraer Transacciones de Imagen*
 
-He recibido la imagen. ¿De qué presupuesto son estas transacciones?
+${received}. ¿De qué presupuesto son estas transacciones?
+
+${this._budgetOptions()}
 
-1. BCP SOLES
+🧾 ¿Es un recibo o boleta? Escribe *recibo* para extraer productos, IGV y propina.`;
+    }
+
+    /**
+     * Budget options shown when the flow starts
+     */
+    _budgetOptions() {
+        return `1. BCP SOLES
 2. BCP DOLARES
 3. USA BANKS
 
 Escribe el número o nombre del presupuesto.`;
     }
 
+    /**
+     * "recibo" at the budget step switches to receipt mode
+     */
+    async _handleBudgetSelection(message) {
+        if (this.state.data.mode !== 'receipt' && ProcessImageFlow.isReceiptRequest(message)) {
+            this.state.data.mode = 'receipt';
+            return `🧾 Modo recibo: extraeré productos, IGV, propina y total.
+
+¿De qué presupuesto es?
+
+${this._budgetOptions()}`;
+        }
+
+        return await super._handleBudgetSelection(message);
+    }
+
     /**
      * Set image data (called externally for image uploads)
      */
@@ -65,11 +124,21 @@ Escribe el número o nombre del presupuesto.`;
         this.state.data.imageData = imageData;
     }
 
+    /**
+     * Set several images of the same statement (pages of a scanned PDF)
+     * @param {Array} images - [{ mimetype, data }]
+     */
+    setImages(images) {
+        this.state.data.images = images;
+        this.state.data.imageData = images[0] || null;
+    }
+
     /**
      * Extract transactions from Image using Claude Vision API
      */
     async extractTransactionsFromDocument(categories) {
         const { imageData } = this.state.data;
+        const images = this.state.data.images || [imageData];
 
         if (!imageData) {
             throw new Error('No hay imagen disponible para procesar.');
@@ -83,36 +152,170 @@ Escribe el número o nombre del presupuesto.`;
             throw new Error('Anthropic client not configured');
         }
 
+        if (this.state.data.mode === 'receipt') {
+            return await this._extractReceipt(client, images, categories);
+        }
+
         // Build extraction prompt
         const extractionInstructions = this._buildExtractionInstructions(categories);
 
-        // Build message content with image using Vision API
-        const messageContent = [
-            {
-                type: 'image',
-                source: {
-                    type: 'base64',
-                    media_type: imageData.mimetype,
-                    data: imageData.data
+        // A few pages per request (scanned PDFs)
+        const chunks = chunkImages(images);
+
+        return await this._extractChunks(chunks, async chunk => {
+            // Build message content with images using Vision API (one per page)
+            const messageContent = [
+                ...this._imageBlocks(chunk.images),
+                {
+                    type: 'text',
+                    text: extractionInstructions + this._chunkInstructions(chunk, chunks.length)
                 }
-            },
-            {
-                type: 'text',
-                text: extractionInstructions
-            }
-        ];
+            ];
+
+            // Call Claude Vision API DIRECTLY (not via tool)
+            const response = await client.messages.create({
+                model: 'claude-sonnet-4-20250514',
+                max_tokens: 8192,  // Increased for large documents
+                messages: [{ role: 'user', content: messageContent }]
+            });
+
+            return response.content.find(c => c.type === 'text')?.text || '{}';
+        });
+    }
+
+    /**
+     * Extract one receipt (all images are pages of the same receipt)
+     * @returns {Promise<Array>} A single transaction with the receipt attached
+     */
+    async _extractReceipt(client, images, categories) {
+        console.log(`🧾 Extracting receipt (${images.length} images)`);
 
-        // Call Claude Vision API DIRECTLY (not via tool)
         const response = await client.messages.create({
             model: 'claude-sonnet-4-20250514',
-            max_tokens: 8192,  // Increased for large documents
-            messages: [{ role: 'user', content: messageContent }]
+            max_tokens: 4096,
+            messages: [{
+                role: 'user',
+                content: [
+                    ...this._imageBlocks(images),
+                    { type: 'text', text: this._buildReceiptInstructions(categories) }
+                ]
+            }]
         });
 
         const responseText = response.content.find(c => c.type === 'text')?.text || '{}';
+        const jsonMatch = responseText.match(/\{[\s\S]*\}/);
+
+        let raw;
+        try {
+            raw = JSON.parse(jsonMatch ? jsonMatch[0] : responseText);
+        } catch (error) {
+            console.error(`❌ Receipt JSON parse error: ${error.message}`);
+            throw new Error('No se pudo leer el recibo. Intenta con una foto más nítida.');
+        }
+
+        const receipt = normalizeReceipt(raw);
+        if (receipt.total === null && receipt.items.length === 0) {
+            throw new Error('No encontré el total ni los productos del recibo.');
+        }
+
+        const transaction = receiptToTransaction(receipt);
+        console.log(`🧾 Receipt: ${transaction.payee} ${transaction.amount} (${receipt.items.length} líneas, cuadra: ${transaction.receiptCheck.matches})`);
+
+        return [transaction];
+    }
+
+    /**
+     * Vision content blocks for images
+     */
+    _imageBlocks(images) {
+        return images.map(image => ({
+            type: 'image',
+            source: {
+                type: 'base64',
+                media_type: image.mimetype,
+                data: image.data
+            }
+        }));
+    }
+
+    /**
+     * Build receipt extraction instructions for Claude
+     */
+    _buildReceiptInstructions(categories) {
+        return `Analiza este recibo o boleta y extrae el DETALLE DEL RECIBO.
+
+REGLAS CRÍTICAS PARA JSON:
+1. Responde ÚNICAMENTE con JSON válido
+2. NO uses markdown (no \`\`\`json)
+3. Escapa comillas dobles en strings con \\"
+4. NO incluyas explicaciones antes o después del JSON
 
-        // Parse and return transactions
-        return this._parseClaudeResponse(responseText);
+REGLAS DE EXTRACCIÓN:
+- merchant: nombre comercial del establecimiento (limpio, sin RUC ni dirección)
+- date: fecha de emisión en YYYY-MM-DD; null si no aparece
+- items: una línea por producto, con el importe de la línea (precio × cantidad) como número POSITIVO;
+  los descuentos van como líneas con importe negativo
+- subtotal, tax (IGV u otros impuestos), tip (propina; no el recargo de servicio si ya está en las líneas),
+  total: como aparecen impresos, números positivos; null si no aparecen
+- No inventes líneas que no se leen: si no se leen, deja items vacío y usa el total
+- categoryName de cada línea: solo de la lista de categorías
+
+CATEGORÍAS DISPONIBLES (solo usa estas):
+${categories.map(c => c.name).join(', ')}
+
+FORMATO DE RESPUESTA (SOLO JSON, sin texto adicional):
+{
+  "merchant": "Nombre comercio",
+  "date": "2025-01-15",
+  "subtotal": 59.32,
+  "tax": 10.68,
+  "tip": 7.00,
+  "total": 77.00,
+  "items": [
+    { "description": "Lomo saltado", "quantity": 2, "amount": 58.00, "categoryName": "Categoria exacta de la lista" },
+    { "description": "Chicha morada", "quantity": 1, "amount": 12.00, "categoryName": "Categoria exacta de la lista" }
+  ]
+}`;
+    }
+
+    /**
+     * Receipts also show their lines, tax, tip and whether the total checks out
+     */
+    _formatTransactionLine(tx, index, marker = '') {
+        let line = super._formatTransactionLine(tx, index, marker);
+
+        if (!tx.receipt) {
+            return line;
+        }
+
+        const { receipt, receiptCheck } = tx;
+        const indent = marker ? '     ' : '   ';
+        const showCategory = !!tx.splits;
+
+        receipt.items.slice(0, MAX_RECEIPT_LINES_SHOWN).forEach(item => {
+            const quantity = item.quantity && item.quantity !== 1 ? `${item.quantity}x ` : '';
+            const category = showCategory && item.categoryName ? ` (${item.categoryName})` : '';
+            line += `${indent}• ${quantity}${item.description} ${item.amount.toFixed(2)}${category}\n`;
+        });
+        if (receipt.items.length > MAX_RECEIPT_LINES_SHOWN) {
+            line += `${indent}• … y ${receipt.items.length - MAX_RECEIPT_LINES_SHOWN} más\n`;
+        }
+
+        const totals = [
+            receipt.subtotal !== null ? `Subtotal ${receipt.subtotal.toFixed(2)}` : null,
+            receipt.tax !== null ? `IGV ${receipt.tax.toFixed(2)}` : null,
+            receipt.tip !== null ? `Propina ${receipt.tip.toFixed(2)}` : null,
+            `Total ${Math.abs(tx.amount).toFixed(2)}`
+        ].filter(Boolean).join(' | ');
+        line += `${indent}🧾 ${totals}\n`;
+
+        if (receiptCheck.matches) {
+            line += `${indent}✅ Las líneas cuadran con el total\n`;
+        } else if (receipt.items.length > 0) {
+            line += `${indent}⚠️ Las líneas dan ${receiptCheck.expectedTotal.toFixed(2)} y el total impreso es ${Math.abs(tx.amount).toFixed(2)} (diferencia ${receiptCheck.difference.toFixed(2)}). Corrige con "${index + 1} es <monto>" si el total está mal leído\n`;
+        }
+
+        return line;
     }
 
     /**
@@ -124,7 +327,7 @@ Escribe el número o nombre del presupuesto.`;
 Este flujo extrae transacciones de estados de cuenta en imagen.
 
 *Pasos:*
-1. Envía la imagen (foto o captura de pantalla)
+1. Envía la imagen (foto o captura de pantalla) o el PDF escaneado
 2. Selecciona el presupuesto
 3. Revisa las transacciones extraídas
 4. Selecciona la cuenta
@@ -136,6 +339,15 @@ Este flujo extrae transacciones de estados de cuenta en imagen.
 • Categorías: "1 es Groceries" o "2 es Bank Fees"
 • Combinar: "1 es 146.16, 2 es Groceries, 4 es 0.00"
 
+*Duplicados:*
+Las transacciones que ya están en YNAB se marcan con ⚠️.
+• Omitir: "omitir duplicados" o "omitir 2, 5"
+• Incluir de nuevo: "incluir 3"
+
+*Recibos y boletas:*
+Envía la foto con el texto "recibo" (o escribe "recibo" al elegir el presupuesto).
+Se crea UNA transacción por el total, con los productos en la nota o divididos por categoría; el IGV y la propina se reparten entre las categorías.
+
 Escribe "cancelar" para salir.`;
     }
 }
@@ -2,10 +2,12 @@
  * ProcessPDFFlow - Extract and create transactions from PDF bank statements
  *
  * Handles PDF upload, text extraction, and transaction creation.
- * Uses DIRECT async Claude call for PDF text analysis.
+ * Uses DIRECT async Claude calls for PDF text analysis, one per chunk of
+ * pages so long statements are not truncated.
  */
 
 const BaseDocumentFlow = require('./BaseDocumentFlow');
+const { chunkPages } = require('../services/document-chunker');
 
 // TODO: Refactor to inject anthropic client via constructor or service
 // For now, this will be set by bot.js when initializing the flow
@@ -17,6 +19,7 @@ class ProcessPDFFlow extends BaseDocumentFlow {
 
         // Add PDF-specific data
         this.state.data.pdfText = null;
+        this.state.data.pdfPages = null; // Text per page (pdfService.extract)
 
         // Store anthropic client if provided
         if (options.anthropicClient) {
@@ -60,22 +63,28 @@ Escribe el número o nombre del presupuesto.`;
 
     /**
      * Set PDF text (called externally after extraction)
+     * @param {string} pdfText - Full text
+     * @param {Array<string>} pdfPages - Text per page (optional)
      */
-    setPDFText(pdfText) {
+    setPDFText(pdfText, pdfPages = null) {
         this.state.data.pdfText = pdfText;
+        this.state.data.pdfPages = pdfPages;
     }
 
     /**
      * Extract transactions from PDF using Claude
      */
     async extractTransactionsFromDocument(categories) {
-        const { pdfText } = this.state.data;
+        const { pdfText, pdfPages } = this.state.data;
 
         if (!pdfText) {
             throw new Error('No hay texto de PDF disponible para procesar.');
         }
 
-        console.log(`📄 Extracting transactions from PDF for ${this.state.data.budgetName}`);
+        // Page-aware chunks (PDFs from older sessions only have the full text)
+        const chunks = chunkPages(pdfPages && pdfPages.length > 0 ? pdfPages : [pdfText]);
+
+        console.log(`📄 Extracting transactions from PDF for ${this.state.data.budgetName} (${chunks.length} partes)`);
 
         // Get anthropic client
         const client = this.anthropicClient || anthropicClient;
@@ -86,23 +95,22 @@ Escribe el número o nombre del presupuesto.`;
         // Build extraction prompt
         const extractionInstructions = this._buildExtractionInstructions(categories);
 
-        // Build message content with PDF text
-        const messageContent = `${extractionInstructions}
+        return await this._extractChunks(chunks, async chunk => {
+            // Build message content with this chunk of the PDF text
+            const messageContent = `${extractionInstructions}${this._chunkInstructions(chunk, chunks.length)}
 
 TEXTO DEL PDF:
-${pdfText.substring(0, 8000)}`;
-
-        // Call Claude DIRECTLY (not via tool)
-        const response = await client.messages.create({
-            model: 'claude-sonnet-4-20250514',
-            max_tokens: 8192,  // Increased for large documents
-            messages: [{ role: 'user', content: messageContent }]
-        });
+${chunk.text}`;
 
-        const responseText = response.content.find(c => c.type === 'text')?.text || '{}';
+            // Call Claude DIRECTLY (not via tool)
+            const response = await client.messages.create({
+                model: 'claude-sonnet-4-20250514',
+                max_tokens: 8192,  // Increased for large documents
+                messages: [{ role: 'user', content: messageContent }]
+            });
 
-        // Parse and return transactions
-        return this._parseClaudeResponse(responseText);
+            return response.content.find(c => c.type === 'text')?.text || '{}';
+        });
     }
 
     /**
@@ -126,6 +134,14 @@ Este flujo extrae transacciones de estados de cuenta en PDF.
 • Categorías: "1 es Groceries" o "2 es Bank Fees"
 • Combinar: "1 es 146.16, 2 es Groceries, 4 es 0.00"
 
+*Duplicados:*
+Las transacciones que ya están en YNAB se marcan con ⚠️.
+• Omitir: "omitir duplicados" o "omitir 2, 5"
+• Incluir de nuevo: "incluir 3"
+
+*Conciliación:*
+Si el estado de cuenta trae saldo final, al terminar se ofrece conciliar la cuenta.
+
 Escribe "cancelar" para salir.`;
     }
 }
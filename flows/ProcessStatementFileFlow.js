@@ -0,0 +1,113 @@
+/**
+ * ProcessStatementFileFlow - Import CSV, OFX and QFX bank statement exports
+ *
+ * Same steps as ProcessPDFFlow (budget, account, duplicates, corrections,
+ * creation), but the file is parsed by services/statement-parser.js: no Claude
+ * call, and amounts are exactly the ones in the file. Categories come from the
+ * learned payee rules (services/payee-rules.js).
+ */
+
+const BaseDocumentFlow = require('./BaseDocumentFlow');
+const statementParser = require('../services/statement-parser');
+const payeeRules = require('../services/payee-rules');
+
+class ProcessStatementFileFlow extends BaseDocumentFlow {
+    constructor(userId, options = {}) {
+        super(userId, 'process_statement_file');
+
+        // Add file-specific data
+        this.state.data.fileName = null;
+        this.state.data.fileText = null;
+    }
+
+    /**
+     * This flow doesn't match text messages, only file uploads
+     * Matching is handled externally when a CSV/OFX/QFX is received
+     */
+    static matches(messageText) {
+        return false; // File upload triggers this flow externally
+    }
+
+    /**
+     * Start the flow with the file
+     */
+    async onStart(message) {
+        console.log(`📑 Starting ProcessStatementFileFlow for ${this.userId}`);
+
+        const { fileName, fileText } = this.state.data;
+        const format = statementParser.detectFormat(fileText || '', fileName).toUpperCase();
+
+        this.state.step = 'waiting_budget';
+
+        return `📑 *Importar Estado de Cuenta (${format})*
+
+He recibido ${fileName || 'el archivo'}. ¿De qué presupuesto son estas transacciones?
+
+1. BCP SOLES
+2. BCP DOLARES
+3. USA BANKS
+
+Escribe el número o nombre del presupuesto.`;
+    }
+
+    /**
+     * Set file contents (called externally after download)
+     * @param {Object} file - { filename, text }
+     */
+    setFile(file) {
+        this.state.data.fileName = file.filename || null;
+        this.state.data.fileText = file.text;
+    }
+
+    /**
+     * Parse the file and suggest categories from payee rules
+     */
+    async extractTransactionsFromDocument(categories) {
+        const { fileName, fileText, budgetId } = this.state.data;
+
+        if (!fileText) {
+            throw new Error('No hay archivo disponible para procesar.');
+        }
+
+        const parsed = statementParser.parseStatementFile(fileText, fileName);
+        console.log(`📑 Parsed ${parsed.transactions.length} transactions (${parsed.format}, ${parsed.profile})`);
+
+        // Closing balance, offered for reconciliation once the transactions are created
+        if (parsed.statementBalance !== null) {
+            this.state.data.statementBalance = parsed.statementBalance;
+        }
+
+        for (const tx of parsed.transactions) {
+            const category = await payeeRules.suggest(budgetId, tx.payee, categories);
+            if (category) {
+                tx.categoryName = category.name;
+            }
+        }
+
+        return parsed.transactions;
+    }
+
+    /**
+     * Get help for this flow
+     */
+    getHelp() {
+        return `💡 *Ayuda - Importar CSV/OFX/QFX*
+
+Este flujo importa los movimientos exportados desde tu banco, sin IA y con los montos exactos del archivo.
+
+*Formatos:*
+• CSV de BCP y Chase (cuenta y tarjeta), o cualquier CSV con fecha, descripción y monto
+• OFX / QFX (Quicken)
+
+*Pasos:*
+1. Envía el archivo
+2. Selecciona el presupuesto y la cuenta
+3. Corrige categorías: "1 es Groceries"
+4. Omite duplicados: "omitir duplicados" o "omitir 2, 5"
+5. Confirma la creación
+
+Escribe "cancelar" para salir.`;
+    }
+}
+
+module.exports = ProcessStatementFileFlow;
@@ -0,0 +1,548 @@
+/**
+ * ReconcileAccountFlow - Reconcile an account against a bank statement
+ *
+ * "conciliar visa bcp con 320" compares the statement balance with YNAB's
+ * cleared balance, lists the uncleared transactions that explain the
+ * difference so they can be marked cleared, and offers an adjustment
+ * transaction for whatever is left. When it balances, cleared transactions
+ * are locked as reconciled (like YNAB's "Reconcile" button).
+ * ProcessPDFFlow starts it as a child flow when the statement has a closing balance.
+ */
+
+const BaseFlow = require('./BaseFlow');
+const TransferFlow = require('./TransferFlow');
+const ynabService = require('../services/ynab-service');
+const currencyService = require('../services/currency-service');
+const { normalizeAccents } = require('../message-normalizer');
+
+// Same payee YNAB uses for its own reconciliation adjustments
+const ADJUSTMENT_PAYEE = 'Reconciliation Balance Adjustment';
+
+// Account types whose statement shows the debt as a positive number
+const DEBT_TYPES = ['creditCard', 'lineOfCredit'];
+
+// Uncleared transactions searched for a combination matching the difference (2^n subsets)
+const MAX_SUBSET_SEARCH = 12;
+
+// How far back cleared transactions are locked as reconciled
+const RECONCILE_DAYS = 365;
+
+class ReconcileAccountFlow extends BaseFlow {
+    constructor(userId) {
+        super(userId);
+        this.intent = 'reconcile_account';
+        this.state = {
+            step: 'start',
+            data: {
+                accountText: null,
+                accountId: null,
+                statementBalance: null,
+                accounts: [],
+                candidates: [],
+                account: null,
+                uncleared: [],
+                suggested: []
+            }
+        };
+    }
+
+    /**
+     * Check if message matches reconcile intent
+     */
+    static matches(messageText) {
+        const patterns = [
+            /\b(?:re)?concilia(?:r|ci[oó]n)?\b/i,
+            /\bcuadrar\s+(?:la\s+|mi\s+)?(?:cuenta|tarjeta)\b/i,
+            /\breconcile\b/i
+        ];
+        return patterns.some(pattern => pattern.test(messageText));
+    }
+
+    /**
+     * Extract parameters from message
+     * "conciliar visa bcp con S/320" → { accountText: 'visa bcp', statementBalance: 320 }
+     */
+    static extractParams(message) {
+        const params = {};
+        const normalized = normalizeAccents(message.toLowerCase()).trim();
+
+        const keyword = normalized.match(/\b(?:re)?concili\w*|\bcuadrar\b|\breconcile\b/);
+        if (keyword) {
+            const rest = normalized.slice(keyword.index + keyword[0].length);
+            const accountText = rest.split(/\s(?:con|saldo|al)\s|(?:s\/|\$|-)?\s*\d/)[0].trim();
+            if (accountText) {
+                params.accountText = accountText;
+            }
+        }
+
+        const balance = ReconcileAccountFlow.parseBalance(normalized);
+        if (balance !== null) {
+            params.statementBalance = balance;
+        }
+
+        return params;
+    }
+
+    /**
+     * Parse a typed balance: "S/1,250.50", "-320", "$45"
+     * @param {string} text - Message text
+     * @returns {number|null} Balance in currency units
+     */
+    static parseBalance(text) {
+        const match = text.match(/(-)?\s*(?:s\/|\$)?\s*(-)?\s*(\d[\d,]*(?:\.\d+)?)/i);
+        if (!match) {
+            return null;
+        }
+
+        const amount = parseFloat(match[3].replace(/,/g, ''));
+        return match[1] || match[2] ? -amount : amount;
+    }
+
+    /**
+     * Smallest group of transactions whose amounts add up to the difference
+     * @param {Array} transactions - [{ amount }] in milliunits
+     * @param {number} difference - Difference in milliunits
+     * @returns {Array<number>} Indexes of the transactions, or [] if none match
+     */
+    static findExplainingSet(transactions, difference) {
+        const candidates = transactions.slice(0, MAX_SUBSET_SEARCH);
+        let best = null;
+
+        for (let mask = 1; mask < (1 << candidates.length); mask++) {
+            const indexes = candidates.map((tx, index) => index).filter(index => mask & (1 << index));
+            const total = indexes.reduce((sum, index) => sum + candidates[index].amount, 0);
+
+            if (total === difference && (!best || indexes.length < best.length)) {
+                best = indexes;
+            }
+        }
+
+        return best || [];
+    }
+
+    /**
+     * Start the flow
+     * ProcessPDFFlow presets accountId and statementBalance before calling this.
+     */
+    async onStart(message) {
+        console.log(`🧾 Starting ReconcileAccountFlow for ${this.userId}`);
+
+        const params = ReconcileAccountFlow.extractParams(message || '');
+        Object.keys(params).forEach(key => {
+            if (this.state.data[key] === null) {
+                this.state.data[key] = params[key];
+            }
+        });
+
+        try {
+            this.state.data.accounts = await this._loadAccounts();
+        } catch (error) {
+            console.error('Error loading accounts for reconciliation:', error);
+            this.state.step = 'complete';
+            return `❌ Error obteniendo cuentas: ${error.message}`;
+        }
+
+        this._resolveAccount();
+        return await this._next();
+    }
+
+    /**
+     * Handle user messages during flow
+     */
+    async onMessage(message) {
+        // Check for common commands
+        const commonResponse = this.handleCommonCommands(message);
+        if (commonResponse) {
+            return commonResponse;
+        }
+
+        switch (this.state.step) {
+            case 'select_account':
+                return await this._handleAccountSelection(message);
+
+            case 'ask_balance':
+                return await this._handleBalance(message);
+
+            case 'select_cleared':
+                return await this._handleClearedSelection(message);
+
+            case 'confirm_adjustment':
+                return await this._handleAdjustment(message);
+
+            default:
+                return '❌ Estado inválido. Escribe "cancelar" para salir.';
+        }
+    }
+
+    /**
+     * Open accounts of every budget, with their cleared balance
+     * @private
+     */
+    async _loadAccounts() {
+        const budgets = await ynabService.getBudgets();
+        const accounts = [];
+
+        for (const budget of budgets) {
+            const { budgetId, accounts: budgetAccounts } = await ynabService.getAccounts(budget.name);
+            const format = await currencyService.getBudgetFormat(budgetId);
+
+            budgetAccounts
+                .filter(acc => !acc.closed && !acc.deleted)
+                .forEach(acc => accounts.push({
+                    id: acc.id,
+                    name: acc.name,
+                    type: acc.type,
+                    balance: acc.balance,
+                    cleared_balance: acc.cleared_balance,
+                    budgetId,
+                    budgetName: budget.name,
+                    format
+                }));
+        }
+
+        return accounts;
+    }
+
+    /**
+     * Pick the account given by ProcessPDFFlow or named in the message
+     * @private
+     */
+    _resolveAccount() {
+        const { accounts, accountId, accountText } = this.state.data;
+
+        if (accountId) {
+            this.state.data.account = accounts.find(acc => acc.id === accountId) || null;
+            return;
+        }
+
+        const candidates = accountText ? TransferFlow.findAccounts(accounts, accountText) : [];
+        if (candidates.length === 1) {
+            this.state.data.account = candidates[0];
+        }
+        this.state.data.candidates = candidates;
+    }
+
+    /**
+     * Ask for whatever is missing, then compare
+     * @private
+     */
+    async _next() {
+        const { account, accounts, candidates, statementBalance } = this.state.data;
+
+        if (!account) {
+            if (accounts.length === 0) {
+                this.state.step = 'complete';
+                return '❌ No se encontraron cuentas para conciliar.';
+            }
+            return this._askAccount(candidates.length > 1 ? candidates : accounts);
+        }
+
+        if (statementBalance === null) {
+            this.state.step = 'ask_balance';
+            const example = DEBT_TYPES.includes(account.type)
+                ? 'Escribe el saldo total que debes (Ej: 1,250.00)'
+                : 'Escribe el saldo final (Ej: 1,250.00)';
+            return `🧾 *Conciliar ${account.name}*\n\n` +
+                `¿Cuál es el saldo del estado de cuenta?\n${example}`;
+        }
+
+        // Card statements show the debt as a positive number; YNAB keeps it negative
+        if (DEBT_TYPES.includes(account.type) && statementBalance > 0) {
+            this.state.data.statementBalance = -statementBalance;
+        }
+
+        try {
+            return await this._compare();
+        } catch (error) {
+            console.error('Error reconciling account:', error);
+            this.state.step = 'complete';
+            return `❌ Error conciliando la cuenta: ${error.message}`;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _askAccount(options) {
+        this.state.step = 'select_account';
+        this.state.data.candidates = options;
+
+        let message = `🧾 *¿Qué cuenta quieres conciliar?*\n\n`;
+        options.forEach((account, index) => {
+            message += `${index + 1}. ${account.name} (${account.budgetName}): ${currencyService.format(account.cleared_balance / 1000, account.format)}\n`;
+        });
+        message += `\nEscribe el número de la cuenta.`;
+
+        return message;
+    }
+
+    /**
+     * Handle account selection
+     */
+    async _handleAccountSelection(message) {
+        const { candidates } = this.state.data;
+        const selection = parseInt(message.trim()) - 1;
+
+        let account = !isNaN(selection) ? candidates[selection] : null;
+        if (!account && isNaN(selection)) {
+            const matches = TransferFlow.findAccounts(candidates, message);
+            account = matches.length === 1 ? matches[0] : null;
+        }
+
+        if (!account) {
+            return '❌ Selección inválida. Escribe el número de la cuenta.';
+        }
+
+        this.state.data.account = account;
+        return await this._next();
+    }
+
+    /**
+     * Handle the typed statement balance
+     */
+    async _handleBalance(message) {
+        const balance = ReconcileAccountFlow.parseBalance(message.trim());
+
+        if (balance === null) {
+            return '❌ Saldo inválido. Escribe un número (Ej: 1,250.00)';
+        }
+
+        this.state.data.statementBalance = balance;
+        return await this._next();
+    }
+
+    /**
+     * Difference between the statement and YNAB's cleared balance, in milliunits
+     * @private
+     */
+    _difference() {
+        const { account, statementBalance } = this.state.data;
+        return Math.round(statementBalance * 1000) - account.cleared_balance;
+    }
+
+    /**
+     * Compare balances and list the uncleared transactions that may explain the difference
+     * @private
+     */
+    async _compare() {
+        const { account, statementBalance } = this.state.data;
+        const difference = this._difference();
+
+        if (difference === 0) {
+            return await this._reconcile();
+        }
+
+        const transactions = await ynabService.getTransactions(account.budgetId, account.id);
+        const uncleared = transactions
+            .filter(tx => tx.cleared === 'uncleared' && !tx.deleted)
+            .map(tx => ({ id: tx.id, date: tx.date, payee: tx.payee_name || 'Sin beneficiario', amount: tx.amount }));
+
+        this.state.data.uncleared = uncleared;
+        this.state.data.suggested = ReconcileAccountFlow.findExplainingSet(uncleared, difference);
+
+        let message = `🧾 *Conciliar ${account.name}*\n\n`;
+        message += `📄 Saldo del estado de cuenta: ${currencyService.format(statementBalance, account.format)}\n`;
+        message += `✅ Saldo compensado en YNAB: ${currencyService.format(account.cleared_balance / 1000, account.format)}\n`;
+        message += `⚖️ Diferencia: ${currencyService.format(difference / 1000, account.format)}\n`;
+
+        if (uncleared.length === 0) {
+            return message + '\n' + this._askAdjustment();
+        }
+
+        this.state.step = 'select_cleared';
+
+        message += `\n*Transacciones no compensadas:*\n`;
+        uncleared.forEach((tx, index) => {
+            const marker = this.state.data.suggested.includes(index) ? '⭐ ' : '';
+            message += `${index + 1}. ${marker}${tx.date} | ${tx.payee} | ${currencyService.format(tx.amount / 1000, account.format)}\n`;
+        });
+
+        message += `\n¿Cuáles aparecen en el estado de cuenta?\n`;
+        if (this.state.data.suggested.length > 0) {
+            message += `⭐ = explican la diferencia\n`;
+            message += `• "sugeridas" - Marcar las ⭐ como compensadas\n`;
+        }
+        message += `• "1, 3" - Marcar esas transacciones\n`;
+        message += `• "todas" - Marcar todas\n`;
+        message += `• "ninguna" - Pasar al ajuste`;
+
+        return message;
+    }
+
+    /**
+     * Handle "sugeridas", "todas", "ninguna" or "1, 3"
+     */
+    async _handleClearedSelection(message) {
+        const normalized = normalizeAccents(message.trim().toLowerCase());
+        const { account, uncleared, suggested } = this.state.data;
+
+        if (normalized === 'ninguna' || normalized === 'ajustar') {
+            return this._askAdjustment();
+        }
+
+        let indexes;
+        if (normalized === 'sugeridas' && suggested.length > 0) {
+            indexes = suggested;
+        } else if (normalized === 'todas') {
+            indexes = uncleared.map((tx, index) => index);
+        } else {
+            const list = normalized.replace(/^marcar\s+/, '');
+            if (!/^[\d,\sy]+$/.test(list)) {
+                return '❌ Escribe los números (Ej: 1, 3), "todas" o "ninguna".';
+            }
+            indexes = list.split(/[,\s]+|\by\b/).filter(n => /^\d+$/.test(n)).map(n => parseInt(n) - 1);
+        }
+
+        const invalid = indexes.find(index => index < 0 || index >= uncleared.length);
+        if (invalid !== undefined) {
+            return `❌ Transacción ${invalid + 1} no existe. Solo hay ${uncleared.length} transacciones.`;
+        }
+
+        try {
+            await ynabService.updateTransactionsCleared(account.budgetId, indexes.map(index => uncleared[index].id), 'cleared');
+            account.cleared_balance += indexes.reduce((sum, index) => sum + uncleared[index].amount, 0);
+        } catch (error) {
+            console.error('Error marking transactions cleared:', error);
+            this.state.step = 'complete';
+            return `❌ Error marcando transacciones: ${error.message}`;
+        }
+
+        const prefix = `✅ ${indexes.length} transacciones marcadas como compensadas.\n\n`;
+        if (this._difference() === 0) {
+            return prefix + await this._reconcile();
+        }
+
+        return prefix + this._askAdjustment();
+    }
+
+    /**
+     * Offer an adjustment for the remaining difference
+     * Budgets that don't allow manual transactions (USA BANKS) are adjusted in YNAB.
+     * @private
+     */
+    _askAdjustment() {
+        const { account } = this.state.data;
+        const remaining = currencyService.format(this._difference() / 1000, account.format);
+
+        if (!ynabService.isBudgetAllowedForCreation(account.budgetName)) {
+            this.state.step = 'complete';
+            return `⚖️ Queda una diferencia de ${remaining}.\n\n` +
+                `⚠️ ${account.budgetName} no permite crear transacciones desde aquí: crea el ajuste en YNAB.`;
+        }
+
+        this.state.step = 'confirm_adjustment';
+        return `⚖️ Queda una diferencia de ${remaining}.\n\n` +
+            `¿Crear una transacción de ajuste por ${remaining}? (sí/no)`;
+    }
+
+    /**
+     * Handle adjustment confirmation
+     */
+    async _handleAdjustment(message) {
+        const normalized = message.trim().toLowerCase();
+        const { account } = this.state.data;
+        const difference = this._difference();
+
+        if (normalized === 'no') {
+            this.state.step = 'complete';
+            return `⏸️ Conciliación pendiente: ${account.name} sigue con una diferencia de ` +
+                `${currencyService.format(difference / 1000, account.format)}.`;
+        }
+
+        if (normalized !== 'sí' && normalized !== 'si' && normalized !== 'yes') {
+            return '¿Crear el ajuste? Escribe "sí" o "no".';
+        }
+
+        try {
+            await ynabService.createTransaction(
+                account.budgetId,
+                account.id,
+                difference / 1000,
+                ADJUSTMENT_PAYEE,
+                null,
+                'Ajuste de conciliación',
+                null,
+                { cleared: 'reconciled' }
+            );
+            account.cleared_balance += difference;
+
+            return `✅ Ajuste creado: ${currencyService.format(difference / 1000, account.format)}\n\n` +
+                await this._reconcile();
+        } catch (error) {
+            console.error('Error creating reconciliation adjustment:', error);
+            this.state.step = 'complete';
+            return `❌ Error creando el ajuste: ${error.message}`;
+        }
+    }
+
+    /**
+     * Lock cleared transactions as reconciled
+     * @private
+     */
+    async _reconcile() {
+        const { account, statementBalance } = this.state.data;
+
+        const transactions = await ynabService.getTransactions(account.budgetId, account.id, RECONCILE_DAYS);
+        const clearedIds = transactions
+            .filter(tx => tx.cleared === 'cleared' && !tx.deleted)
+            .map(tx => tx.id);
+
+        await ynabService.updateTransactionsCleared(account.budgetId, clearedIds, 'reconciled');
+
+        this.state.step = 'complete';
+
+        let message = `✅ *Cuenta conciliada*\n\n`;
+        message += `${account.name} cuadra con el estado de cuenta: ${currencyService.format(statementBalance, account.format)}\n`;
+        message += `🔒 ${clearedIds.length} transacciones marcadas como conciliadas.`;
+
+        const paymentTip = this._cardPaymentTip();
+        if (paymentTip) {
+            message += `\n\n${paymentTip}`;
+        }
+
+        return message;
+    }
+
+    /**
+     * Suggest registering the card payment as a transfer (so it isn't counted as spending)
+     * @private
+     */
+    _cardPaymentTip() {
+        const { account, accounts, statementBalance } = this.state.data;
+
+        if (!DEBT_TYPES.includes(account.type) || statementBalance >= 0 ||
+            !ynabService.isBudgetAllowedForCreation(account.budgetName)) {
+            return null;
+        }
+
+        const source = accounts.find(acc => acc.budgetId === account.budgetId && acc.type === 'checking') ||
+            accounts.find(acc => acc.budgetId === account.budgetId && acc.type === 'savings');
+        if (!source) {
+            return null;
+        }
+
+        return `💳 Para registrar el pago de la tarjeta escribe:\n` +
+            `"transferí ${Math.abs(statementBalance).toFixed(2)} de ${source.name} a ${account.name}"`;
+    }
+
+    /**
+     * Get help for this flow
+     */
+    getHelp() {
+        return `💡 *Ayuda - Conciliar Cuenta*
+
+Compara el saldo de tu estado de cuenta con el saldo compensado de YNAB.
+
+Puedes decir:
+- "Conciliar visa bcp"
+- "Conciliar cuenta corriente con 820.50"
+- "Cuadrar la tarjeta"
+
+Para tarjetas escribe lo que debes (Ej: 1,250.00).
+También se ofrece al importar un estado de cuenta en PDF.
+
+Escribe "cancelar" para salir.`;
+    }
+}
+
+module.exports = ReconcileAccountFlow;
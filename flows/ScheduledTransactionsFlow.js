@@ -0,0 +1,694 @@
+/**
+ * ScheduledTransactionsFlow - Recurring payments
+ *
+ * Lists the budget's scheduled transactions and creates new ones from chat:
+ *   "alquiler 1500 cada mes el día 1"
+ *   "gimnasio 120 semanal los lunes"
+ * From the list, the next occurrence can be skipped or edited (only that one;
+ * the following occurrences keep their amount), or the schedule deleted.
+ */
+
+const BaseFlow = require('./BaseFlow');
+const ynabService = require('../services/ynab-service');
+const payeeRules = require('../services/payee-rules');
+const recurrence = require('../services/recurrence');
+const { normalizeAccents } = require('../message-normalizer');
+
+// Words of a recurrence phrase that are not part of the payee
+const FILLER_WORDS = new Set([
+    'programar', 'programa', 'programado', 'agregar', 'agrega', 'crear', 'crea', 'registrar', 'registra',
+    'pago', 'pagar', 'pagos', 'gasto', 'recurrente', 'de', 'del', 'el', 'la', 'los', 'las', 'por', 'a', 'al',
+    'en', 'y', 'soles', 'sol', 'dolares', 'dolar', 'usd', 'pen', 's/', '$'
+]);
+
+// A recurring payment needs an explicit recurrence word; "mensual" or "diario"
+// alone also show up in one-off expenses ("gasté 20 en el diario")
+const RECURRING_KEYWORD = new RegExp(
+    '\\b(cada|every|todos\\s+los|todas\\s+las|programar?|programado|recurrente|' +
+    '(diaria|semanal|quincenal|mensual|bimestral|trimestral|semestral|anual)mente)\\b'
+);
+
+// ...or a frequency plus the day it falls on ("semanal los lunes", "mensual el día 30")
+const SCHEDULED_DAY = new RegExp(
+    '\\b(semanal|quincenal|mensual|bimestral|trimestral|semestral|anual|weekly|monthly|yearly)\\s+' +
+    '(el\\s+dia\\s+\\d{1,2}|los\\s+(lunes|martes|miercoles|jueves|viernes|sabados?|domingos?))\\b'
+);
+
+// Payees that are money coming in
+const INFLOW_PATTERN = /\b(sueldo|salario|ingreso|cobro|income|salary|me pagan)\b/i;
+
+class ScheduledTransactionsFlow extends BaseFlow {
+    constructor(userId) {
+        super(userId);
+        this.intent = 'scheduled_transactions';
+        this.state = {
+            step: 'start',
+            data: {
+                budgetName: null,
+                budgetId: null,
+                draft: null,
+                accounts: [],
+                scheduledIds: [],
+                pendingDeleteId: null
+            }
+        };
+    }
+
+    /**
+     * Check if message matches scheduled transactions intent
+     */
+    static matches(messageText) {
+        const patterns = [
+            /\b(transacciones|pagos|gastos|cobros)\s+(programad[oa]s|recurrentes)\b/i,
+            /\bscheduled\s+transactions?\b/i,
+            /\bpr[oó]ximos\s+pagos\b/i
+        ];
+        return patterns.some(pattern => pattern.test(messageText)) ||
+            ScheduledTransactionsFlow.parseDraft(messageText) !== null;
+    }
+
+    /**
+     * Extract parameters from message
+     */
+    static extractParams(message) {
+        const params = {};
+        const lower = message.toLowerCase();
+
+        if (lower.includes('bcp soles')) {
+            params.budgetName = 'BCP SOLES';
+        } else if (lower.includes('bcp dolares') || lower.includes('bcp dólares')) {
+            params.budgetName = 'BCP DOLARES';
+        } else if (lower.includes('usa banks')) {
+            params.budgetName = 'USA BANKS';
+        }
+
+        const draft = ScheduledTransactionsFlow.parseDraft(message);
+        if (draft) {
+            params.draft = draft;
+        }
+
+        return params;
+    }
+
+    /**
+     * Parse a new recurring payment
+     * "alquiler 1500 cada mes el día 1" → { payee: 'alquiler', amount: -1500, frequency: 'monthly', date: <next 1st> }
+     * @param {string} text - User message
+     * @returns {Object|null} Draft { payee, amount, frequency, date }, or null if the message is not one
+     */
+    static parseDraft(text) {
+        // A budget name is not part of the payee
+        const clean = text.replace(/\b(?:en\s+)?(?:bcp\s+soles|bcp\s+d[oó]lares|usa\s+banks)\b/ig, ' ');
+        const lower = normalizeAccents(clean.toLowerCase());
+        if (!RECURRING_KEYWORD.test(lower) && !SCHEDULED_DAY.test(lower)) {
+            return null;
+        }
+
+        const parsed = recurrence.parseRecurrence(clean);
+        if (!parsed) {
+            return null;
+        }
+
+        const amountMatch = parsed.rest.match(/(?:s\/|\$)?\s*(\d[\d,]*(?:\.\d+)?)/);
+        if (!amountMatch) {
+            return null;
+        }
+
+        const amount = parseFloat(amountMatch[1].replace(/,/g, ''));
+        if (!(amount > 0)) {
+            return null;
+        }
+
+        // Keep the user's spelling (case, accents) of the payee words
+        const payeeWords = new Set(
+            parsed.rest.replace(amountMatch[0], ' ').split(/\s+/).filter(word => word && !FILLER_WORDS.has(word))
+        );
+        const payee = clean.split(/\s+/)
+            .filter(word => payeeWords.has(normalizeAccents(word.toLowerCase())))
+            .join(' ');
+
+        return {
+            payee: payee ? payee.charAt(0).toUpperCase() + payee.slice(1) : null,
+            amount: INFLOW_PATTERN.test(clean) ? amount : -amount,
+            frequency: parsed.frequency,
+            date: recurrence.firstDate(parsed)
+        };
+    }
+
+    /**
+     * Start the flow
+     */
+    async onStart(message) {
+        console.log(`🔁 Starting ScheduledTransactionsFlow for ${this.userId}`);
+
+        const extracted = ScheduledTransactionsFlow.extractParams(message);
+        Object.assign(this.state.data, extracted);
+
+        if (!this.state.data.budgetName) {
+            this.state.step = 'select_budget';
+            return this._askForBudget();
+        }
+
+        return await this._continue();
+    }
+
+    /**
+     * Handle user messages during flow
+     */
+    async onMessage(message) {
+        // Check for common commands
+        const commonResponse = this.handleCommonCommands(message);
+        if (commonResponse) {
+            return commonResponse;
+        }
+
+        switch (this.state.step) {
+            case 'select_budget':
+                return await this._handleBudgetSelection(message);
+
+            case 'showing_list':
+                return await this._handleListCommand(message);
+
+            case 'confirm_delete':
+                return await this._handleDeleteConfirmation(message);
+
+            case 'ask_payee':
+                this.state.data.draft.payee = message.trim();
+                return await this._selectAccount();
+
+            case 'select_account':
+                return await this._handleAccountSelection(message);
+
+            case 'ask_date':
+                return await this._handleDate(message);
+
+            case 'ask_category':
+                return await this._handleCategory(message);
+
+            case 'confirm':
+                return await this._handleConfirmation(message);
+
+            default:
+                return '❌ Estado inválido. Escribe "cancelar" para salir.';
+        }
+    }
+
+    /**
+     * Ask for budget
+     */
+    _askForBudget() {
+        return `🔁 *Pagos Programados*
+
+¿De qué presupuesto?
+
+1. BCP SOLES
+2. BCP DOLARES
+3. USA BANKS
+
+Escribe el número o nombre del presupuesto.`;
+    }
+
+    /**
+     * Handle budget selection
+     */
+    async _handleBudgetSelection(message) {
+        const normalized = message.trim().toLowerCase();
+
+        let budgetName = null;
+        if (normalized === '1' || normalized.includes('bcp soles')) {
+            budgetName = 'BCP SOLES';
+        } else if (normalized === '2' || normalized.includes('bcp dolares') || normalized.includes('bcp dólares')) {
+            budgetName = 'BCP DOLARES';
+        } else if (normalized === '3' || normalized.includes('usa')) {
+            budgetName = 'USA BANKS';
+        }
+
+        if (!budgetName) {
+            return '❌ Opción inválida. Escribe 1, 2 o 3.';
+        }
+
+        this.state.data.budgetName = budgetName;
+        return await this._continue();
+    }
+
+    /**
+     * Create the payment from the first message, or list the schedule
+     */
+    async _continue() {
+        const { draft } = this.state.data;
+
+        if (!draft) {
+            return await this._showList();
+        }
+
+        if (!ynabService.isBudgetAllowedForCreation(this.state.data.budgetName)) {
+            this.state.step = 'complete';
+            return `⚠️ ${this.state.data.budgetName} no permite crear transacciones desde aquí: ` +
+                'crea el pago programado en YNAB o elige un presupuesto BCP.';
+        }
+
+        if (!draft.payee) {
+            this.state.step = 'ask_payee';
+            return '🏪 ¿A quién es el pago? (Ej: Alquiler, Netflix, Gimnasio)';
+        }
+
+        return await this._selectAccount();
+    }
+
+    // ===== LIST, SKIP, EDIT, DELETE =====
+
+    /**
+     * Show the scheduled transactions of the budget
+     * @param {string} prefix - Message shown before the list (e.g. a confirmation)
+     */
+    async _showList(prefix = '') {
+        try {
+            if (!this.state.data.budgetId) {
+                const { budgetId } = await ynabService.getAccounts(this.state.data.budgetName);
+                this.state.data.budgetId = budgetId;
+            }
+
+            const scheduled = await ynabService.getScheduledTransactions(this.state.data.budgetId);
+            this.state.data.scheduledIds = scheduled.map(st => st.id);
+            this.state.step = 'showing_list';
+
+            let message = prefix + `🔁 *Pagos Programados - ${this.state.data.budgetName}*\n\n`;
+
+            if (scheduled.length === 0) {
+                message += `No hay transacciones programadas.\n\n`;
+            } else {
+                scheduled.forEach((st, index) => {
+                    message += `${index + 1}. 📅 ${st.date_next} ${st.payee_name}: ${(st.amount / 1000).toFixed(2)}\n`;
+                    message += `   🔁 ${recurrence.describeFrequency(st.frequency)} · ${st.account_name}\n`;
+                });
+                message += `\n`;
+            }
+
+            message += `💡 *Puedes escribir:*\n`;
+            if (scheduled.length > 0) {
+                message += `• "saltar 1" - Saltar el próximo pago\n`;
+                message += `• "editar 1 45" - Cambiar el monto solo del próximo pago\n`;
+                message += `• "borrar 1" - Eliminar el pago programado\n`;
+            }
+            message += `• "alquiler 1500 cada mes el día 1" - Programar uno nuevo`;
+
+            return message;
+        } catch (error) {
+            console.error('Error listing scheduled transactions:', error);
+            this.state.step = 'complete';
+            return `❌ Error obteniendo pagos programados: ${error.message}`;
+        }
+    }
+
+    /**
+     * Handle a command typed on the list
+     */
+    async _handleListCommand(message) {
+        const normalized = normalizeAccents(message.trim().toLowerCase());
+
+        const skipMatch = normalized.match(/^(?:saltar|salta|skip)\s+(\d+)$/);
+        if (skipMatch) {
+            return await this._skip(parseInt(skipMatch[1], 10));
+        }
+
+        const editMatch = normalized.match(/^(?:editar|edita|edit)\s+(\d+)\s+(?:s\/|\$)?\s*(\d[\d,]*(?:\.\d+)?)$/);
+        if (editMatch) {
+            return await this._editNext(parseInt(editMatch[1], 10), parseFloat(editMatch[2].replace(/,/g, '')));
+        }
+
+        const deleteMatch = normalized.match(/^(?:borrar|eliminar|delete)\s+(\d+)$/);
+        if (deleteMatch) {
+            return await this._askDelete(parseInt(deleteMatch[1], 10));
+        }
+
+        const draft = ScheduledTransactionsFlow.parseDraft(message);
+        if (draft) {
+            this.state.data.draft = draft;
+            return await this._continue();
+        }
+
+        this.state.step = 'complete';
+        return '✅ Listo. Escribe otra consulta cuando quieras.';
+    }
+
+    /**
+     * Scheduled transaction shown as number `index` in the list
+     */
+    async _findListed(index) {
+        const id = this.state.data.scheduledIds[index - 1];
+        if (!id) {
+            return null;
+        }
+
+        const scheduled = await ynabService.getScheduledTransactions(this.state.data.budgetId);
+        return scheduled.find(st => st.id === id) || null;
+    }
+
+    /**
+     * Skip the next occurrence
+     */
+    async _skip(index) {
+        try {
+            const st = await this._findListed(index);
+            if (!st) {
+                return `❌ No existe el pago ${index}. Escribe un número de la lista.`;
+            }
+
+            const updated = await ynabService.skipScheduledTransaction(this.state.data.budgetId, st);
+
+            return await this._showList(updated
+                ? `⏭️ Saltado el pago de ${st.payee_name} del ${st.date_next}. Próximo: ${updated.date_next}\n\n`
+                : `⏭️ ${st.payee_name} era un pago único y se eliminó.\n\n`);
+        } catch (error) {
+            console.error('Error skipping scheduled transaction:', error);
+            this.state.step = 'complete';
+            return `❌ Error saltando el pago: ${error.message}`;
+        }
+    }
+
+    /**
+     * Change the amount of the next occurrence only
+     * YNAB has no per-occurrence edits: the next date becomes a one-time
+     * scheduled transaction and the recurring one moves to the following date.
+     */
+    async _editNext(index, newAmount) {
+        try {
+            const st = await this._findListed(index);
+            if (!st) {
+                return `❌ No existe el pago ${index}. Escribe un número de la lista.`;
+            }
+
+            const { budgetId } = this.state.data;
+            const amount = st.amount < 0 ? -newAmount : newAmount;
+
+            if (st.frequency === 'never') {
+                await ynabService.updateScheduledTransaction(budgetId, st, { amount: Math.round(amount * 1000) });
+                return await this._showList(`✏️ ${st.payee_name} (${st.date_next}): ${amount.toFixed(2)}\n\n`);
+            }
+
+            await ynabService.createScheduledTransaction(
+                budgetId,
+                st.account_id,
+                amount,
+                st.payee_name,
+                st.category_id,
+                st.memo,
+                st.date_next,
+                'never'
+            );
+            await ynabService.skipScheduledTransaction(budgetId, st);
+
+            return await this._showList(
+                `✏️ Próximo pago de ${st.payee_name} (${st.date_next}): ${amount.toFixed(2)}. ` +
+                `Los siguientes siguen en ${(st.amount / 1000).toFixed(2)}.\n\n`
+            );
+        } catch (error) {
+            console.error('Error editing scheduled transaction:', error);
+            this.state.step = 'complete';
+            return `❌ Error editando el pago: ${error.message}`;
+        }
+    }
+
+    /**
+     * Ask before deleting a scheduled transaction
+     */
+    async _askDelete(index) {
+        try {
+            const st = await this._findListed(index);
+            if (!st) {
+                return `❌ No existe el pago ${index}. Escribe un número de la lista.`;
+            }
+
+            this.state.data.pendingDeleteId = st.id;
+            this.state.step = 'confirm_delete';
+            return `🗑️ ¿Eliminar *${st.payee_name}* (${(st.amount / 1000).toFixed(2)} ${recurrence.describeFrequency(st.frequency)})?\n\n` +
+                `Se borran todos los pagos futuros. (sí/no)`;
+        } catch (error) {
+            console.error('Error finding scheduled transaction:', error);
+            this.state.step = 'complete';
+            return `❌ Error: ${error.message}`;
+        }
+    }
+
+    /**
+     * Handle delete confirmation
+     */
+    async _handleDeleteConfirmation(message) {
+        const normalized = message.trim().toLowerCase();
+        const { budgetId, pendingDeleteId } = this.state.data;
+        this.state.data.pendingDeleteId = null;
+
+        if (normalized !== 'sí' && normalized !== 'si' && normalized !== 'yes') {
+            return await this._showList('❌ No se eliminó nada.\n\n');
+        }
+
+        try {
+            const deleted = await ynabService.deleteScheduledTransaction(budgetId, pendingDeleteId);
+            return await this._showList(`🗑️ Eliminado: ${deleted.payee_name}\n\n`);
+        } catch (error) {
+            console.error('Error deleting scheduled transaction:', error);
+            this.state.step = 'complete';
+            return `❌ Error eliminando el pago: ${error.message}`;
+        }
+    }
+
+    // ===== CREATE =====
+
+    /**
+     * Select account within budget
+     */
+    async _selectAccount() {
+        try {
+            const { budgetId, accounts } = await ynabService.getAccounts(this.state.data.budgetName);
+            const openAccounts = accounts.filter(acc => !acc.closed);
+            this.state.data.budgetId = budgetId;
+
+            if (openAccounts.length === 0) {
+                this.state.step = 'complete';
+                return '❌ No se encontraron cuentas en este presupuesto.';
+            }
+
+            // If only one account, auto-select
+            if (openAccounts.length === 1) {
+                this._setAccount(openAccounts[0]);
+                return await this._askForDate();
+            }
+
+            this.state.step = 'select_account';
+            this.state.data.accounts = openAccounts.map(acc => ({ id: acc.id, name: acc.name }));
+
+            let message = `🏦 *¿Desde qué cuenta se paga ${this.state.data.draft.payee}?*\n\n`;
+            openAccounts.forEach((account, index) => {
+                message += `${index + 1}. ${account.name} (${(account.balance / 1000).toFixed(2)})\n`;
+            });
+            message += `\nEscribe el número de la cuenta.`;
+
+            return message;
+        } catch (error) {
+            console.error('Error selecting account:', error);
+            this.state.step = 'complete';
+            return `❌ Error: ${error.message}`;
+        }
+    }
+
+    /**
+     * Handle account selection
+     */
+    async _handleAccountSelection(message) {
+        const selection = parseInt(message.trim()) - 1;
+        const { accounts } = this.state.data;
+
+        if (isNaN(selection) || selection < 0 || selection >= accounts.length) {
+            return '❌ Selección inválida. Escribe el número de la cuenta.';
+        }
+
+        this._setAccount(accounts[selection]);
+        return await this._askForDate();
+    }
+
+    /**
+     * @private
+     */
+    _setAccount(account) {
+        this.state.data.draft.accountId = account.id;
+        this.state.data.draft.accountName = account.name;
+    }
+
+    /**
+     * Ask for the first date when the message did not pin it ("cada mes" without a day)
+     */
+    async _askForDate() {
+        if (this.state.data.draft.date) {
+            return await this._askForCategory();
+        }
+
+        this.state.step = 'ask_date';
+        return `📅 ¿Cuándo es el próximo pago?\n\nEj: 15 (día del mes), viernes, mañana o ${recurrence.addDays(recurrence.today(), 10)}`;
+    }
+
+    /**
+     * Handle first date input
+     */
+    async _handleDate(message) {
+        const date = recurrence.parseDate(message);
+        if (!date) {
+            return '❌ No entendí la fecha (debe ser futura). Ej: 15, viernes, mañana o AAAA-MM-DD';
+        }
+
+        this.state.data.draft.date = date;
+        return await this._askForCategory();
+    }
+
+    /**
+     * Ask for category, suggesting the one learned for the payee
+     */
+    async _askForCategory() {
+        this.state.step = 'ask_category';
+
+        const { budgetId, draft } = this.state.data;
+        let suggestion = null;
+        try {
+            const categories = await ynabService.getCategories(budgetId);
+            const category = await payeeRules.suggest(budgetId, draft.payee, categories);
+            suggestion = category ? { id: category.id, name: category.name } : null;
+        } catch (error) {
+            console.error('Error suggesting category from rules:', error);
+        }
+        draft.suggestedCategory = suggestion;
+
+        const suggestionText = suggestion
+            ? `💡 Sugerencia: *${suggestion.name}* 📚 (escribe "ok" para usarla)\n\n`
+            : '';
+
+        return `📁 ¿Categoría? (opcional)
+
+${suggestionText}Escribe la categoría o "skip" para omitir.`;
+    }
+
+    /**
+     * Handle category input
+     */
+    async _handleCategory(message) {
+        const normalized = message.trim().toLowerCase();
+        const { budgetId, draft } = this.state.data;
+
+        if (draft.suggestedCategory && (normalized === 'ok' || normalized === 'sí' || normalized === 'si')) {
+            draft.categoryId = draft.suggestedCategory.id;
+            draft.categoryName = draft.suggestedCategory.name;
+            return this._confirm();
+        }
+
+        if (normalized === 'skip' || normalized === 'omitir' || normalized === 'ninguna') {
+            draft.categoryId = null;
+            draft.categoryName = null;
+            return this._confirm();
+        }
+
+        try {
+            const categories = await ynabService.getCategories(budgetId);
+            const category = ynabService.findCategoryByName(categories, message.trim());
+
+            if (!category) {
+                return `❌ No encontré la categoría "${message.trim()}". Escribe otra o "skip" para omitir.`;
+            }
+
+            draft.categoryId = category.id;
+            draft.categoryName = category.name;
+            return this._confirm();
+        } catch (error) {
+            console.error('Error finding category:', error);
+            this.state.step = 'complete';
+            return `❌ Error obteniendo categorías: ${error.message}`;
+        }
+    }
+
+    /**
+     * Show confirmation
+     */
+    _confirm() {
+        this.state.step = 'confirm';
+        const { draft } = this.state.data;
+
+        let message = `🔁 *Confirmar Pago Programado*\n\n`;
+        message += `🏪 Comercio: ${draft.payee}\n`;
+        message += `💵 Monto: ${draft.amount > 0 ? '+' : ''}${draft.amount.toFixed(2)}\n`;
+        message += `🔁 Frecuencia: ${recurrence.describeFrequency(draft.frequency)}\n`;
+        message += `📅 Primer pago: ${draft.date}\n`;
+        message += `🏦 Cuenta: ${draft.accountName}\n`;
+        if (draft.categoryName) {
+            message += `📁 Categoría: ${draft.categoryName}\n`;
+        }
+        message += `\n¿Confirmar? (sí/no)`;
+
+        return message;
+    }
+
+    /**
+     * Handle confirmation
+     */
+    async _handleConfirmation(message) {
+        const normalized = message.trim().toLowerCase();
+
+        if (normalized === 'no') {
+            this.state.step = 'cancelled';
+            return '❌ Pago programado cancelado.';
+        }
+
+        if (normalized !== 'sí' && normalized !== 'si' && normalized !== 'yes') {
+            return '¿Confirmar? Escribe "sí" o "no".';
+        }
+
+        const { budgetId, budgetName, draft } = this.state.data;
+
+        try {
+            const created = await ynabService.createScheduledTransaction(
+                budgetId,
+                draft.accountId,
+                draft.amount,
+                draft.payee,
+                draft.categoryId,
+                null,
+                draft.date,
+                draft.frequency
+            );
+
+            this.state.step = 'complete';
+
+            if (draft.categoryId) {
+                await payeeRules.recordCategory(budgetId, budgetName, draft.payee, {
+                    id: draft.categoryId,
+                    name: draft.categoryName
+                });
+            }
+
+            return `✅ *Pago programado creado*\n\n` +
+                `🏪 ${created.payee_name}\n` +
+                `💵 ${(created.amount / 1000).toFixed(2)}\n` +
+                `🔁 ${recurrence.describeFrequency(created.frequency)}\n` +
+                `📅 Próximo: ${created.date_next}`;
+        } catch (error) {
+            console.error('Error creating scheduled transaction:', error);
+            this.state.step = 'complete';
+            return `❌ Error creando el pago programado: ${error.message}`;
+        }
+    }
+
+    /**
+     * Get help for this flow
+     */
+    getHelp() {
+        return `💡 *Ayuda - Pagos Programados*
+
+Puedes decir:
+- "Ver pagos programados"
+- "Alquiler 1500 cada mes el día 1"
+- "Gimnasio 120 semanal los lunes"
+- "Sueldo 5000 cada mes el día 30" (ingreso)
+
+En la lista: "saltar 1", "editar 1 45", "borrar 1".
+
+Escribe "cancelar" para salir.`;
+    }
+}
+
+module.exports = ScheduledTransactionsFlow;
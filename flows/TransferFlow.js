@@ -0,0 +1,493 @@
+/**
+ * TransferFlow - Move money between accounts
+ *
+ * "transferí 500 de ahorro a tarjeta" → one YNAB transfer (transfer payee),
+ * so the credit card payment is not counted as spending.
+ * Across budgets ("transferí 375 de ahorro soles a ahorro dólares") YNAB has no
+ * transfers: an outflow and an inflow are created with the same linked memo,
+ * converted with the exchange rate table (see services/currency-service.js).
+ * Only budgets that allow manual transactions (BCP) are used.
+ */
+
+const BaseFlow = require('./BaseFlow');
+const ynabService = require('../services/ynab-service');
+const currencyService = require('../services/currency-service');
+const { normalizeAccents } = require('../message-normalizer');
+
+// Words that name an account type instead of an account
+const TYPE_ALIASES = {
+    tarjeta: ['creditCard'],
+    credito: ['creditCard'],
+    visa: ['creditCard'],
+    ahorro: ['savings'],
+    ahorros: ['savings'],
+    savings: ['savings'],
+    corriente: ['checking'],
+    checking: ['checking']
+};
+
+// Words ignored when matching an account
+const IGNORED_WORDS = new Set(['la', 'el', 'mi', 'cuenta', 'de', 'del', 'en', 'account', 'my', 'the']);
+
+class TransferFlow extends BaseFlow {
+    constructor(userId) {
+        super(userId);
+        this.intent = 'transfer';
+        this.state = {
+            step: 'start',
+            data: {
+                amount: null,
+                currency: null,
+                fromText: null,
+                toText: null,
+                accounts: [],
+                fromCandidates: [],
+                toCandidates: [],
+                from: null,
+                to: null,
+                choices: [],
+                rate: null
+            }
+        };
+    }
+
+    /**
+     * Check if message matches transfer intent
+     */
+    static matches(messageText) {
+        const patterns = [
+            /\btransf(?:er[ií]|erir|iere|erencia|er)\b/i,
+            /\bpago\s+de\s+(?:la\s+)?tarjeta\b/i
+        ];
+        return patterns.some(pattern => pattern.test(messageText));
+    }
+
+    /**
+     * Extract parameters from message
+     * "transferí S/500 de ahorro a tarjeta" → { amount: 500, currency: 'PEN', fromText: 'ahorro', toText: 'tarjeta' }
+     */
+    static extractParams(message) {
+        const params = {};
+        const normalized = normalizeAccents(message.toLowerCase());
+
+        const amountMatch = normalized.match(/(s\/|\$)?\s*(\d[\d,]*(?:\.\d+)?)\s*(soles|dolares|usd|pen)?/);
+        if (amountMatch) {
+            params.amount = parseFloat(amountMatch[2].replace(/,/g, ''));
+            const currencyText = amountMatch[1] || amountMatch[3];
+            if (currencyText) {
+                params.currency = /s\/|sol|pen/.test(currencyText) ? 'PEN' : 'USD';
+            }
+        }
+
+        const accountsMatch = normalized.match(/\b(?:de|desde)\s+(.+?)\s+(?:a|al|hacia|para)\s+(.+)$/);
+        if (accountsMatch) {
+            params.fromText = accountsMatch[1].replace(/^(s\/|\$)?\s*\d[\d,.]*\s*/, '').trim() || null;
+            params.toText = accountsMatch[2].trim();
+        }
+
+        return params;
+    }
+
+    /**
+     * Accounts matching a description: every word must be in the account
+     * name, its budget name or be an alias of its type ("tarjeta" → credit card)
+     * @param {Array} accounts - Accounts with budgetName
+     * @param {string} text - "ahorro", "tarjeta visa", "ahorro dolares"
+     * @returns {Array} Matching accounts
+     */
+    static findAccounts(accounts, text) {
+        const words = normalizeAccents(text.toLowerCase())
+            .split(/\s+/)
+            .filter(word => word && !IGNORED_WORDS.has(word));
+        if (words.length === 0) {
+            return [];
+        }
+
+        return accounts.filter(account => {
+            const haystack = normalizeAccents(`${account.name} ${account.budgetName}`.toLowerCase());
+            return words.every(word =>
+                haystack.includes(word) || (TYPE_ALIASES[word] || []).includes(account.type)
+            );
+        });
+    }
+
+    /**
+     * Start the flow
+     */
+    async onStart(message) {
+        console.log(`🔄 Starting TransferFlow for ${this.userId}`);
+
+        Object.assign(this.state.data, TransferFlow.extractParams(message));
+
+        try {
+            this.state.data.accounts = await this._loadAccounts();
+        } catch (error) {
+            console.error('Error loading accounts for transfer:', error);
+            this.state.step = 'complete';
+            return `❌ Error obteniendo cuentas: ${error.message}`;
+        }
+
+        this._resolveAccounts();
+        return await this._next();
+    }
+
+    /**
+     * Handle user messages during flow
+     */
+    async onMessage(message) {
+        // Check for common commands
+        const commonResponse = this.handleCommonCommands(message);
+        if (commonResponse) {
+            return commonResponse;
+        }
+
+        switch (this.state.step) {
+            case 'select_from':
+            case 'select_to':
+                return await this._handleAccountSelection(message);
+
+            case 'ask_amount':
+                return await this._handleAmount(message);
+
+            case 'confirm':
+                return await this._handleConfirmation(message);
+
+            default:
+                return '❌ Estado inválido. Escribe "cancelar" para salir.';
+        }
+    }
+
+    /**
+     * Open accounts of the budgets that allow manual transactions
+     * @private
+     */
+    async _loadAccounts() {
+        const budgets = await ynabService.getBudgets();
+        const accounts = [];
+
+        for (const budget of budgets.filter(b => ynabService.isBudgetAllowedForCreation(b.name))) {
+            const { budgetId, accounts: budgetAccounts } = await ynabService.getAccounts(budget.name);
+            const format = await currencyService.getBudgetFormat(budgetId);
+
+            budgetAccounts
+                .filter(acc => !acc.closed && !acc.deleted)
+                .forEach(acc => accounts.push({
+                    id: acc.id,
+                    name: acc.name,
+                    type: acc.type,
+                    balance: acc.balance,
+                    transfer_payee_id: acc.transfer_payee_id,
+                    budgetId,
+                    budgetName: budget.name,
+                    format
+                }));
+        }
+
+        return accounts;
+    }
+
+    /**
+     * Pick the accounts named in the message when they are unambiguous
+     * "de ahorro a tarjeta" matches savings in two budgets, but only one
+     * budget has both: that pair wins.
+     * @private
+     */
+    _resolveAccounts() {
+        const { accounts, fromText, toText, currency } = this.state.data;
+
+        let fromCandidates = fromText ? TransferFlow.findAccounts(accounts, fromText) : [];
+        const toCandidates = toText ? TransferFlow.findAccounts(accounts, toText) : [];
+
+        // "S/500" hints the source budget, unless no source uses that currency
+        const sameCurrency = fromCandidates.filter(acc => acc.format.iso_code === currency);
+        if (currency && sameCurrency.length > 0) {
+            fromCandidates = sameCurrency;
+        }
+
+        const samePairs = [];
+        fromCandidates.forEach(from => toCandidates.forEach(to => {
+            if (from.id !== to.id && from.budgetId === to.budgetId) {
+                samePairs.push([from, to]);
+            }
+        }));
+
+        if (samePairs.length === 1) {
+            [this.state.data.from, this.state.data.to] = samePairs[0];
+            return;
+        }
+
+        if (fromCandidates.length === 1) {
+            this.state.data.from = fromCandidates[0];
+        }
+
+        const toOptions = toCandidates.filter(acc => !this.state.data.from || acc.id !== this.state.data.from.id);
+        if (this.state.data.from && toOptions.length === 1) {
+            this.state.data.to = toOptions[0];
+        }
+
+        this.state.data.fromCandidates = fromCandidates;
+        this.state.data.toCandidates = toOptions;
+    }
+
+    /**
+     * Ask for whatever is missing, then confirm
+     * @private
+     */
+    async _next() {
+        const { from, to, amount, accounts } = this.state.data;
+
+        if (accounts.length < 2) {
+            this.state.step = 'complete';
+            return '❌ Necesitas al menos 2 cuentas en presupuestos BCP para transferir.';
+        }
+
+        if (!from) {
+            const candidates = this.state.data.fromCandidates || [];
+            return this._askAccount('select_from', '📤 *¿Desde qué cuenta sale el dinero?*', candidates.length > 1 ? candidates : accounts);
+        }
+
+        if (!to) {
+            const candidates = (this.state.data.toCandidates || []).filter(acc => acc.id !== from.id);
+            const options = candidates.length > 1 ? candidates : accounts.filter(acc => acc.id !== from.id);
+            // Same budget first: the usual case is paying a card from checking
+            options.sort((a, b) => (b.budgetId === from.budgetId) - (a.budgetId === from.budgetId));
+            return this._askAccount('select_to', `📥 *¿A qué cuenta va el dinero?* (desde ${from.name})`, options);
+        }
+
+        if (!amount) {
+            this.state.step = 'ask_amount';
+            return `💵 ¿Cuánto transfieres de ${from.name} a ${to.name}?`;
+        }
+
+        if (from.budgetId !== to.budgetId && this.state.data.rate === null) {
+            try {
+                this.state.data.rate = await currencyService.convert(1, from.format.iso_code, to.format.iso_code);
+            } catch (error) {
+                this.state.step = 'complete';
+                return `❌ ${error.message}`;
+            }
+        }
+
+        return this._confirm();
+    }
+
+    /**
+     * @private
+     */
+    _askAccount(step, title, options) {
+        this.state.step = step;
+        this.state.data.choices = options;
+
+        let message = `${title}\n\n`;
+        options.forEach((account, index) => {
+            message += `${index + 1}. ${account.name} (${account.budgetName}): ${currencyService.format(account.balance / 1000, account.format)}\n`;
+        });
+        message += `\nEscribe el número de la cuenta.`;
+
+        return message;
+    }
+
+    /**
+     * Handle account selection
+     */
+    async _handleAccountSelection(message) {
+        const { choices } = this.state.data;
+        const selection = parseInt(message.trim()) - 1;
+
+        let account = !isNaN(selection) ? choices[selection] : null;
+        if (!account && isNaN(selection)) {
+            const matches = TransferFlow.findAccounts(choices, message);
+            account = matches.length === 1 ? matches[0] : null;
+        }
+
+        if (!account) {
+            return '❌ Selección inválida. Escribe el número de la cuenta.';
+        }
+
+        if (this.state.step === 'select_from') {
+            this.state.data.from = account;
+            if (this.state.data.to && this.state.data.to.id === account.id) {
+                this.state.data.to = null;
+            }
+        } else {
+            this.state.data.to = account;
+        }
+
+        return await this._next();
+    }
+
+    /**
+     * Handle amount input
+     */
+    async _handleAmount(message) {
+        const { amount, currency } = TransferFlow.extractParams(message);
+
+        if (!amount || amount <= 0) {
+            return '❌ Monto inválido. Escribe un número (Ej: 500)';
+        }
+
+        this.state.data.amount = amount;
+        this.state.data.currency = currency || null;
+        return await this._next();
+    }
+
+    /**
+     * Amounts that leave and arrive, in each account's currency
+     * The typed amount is in the source currency, unless the user wrote the
+     * target currency ("$100 de ahorro soles a ahorro dólares").
+     * @private
+     */
+    _amounts() {
+        const { from, to, amount, currency, rate } = this.state.data;
+
+        if (from.budgetId === to.budgetId) {
+            return { sent: amount, received: amount };
+        }
+
+        const inTargetCurrency = currency && currency === to.format.iso_code && currency !== from.format.iso_code;
+        const sent = inTargetCurrency ? Math.round(amount / rate * 100) / 100 : amount;
+        const received = inTargetCurrency ? amount : Math.round(amount * rate * 100) / 100;
+
+        return { sent, received };
+    }
+
+    /**
+     * "1 USD = 3.75 PEN" (always quoted so the number is above 1)
+     * @private
+     */
+    _rateLabel() {
+        const { from, to, rate } = this.state.data;
+        return rate >= 1
+            ? `1 ${from.format.iso_code} = ${Number(rate.toFixed(4))} ${to.format.iso_code}`
+            : `1 ${to.format.iso_code} = ${Number((1 / rate).toFixed(4))} ${from.format.iso_code}`;
+    }
+
+    /**
+     * Show confirmation
+     * @private
+     */
+    _confirm() {
+        this.state.step = 'confirm';
+        const { from, to } = this.state.data;
+        const { sent, received } = this._amounts();
+
+        let message = `🔄 *Confirmar Transferencia*\n\n`;
+
+        if (from.budgetId === to.budgetId) {
+            message += `📤 De: ${from.name}\n`;
+            message += `📥 A: ${to.name}\n`;
+            message += `💵 Monto: ${currencyService.format(sent, from.format)}\n`;
+            message += `📊 Presupuesto: ${from.budgetName}\n`;
+            message += `\n¿Confirmar? (sí/no)`;
+            return message;
+        }
+
+        message += `📤 De: ${from.name} (${from.budgetName}): -${currencyService.format(sent, from.format)}\n`;
+        message += `📥 A: ${to.name} (${to.budgetName}): +${currencyService.format(received, to.format)}\n`;
+        message += `💱 Tipo de cambio: ${this._rateLabel()}\n\n`;
+        message += `ℹ️ Son presupuestos distintos: se registran una salida y una entrada enlazadas por la nota.\n`;
+        message += `💡 Escribe "tc 3.80" para usar otro tipo de cambio.\n`;
+        message += `\n¿Confirmar? (sí/no)`;
+
+        return message;
+    }
+
+    /**
+     * Handle confirmation (or a new exchange rate)
+     */
+    async _handleConfirmation(message) {
+        const normalized = message.trim().toLowerCase();
+        const { from, to } = this.state.data;
+
+        const rateMatch = normalized.match(/^(?:tc|tipo de cambio)\s+(\d+(?:[.,]\d+)?)$/);
+        if (rateMatch && from.budgetId !== to.budgetId) {
+            const value = parseFloat(rateMatch[1].replace(',', '.'));
+            if (!(value > 0)) {
+                return '❌ Tipo de cambio inválido. Ej: tc 3.80';
+            }
+            // Same direction as the label shown ("1 USD = 3.75 PEN")
+            this.state.data.rate = this.state.data.rate >= 1 ? value : 1 / value;
+            return this._confirm();
+        }
+
+        if (normalized === 'no') {
+            this.state.step = 'cancelled';
+            return '❌ Transferencia cancelada.';
+        }
+
+        if (normalized !== 'sí' && normalized !== 'si' && normalized !== 'yes') {
+            return '¿Confirmar? Escribe "sí" o "no".';
+        }
+
+        try {
+            const response = from.budgetId === to.budgetId
+                ? await this._createTransfer()
+                : await this._createCrossBudgetTransfer();
+
+            this.state.step = 'complete';
+            return response;
+        } catch (error) {
+            console.error('Error creating transfer:', error);
+            this.state.step = 'complete';
+            return `❌ Error creando la transferencia: ${error.message}`;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _createTransfer() {
+        const { from, to } = this.state.data;
+        const { sent } = this._amounts();
+
+        await ynabService.createTransfer(from.budgetId, from.id, to, sent, null);
+
+        return `✅ *Transferencia registrada*\n\n` +
+            `📤 ${from.name} → 📥 ${to.name}\n` +
+            `💵 ${currencyService.format(sent, from.format)}`;
+    }
+
+    /**
+     * Outflow and inflow in two budgets, linked by the same memo
+     * @private
+     */
+    async _createCrossBudgetTransfer() {
+        const { from, to } = this.state.data;
+        const { sent, received } = this._amounts();
+        const reference = `TRF-${Date.now().toString(36).toUpperCase()}`;
+        const memo = `${reference} ${from.name} → ${to.name}: ` +
+            `${currencyService.format(sent, from.format)} → ${currencyService.format(received, to.format)} (TC ${this._rateLabel()})`;
+
+        await ynabService.createTransaction(from.budgetId, from.id, -sent, `Transferencia a ${to.name}`, null, memo);
+
+        try {
+            await ynabService.createTransaction(to.budgetId, to.id, received, `Transferencia de ${from.name}`, null, memo);
+        } catch (error) {
+            console.error('Error creating transfer inflow:', error);
+            return `⚠️ Se registró la salida en ${from.name}, pero falló la entrada en ${to.name}: ${error.message}\n\n` +
+                `Regístrala a mano en ${to.budgetName} con la nota "${reference}".`;
+        }
+
+        return `✅ *Transferencia registrada*\n\n` +
+            `📤 ${from.name} (${from.budgetName}): -${currencyService.format(sent, from.format)}\n` +
+            `📥 ${to.name} (${to.budgetName}): +${currencyService.format(received, to.format)}\n` +
+            `💱 ${this._rateLabel()}\n` +
+            `🔗 Nota: ${reference}`;
+    }
+
+    /**
+     * Get help for this flow
+     */
+    getHelp() {
+        return `💡 *Ayuda - Transferencias*
+
+Puedes decir:
+- "Transferí 500 de ahorro a tarjeta"
+- "Transferir S/200 de corriente a visa"
+- "Transferí 375 de ahorro soles a ahorro dólares" (entre presupuestos)
+
+Escribe "cancelar" para salir.`;
+    }
+}
+
+module.exports = TransferFlow;
@@ -3,10 +3,18 @@
  *
  * Shows account balances from YNAB budgets.
  * Replaces executeClaudeBalances with direct implementation.
+ * "próximos 7 días" adds a cash-flow preview: balances minus the scheduled
+ * outflows due in that window.
+ * Amounts use each budget's currency; the all-budgets summary adds a net
+ * worth converted to the user's home currency.
  */
 
 const BaseFlow = require('./BaseFlow');
 const ynabService = require('../services/ynab-service');
+const currencyService = require('../services/currency-service');
+
+// Window of the cash-flow preview when the user does not give one
+const DEFAULT_PROJECTION_DAYS = 7;
 
 class ViewBalanceFlow extends BaseFlow {
     constructor(userId) {
@@ -16,7 +24,8 @@ class ViewBalanceFlow extends BaseFlow {
             step: 'start',
             data: {
                 budgetName: null,
-                accountFilter: null
+                accountFilter: null,
+                projectionDays: null
             }
         };
     }
@@ -29,7 +38,9 @@ class ViewBalanceFlow extends BaseFlow {
             /\b(show|view|see|ver|mostrar|dame)\s+(balance|saldo|cuenta)/i,
             /\b(balance|saldo|cuenta)s?\s+(for|from|de|en)\b/i,
             /\b(cu[aá]nto\s+(tengo|hay|queda)|how\s+much)/i,
-            /\bcheck\s+(balance|account)/i
+            /\bcheck\s+(balance|account)/i,
+            /\bpr[oó]xim[oa]s\s+\d+\s+d[ií]as\b/i,
+            /\b(proyecci[oó]n|flujo\s+de\s+caja|cash\s*flow)\b/i
         ];
         return patterns.some(pattern => pattern.test(messageText));
     }
@@ -49,6 +60,12 @@ class ViewBalanceFlow extends BaseFlow {
             params.budgetName = 'USA BANKS';
         }
 
+        // Cash-flow preview ("próximos 7 días", "proyección")
+        const projectionDays = ViewBalanceFlow.extractProjectionDays(message);
+        if (projectionDays) {
+            params.projectionDays = projectionDays;
+        }
+
         // Extract account name/filter
         const accountMatch = message.match(/\b(from|de|en|for|in)\s+([A-Z][A-Za-z0-9\s]+)/);
         if (accountMatch) {
@@ -58,6 +75,20 @@ class ViewBalanceFlow extends BaseFlow {
         return params;
     }
 
+    /**
+     * Days of the cash-flow preview requested in a message
+     * @param {string} message - User message
+     * @returns {number|null} Days, or null if no preview was asked for
+     */
+    static extractProjectionDays(message) {
+        const daysMatch = message.match(/\bpr[oó]xim[oa]s\s+(\d+)\s+d[ií]as\b/i);
+        if (daysMatch) {
+            return Math.min(parseInt(daysMatch[1], 10), 90) || DEFAULT_PROJECTION_DAYS;
+        }
+
+        return /\b(proyecci[oó]n|flujo\s+de\s+caja|cash\s*flow)\b/i.test(message) ? DEFAULT_PROJECTION_DAYS : null;
+    }
+
     /**
      * Start the flow
      */
@@ -92,10 +123,18 @@ class ViewBalanceFlow extends BaseFlow {
             case 'select_budget':
                 return await this._handleBudgetSelection(message);
 
-            case 'showing_balances':
+            case 'showing_balances': {
+                // Follow-up cash-flow preview on the balances just shown
+                const projectionDays = ViewBalanceFlow.extractProjectionDays(message);
+                if (projectionDays) {
+                    this.state.data.projectionDays = projectionDays;
+                    return await this._showBalances();
+                }
+
                 // After showing balances, complete flow
                 this.state.step = 'complete';
                 return '✅ Listo. Escribe otra consulta cuando quieras.';
+            }
 
             default:
                 return '❌ Estado inválido. Escribe "cancelar" para salir.';
@@ -151,19 +190,41 @@ Escribe el número o nombre del presupuesto.`;
     async _showAllBudgets() {
         try {
             const budgets = await ynabService.getBudgets();
+            const homeCurrency = await currencyService.getHomeCurrency(this.userId);
+            const homeFormat = await currencyService.getFormatFor(homeCurrency);
 
             let message = `💰 *Resumen de Todos los Presupuestos*\n\n`;
+            let netWorth = 0;
+            const missingRates = [];
 
             for (const budget of budgets) {
                 const { accounts } = await ynabService.getAccounts(budget.name);
+                const format = await currencyService.getBudgetFormat(budget.id);
 
-                const totalBalance = accounts.reduce((sum, acc) => sum + acc.balance, 0);
-                const balanceStr = (totalBalance / 1000).toFixed(2);
+                const totalBalance = accounts.reduce((sum, acc) => sum + acc.balance, 0) / 1000;
 
                 message += `📊 *${budget.name}*\n`;
-                message += `   Saldo Total: ${balanceStr}\n`;
-                message += `   Cuentas: ${accounts.length}\n\n`;
+                message += `   Saldo Total: ${currencyService.format(totalBalance, format)}`;
+
+                try {
+                    const converted = await currencyService.convert(totalBalance, format.iso_code || homeCurrency, homeCurrency);
+                    netWorth += converted;
+                    if (format.iso_code && format.iso_code !== homeCurrency) {
+                        message += ` (≈ ${currencyService.format(converted, homeFormat)})`;
+                    }
+                } catch (error) {
+                    missingRates.push(budget.name);
+                }
+
+                message += `\n   Cuentas: ${accounts.length}\n\n`;
+            }
+
+            message += `━━━━━━━━━━━━━━━━\n`;
+            message += `🌎 *Patrimonio neto:* ${currencyService.format(netWorth, homeFormat)} (${homeCurrency})`;
+            if (missingRates.length > 0) {
+                message += `\n⚠️ Sin tipo de cambio, no incluye: ${missingRates.join(', ')}. Usa /tipocambio`;
             }
+            message += `\n💡 Usa /moneda USD o /moneda PEN para cambiar la moneda del total.`;
 
             this.state.step = 'complete';
             return message;
@@ -206,6 +267,7 @@ Escribe el número o nombre del presupuesto.`;
 
             // Calculate total balance
             const totalBalance = filteredAccounts.reduce((sum, acc) => sum + acc.balance, 0);
+            const format = await currencyService.getBudgetFormat(budgetId);
 
             // Format output
             let message = `💰 *Balances - ${budgetName}*\n\n`;
@@ -217,7 +279,7 @@ Escribe el número o nombre del presupuesto.`;
                 if (accs.length > 0) {
                     message += `📁 *${type}*\n`;
                     accs.forEach(account => {
-                        const balance = (account.balance / 1000).toFixed(2);
+                        const balance = currencyService.format(account.balance / 1000, format);
                         const balanceEmoji = account.balance >= 0 ? '💚' : '🔴';
                         message += `   ${balanceEmoji} ${account.name}: ${balance}\n`;
                     });
@@ -225,11 +287,17 @@ Escribe el número o nombre del presupuesto.`;
                 }
             }
 
-            const totalStr = (totalBalance / 1000).toFixed(2);
+            const totalStr = currencyService.format(totalBalance / 1000, format);
             message += `━━━━━━━━━━━━━━━━\n`;
             message += `💵 *Total:* ${totalStr}\n`;
             message += `📊 *Cuentas:* ${filteredAccounts.length}`;
 
+            if (this.state.data.projectionDays) {
+                message += `\n\n` + await this._formatProjection(budgetId, filteredAccounts, this.state.data.projectionDays);
+            } else {
+                message += `\n\n💡 Escribe "próximos 7 días" para ver el saldo después de tus pagos programados.`;
+            }
+
             this.state.step = 'showing_balances';
             return message;
         } catch (error) {
@@ -239,6 +307,43 @@ Escribe el número o nombre del presupuesto.`;
         }
     }
 
+    /**
+     * Cash-flow preview: scheduled outflows of the next days and the balance left
+     * Scheduled inflows are not counted; a late paycheck should not hide a shortfall.
+     */
+    async _formatProjection(budgetId, accounts, days) {
+        const upcoming = await ynabService.getUpcomingScheduled(budgetId, days);
+        const format = await currencyService.getBudgetFormat(budgetId);
+        const accountIds = new Set(accounts.map(acc => acc.id));
+        const outflows = upcoming.filter(st => st.amount < 0 && accountIds.has(st.account_id));
+
+        let message = `📅 *Próximos ${days} días* (pagos programados)\n`;
+
+        if (outflows.length === 0) {
+            return message + `✅ No hay pagos programados en estas cuentas.`;
+        }
+
+        const spentByAccount = {};
+        outflows.forEach(st => {
+            message += `   • ${st.date} ${st.payee_name}: ${currencyService.format(st.amount / 1000, format)} (${st.account_name})\n`;
+            spentByAccount[st.account_id] = (spentByAccount[st.account_id] || 0) + st.amount;
+        });
+
+        message += `\n💧 *Saldo proyectado*\n`;
+        accounts
+            .filter(acc => spentByAccount[acc.id])
+            .forEach(acc => {
+                const projected = acc.balance + spentByAccount[acc.id];
+                const emoji = projected >= 0 ? '💚' : '🔴';
+                message += `   ${emoji} ${acc.name}: ${currencyService.format(acc.balance / 1000, format)} → ${currencyService.format(projected / 1000, format)}\n`;
+            });
+
+        const totalProjected = accounts.reduce((sum, acc) => sum + acc.balance + (spentByAccount[acc.id] || 0), 0);
+        message += `💵 *Total proyectado:* ${currencyService.format(totalProjected / 1000, format)}`;
+
+        return message;
+    }
+
     /**
      * Group accounts by type
      */
@@ -281,6 +386,7 @@ Puedes decir:
 - "Saldo de BCP SOLES"
 - "Cuánto tengo en USA BANKS"
 - "Balance de CHASE"
+- "Saldo de BCP SOLES próximos 7 días" (descuenta pagos programados)
 
 O seguir el flujo paso a paso.
 
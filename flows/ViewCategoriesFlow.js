@@ -0,0 +1,350 @@
+/**
+ * ViewCategoriesFlow - Budget month view and assigning money
+ *
+ * Shows the current month's category table (assigned, spent, available) and
+ * Ready to Assign, and moves assigned money between categories:
+ *   "mueve 50 de Restaurantes a Supermercado"
+ *   "asigna 100 a Groceries"
+ * Warns when Ready to Assign is negative (more money assigned than available).
+ */
+
+const BaseFlow = require('./BaseFlow');
+const ynabService = require('../services/ynab-service');
+const categoryBudget = require('../services/category-budget');
+
+// TODO: Inject anthropic client
+let anthropicClient = null;
+
+class ViewCategoriesFlow extends BaseFlow {
+    constructor(userId, options = {}) {
+        super(userId);
+        this.intent = 'view_categories';
+        this.state = {
+            step: 'start',
+            data: {
+                budgetName: null,
+                budgetId: null,
+                command: null,
+                pending: null
+            }
+        };
+
+        if (options.anthropicClient) {
+            this.anthropicClient = options.anthropicClient;
+        }
+    }
+
+    /**
+     * Set global anthropic client
+     */
+    static setAnthropicClient(client) {
+        anthropicClient = client;
+    }
+
+    /**
+     * Check if message matches category budget intent
+     */
+    static matches(messageText) {
+        const patterns = [
+            /\b(show|view|see|ver|mostrar|dame)\s+(las\s+|mis\s+)?(categor[ií]as|categories)\b/i,
+            /\bpresupuesto\s+del\s+mes\b/i,
+            /\b(ready\s+to\s+assign|por\s+asignar)\b/i
+        ];
+        return patterns.some(pattern => pattern.test(messageText)) ||
+            ViewCategoriesFlow.parseCommand(messageText) !== null;
+    }
+
+    /**
+     * Extract parameters from message
+     */
+    static extractParams(message) {
+        const params = {};
+        const lower = message.toLowerCase();
+
+        if (lower.includes('bcp soles')) {
+            params.budgetName = 'BCP SOLES';
+        } else if (lower.includes('bcp dolares') || lower.includes('bcp dólares')) {
+            params.budgetName = 'BCP DOLARES';
+        } else if (lower.includes('usa')) {
+            params.budgetName = 'USA BANKS';
+        }
+
+        const command = ViewCategoriesFlow.parseCommand(message);
+        if (command) {
+            params.command = command;
+        }
+
+        return params;
+    }
+
+    /**
+     * Parse a move/assign command
+     * "mueve 50 de Restaurantes a Supermercado" → { action: 'move', amount: 50, from: 'Restaurantes', to: 'Supermercado' }
+     * "asigna 100 a Groceries"                  → { action: 'assign', amount: 100, from: null, to: 'Groceries' }
+     * @param {string} text - User message
+     * @returns {Object|null} Command, or null if the message is not one
+     */
+    static parseCommand(text) {
+        // A trailing budget name is not part of the category
+        const clean = text.trim().replace(/\s+(?:en|in|del?)\s+(?:bcp\s+soles|bcp\s+d[oó]lares|usa\s+banks?)\s*$/i, '');
+        const amountPattern = '(?:s\\/|\\$)?\\s*([\\d,]+(?:\\.\\d+)?)';
+
+        const moveMatch = clean.match(new RegExp(
+            `\\b(?:mueve|mover|muevo|pasa|pasar|move)\\s+${amountPattern}\\s+(?:de|desde|from)\\s+(.+?)\\s+(?:a|al|hacia|to)\\s+(.+)$`, 'i'
+        ));
+        if (moveMatch) {
+            return {
+                action: 'move',
+                amount: parseFloat(moveMatch[1].replace(/,/g, '')),
+                from: moveMatch[2].trim(),
+                to: moveMatch[3].trim()
+            };
+        }
+
+        const assignMatch = clean.match(new RegExp(
+            `\\b(?:asigna|asignar|asigno|assign)\\s+${amountPattern}\\s+(?:a|al|en|to)\\s+(.+)$`, 'i'
+        ));
+        if (assignMatch) {
+            return {
+                action: 'assign',
+                amount: parseFloat(assignMatch[1].replace(/,/g, '')),
+                from: null,
+                to: assignMatch[2].trim()
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Start the flow
+     */
+    async onStart(message) {
+        console.log(`📊 Starting ViewCategoriesFlow for ${this.userId}`);
+
+        const extracted = ViewCategoriesFlow.extractParams(message);
+        Object.assign(this.state.data, extracted);
+
+        if (!this.state.data.budgetName) {
+            this.state.step = 'select_budget';
+            return this._askForBudget();
+        }
+
+        return await this._continue();
+    }
+
+    /**
+     * Handle user messages during flow
+     */
+    async onMessage(message) {
+        // Check for common commands
+        const commonResponse = this.handleCommonCommands(message);
+        if (commonResponse) {
+            return commonResponse;
+        }
+
+        switch (this.state.step) {
+            case 'select_budget':
+                return await this._handleBudgetSelection(message);
+
+            case 'showing_categories': {
+                // Follow-up move/assign on the table just shown
+                const command = ViewCategoriesFlow.parseCommand(message);
+                if (command) {
+                    this.state.data.command = command;
+                    return await this._prepareCommand();
+                }
+                this.state.step = 'complete';
+                return '✅ Listo. Escribe otra consulta cuando quieras.';
+            }
+
+            case 'confirm':
+                return await this._handleConfirmation(message);
+
+            default:
+                return '❌ Estado inválido. Escribe "cancelar" para salir.';
+        }
+    }
+
+    /**
+     * Ask for budget
+     */
+    _askForBudget() {
+        return `📊 *Presupuesto del Mes*
+
+¿De qué presupuesto?
+
+1. BCP SOLES
+2. BCP DOLARES
+3. USA BANKS
+
+Escribe el número o nombre del presupuesto.`;
+    }
+
+    /**
+     * Handle budget selection
+     */
+    async _handleBudgetSelection(message) {
+        const normalized = message.trim().toLowerCase();
+
+        let budgetName = null;
+        if (normalized === '1' || normalized.includes('bcp soles')) {
+            budgetName = 'BCP SOLES';
+        } else if (normalized === '2' || normalized.includes('bcp dolares') || normalized.includes('bcp dólares')) {
+            budgetName = 'BCP DOLARES';
+        } else if (normalized === '3' || normalized.includes('usa')) {
+            budgetName = 'USA BANKS';
+        }
+
+        if (!budgetName) {
+            return '❌ Opción inválida. Escribe 1, 2 o 3.';
+        }
+
+        this.state.data.budgetName = budgetName;
+        return await this._continue();
+    }
+
+    /**
+     * Run the command from the first message, or show the table
+     */
+    async _continue() {
+        return this.state.data.command
+            ? await this._prepareCommand()
+            : await this._showCategories();
+    }
+
+    /**
+     * Load the current month of the selected budget
+     */
+    async _loadMonth() {
+        if (!this.state.data.budgetId) {
+            const { budgetId } = await ynabService.getAccounts(this.state.data.budgetName);
+            this.state.data.budgetId = budgetId;
+        }
+        return await ynabService.getMonth(this.state.data.budgetId);
+    }
+
+    /**
+     * Show the category table
+     * @param {string} prefix - Message shown before the table (e.g. a confirmation)
+     */
+    async _showCategories(prefix = '') {
+        try {
+            const month = await this._loadMonth();
+
+            let message = prefix + categoryBudget.formatMonth(this.state.data.budgetName, month);
+            message += `\n\n💡 Puedes escribir:\n`;
+            message += `• "mueve 50 de Restaurants a Groceries"\n`;
+            message += `• "asigna 100 a Groceries"`;
+
+            this.state.step = 'showing_categories';
+            return message;
+        } catch (error) {
+            console.error('Error showing categories:', error);
+            this.state.step = 'complete';
+            return `❌ Error obteniendo categorías: ${error.message}`;
+        }
+    }
+
+    /**
+     * Resolve the categories of a move/assign command and ask for confirmation
+     */
+    async _prepareCommand() {
+        try {
+            const { command, budgetName } = this.state.data;
+            const month = await this._loadMonth();
+            const categories = categoryBudget.visibleCategories(month);
+
+            if (!(command.amount > 0)) {
+                this.state.step = 'showing_categories';
+                return '❌ El monto debe ser mayor a 0.';
+            }
+
+            const client = this.anthropicClient || anthropicClient;
+            const source = command.from
+                ? await categoryBudget.resolveCategory(categories, command.from, client)
+                : { id: null, name: 'Por asignar' };
+            const target = await categoryBudget.resolveCategory(categories, command.to, client);
+
+            const missing = !source ? command.from : (!target ? command.to : null);
+            if (missing) {
+                this.state.step = 'showing_categories';
+                return `❌ No encontré la categoría "${missing}" en ${budgetName}.\n\n` +
+                    `Categorías: ${categories.map(c => c.name).join(', ')}\n\n` +
+                    `Escribe el comando de nuevo o "cancelar".`;
+            }
+
+            if (source.id === target.id) {
+                this.state.step = 'showing_categories';
+                return '❌ El origen y el destino son la misma categoría.';
+            }
+
+            this.state.data.pending = {
+                amount: command.amount,
+                fromId: source.id,
+                fromName: source.name,
+                toId: target.id,
+                toName: target.name
+            };
+            this.state.step = 'confirm';
+
+            return categoryBudget.formatMoveConfirmation(month, source, target, command.amount);
+        } catch (error) {
+            console.error('Error preparing budget move:', error);
+            this.state.step = 'complete';
+            return `❌ Error obteniendo categorías: ${error.message}`;
+        }
+    }
+
+    /**
+     * Handle move confirmation
+     */
+    async _handleConfirmation(message) {
+        const normalized = message.trim().toLowerCase();
+
+        if (['no', 'n', 'cancelar'].includes(normalized)) {
+            this.state.data.pending = null;
+            this.state.step = 'complete';
+            return '❌ Movimiento cancelado. No se cambió nada.';
+        }
+
+        if (!['sí', 'si', 's', 'yes', 'y', 'ok'].includes(normalized)) {
+            return '❓ Responde "sí" para confirmar o "no" para cancelar.';
+        }
+
+        const { budgetId, pending } = this.state.data;
+
+        try {
+            await ynabService.moveCategoryBudget(budgetId, pending.fromId, pending.toId, pending.amount);
+
+            this.state.data.command = null;
+            this.state.data.pending = null;
+
+            return await this._showCategories(
+                `✅ Movido ${pending.amount.toFixed(2)} de ${pending.fromName} a ${pending.toName}\n\n`
+            );
+        } catch (error) {
+            console.error('Error moving budget:', error);
+            this.state.step = 'complete';
+            return `❌ Error moviendo dinero: ${error.message}`;
+        }
+    }
+
+    /**
+     * Get help for this flow
+     */
+    getHelp() {
+        return `💡 *Ayuda - Presupuesto del Mes*
+
+Puedes decir:
+- "Ver categorías de BCP SOLES"
+- "Presupuesto del mes"
+- "Mueve 50 de Restaurants a Groceries"
+- "Asigna 100 a Groceries"
+- "Mueve 40 de Dining Out a por asignar"
+
+Escribe "cancelar" para salir.`;
+    }
+}
+
+module.exports = ViewCategoriesFlow;
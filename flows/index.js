@@ -6,6 +6,7 @@
  */
 
 const BaseFlow = require('./BaseFlow');
+const BaseDocumentFlow = require('./BaseDocumentFlow');
 const flowState = require('./state');
 
 // Import flow implementations
@@ -14,7 +15,12 @@ const ViewTransactionsFlow = require('./ViewTransactionsFlow');
 const ViewBalanceFlow = require('./ViewBalanceFlow');
 const ProcessPDFFlow = require('./ProcessPDFFlow');
 const ProcessImageFlow = require('./ProcessImageFlow');
+const ProcessStatementFileFlow = require('./ProcessStatementFileFlow');
 const CategorizeTransactionsFlow = require('./CategorizeTransactionsFlow');
+const ViewCategoriesFlow = require('./ViewCategoriesFlow');
+const ScheduledTransactionsFlow = require('./ScheduledTransactionsFlow');
+const TransferFlow = require('./TransferFlow');
+const ReconcileAccountFlow = require('./ReconcileAccountFlow');
 
 // Import child flows
 const SelectCategoryFlow = require('./SelectCategoryFlow');
@@ -25,10 +31,15 @@ const SelectAccountFlow = require('./SelectAccountFlow');
  * Each flow must extend BaseFlow and implement static matches() method
  */
 const flowRegistry = [
+    ViewCategoriesFlow, // Before AddExpenseFlow: "mueve S/50 de X a Y" is not an expense
+    TransferFlow, // Before AddExpenseFlow: "transferí S/500 de ahorro a tarjeta" is not an expense
+    ReconcileAccountFlow, // Before AddExpenseFlow: "conciliar visa con 320" is not an expense
+    ScheduledTransactionsFlow, // Before AddExpenseFlow: "alquiler 1500 cada mes" is a recurring payment
     AddExpenseFlow,
     ViewTransactionsFlow,
     ViewBalanceFlow,
     ProcessPDFFlow,
+    ProcessStatementFileFlow,
     CategorizeTransactionsFlow,
 ];
 
@@ -76,8 +87,9 @@ function validateFlowRegistry() {
     return true;
 }
 
-// Export base class
+// Export base classes
 module.exports.BaseFlow = BaseFlow;
+module.exports.BaseDocumentFlow = BaseDocumentFlow;
 
 // Export flow classes
 module.exports.AddExpenseFlow = AddExpenseFlow;
@@ -85,7 +97,12 @@ module.exports.ViewTransactionsFlow = ViewTransactionsFlow;
 module.exports.ViewBalanceFlow = ViewBalanceFlow;
 module.exports.ProcessPDFFlow = ProcessPDFFlow;
 module.exports.ProcessImageFlow = ProcessImageFlow;
+module.exports.ProcessStatementFileFlow = ProcessStatementFileFlow;
 module.exports.CategorizeTransactionsFlow = CategorizeTransactionsFlow;
+module.exports.ViewCategoriesFlow = ViewCategoriesFlow;
+module.exports.ScheduledTransactionsFlow = ScheduledTransactionsFlow;
+module.exports.TransferFlow = TransferFlow;
+module.exports.ReconcileAccountFlow = ReconcileAccountFlow;
 
 // Export child flows
 module.exports.SelectCategoryFlow = SelectCategoryFlow;
@@ -20,7 +20,12 @@ const ViewTransactionsFlow = require('./ViewTransactionsFlow');
 const ViewBalanceFlow = require('./ViewBalanceFlow');
 const ProcessPDFFlow = require('./ProcessPDFFlow');
 const ProcessImageFlow = require('./ProcessImageFlow');
+const ProcessStatementFileFlow = require('./ProcessStatementFileFlow');
 const CategorizeTransactionsFlow = require('./CategorizeTransactionsFlow');
+const ViewCategoriesFlow = require('./ViewCategoriesFlow');
+const ScheduledTransactionsFlow = require('./ScheduledTransactionsFlow');
+const TransferFlow = require('./TransferFlow');
+const ReconcileAccountFlow = require('./ReconcileAccountFlow');
 
 // TODO: Inject anthropic client
 let anthropicClient = null;
@@ -40,6 +45,22 @@ function setAnthropicClient(client) {
  * @returns {Promise<string>} Response to user
  */
 async function handleIncomingMessage(userId, messageText, options = {}) {
+    const response = await routeMessage(userId, messageText, options);
+
+    // Save the flow's new state so the conversation survives a restart
+    await flowState.persistSession(userId);
+
+    return response;
+}
+
+/**
+ * Route a message through the 4 layers
+ * @param {string} userId - User ID
+ * @param {string} messageText - User message
+ * @param {Object} options - Additional options (document, media, etc.)
+ * @returns {Promise<string>} Response to user
+ */
+async function routeMessage(userId, messageText, options = {}) {
     console.log(`🔀 Routing message for ${userId}: "${messageText.substring(0, 50)}..."`);
 
     // ===== LAYER 1: ACTIVE FLOW CHECK =====
@@ -107,6 +128,10 @@ async function ruleBasedMatching(userId, messageText, options) {
 
     // Check each flow's matches() method
     const flowClasses = [
+        ViewCategoriesFlow, // Before AddExpenseFlow: "mueve S/50 de X a Y" is not an expense
+        TransferFlow, // Before AddExpenseFlow: "transferí S/500 de ahorro a tarjeta" is not an expense
+        ReconcileAccountFlow, // Before AddExpenseFlow: "conciliar visa con 320" is not an expense
+        ScheduledTransactionsFlow, // Before AddExpenseFlow: "alquiler 1500 cada mes" is a recurring payment
         AddExpenseFlow,
         ViewTransactionsFlow,
         ViewBalanceFlow,
@@ -131,6 +156,22 @@ async function ruleBasedMatching(userId, messageText, options) {
         }
     }
 
+    // Check for CSV/OFX/QFX upload (parsed locally, no Claude call)
+    if (options.isStatementFile && options.statementFile) {
+        console.log(`✅ Matched flow: ProcessStatementFileFlow (${options.statementFile.filename || 'file'})`);
+
+        const flowInstance = new ProcessStatementFileFlow(userId, {
+            anthropicClient: anthropicClient
+        });
+
+        flowInstance.setFile(options.statementFile);
+
+        flowState.startFlowForUser(userId, flowInstance);
+        const response = await flowInstance.onStart(messageText);
+
+        return response;
+    }
+
     // Check for PDF upload
     if (options.isPDF && options.pdfText) {
         console.log(`✅ Matched flow: ProcessPDFFlow (PDF upload)`);
@@ -139,7 +180,10 @@ async function ruleBasedMatching(userId, messageText, options) {
             anthropicClient: anthropicClient
         });
 
-        flowInstance.setPDFText(options.pdfText);
+        flowInstance.setPDFText(options.pdfText, options.pdfPages || null);
+        if (options.documentHash) {
+            flowInstance.setDocumentHash(options.documentHash);
+        }
 
         flowState.startFlowForUser(userId, flowInstance);
         const response = await flowInstance.onStart(messageText);
@@ -147,15 +191,22 @@ async function ruleBasedMatching(userId, messageText, options) {
         return response;
     }
 
-    // Check for Image upload
+    // Check for Image upload (or the pages of a scanned PDF)
     if (options.isImage && options.imageData) {
-        console.log(`✅ Matched flow: ProcessImageFlow (Image upload)`);
+        console.log(`✅ Matched flow: ProcessImageFlow (${options.images ? `${options.images.length} pages` : 'Image upload'})`);
 
         const flowInstance = new ProcessImageFlow(userId, {
             anthropicClient: anthropicClient
         });
 
-        flowInstance.setImageData(options.imageData);
+        if (options.images) {
+            flowInstance.setImages(options.images);
+        } else {
+            flowInstance.setImageData(options.imageData);
+        }
+        if (options.documentHash) {
+            flowInstance.setDocumentHash(options.documentHash);
+        }
 
         flowState.startFlowForUser(userId, flowInstance);
         const response = await flowInstance.onStart(messageText);
@@ -242,6 +293,26 @@ async function aiFallback(userId, messageText) {
                 flowState.startFlowForUser(userId, categorizeFlow);
                 return await categorizeFlow.onStart(messageText);
 
+            case 'view_categories':
+                const categoriesFlow = new ViewCategoriesFlow(userId, { anthropicClient });
+                flowState.startFlowForUser(userId, categoriesFlow);
+                return await categoriesFlow.onStart(messageText);
+
+            case 'scheduled_transactions':
+                const scheduledFlow = new ScheduledTransactionsFlow(userId, { anthropicClient });
+                flowState.startFlowForUser(userId, scheduledFlow);
+                return await scheduledFlow.onStart(messageText);
+
+            case 'transfer':
+                const transferFlow = new TransferFlow(userId, { anthropicClient });
+                flowState.startFlowForUser(userId, transferFlow);
+                return await transferFlow.onStart(messageText);
+
+            case 'reconcile_account':
+                const reconcileFlow = new ReconcileAccountFlow(userId, { anthropicClient });
+                flowState.startFlowForUser(userId, reconcileFlow);
+                return await reconcileFlow.onStart(messageText);
+
             case 'help':
                 return getHelpMessage();
 
@@ -266,6 +337,10 @@ async function detectIntentWithAI(messageText) {
 - view_transactions (user wants to see recent transactions)
 - view_balance (user wants to see account balances)
 - categorize_transactions (user wants to categorize pending transactions)
+- view_categories (user wants to see the month's category budget, Ready to Assign, or move/assign money between categories)
+- transfer (user wants to move money between their own accounts, e.g. pay a credit card from checking or move soles to dollars)
+- reconcile_account (user wants to reconcile an account or credit card against a bank statement balance)
+- scheduled_transactions (user wants to see, create, skip or edit scheduled/recurring payments)
 - help (user needs help)
 - unknown (doesn't match any intent)
 
@@ -307,14 +382,33 @@ function getHelpMessage() {
 💵 *Ver Balances*
 - "Ver balances"
 - "Saldo de BCP SOLES"
+- "Próximos 7 días" (saldo después de pagos programados)
 
 🏷️ *Categorizar Pendientes*
 - "Categorizar transacciones"
 - "Pendientes sin categoría"
 
+📋 *Presupuesto del Mes*
+- "Ver categorías"
+- "Mueve 50 de Restaurants a Groceries"
+- "Asigna 100 a Groceries"
+
+🔄 *Transferencias*
+- "Transferí 500 de ahorro a tarjeta"
+- "Transferí 375 de ahorro soles a ahorro dólares"
+
+🧾 *Conciliar Cuentas*
+- "Conciliar visa bcp"
+- "Conciliar cuenta corriente con 820.50"
+
+🔁 *Pagos Programados*
+- "Ver pagos programados"
+- "Alquiler 1500 cada mes el día 1"
+
 📄 *Procesar Documentos*
 - Envía un PDF de estado de cuenta
 - Envía una imagen de estado de cuenta
+- Envía el CSV, OFX o QFX exportado de tu banco
 
 *Comandos especiales:*
 /reset - Reiniciar sesión
@@ -3,14 +3,20 @@
  *
  * Manages active flow sessions for each user.
  * Handles flow lifecycle: start, message handling, completion, timeouts.
+ * Sessions are persisted through storage.js so they survive bot restarts.
  */
 
+const { storage } = require('../storage');
+
 // Session storage: userId -> { flowInstance, startTime, lastActivity }
 const sessionState = new Map();
 
 // Flow timeout configuration (30 minutes)
 const FLOW_TIMEOUT_MS = 30 * 60 * 1000;
 
+// Storage key prefix for persisted sessions
+const SESSION_KEY_PREFIX = 'flow:session:';
+
 /**
  * Get user's current flow session
  * @param {string} userId - User ID
@@ -124,6 +130,96 @@ function clearUserSession(userId) {
         console.log(`🧹 Clearing flow session for ${userId} (intent: ${session.flowInstance.intent})`);
     }
     sessionState.delete(userId);
+
+    storage.delete(SESSION_KEY_PREFIX + userId).catch(error => {
+        console.error(`❌ Error deleting persisted session for ${userId}:`, error.message);
+    });
+}
+
+/**
+ * Persist user's current flow session (or remove it if there is none)
+ * Called after every routed message, once the flow has updated its state.
+ * @param {string} userId - User ID
+ */
+async function persistSession(userId) {
+    const session = sessionState.get(userId);
+
+    try {
+        if (!session || session.flowInstance.isComplete()) {
+            await storage.delete(SESSION_KEY_PREFIX + userId);
+            return;
+        }
+
+        await storage.set(SESSION_KEY_PREFIX + userId, {
+            flow: session.flowInstance.toJSON(),
+            startTime: session.startTime,
+            lastActivity: session.lastActivity
+        }, Math.ceil(FLOW_TIMEOUT_MS / 1000));
+    } catch (error) {
+        // Losing persistence must never break the conversation itself
+        console.error(`❌ Error persisting flow session for ${userId}:`, error.message);
+    }
+}
+
+/**
+ * Rebuild a flow instance (and its child flow) from a snapshot
+ * @param {Object} snapshot - Snapshot from BaseFlow.toJSON()
+ * @param {Object} options - Constructor options (e.g. anthropicClient)
+ * @returns {BaseFlow} Restored flow
+ */
+function restoreFlow(snapshot, options = {}) {
+    // Lazy require: flows/index.js requires this module
+    const flows = require('./index');
+    const FlowClass = flows[snapshot.flowClass];
+
+    if (!FlowClass) {
+        throw new Error(`Unknown flow class "${snapshot.flowClass}"`);
+    }
+
+    const flow = FlowClass.fromJSON(snapshot, options);
+
+    if (snapshot.childFlow) {
+        flow.childFlow = restoreFlow(snapshot.childFlow, options);
+        flow.childFlow.parentFlow = flow;
+    }
+
+    return flow;
+}
+
+/**
+ * Load persisted sessions into memory (call once on startup)
+ * @param {Object} options - Flow constructor options (e.g. anthropicClient)
+ * @returns {Promise<number>} Number of sessions restored
+ */
+async function restoreSessions(options = {}) {
+    const keys = await storage.keys(SESSION_KEY_PREFIX + '*');
+    let restored = 0;
+
+    for (const key of keys) {
+        const userId = key.substring(SESSION_KEY_PREFIX.length);
+
+        try {
+            const saved = await storage.get(key);
+            if (!saved || Date.now() - saved.lastActivity > FLOW_TIMEOUT_MS) {
+                await storage.delete(key);
+                continue;
+            }
+
+            sessionState.set(userId, {
+                flowInstance: restoreFlow(saved.flow, options),
+                startTime: saved.startTime,
+                lastActivity: saved.lastActivity
+            });
+            restored++;
+
+            console.log(`♻️ Restored flow "${saved.flow.intent}" (${saved.flow.state.step}) for ${userId}`);
+        } catch (error) {
+            console.error(`❌ Could not restore flow session for ${userId}:`, error.message);
+            await storage.delete(key);
+        }
+    }
+
+    return restored;
 }
 
 /**
@@ -161,5 +257,7 @@ module.exports = {
     handleFlowMessage,
     clearUserSession,
     hasActiveFlow,
-    getAllSessions
+    getAllSessions,
+    persistSession,
+    restoreSessions
 };
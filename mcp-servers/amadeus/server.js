@@ -3,9 +3,16 @@
  *
  * Provides MCP tools for:
  * - Searching flights
- * - Booking flights (future)
+ * - Booking flights: price re-validation (Flight Offers Price), order
+ *   creation, retrieval and cancellation (Flight Create Orders / Flight Order Management)
  * - Getting flight details
  *
+ * Environment: AMADEUS_HOSTNAME=test uses the Amadeus test environment (orders
+ * are not ticketed); `initialize(key, secret, { host, port, ssl: false })`
+ * points the client at a local stand-in (tests/fake-amadeus-server.js).
+ * In production, creating and cancelling orders (real, billable tickets) also
+ * needs AMADEUS_ALLOW_PRODUCTION_BOOKING=true; search works either way.
+ *
  * Amadeus API Docs: https://developers.amadeus.com/self-service/category/flights
  */
 
@@ -19,16 +26,31 @@ class AmadeusMCPServer {
 
     /**
      * Initialize Amadeus client
+     * @param {string} apiKey - Amadeus API key
+     * @param {string} apiSecret - Amadeus API secret
+     * @param {Object} options - { hostname: 'production'|'test', allowProductionBooking, host, port, ssl } (host/port/ssl for a local stand-in)
      */
-    async initialize(apiKey, apiSecret) {
+    async initialize(apiKey, apiSecret, options = {}) {
         try {
-            this.amadeus = new Amadeus({
+            const hostname = options.hostname || process.env.AMADEUS_HOSTNAME || 'production';
+            const config = {
                 clientId: apiKey,
                 clientSecret: apiSecret,
-                hostname: 'production'  // Use production API endpoint
-            });
+                hostname
+            };
+            if (options.host) {
+                config.host = options.host;
+                config.port = options.port;
+                config.ssl = options.ssl !== false;
+            }
+
+            this.amadeus = new Amadeus(config);
+            this.hostname = hostname;
+            this.allowProductionBooking = options.allowProductionBooking !== undefined
+                ? options.allowProductionBooking
+                : process.env.AMADEUS_ALLOW_PRODUCTION_BOOKING === 'true';
             this.initialized = true;
-            console.log('✅ Amadeus MCP Server initialized (Production)');
+            console.log(`✅ Amadeus MCP Server initialized (${options.host || (hostname === 'test' ? 'Test' : 'Production')})`);
             return { success: true };
         } catch (error) {
             console.error('❌ Failed to initialize Amadeus:', error.message);
@@ -178,7 +200,8 @@ class AmadeusMCPServer {
                         flightNumber: inbound.segments[0].number
                     } : null,
                     numberOfBookableSeats: offer.numberOfBookableSeats,
-                    validatingAirlineCodes: offer.validatingAirlineCodes
+                    validatingAirlineCodes: offer.validatingAirlineCodes,
+                    raw: offer // Original offer, required to price and book it
                 };
             });
 
@@ -248,6 +271,184 @@ class AmadeusMCPServer {
         }
     }
 
+    /**
+     * Re-validate the price and availability of an offer before booking (Flight Offers Price)
+     * @param {Object} rawOffer - Offer as returned by the search (offer.raw)
+     * @returns {Promise<Object>} { success, offer, price: { total, currency }, priceChanged, bookingRequirements }
+     */
+    async priceFlightOffer(rawOffer) {
+        if (!this.initialized) {
+            return { success: false, error: 'Amadeus not initialized. Call initialize() first.' };
+        }
+
+        try {
+            console.log(`💲 Pricing flight offer ${rawOffer.id}...`);
+
+            const response = await this.amadeus.shopping.flightOffers.pricing.post(JSON.stringify({
+                data: {
+                    type: 'flight-offers-pricing',
+                    flightOffers: [rawOffer]
+                }
+            }));
+
+            const offer = response.data.flightOffers[0];
+            const price = {
+                total: offer.price.grandTotal || offer.price.total,
+                currency: offer.price.currency
+            };
+            const previousTotal = rawOffer.price.grandTotal || rawOffer.price.total;
+
+            console.log(`✅ Offer priced: ${price.currency} ${price.total} (searched: ${previousTotal})`);
+
+            return {
+                success: true,
+                offer,
+                price,
+                previousPrice: { total: previousTotal, currency: rawOffer.price.currency },
+                priceChanged: parseFloat(price.total) !== parseFloat(previousTotal),
+                bookingRequirements: response.data.bookingRequirements || {}
+            };
+        } catch (error) {
+            return this._errorResult('Flight pricing', error);
+        }
+    }
+
+    /**
+     * Whether orders can be created and cancelled
+     * Test orders are never ticketed; production orders need an explicit opt-in.
+     * @returns {boolean}
+     */
+    isBookingEnabled() {
+        return this.hostname !== 'production' || this.allowProductionBooking === true;
+    }
+
+    /**
+     * Create a flight order (Flight Create Orders)
+     * @param {Object} pricedOffer - Offer returned by priceFlightOffer()
+     * @param {Array} travelers - Amadeus travelers (ids match the offer's travelerPricings)
+     * @returns {Promise<Object>} { success, order } with order from summarizeFlightOrder()
+     */
+    async createFlightOrder(pricedOffer, travelers) {
+        if (!this.initialized) {
+            return { success: false, error: 'Amadeus not initialized. Call initialize() first.' };
+        }
+
+        if (!this.isBookingEnabled()) {
+            return { success: false, error: 'Booking is disabled in production. Set AMADEUS_ALLOW_PRODUCTION_BOOKING=true to place real orders.' };
+        }
+
+        try {
+            console.log(`🎫 Creating flight order for ${travelers.length} traveler(s)...`);
+
+            const response = await this.amadeus.booking.flightOrders.post(JSON.stringify({
+                data: {
+                    type: 'flight-order',
+                    flightOffers: [pricedOffer],
+                    travelers
+                }
+            }));
+
+            const order = this.summarizeFlightOrder(response.data);
+            console.log(`✅ Flight order created: ${order.id} (${order.confirmationCode})`);
+
+            return { success: true, order };
+        } catch (error) {
+            return this._errorResult('Flight order', error);
+        }
+    }
+
+    /**
+     * Retrieve a flight order (Flight Order Management)
+     * @param {string} orderId - Order ID returned at creation
+     * @returns {Promise<Object>} { success, order }
+     */
+    async getFlightOrder(orderId) {
+        if (!this.initialized) {
+            return { success: false, error: 'Amadeus not initialized. Call initialize() first.' };
+        }
+
+        try {
+            const response = await this.amadeus.booking.flightOrder(orderId).get();
+            return { success: true, order: this.summarizeFlightOrder(response.data) };
+        } catch (error) {
+            return this._errorResult('Flight order retrieval', error);
+        }
+    }
+
+    /**
+     * Cancel a flight order (Flight Order Management)
+     * @param {string} orderId - Order ID returned at creation
+     * @returns {Promise<Object>} { success }
+     */
+    async cancelFlightOrder(orderId) {
+        if (!this.initialized) {
+            return { success: false, error: 'Amadeus not initialized. Call initialize() first.' };
+        }
+
+        if (!this.isBookingEnabled()) {
+            return { success: false, error: 'Booking is disabled in production. Set AMADEUS_ALLOW_PRODUCTION_BOOKING=true to place real orders.' };
+        }
+
+        try {
+            await this.amadeus.booking.flightOrder(orderId).delete();
+            console.log(`🗑️ Flight order cancelled: ${orderId}`);
+            return { success: true };
+        } catch (error) {
+            return this._errorResult('Flight order cancellation', error);
+        }
+    }
+
+    /**
+     * Key fields of an Amadeus flight order
+     * @param {Object} order - Amadeus flight-order
+     * @returns {Object} { id, confirmationCode, createdAt, price, route, departure, arrival, airline, flightNumber, returnDeparture, travelers, ticketed }
+     */
+    summarizeFlightOrder(order) {
+        const offer = order.flightOffers[0];
+        const outbound = offer.itineraries[0].segments;
+        const inbound = offer.itineraries[1] ? offer.itineraries[1].segments : null;
+        const record = (order.associatedRecords || [])[0] || {};
+
+        return {
+            id: order.id,
+            confirmationCode: record.reference || null,
+            createdAt: record.creationDate || null,
+            price: {
+                total: offer.price.grandTotal || offer.price.total,
+                currency: offer.price.currency
+            },
+            route: `${outbound[0].departure.iataCode} → ${outbound[outbound.length - 1].arrival.iataCode}`,
+            departure: outbound[0].departure.at,
+            arrival: outbound[outbound.length - 1].arrival.at,
+            airline: outbound[0].carrierCode,
+            flightNumber: outbound[0].number,
+            returnDeparture: inbound ? inbound[0].departure.at : null,
+            travelers: (order.travelers || []).map(t => `${t.name.firstName} ${t.name.lastName}`),
+            ticketed: (order.tickets || []).length > 0
+        };
+    }
+
+    /**
+     * Error result in the same shape as searchFlights()
+     * @private
+     */
+    _errorResult(action, error) {
+        console.error(`❌ ${action} failed:`, error.message || error);
+
+        // ResponseError.description is the API's errors[] array
+        const errors = Array.isArray(error.description) ? error.description : error.response?.result?.errors || [];
+        const description = errors.length > 0
+            ? errors.map(e => e.detail || e.title).join('; ')
+            : (typeof error.description === 'string' ? error.description : '');
+
+        return {
+            success: false,
+            error: error.message || error.code || error.toString() || 'Unknown error occurred',
+            description,
+            status: error.response?.statusCode || null
+        };
+    }
+
     /**
      * Search one-way flights
      */
@@ -414,6 +615,7 @@ class AmadeusMCPServer {
      * @param {number} params.rooms - Number of rooms (default: 1)
      * @param {string} params.currency - Currency code (default: USD)
      * @param {number} params.maxResults - Max number of results (default: 5)
+     * @param {Array<number>} params.ratings - Hotel stars to include, up to four (e.g. [3, 4, 5])
      */
     async searchHotels(params) {
         if (!this.initialized) {
@@ -431,14 +633,16 @@ class AmadeusMCPServer {
                 adults = 1,
                 rooms = 1,
                 currency = 'USD',
-                maxResults = 5
+                maxResults = 5,
+                ratings = null
             } = params;
 
             console.log(`🔍 Searching hotels in ${cityCode} (${checkInDate} to ${checkOutDate})`);
 
             // Step 1: Search for hotels by city
             const hotelListResponse = await this.amadeus.referenceData.locations.hotels.byCity.get({
-                cityCode: cityCode
+                cityCode: cityCode,
+                ...(ratings && ratings.length > 0 ? { ratings: ratings.join(',') } : {})
             });
 
             if (!hotelListResponse.data || hotelListResponse.data.length === 0) {
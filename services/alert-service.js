@@ -0,0 +1,363 @@
+/**
+ * Alert Service
+ *
+ * Periodically checks category balances (YNAB month endpoint) and account
+ * balances, and notifies users over WhatsApp when one of their rules fires.
+ * A rule fires once and re-arms when the condition clears, so users are not
+ * notified on every check.
+ *
+ * Commands:
+ *   /alertas                        -> List rules
+ *   /alerta negativo [categoría]    -> Category balance below zero (any category if omitted)
+ *   /alerta <categoría> 80%         -> Category spent 80% of its budgeted amount
+ *   /alerta saldo [cuenta] <monto>  -> Account balance below amount (checking accounts if omitted)
+ *   /alerta borrar <n>              -> Delete rule n
+ *   /alerta revisar                 -> Check all rules now
+ */
+
+const ynabService = require('./ynab-service');
+const { UserStorage } = require('../storage');
+
+// How often balances are checked
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+class AlertService {
+    constructor() {
+        this.checkIntervalMs = CHECK_INTERVAL_MS;
+    }
+
+    /**
+     * Register the alert job with the scheduler
+     * @param {Object} scheduler - services/scheduler instance
+     */
+    register(scheduler) {
+        scheduler.register('alerts', this.checkIntervalMs, ({ sendMessage }) =>
+            this.checkAlerts(sendMessage)
+        );
+    }
+
+    /**
+     * Handle an /alerta or /alertas command
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} text - Message text
+     * @returns {Promise<string|null>} Response, or null if not an alert command
+     */
+    async handleCommand(userId, text) {
+        const match = text.trim().match(/^\/alertas?(?:\s+(.*))?$/i);
+        if (!match) {
+            return null;
+        }
+
+        const args = (match[1] || '').trim();
+        const lower = args.toLowerCase();
+
+        try {
+            if (!args || lower === 'lista' || lower === 'list') {
+                return this._formatRules(await this.getRules(userId));
+            }
+
+            if (lower === 'revisar' || lower === 'check' || lower === 'ahora') {
+                const rules = await this.getRules(userId);
+                if (rules.length === 0) {
+                    return this._formatRules(rules);
+                }
+                const triggered = this.evaluateRules(rules, await this._loadSnapshot());
+                return triggered.length > 0
+                    ? this._formatNotification(triggered)
+                    : '✅ Ninguna alerta activa. Todo dentro de los límites.';
+            }
+
+            const deleteMatch = lower.match(/^(?:borrar|eliminar|delete)\s+(\d+)$/);
+            if (deleteMatch) {
+                return await this._deleteRule(userId, parseInt(deleteMatch[1], 10));
+            }
+
+            const rule = this._parseRule(args);
+            if (!rule) {
+                return `❌ No entendí la alerta.\n\n${this._getHelp()}`;
+            }
+
+            return await this._addRule(userId, rule);
+        } catch (error) {
+            console.error('Error en comando /alerta:', error.message);
+            return `❌ Error configurando alertas: ${error.message}`;
+        }
+    }
+
+    /**
+     * Get a user's alert rules
+     * @param {string} userId - WhatsApp user ID
+     * @returns {Promise<Array>} Rules
+     */
+    async getRules(userId) {
+        const alerts = await this._getAlerts(userId);
+        return alerts.rules;
+    }
+
+    /**
+     * Evaluate every user's rules and notify newly triggered alerts
+     * @param {Function} sendMessage - async (userId, text) => void
+     * @returns {Promise<number>} Number of users notified
+     */
+    async checkAlerts(sendMessage) {
+        const userIds = await UserStorage.getAllUsers();
+        let snapshot = null;
+        let notified = 0;
+
+        for (const userId of userIds) {
+            const alerts = await this._getAlerts(userId);
+            if (alerts.rules.length === 0) {
+                continue;
+            }
+
+            // YNAB data is loaded once per run and shared by all users
+            if (!snapshot) {
+                snapshot = await this._loadSnapshot();
+            }
+
+            const triggered = this.evaluateRules(alerts.rules, snapshot);
+            const active = Object.fromEntries(triggered.map(alert => [alert.key, true]));
+            const newAlerts = triggered.filter(alert => !alerts.active[alert.key]);
+
+            try {
+                if (newAlerts.length > 0) {
+                    await sendMessage(userId, this._formatNotification(newAlerts));
+                    console.log(`🚨 ${newAlerts.length} alertas enviadas a ${userId}`);
+                    notified++;
+                }
+
+                // Cleared conditions drop out of "active" and can fire again.
+                // Re-read so rules added while checking are not overwritten.
+                const current = await this._getAlerts(userId);
+                await this._saveAlerts(userId, { ...current, active });
+            } catch (error) {
+                console.error(`❌ Error enviando alertas a ${userId}:`, error.message);
+            }
+        }
+
+        return notified;
+    }
+
+    /**
+     * Evaluate rules against a YNAB snapshot
+     * @param {Array} rules - Alert rules
+     * @param {Array} snapshot - [{ budgetName, categories, accounts }]
+     * @returns {Array} Triggered alerts [{ key, message }]
+     */
+    evaluateRules(rules, snapshot) {
+        const triggered = [];
+
+        rules.forEach(rule => {
+            snapshot.forEach(({ budgetName, categories, accounts }) => {
+                if (rule.type === 'category_negative' || rule.type === 'category_percent') {
+                    categories
+                        .filter(cat => !cat.hidden && !cat.deleted)
+                        .filter(cat => !rule.categoryName || cat.name.toLowerCase() === rule.categoryName.toLowerCase())
+                        .forEach(cat => {
+                            const message = this._checkCategory(rule, cat, budgetName);
+                            if (message) {
+                                triggered.push({ key: `${rule.id}:${cat.id}`, message });
+                            }
+                        });
+                }
+
+                if (rule.type === 'account_below') {
+                    accounts
+                        .filter(acc => !acc.closed && !acc.deleted)
+                        .filter(acc => rule.accountName
+                            ? acc.name.toLowerCase().includes(rule.accountName.toLowerCase())
+                            : acc.type === 'checking')
+                        .forEach(acc => {
+                            if (acc.balance < rule.threshold * 1000) {
+                                const balance = (acc.balance / 1000).toFixed(2);
+                                triggered.push({
+                                    key: `${rule.id}:${acc.id}`,
+                                    message: `💸 *${acc.name}* (${budgetName}) bajó de ${rule.threshold.toFixed(2)}: saldo ${balance}`
+                                });
+                            }
+                        });
+                }
+            });
+        });
+
+        return triggered;
+    }
+
+    /**
+     * @private
+     */
+    _checkCategory(rule, cat, budgetName) {
+        if (rule.type === 'category_negative') {
+            if (cat.balance >= 0) {
+                return null;
+            }
+            return `🔴 *${cat.name}* (${budgetName}) está en negativo: ${(cat.balance / 1000).toFixed(2)}`;
+        }
+
+        if (cat.budgeted <= 0) {
+            return null;
+        }
+
+        const spent = -cat.activity;
+        const percent = (spent / cat.budgeted) * 100;
+        if (percent < rule.percent) {
+            return null;
+        }
+
+        return `⚠️ *${cat.name}* (${budgetName}) usó ${percent.toFixed(0)}% del presupuesto: ` +
+            `${(spent / 1000).toFixed(2)} de ${(cat.budgeted / 1000).toFixed(2)}`;
+    }
+
+    /**
+     * Load current month categories and accounts of every budget
+     * @private
+     */
+    async _loadSnapshot() {
+        const budgets = await ynabService.getBudgets();
+        const snapshot = [];
+
+        for (const budget of budgets) {
+            const month = await ynabService.getMonth(budget.id);
+            const { accounts } = await ynabService.getAccounts(budget.name);
+            snapshot.push({ budgetName: budget.name, categories: month.categories || [], accounts });
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Parse the arguments of /alerta into a rule
+     * @private
+     */
+    _parseRule(args) {
+        const negativeMatch = args.match(/^negativ[oa]s?(?:\s+(.+))?$/i);
+        if (negativeMatch) {
+            return { type: 'category_negative', categoryName: negativeMatch[1] ? negativeMatch[1].trim() : null };
+        }
+
+        const balanceMatch = args.match(/^saldo\s+(?:(.+?)\s+)?<?\s*(?:s\/|\$)?\s*(\d+(?:\.\d+)?)$/i);
+        if (balanceMatch) {
+            return {
+                type: 'account_below',
+                accountName: balanceMatch[1] ? balanceMatch[1].trim() : null,
+                threshold: parseFloat(balanceMatch[2])
+            };
+        }
+
+        const percentMatch = args.match(/^(.+?)\s+(\d{1,3})\s*%$/);
+        if (percentMatch) {
+            const percent = parseInt(percentMatch[2], 10);
+            if (percent <= 0) {
+                return null;
+            }
+            return { type: 'category_percent', categoryName: percentMatch[1].trim(), percent };
+        }
+
+        return null;
+    }
+
+    /**
+     * @private
+     */
+    async _addRule(userId, rule) {
+        const alerts = await this._getAlerts(userId);
+        const id = alerts.rules.reduce((max, r) => Math.max(max, r.id), 0) + 1;
+
+        alerts.rules.push({ id, ...rule });
+        await this._saveAlerts(userId, alerts);
+
+        return `✅ Alerta creada: ${this._describeRule(rule)}\n\n💡 Usa /alertas para ver todas.`;
+    }
+
+    /**
+     * @private
+     */
+    async _deleteRule(userId, index) {
+        const alerts = await this._getAlerts(userId);
+        const rule = alerts.rules[index - 1];
+
+        if (!rule) {
+            return `❌ No existe la alerta ${index}. Usa /alertas para ver la lista.`;
+        }
+
+        alerts.rules.splice(index - 1, 1);
+        alerts.active = Object.fromEntries(
+            Object.entries(alerts.active).filter(([key]) => !key.startsWith(`${rule.id}:`))
+        );
+        await this._saveAlerts(userId, alerts);
+
+        return `🗑️ Alerta eliminada: ${this._describeRule(rule)}`;
+    }
+
+    /**
+     * @private
+     */
+    async _getAlerts(userId) {
+        const user = await UserStorage.get(userId);
+        const alerts = (user && user.alerts) || {};
+        return { rules: alerts.rules || [], active: alerts.active || {} };
+    }
+
+    /**
+     * @private
+     */
+    async _saveAlerts(userId, alerts) {
+        await UserStorage.update(userId, { alerts });
+    }
+
+    /**
+     * @private
+     */
+    _describeRule(rule) {
+        switch (rule.type) {
+            case 'category_negative':
+                return rule.categoryName
+                    ? `${rule.categoryName} en negativo`
+                    : 'cualquier categoría en negativo';
+            case 'category_percent':
+                return `${rule.categoryName} supera ${rule.percent}% de lo asignado`;
+            case 'account_below':
+                return `${rule.accountName || 'cuentas corrientes'} con saldo menor a ${rule.threshold.toFixed(2)}`;
+            default:
+                return rule.type;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _formatRules(rules) {
+        if (rules.length === 0) {
+            return `🔕 No tienes alertas configuradas.\n\n${this._getHelp()}`;
+        }
+
+        let message = `🚨 *Tus Alertas*\n\n`;
+        rules.forEach((rule, index) => {
+            message += `${index + 1}. ${this._describeRule(rule)}\n`;
+        });
+        message += `\n${this._getHelp()}`;
+        return message;
+    }
+
+    /**
+     * @private
+     */
+    _formatNotification(triggered) {
+        return `🚨 *Alertas de Presupuesto*\n\n${triggered.map(alert => alert.message).join('\n')}`;
+    }
+
+    /**
+     * @private
+     */
+    _getHelp() {
+        return `💡 *Comandos de Alertas:*
+• /alerta negativo - Cualquier categoría en negativo
+• /alerta Groceries 80% - Categoría supera 80% de lo asignado
+• /alerta saldo Corriente 500 - Saldo de cuenta menor a 500
+• /alerta borrar 2 - Eliminar alerta 2
+• /alerta revisar - Revisar ahora`;
+    }
+}
+
+// Export singleton instance
+module.exports = new AlertService();
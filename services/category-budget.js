@@ -0,0 +1,205 @@
+/**
+ * Category Budget
+ *
+ * The current month's category budget as the chat shows it, shared by
+ * ViewCategoriesFlow (legacy mode) and BudgetAgent (multi-agent mode):
+ * - Category table (assigned, spent, available) and Ready to Assign, with a
+ *   warning when it is negative
+ * - Category names typed by the user matched to the budget's categories,
+ *   with Claude for synonyms and other languages
+ * - Confirmation shown before moving money between categories
+ */
+
+const ynabService = require('./ynab-service');
+const { normalizeAccents } = require('../message-normalizer');
+
+// YNAB's hidden group that holds the "Inflow: Ready to Assign" category
+const INTERNAL_GROUP = 'Internal Master Category';
+
+// Names that stand for Ready to Assign in move commands
+const READY_TO_ASSIGN_NAMES = ['por asignar', 'ready to assign', 'sin asignar', 'disponible para asignar'];
+
+/**
+ * Visible categories of a budget month (no hidden, deleted or internal ones)
+ * @param {Object} month - Month detail from ynabService.getMonth()
+ * @returns {Array} Month categories
+ */
+function visibleCategories(month) {
+    return (month.categories || []).filter(cat =>
+        !cat.hidden && !cat.deleted && cat.category_group_name !== INTERNAL_GROUP
+    );
+}
+
+/**
+ * Find a month category by name without AI (exact, accent-insensitive, then partial)
+ * Ready to Assign is returned as { id: null, name: 'Por asignar' }.
+ * @param {Array} categories - Month categories
+ * @param {string} name - Name typed by the user
+ * @returns {Object|null} Category, or null if not found
+ */
+function findCategory(categories, name) {
+    const normalize = (text) => normalizeAccents(text.toLowerCase()).trim();
+    const target = normalize(name);
+
+    if (READY_TO_ASSIGN_NAMES.includes(target)) {
+        return { id: null, name: 'Por asignar' };
+    }
+
+    const exact = ynabService.findCategoryByName(categories, name) ||
+        categories.find(cat => normalize(cat.name) === target);
+    if (exact) {
+        return exact;
+    }
+
+    // Partial match only when it is unambiguous
+    const partial = categories.filter(cat =>
+        normalize(cat.name).includes(target) || target.includes(normalize(cat.name))
+    );
+    return partial.length === 1 ? partial[0] : null;
+}
+
+/**
+ * Find a month category by name, asking Claude when the user used another
+ * name or language ("Supermercado" for "Groceries")
+ * @param {Array} categories - Month categories
+ * @param {string} name - Name typed by the user
+ * @param {Object|null} client - Anthropic client (optional)
+ * @returns {Promise<Object|null>} Category, or null if not found
+ */
+async function resolveCategory(categories, name, client = null) {
+    const local = findCategory(categories, name);
+    if (local || !client) {
+        return local;
+    }
+
+    try {
+        const prompt = `The user mentioned a budget category by name, maybe in another language or with a synonym.
+
+Category mentioned: "${name}"
+
+Available categories:
+${categories.map(c => `- ${c.name}`).join('\n')}
+
+Respond with ONLY the category name from the list above, or "Unknown" if none matches.`;
+
+        const response = await client.messages.create({
+            model: 'claude-sonnet-4-20250514',
+            max_tokens: 50,
+            messages: [{ role: 'user', content: prompt }]
+        });
+
+        const matchedName = response.content.find(c => c.type === 'text')?.text.trim();
+        if (matchedName && matchedName !== 'Unknown') {
+            return ynabService.findCategoryByName(categories, matchedName);
+        }
+
+        return null;
+    } catch (error) {
+        console.error('Error matching category with AI:', error);
+        return null;
+    }
+}
+
+/**
+ * Format the category table of a budget month
+ * @param {string} budgetName - Budget name
+ * @param {Object} month - Month detail from ynabService.getMonth()
+ * @returns {string} WhatsApp message
+ */
+function formatMonth(budgetName, month) {
+    const categories = visibleCategories(month);
+
+    let message = `📊 *Presupuesto del Mes - ${budgetName}*\n`;
+    message += `📅 ${month.month.substring(0, 7)}\n\n`;
+
+    // Group categories, keeping YNAB's order
+    const groups = new Map();
+    categories.forEach(cat => {
+        const group = cat.category_group_name || 'Otras';
+        if (!groups.has(group)) {
+            groups.set(group, []);
+        }
+        groups.get(group).push(cat);
+    });
+
+    for (const [group, cats] of groups) {
+        message += `📁 *${group}*\n`;
+        cats.forEach(cat => {
+            const emoji = cat.balance >= 0 ? '💚' : '🔴';
+            message += `   ${emoji} ${cat.name}: ${(cat.balance / 1000).toFixed(2)}`;
+            message += ` (asignado ${(cat.budgeted / 1000).toFixed(2)}, gastado ${(-cat.activity / 1000).toFixed(2)})\n`;
+        });
+        message += `\n`;
+    }
+
+    message += `━━━━━━━━━━━━━━━━\n`;
+    message += formatReadyToAssign(month.to_be_budgeted, categories);
+
+    return message;
+}
+
+/**
+ * Ready to Assign line, with a warning when it is negative
+ * @param {number} toBeBudgeted - Ready to Assign in milliunits
+ * @param {Array} categories - Month categories (to suggest where to take money from)
+ * @returns {string} Message lines
+ */
+function formatReadyToAssign(toBeBudgeted, categories = []) {
+    const amount = (toBeBudgeted / 1000).toFixed(2);
+
+    if (toBeBudgeted >= 0) {
+        return `💵 *Por asignar:* ${amount}`;
+    }
+
+    const missing = (-toBeBudgeted / 1000).toFixed(2);
+    let message = `⚠️ *Por asignar:* ${amount}\n`;
+    message += `🚨 Asignaste más dinero del que tienes. Quita ${missing} de alguna categoría.`;
+
+    // Suggest the category with the most money available
+    const richest = categories.reduce((best, cat) => (!best || cat.balance > best.balance ? cat : best), null);
+    if (richest && richest.balance > 0) {
+        message += `\n💡 Ej: "mueve ${missing} de ${richest.name} a por asignar"`;
+    }
+
+    return message;
+}
+
+/**
+ * Confirmation of a move, showing what will change before moving the money
+ * @param {Object} month - Month detail from ynabService.getMonth()
+ * @param {Object} source - Category money comes from ({ id: null } = Ready to Assign)
+ * @param {Object} target - Category money goes to
+ * @param {number} amount - Amount to move
+ * @returns {string} WhatsApp message ending in "¿Confirmar? (sí/no)"
+ */
+function formatMoveConfirmation(month, source, target, amount) {
+    const readyToAssign = month.to_be_budgeted / 1000;
+    const describe = (cat, delta) => {
+        const before = cat.id ? cat.balance / 1000 : readyToAssign;
+        return `${cat.name} (${before.toFixed(2)} → ${(before + delta).toFixed(2)})`;
+    };
+
+    let message = source.id ? `🔀 *Mover Dinero*\n\n` : `💵 *Asignar Dinero*\n\n`;
+    message += `💵 Monto: ${amount.toFixed(2)}\n`;
+    message += `📤 De: ${describe(source, -amount)}\n`;
+    message += `📥 A: ${describe(target, amount)}\n`;
+
+    const sourceAfter = (source.id ? source.balance / 1000 : readyToAssign) - amount;
+    if (sourceAfter < 0) {
+        message += source.id
+            ? `\n⚠️ ${source.name} quedará en negativo.\n`
+            : `\n⚠️ Por asignar quedará en negativo: estarías asignando dinero que no tienes.\n`;
+    }
+
+    message += `\n¿Confirmar? (sí/no)`;
+    return message;
+}
+
+module.exports = {
+    visibleCategories,
+    findCategory,
+    resolveCategory,
+    formatMonth,
+    formatReadyToAssign,
+    formatMoveConfirmation
+};
@@ -0,0 +1,303 @@
+/**
+ * Currency Service
+ *
+ * Formats amounts with each budget's YNAB currency_format and converts
+ * between currencies with a local exchange rate table, so BCP SOLES (PEN),
+ * BCP DOLARES and USA BANKS (USD) can be added up in the user's home currency.
+ *
+ * Commands:
+ *   /moneda                  -> Show home currency
+ *   /moneda USD              -> Report totals in USD
+ *   /tipocambio              -> Show exchange rates
+ *   /tipocambio USD 3.75     -> 1 USD = 3.75 in the base currency (bot owner only)
+ *
+ * Configuration:
+ *   HOME_CURRENCY env variable (default PEN)
+ *   EXCHANGE_RATES_FILE env variable: JSON file { "base": "PEN", "rates": { "USD": 3.75 } }
+ *   (units of the base currency per unit of each currency). Rates set with
+ *   /tipocambio are stored and take precedence over the file.
+ *   BOT_OWNER env variable: WhatsApp number(s), comma separated, allowed to
+ *   change the rates; the table is shared by every user.
+ */
+
+const fs = require('fs');
+const { storage, UserStorage } = require('../storage');
+const ynabService = require('./ynab-service');
+
+const RATES_KEY = 'exchange-rates';
+
+// Used when there is no EXCHANGE_RATES_FILE
+const DEFAULT_RATES = {
+    base: 'PEN',
+    rates: { PEN: 1, USD: 3.75 }
+};
+
+// Budgets without currency_format are shown like YNAB's default (no symbol)
+const DEFAULT_FORMAT = {
+    iso_code: null,
+    decimal_digits: 2,
+    decimal_separator: '.',
+    symbol_first: true,
+    group_separator: ',',
+    currency_symbol: '',
+    display_symbol: false
+};
+
+// Symbols for currencies without a budget (e.g. a home currency no budget uses)
+const SYMBOLS = { PEN: 'S/', USD: '$', EUR: '€' };
+
+class CurrencyService {
+    constructor() {
+        this.homeCurrency = (process.env.HOME_CURRENCY || 'PEN').toUpperCase();
+        this.ratesFile = process.env.EXCHANGE_RATES_FILE || null;
+        this.owners = (process.env.BOT_OWNER || '').split(',').map(number => number.replace(/\D/g, '')).filter(Boolean);
+    }
+
+    /**
+     * Handle a /moneda or /tipocambio command
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} text - Message text
+     * @returns {Promise<string|null>} Response, or null if not a currency command
+     */
+    async handleCommand(userId, text) {
+        const parts = text.trim().split(/\s+/);
+        const command = parts[0].toLowerCase();
+
+        try {
+            if (command === '/moneda') {
+                if (!parts[1]) {
+                    return `💱 Tu moneda principal es *${await this.getHomeCurrency(userId)}*.\n\n${this._getHelp()}`;
+                }
+                const currency = parts[1].toUpperCase();
+                const { rates } = await this.getRates();
+                if (!rates[currency]) {
+                    return `❌ No hay tipo de cambio para ${currency}. Monedas: ${Object.keys(rates).join(', ')}`;
+                }
+                await UserStorage.update(userId, { homeCurrency: currency });
+                return `✅ Totales en *${currency}* a partir de ahora.`;
+            }
+
+            if (command === '/tipocambio') {
+                if (!parts[1]) {
+                    return await this._formatRates();
+                }
+                if (!this.isOwner(userId)) {
+                    return '🔒 Solo el dueño del bot (BOT_OWNER) puede cambiar los tipos de cambio, porque se usan para todos.';
+                }
+                const currency = parts[1].toUpperCase();
+                const rate = parseFloat((parts[2] || '').replace(',', '.'));
+                if (!/^[A-Z]{3}$/.test(currency) || !(rate > 0)) {
+                    return '❌ Formato: /tipocambio USD 3.75';
+                }
+                const { base: currentBase } = await this.getRates();
+                if (currency === currentBase) {
+                    return `❌ ${currentBase} es la moneda base: siempre vale 1. Ej: /tipocambio USD 3.75`;
+                }
+                const { base } = await this.setRate(currency, rate);
+                return `✅ Tipo de cambio actualizado: 1 ${currency} = ${rate} ${base}`;
+            }
+
+            return null;
+        } catch (error) {
+            console.error('Error en comando de moneda:', error.message);
+            return `❌ Error configurando la moneda: ${error.message}`;
+        }
+    }
+
+    /**
+     * Check whether a user may change the shared exchange rates
+     * @param {string} userId - WhatsApp user ID ("51987654321@c.us")
+     * @returns {boolean}
+     */
+    isOwner(userId) {
+        const number = String(userId || '').split('@')[0].replace(/\D/g, '');
+        return number.length > 0 && this.owners.includes(number);
+    }
+
+    /**
+     * Get the user's home currency
+     * @param {string|null} userId - WhatsApp user ID
+     * @returns {Promise<string>} ISO code
+     */
+    async getHomeCurrency(userId = null) {
+        const user = userId ? await UserStorage.get(userId) : null;
+        return (user && user.homeCurrency) || this.homeCurrency;
+    }
+
+    /**
+     * Get the exchange rate table: defaults, then the file, then /tipocambio overrides
+     * @returns {Promise<Object>} { base, rates } with rates in units of base per unit
+     */
+    async getRates() {
+        const table = this._loadFile() || DEFAULT_RATES;
+        const overrides = (await storage.get(RATES_KEY)) || {};
+
+        return {
+            base: table.base,
+            // The base is always 1, whatever was stored
+            rates: { ...table.rates, ...overrides, [table.base]: 1 }
+        };
+    }
+
+    /**
+     * Set an exchange rate
+     * @param {string} currency - ISO code
+     * @param {number} rate - Units of the base currency per unit of `currency`
+     * @returns {Promise<Object>} Updated { base, rates }
+     */
+    async setRate(currency, rate) {
+        const { base } = await this.getRates();
+        if (currency === base) {
+            throw new Error(`${base} es la moneda base y no cambia`);
+        }
+
+        const overrides = (await storage.get(RATES_KEY)) || {};
+        overrides[currency] = rate;
+        await storage.set(RATES_KEY, overrides);
+        console.log(`💱 Tipo de cambio: 1 ${currency} = ${rate}`);
+        return await this.getRates();
+    }
+
+    /**
+     * Convert an amount between currencies
+     * @param {number} amount - Amount (any unit: currency or milliunits)
+     * @param {string} from - ISO code
+     * @param {string} to - ISO code
+     * @returns {Promise<number>} Converted amount
+     */
+    async convert(amount, from, to) {
+        if (from === to) {
+            return amount;
+        }
+
+        const { rates } = await this.getRates();
+        const missing = [from, to].find(currency => !rates[currency]);
+        if (missing) {
+            throw new Error(`No hay tipo de cambio para ${missing}. Usa /tipocambio ${missing} <tasa>`);
+        }
+
+        return amount * rates[from] / rates[to];
+    }
+
+    /**
+     * Get a budget's currency format
+     * @param {string} budgetIdOrName - Budget ID or name
+     * @returns {Promise<Object>} YNAB currency_format
+     */
+    async getBudgetFormat(budgetIdOrName) {
+        const budgets = await ynabService.getBudgets();
+        const budget = budgets.find(b => b.id === budgetIdOrName || b.name === budgetIdOrName);
+        return (budget && budget.currency_format) || DEFAULT_FORMAT;
+    }
+
+    /**
+     * Currency format for an ISO code (taken from a budget that uses it when possible)
+     * @param {string} isoCode - ISO code
+     * @returns {Promise<Object>} YNAB-like currency_format
+     */
+    async getFormatFor(isoCode) {
+        const budgets = await ynabService.getBudgets();
+        const budget = budgets.find(b => b.currency_format && b.currency_format.iso_code === isoCode);
+        if (budget) {
+            return budget.currency_format;
+        }
+
+        return { ...DEFAULT_FORMAT, iso_code: isoCode, currency_symbol: SYMBOLS[isoCode] || `${isoCode} `, display_symbol: true };
+    }
+
+    /**
+     * Format an amount like YNAB does: "S/1,234.50", "-$45.00"
+     * @param {number} amount - Amount in currency units (not milliunits)
+     * @param {Object} format - YNAB currency_format
+     * @returns {string} Formatted amount
+     */
+    format(amount, format = DEFAULT_FORMAT) {
+        const digits = format.decimal_digits ?? 2;
+        const [integer, decimals] = Math.abs(amount).toFixed(digits).split('.');
+        const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, format.group_separator ?? '');
+        const number = decimals ? `${grouped}${format.decimal_separator ?? '.'}${decimals}` : grouped;
+        const symbol = format.display_symbol === false ? '' : (format.currency_symbol || '');
+        const sign = amount < 0 && Number(Math.abs(amount).toFixed(digits)) !== 0 ? '-' : '';
+
+        return format.symbol_first === false ? `${sign}${number}${symbol}` : `${sign}${symbol}${number}`;
+    }
+
+    /**
+     * Budget currencies, exchange rates and home currency, for Claude prompts
+     * Never throws: a prompt without this section is better than no answer.
+     * @param {string|null} userId - WhatsApp user ID
+     * @returns {Promise<string|null>} One line per item, or null if unavailable
+     */
+    async describeForPrompt(userId = null) {
+        try {
+            const budgets = await ynabService.getBudgets();
+            const { base, rates } = await this.getRates();
+            const homeCurrency = await this.getHomeCurrency(userId);
+
+            const lines = budgets.map(b => {
+                const format = b.currency_format || DEFAULT_FORMAT;
+                return `- ${b.name}: ${format.iso_code || 'moneda desconocida'} (${this.format(1234.5, format)})`;
+            });
+            Object.entries(rates)
+                .filter(([currency]) => currency !== base)
+                .forEach(([currency, rate]) => lines.push(`- Tipo de cambio: 1 ${currency} = ${rate} ${base}`));
+            lines.push(`- Moneda principal del usuario (para totales): ${homeCurrency}`);
+
+            return lines.join('\n');
+        } catch (error) {
+            console.error('Error describiendo monedas:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Read EXCHANGE_RATES_FILE (re-read on every call so edits apply without restart)
+     * @private
+     */
+    _loadFile() {
+        if (!this.ratesFile || !fs.existsSync(this.ratesFile)) {
+            return null;
+        }
+
+        try {
+            const table = JSON.parse(fs.readFileSync(this.ratesFile, 'utf8'));
+            if (!table.base || !table.rates) {
+                throw new Error('se esperaba { "base": ..., "rates": { ... } }');
+            }
+            return table;
+        } catch (error) {
+            console.error(`Error leyendo ${this.ratesFile}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _formatRates() {
+        const { base, rates } = await this.getRates();
+        let message = `💱 *Tipos de Cambio* (en ${base})\n\n`;
+
+        Object.entries(rates)
+            .filter(([currency]) => currency !== base)
+            .forEach(([currency, rate]) => {
+                message += `• 1 ${currency} = ${rate} ${base}\n`;
+            });
+
+        return message + `\n${this._getHelp()}`;
+    }
+
+    /**
+     * @private
+     */
+    _getHelp() {
+        return `💡 *Comandos de Moneda:*
+• /moneda USD - Ver totales en dólares
+• /moneda PEN - Ver totales en soles
+• /tipocambio - Ver tipos de cambio
+• /tipocambio USD 3.75 - Actualizar el tipo de cambio (solo el dueño del bot)`;
+    }
+}
+
+// Export singleton instance
+module.exports = new CurrencyService();
@@ -0,0 +1,342 @@
+/**
+ * Digest Service
+ *
+ * Builds the scheduled WhatsApp budget digest (balances per budget, pending
+ * approvals and top spending categories) and manages each user's schedule.
+ *
+ * Commands:
+ *   /digest                      -> Show current schedule
+ *   /digest diario 8am           -> Every day at 8am
+ *   /digest semanal lunes 8am    -> Every Monday at 8am
+ *   /digest ahora                -> Send the digest now
+ *   /digest off                  -> Stop digests
+ *
+ * Configuration:
+ *   DIGEST_TIMEZONE env variable (default America/Lima)
+ */
+
+const ynabService = require('./ynab-service');
+const { UserStorage } = require('../storage');
+const ViewBalanceFlow = require('../flows/ViewBalanceFlow');
+const BudgetAgent = require('../agents/budget/BudgetAgent');
+const currencyService = require('./currency-service');
+
+// Scheduler tick: often enough to never miss the configured hour
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+// Pending approvals are counted over a longer window than the spending period
+const UNAPPROVED_LOOKBACK_DAYS = 30;
+
+const WEEKDAYS = {
+    domingo: 0, sunday: 0,
+    lunes: 1, monday: 1,
+    martes: 2, tuesday: 2,
+    miercoles: 3, 'miércoles': 3, wednesday: 3,
+    jueves: 4, thursday: 4,
+    viernes: 5, friday: 5,
+    sabado: 6, 'sábado': 6, saturday: 6
+};
+
+const WEEKDAY_NAMES = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+
+class DigestService {
+    constructor() {
+        this.timezone = process.env.DIGEST_TIMEZONE || 'America/Lima';
+        this.checkIntervalMs = CHECK_INTERVAL_MS;
+    }
+
+    /**
+     * Register the digest job with the scheduler
+     * @param {Object} scheduler - services/scheduler instance
+     */
+    register(scheduler) {
+        scheduler.register('digest', this.checkIntervalMs, ({ sendMessage, now }) =>
+            this.sendDueDigests(sendMessage, now)
+        );
+    }
+
+    /**
+     * Handle a /digest command
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} text - Message text
+     * @returns {Promise<string|null>} Response, or null if not a digest command
+     */
+    async handleCommand(userId, text) {
+        const parts = text.trim().toLowerCase().split(/\s+/);
+        if (parts[0] !== '/digest') {
+            return null;
+        }
+
+        const [, action, ...args] = parts;
+
+        try {
+            if (!action) {
+                return this._formatStatus(await this.getPreferences(userId));
+            }
+
+            if (action === 'off' || action === 'apagar' || action === 'desactivar') {
+                await UserStorage.update(userId, { digest: null });
+                return '🔕 Digest desactivado. Actívalo cuando quieras con /digest diario 8am';
+            }
+
+            if (action === 'ahora' || action === 'now') {
+                const prefs = await this.getPreferences(userId);
+                return await this.buildDigest(prefs ? prefs.frequency : 'daily', userId);
+            }
+
+            if (action === 'diario' || action === 'daily') {
+                const hourText = args.join('') || '8am';
+                const hour = this._parseHour(hourText);
+                if (hour === null) {
+                    return `❌ No entendí la hora "${hourText}". Ejemplo: /digest diario 8am`;
+                }
+                return await this._savePreferences(userId, { frequency: 'daily', hour, weekday: null });
+            }
+
+            if (action === 'semanal' || action === 'weekly') {
+                const weekday = WEEKDAYS[args[0]];
+                if (weekday === undefined) {
+                    return '❌ Indica el día. Ejemplo: /digest semanal lunes 8am';
+                }
+                const hourText = args.slice(1).join('') || '8am';
+                const hour = this._parseHour(hourText);
+                if (hour === null) {
+                    return `❌ No entendí la hora "${hourText}". Ejemplo: /digest semanal lunes 8am`;
+                }
+                return await this._savePreferences(userId, { frequency: 'weekly', hour, weekday });
+            }
+
+            return this._getHelp();
+        } catch (error) {
+            console.error('Error en comando /digest:', error.message);
+            return `❌ Error configurando el digest: ${error.message}`;
+        }
+    }
+
+    /**
+     * Get a user's digest preferences
+     * @param {string} userId - WhatsApp user ID
+     * @returns {Promise<Object|null>} { frequency, hour, weekday, lastSent }
+     */
+    async getPreferences(userId) {
+        const user = await UserStorage.get(userId);
+        return user && user.digest ? user.digest : null;
+    }
+
+    /**
+     * Send the digest to every user whose schedule is due
+     * @param {Function} sendMessage - async (userId, text) => void
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Number of digests sent
+     */
+    async sendDueDigests(sendMessage, now = new Date()) {
+        const local = this._localTime(now);
+        const userIds = await UserStorage.getAllUsers();
+        let sent = 0;
+
+        for (const userId of userIds) {
+            const prefs = await this.getPreferences(userId);
+            if (!this._isDue(prefs, local)) {
+                continue;
+            }
+
+            try {
+                const digest = await this.buildDigest(prefs.frequency, userId);
+                await sendMessage(userId, digest);
+
+                // Re-read so changes made while building are not overwritten
+                const current = await this.getPreferences(userId);
+                if (current) {
+                    await UserStorage.update(userId, { digest: { ...current, lastSent: local.date } });
+                }
+
+                console.log(`📬 Digest enviado a ${userId}`);
+                sent++;
+            } catch (error) {
+                console.error(`❌ Error enviando digest a ${userId}:`, error.message);
+            }
+        }
+
+        return sent;
+    }
+
+    /**
+     * Build the digest message
+     * @param {string} frequency - 'daily' or 'weekly' (sets the spending period)
+     * @param {string|null} userId - WhatsApp user ID (for the net worth currency)
+     * @returns {Promise<string>} Digest message
+     */
+    async buildDigest(frequency = 'daily', userId = null) {
+        const days = frequency === 'weekly' ? 7 : 1;
+        const sinceDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const budgets = await ynabService.getBudgets();
+        const balanceFlow = new ViewBalanceFlow('digest');
+        const homeCurrency = await currencyService.getHomeCurrency(userId);
+        let netWorth = 0;
+        let netWorthComplete = true;
+
+        let message = frequency === 'weekly' ? `📬 *Resumen Semanal*\n\n` : `📬 *Resumen Diario*\n\n`;
+        let totalUnapproved = 0;
+
+        for (const budget of budgets) {
+            const { budgetId, accounts } = await ynabService.getAccounts(budget.name);
+            const openAccounts = accounts.filter(acc => !acc.closed);
+            const transactions = await ynabService.getTransactions(budgetId, null, UNAPPROVED_LOOKBACK_DAYS);
+            const unapproved = transactions.filter(tx => tx.approved === false).length;
+            const periodTransactions = transactions.filter(tx => tx.date >= sinceDate);
+            const { totalSpent, categories } = BudgetAgent.computeSpendingBreakdown(periodTransactions, 3);
+
+            const format = await currencyService.getBudgetFormat(budgetId);
+
+            totalUnapproved += unapproved;
+
+            try {
+                const budgetTotal = openAccounts.reduce((sum, acc) => sum + acc.balance, 0) / 1000;
+                netWorth += await currencyService.convert(budgetTotal, format.iso_code || homeCurrency, homeCurrency);
+            } catch (error) {
+                netWorthComplete = false;
+            }
+
+            message += `📊 *${budget.name}*\n`;
+
+            for (const [type, accs] of Object.entries(balanceFlow._groupAccountsByType(openAccounts))) {
+                const typeTotal = accs.reduce((sum, acc) => sum + acc.balance, 0) / 1000;
+                const emoji = typeTotal >= 0 ? '💚' : '🔴';
+                message += `   ${emoji} ${type}: ${currencyService.format(typeTotal, format)}\n`;
+            }
+
+            if (totalSpent > 0) {
+                message += `   💸 Gastado: ${currencyService.format(totalSpent, format)}\n`;
+                categories.forEach(([cat, amount]) => {
+                    const percent = ((amount / totalSpent) * 100).toFixed(0);
+                    message += `      • ${cat}: ${currencyService.format(amount, format)} (${percent}%)\n`;
+                });
+            }
+
+            if (unapproved > 0) {
+                message += `   ⏳ Por aprobar: ${unapproved}\n`;
+            }
+
+            message += `\n`;
+        }
+
+        message += `━━━━━━━━━━━━━━━━\n`;
+        const homeFormat = await currencyService.getFormatFor(homeCurrency);
+        message += `🌎 Patrimonio neto: ${currencyService.format(netWorth, homeFormat)} (${homeCurrency})`;
+        message += netWorthComplete ? `\n` : ` ⚠️ incompleto, falta tipo de cambio\n`;
+        message += `📅 Período: ${days === 7 ? 'últimos 7 días' : 'desde ayer'}\n`;
+
+        if (totalUnapproved > 0) {
+            message += `💡 Tienes ${totalUnapproved} transacciones por aprobar. Escribe "categorizar pendientes".`;
+        } else {
+            message += `✅ Todo al día`;
+        }
+
+        return message;
+    }
+
+    /**
+     * Check whether a digest is due at the given local time
+     * @private
+     */
+    _isDue(prefs, local) {
+        if (!prefs || !prefs.frequency) {
+            return false;
+        }
+
+        if (prefs.lastSent === local.date || local.hour !== prefs.hour) {
+            return false;
+        }
+
+        return prefs.frequency !== 'weekly' || local.weekday === prefs.weekday;
+    }
+
+    /**
+     * Current date, hour and weekday in the digest timezone
+     * @private
+     */
+    _localTime(now) {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat('en-US', {
+                timeZone: this.timezone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: 'numeric',
+                hourCycle: 'h23',
+                weekday: 'long'
+            }).formatToParts(now).map(part => [part.type, part.value])
+        );
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            hour: parseInt(parts.hour, 10),
+            weekday: WEEKDAYS[parts.weekday.toLowerCase()]
+        };
+    }
+
+    /**
+     * Parse "8am", "8:30pm", "20", "20h" → hour 0-23 (minutes are ignored)
+     * @private
+     */
+    _parseHour(text) {
+        const match = String(text).match(/^(\d{1,2})(?::\d{2})?\s*(am|pm|h)?$/);
+        if (!match) {
+            return null;
+        }
+
+        let hour = parseInt(match[1], 10);
+        const suffix = match[2];
+
+        if (suffix === 'am' || suffix === 'pm') {
+            if (hour < 1 || hour > 12) {
+                return null;
+            }
+            hour = (hour % 12) + (suffix === 'pm' ? 12 : 0);
+        }
+
+        return hour <= 23 ? hour : null;
+    }
+
+    /**
+     * @private
+     */
+    async _savePreferences(userId, prefs) {
+        await UserStorage.update(userId, { digest: { ...prefs, lastSent: null } });
+        return `✅ Digest activado\n\n${this._describe(prefs)}\n\n💡 Usa /digest ahora para verlo o /digest off para desactivarlo.`;
+    }
+
+    /**
+     * @private
+     */
+    _describe(prefs) {
+        const hour = `${String(prefs.hour).padStart(2, '0')}:00`;
+        return prefs.frequency === 'weekly'
+            ? `📅 Cada ${WEEKDAY_NAMES[prefs.weekday]} a las ${hour} (${this.timezone})`
+            : `📅 Todos los días a las ${hour} (${this.timezone})`;
+    }
+
+    /**
+     * @private
+     */
+    _formatStatus(prefs) {
+        if (!prefs) {
+            return `🔕 No tienes digest activado.\n\n${this._getHelp()}`;
+        }
+        return `📬 *Tu Digest*\n\n${this._describe(prefs)}\n\n${this._getHelp()}`;
+    }
+
+    /**
+     * @private
+     */
+    _getHelp() {
+        return `💡 *Comandos de Digest:*
+• /digest diario 8am - Resumen cada día
+• /digest semanal lunes 8am - Resumen cada semana
+• /digest ahora - Ver el resumen ahora
+• /digest off - Desactivar`;
+    }
+}
+
+// Export singleton instance
+module.exports = new DigestService();
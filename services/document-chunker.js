@@ -0,0 +1,218 @@
+/**
+ * Document Chunker
+ *
+ * Splits long statements into parts that Claude can extract reliably, merges
+ * the extracted transactions back in document order, and checks the result
+ * against the statement's printed opening and closing balances.
+ * - PDF text: whole pages are grouped; a page that is too long is split
+ *   between rows, never in the middle of one
+ * - Scanned pages (images): a few pages per request
+ */
+
+const { normalizePayee } = require('./transaction-matcher');
+
+// Characters of statement text per Claude request (~100 rows of a BCP statement)
+const MAX_CHUNK_CHARS = 6000;
+
+// Page images per Claude Vision request
+const MAX_IMAGES_PER_CHUNK = 4;
+
+// Rows at the end/start of neighbouring chunks compared to flag repeated rows
+const BOUNDARY_ROWS = 3;
+
+/**
+ * Split text between lines so every part fits in maxChars
+ * @param {string} text - Page text
+ * @param {number} maxChars - Maximum characters per part
+ * @returns {Array<string>} Parts
+ */
+function splitRows(text, maxChars) {
+    const parts = [];
+    let current = '';
+
+    for (const line of text.split('\n')) {
+        // A single line longer than a chunk is not a transaction row; cut it
+        for (let start = 0; start < Math.max(line.length, 1); start += maxChars) {
+            const piece = line.substring(start, start + maxChars);
+            if (current && current.length + piece.length + 1 > maxChars) {
+                parts.push(current);
+                current = '';
+            }
+            current = current ? `${current}\n${piece}` : piece;
+        }
+    }
+
+    if (current.trim()) {
+        parts.push(current);
+    }
+
+    return parts;
+}
+
+/**
+ * Progress label for a chunk, e.g. "página 3/8", "páginas 1-2 de 8", "parte 2/3"
+ */
+function chunkLabel(chunk, totalPages, totalChunks, index) {
+    if (totalPages === 1) {
+        return totalChunks > 1 ? `parte ${index + 1}/${totalChunks}` : 'página 1/1';
+    }
+
+    if (chunk.firstPage !== chunk.lastPage) {
+        return `páginas ${chunk.firstPage}-${chunk.lastPage} de ${totalPages}`;
+    }
+
+    return `página ${chunk.firstPage}/${totalPages}${chunk.part ? ` (parte ${chunk.part})` : ''}`;
+}
+
+/**
+ * Group PDF pages into chunks of at most maxChars
+ * @param {Array<string>} pages - Text per page (pdfService.extract().pages)
+ * @param {Object} options - { maxChars }
+ * @returns {Array<Object>} [{ text, firstPage, lastPage, part, label }]
+ */
+function chunkPages(pages, options = {}) {
+    const maxChars = options.maxChars || MAX_CHUNK_CHARS;
+
+    // Pages that are too long are split into row-aligned parts
+    const pieces = [];
+    pages.forEach((pageText, index) => {
+        const parts = splitRows(pageText || '', maxChars);
+        parts.forEach((text, partIndex) => {
+            pieces.push({ text, page: index + 1, part: parts.length > 1 ? partIndex + 1 : null });
+        });
+    });
+
+    // Consecutive whole pages share a chunk while they fit
+    const chunks = [];
+    for (const piece of pieces) {
+        const last = chunks[chunks.length - 1];
+        if (last && !last.part && !piece.part && last.text.length + piece.text.length + 1 <= maxChars) {
+            last.text += `\n${piece.text}`;
+            last.lastPage = piece.page;
+        } else {
+            chunks.push({ text: piece.text, firstPage: piece.page, lastPage: piece.page, part: piece.part });
+        }
+    }
+
+    chunks.forEach((chunk, index) => {
+        chunk.label = chunkLabel(chunk, pages.length, chunks.length, index);
+    });
+
+    return chunks;
+}
+
+/**
+ * Group page images into chunks
+ * @param {Array<Object>} images - [{ mimetype, data }], one per page
+ * @param {Object} options - { perChunk }
+ * @returns {Array<Object>} [{ images, firstPage, lastPage, label }]
+ */
+function chunkImages(images, options = {}) {
+    const perChunk = options.perChunk || MAX_IMAGES_PER_CHUNK;
+    const chunks = [];
+
+    for (let start = 0; start < images.length; start += perChunk) {
+        const chunk = {
+            images: images.slice(start, start + perChunk),
+            firstPage: start + 1,
+            lastPage: Math.min(start + perChunk, images.length),
+            part: null
+        };
+        chunks.push(chunk);
+    }
+
+    chunks.forEach((chunk, index) => {
+        chunk.label = chunkLabel(chunk, images.length, chunks.length, index);
+    });
+
+    return chunks;
+}
+
+/**
+ * Same row extracted twice (date, amount and normalized payee)
+ */
+function isSameRow(a, b) {
+    return a.date === b.date
+        && typeof a.amount === 'number' && typeof b.amount === 'number'
+        && Math.abs(a.amount - b.amount) < 0.005
+        && normalizePayee(a.payee) === normalizePayee(b.payee);
+}
+
+/**
+ * Merge chunk results in document order
+ * Chunks don't overlap, so a row at the start of a chunk that repeats one of
+ * the last rows of the previous chunk may be a real second charge (two tolls,
+ * two coffees). It is kept and flagged as a possible duplicate (duplicateOf,
+ * reason 'page_break') for the user to decide.
+ * @param {Array<Object>} results - [{ transactions, openingBalance, statementBalance }] in chunk order
+ * @returns {Object} { transactions, openingBalance, statementBalance, repeatsFlagged }
+ */
+function mergeChunkResults(results) {
+    const transactions = [];
+    let openingBalance = null;
+    let statementBalance = null;
+    let repeatsFlagged = 0;
+    let previous = [];
+
+    for (const result of results) {
+        const chunkTransactions = result.transactions || [];
+
+        // The first chunk that prints it has the opening balance, the last one the closing balance
+        if (openingBalance === null && typeof result.openingBalance === 'number') {
+            openingBalance = result.openingBalance;
+        }
+        if (typeof result.statementBalance === 'number') {
+            statementBalance = result.statementBalance;
+        }
+
+        const boundary = previous.slice(-BOUNDARY_ROWS);
+        chunkTransactions.forEach((tx, index) => {
+            const repeated = index < BOUNDARY_ROWS ? boundary.findIndex(prev => isSameRow(prev, tx)) : -1;
+            if (repeated !== -1) {
+                const [prev] = boundary.splice(repeated, 1);
+                tx.duplicateOf = { date: prev.date, payee: prev.payee, amount: prev.amount, reason: 'page_break' };
+                repeatsFlagged++;
+            }
+            transactions.push(tx);
+        });
+
+        previous = chunkTransactions;
+    }
+
+    return { transactions, openingBalance, statementBalance, repeatsFlagged };
+}
+
+/**
+ * Check extracted transactions against the printed opening and closing balances
+ * Accounts: opening + movements = closing. Cards print the debt as a positive
+ * number: opening - movements = closing. The convention that fits better is used.
+ * @param {number|null} openingBalance - Printed opening balance
+ * @param {number|null} closingBalance - Printed closing balance
+ * @param {Array<Object>} transactions - Extracted transactions ({ amount })
+ * @returns {Object|null} { total, expectedClosing, difference, matches, isDebt }, null without both balances
+ */
+function checkBalances(openingBalance, closingBalance, transactions) {
+    if (typeof openingBalance !== 'number' || typeof closingBalance !== 'number') {
+        return null;
+    }
+
+    const round = value => Math.round(value * 100) / 100;
+    const total = round(transactions.reduce((sum, tx) => sum + (tx.amount || 0), 0));
+
+    const asAccount = round(openingBalance + total);
+    const asDebt = round(openingBalance - total);
+    const isDebt = Math.abs(closingBalance - asDebt) < Math.abs(closingBalance - asAccount);
+
+    const expectedClosing = isDebt ? asDebt : asAccount;
+    const difference = round(closingBalance - expectedClosing);
+
+    return { total, expectedClosing, difference, matches: Math.abs(difference) < 0.01, isDebt };
+}
+
+module.exports = {
+    MAX_CHUNK_CHARS,
+    chunkPages,
+    chunkImages,
+    mergeChunkResults,
+    checkBalances
+};
@@ -0,0 +1,432 @@
+/**
+ * Flight Search
+ *
+ * Searches every flight provider (Amadeus, Sky-Scrapper) in parallel and
+ * merges what they return:
+ * - Offers are normalized to one schema (see normalizeOffer)
+ * - The same itinerary found by several providers is shown once, at the
+ *   cheapest price, remembering what each provider asked for it
+ * - Results are ranked by price, duration or stops, with preferred airlines
+ *   first; airline filters (exclude / only) and max stops apply to every
+ *   provider
+ * - Prices in another currency are converted with currencyService
+ *
+ * Providers are registered by the TripAgent, which owns the API clients.
+ * Used by TripAgent.searchFlights and the price watches.
+ */
+
+const currencyService = require('./currency-service');
+const { normalizeAccents } = require('../message-normalizer');
+
+const SORT_LABELS = {
+    price: 'cheapest first',
+    duration: 'fastest first',
+    stops: 'fewest stops first'
+};
+
+// Message words → sort order (checked on accent-free lowercase text)
+const SORT_PATTERNS = [
+    [/\b(fastest|quickest|shortest|mas rapido|menos tiempo|duracion)\b/, 'duration'],
+    [/\b(non-?stop|direct|fewest stops|directo|sin escalas|menos escalas)\b/, 'stops'],
+    [/\b(cheapest|lowest price|mas barato|economico)\b/, 'price']
+];
+
+class FlightSearch {
+    constructor() {
+        this.providers = [];
+    }
+
+    /**
+     * Flight providers searched in parallel
+     * @param {Array} providers - [{ name, searchFlights(query), airlineName(code) }]
+     *   searchFlights resolves like the MCP servers: { success, offers, error }
+     */
+    setProviders(providers) {
+        this.providers = providers;
+    }
+
+    /**
+     * Search all providers, merge and rank
+     * @param {Object} query - { origin, destination, departureDate, returnDate, adults, travelClass, currency, maxPrice }
+     * @param {Object} options - { sortBy: 'price'|'duration'|'stops', prefer, exclude, only, maxStops, maxResults }
+     * @returns {Promise<Object>} { success, query, offers, providers: [{ name, success, count, cheapest, error }], best, error }
+     */
+    async search(query, options = {}) {
+        const { sortBy = 'price', prefer = [], exclude = [], only = [], maxStops = null, maxResults = 5 } = options;
+        const currency = query.currency || 'USD';
+
+        if (this.providers.length === 0) {
+            return { success: false, query, offers: [], providers: [], best: null, error: 'No flight providers configured' };
+        }
+
+        console.log(`🔍 Buscando vuelos ${query.origin} → ${query.destination} en ${this.providers.map(p => p.name).join(', ')}`);
+
+        const results = await Promise.all(this.providers.map(async provider => {
+            try {
+                const result = await provider.searchFlights({ ...query, currency, maxResults: maxResults * 2 });
+                return { provider, result: result || { success: false, error: 'No response' } };
+            } catch (error) {
+                return { provider, result: { success: false, error: error.message } };
+            }
+        }));
+
+        const providers = [];
+        let offers = [];
+
+        for (const { provider, result } of results) {
+            const normalized = [];
+            if (result.success && Array.isArray(result.offers)) {
+                for (const offer of result.offers) {
+                    const item = this.normalizeOffer(provider, offer, query);
+                    if (!item) {
+                        continue;
+                    }
+                    try {
+                        normalized.push(await this._inCurrency(item, currency));
+                    } catch (error) {
+                        // Offers in a currency without exchange rate can't be compared
+                        console.log(`⚠️ Oferta de ${provider.name} omitida: ${error.message}`);
+                    }
+                }
+            }
+
+            const cheapest = normalized.reduce((min, o) => (!min || o.price.total < min.price.total ? o : min), null);
+            providers.push({
+                name: provider.name,
+                success: normalized.length > 0,
+                count: normalized.length,
+                cheapest: cheapest ? cheapest.price.total : null,
+                error: result.success ? (normalized.length > 0 ? null : 'No flights found') : (result.error || 'Search failed')
+            });
+            offers.push(...normalized);
+        }
+
+        if (exclude.length > 0) {
+            offers = offers.filter(o => !this.matchesAirline(o.outbound, exclude));
+        }
+        if (only.length > 0) {
+            offers = offers.filter(o => this.matchesAirline(o.outbound, only));
+        }
+        if (query.maxPrice) {
+            offers = offers.filter(o => o.price.total <= query.maxPrice);
+        }
+        if (maxStops !== null && maxStops !== undefined) {
+            offers = offers.filter(o => (o.outbound.stops || 0) <= maxStops && (!o.inbound || (o.inbound.stops || 0) <= maxStops));
+        }
+
+        const ranked = this.rank(this.dedupe(offers), sortBy, prefer)
+            .slice(0, maxResults)
+            .map((offer, index) => ({ ...offer, index: index + 1 }));
+
+        const best = ranked.reduce((min, o) => (!min || o.price.total < min.price.total ? o : min), null);
+
+        console.log(`✅ ${offers.length} ofertas de ${providers.filter(p => p.success).length} proveedores → ${ranked.length} opciones`);
+
+        return {
+            success: ranked.length > 0,
+            query: { ...query, currency },
+            sortBy,
+            offers: ranked,
+            providers,
+            best,
+            error: ranked.length > 0
+                ? null
+                : providers.some(p => p.success)
+                    ? 'No flights match the filters'
+                    : (providers.map(p => `${p.name}: ${p.error}`).join('; ') || 'No flights found')
+        };
+    }
+
+    /**
+     * Offer of any provider in one schema
+     * Amadeus legs carry departure/arrival objects and ISO durations; Sky-Scrapper
+     * legs carry departureTime/arrivalTime and minutes.
+     * @param {Object} provider - { name, airlineName }
+     * @param {Object} offer - Offer as returned by the provider's MCP server
+     * @param {Object} query - Search query (airports when the provider omits them)
+     * @returns {Object|null} { provider, price: { total, currency }, outbound, inbound, deepLink, raw, bookable, prices }
+     */
+    normalizeOffer(provider, offer, query = {}) {
+        const total = parseFloat(offer && offer.price && offer.price.total);
+        if (!(total > 0)) {
+            return null;
+        }
+
+        const leg = (source, from, to) => {
+            if (!source) {
+                return null;
+            }
+
+            const isoTime = value => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) ? value : null);
+            const point = (value, time, fallbackAirport) => (value && typeof value === 'object'
+                ? { airport: value.airport || fallbackAirport || null, time: value.time || null }
+                : { airport: (value && !isoTime(value) ? value : fallbackAirport) || null, time: isoTime(time) || isoTime(value) });
+
+            const airline = source.airline || null;
+            return {
+                airline,
+                airlineName: source.airlineName || (provider.airlineName && airline ? provider.airlineName(airline) : airline),
+                flightNumber: source.flightNumber || null,
+                departure: point(source.departure, source.departureTime, from),
+                arrival: point(source.arrival, source.arrivalTime, to),
+                durationMinutes: this.parseDuration(source.duration),
+                stops: Number.isFinite(source.stops) ? source.stops : null
+            };
+        };
+
+        return {
+            provider: provider.name,
+            price: { total, currency: offer.price.currency || query.currency || 'USD' },
+            outbound: leg(offer.outbound || {}, query.origin, query.destination),
+            inbound: leg(offer.inbound, query.destination, query.origin),
+            deepLink: offer.deepLink || null,
+            raw: offer.raw || null,
+            bookable: Boolean(offer.raw),
+            prices: [{ provider: provider.name, total }]
+        };
+    }
+
+    /**
+     * Merge offers for the same itinerary (same airports and times, both ways)
+     * The cheapest copy is kept; a copy that can be booked here (Amadeus raw
+     * offer) is kept alongside it for booking. `price` stays the cheapest one
+     * and `prices` has every provider's, so booking the raw offer can differ
+     * from the price shown (TripAgent.bookFlight warns when it does).
+     * @param {Array} offers - Normalized offers
+     * @returns {Array} Offers
+     */
+    dedupe(offers) {
+        const merged = new Map();
+        const unique = [];
+
+        for (const offer of offers) {
+            const key = this._itineraryKey(offer);
+            if (!key) {
+                unique.push(offer);
+                continue;
+            }
+
+            const existing = merged.get(key);
+            if (!existing) {
+                const copy = { ...offer, prices: [...offer.prices] };
+                merged.set(key, copy);
+                unique.push(copy);
+                continue;
+            }
+
+            existing.prices.push(...offer.prices);
+            if (offer.price.total < existing.price.total) {
+                existing.provider = offer.provider;
+                existing.price = offer.price;
+                existing.deepLink = offer.deepLink || existing.deepLink;
+            }
+            if (!existing.raw && offer.raw) {
+                existing.raw = offer.raw;
+                existing.bookable = true;
+            }
+        }
+
+        return unique;
+    }
+
+    /**
+     * Sort offers
+     * @param {Array} offers - Normalized offers
+     * @param {string} sortBy - 'price' | 'duration' | 'stops'
+     * @param {Array<string>} prefer - Airlines shown first
+     * @returns {Array} New sorted array
+     */
+    rank(offers, sortBy = 'price', prefer = []) {
+        const value = (offer, field) => {
+            switch (field) {
+                case 'duration':
+                    return this._totalDuration(offer);
+                case 'stops':
+                    return (offer.outbound.stops || 0) + (offer.inbound ? offer.inbound.stops || 0 : 0);
+                default:
+                    return offer.price.total;
+            }
+        };
+
+        // Ties fall back to the other criteria, price first
+        const order = [sortBy, ...['price', 'duration', 'stops'].filter(field => field !== sortBy)];
+
+        return [...offers].sort((a, b) => {
+            if (prefer.length > 0) {
+                const aPreferred = this.matchesAirline(a.outbound, prefer);
+                const bPreferred = this.matchesAirline(b.outbound, prefer);
+                if (aPreferred !== bPreferred) {
+                    return aPreferred ? -1 : 1;
+                }
+            }
+
+            for (const field of order) {
+                const diff = value(a, field) - value(b, field);
+                if (diff !== 0) {
+                    return diff;
+                }
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * Sort order asked for in a message ("fastest", "sin escalas", "más barato")
+     * @param {string} text - Message
+     * @returns {string|null} 'price' | 'duration' | 'stops', or null
+     */
+    parseSortBy(text) {
+        const normalized = normalizeAccents(String(text || '').toLowerCase());
+        const found = SORT_PATTERNS.find(([pattern]) => pattern.test(normalized));
+        return found ? found[1] : null;
+    }
+
+    /**
+     * Check if a leg's airline matches any of the filter names
+     * @param {Object} leg - { airline, airlineName }
+     * @param {Array<string>} filters - Airline names or IATA codes ("Spirit", "NK")
+     * @returns {boolean}
+     */
+    matchesAirline(leg, filters) {
+        if (!filters || filters.length === 0 || !leg) {
+            return false;
+        }
+
+        const code = String(leg.airline || '').toLowerCase();
+        const name = String(leg.airlineName || '').toLowerCase();
+
+        return filters.some(filter => {
+            const filterLower = String(filter).toLowerCase().trim();
+            if (!filterLower) {
+                return false;
+            }
+            return code === filterLower ||
+                (name && (name.includes(filterLower) || filterLower.includes(name)));
+        });
+    }
+
+    /**
+     * ISO 8601 duration ("PT6H35M", "P1DT2H") or minutes → minutes
+     * @param {string|number} duration
+     * @returns {number|null}
+     */
+    parseDuration(duration) {
+        if (typeof duration === 'number') {
+            return duration > 0 ? duration : null;
+        }
+
+        const match = String(duration || '').match(/^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/);
+        if (!match || !(match[1] || match[2] || match[3])) {
+            return null;
+        }
+        return (parseInt(match[1] || 0) * 24 + parseInt(match[2] || 0)) * 60 + parseInt(match[3] || 0);
+    }
+
+    /**
+     * Minutes as "6h 35m"
+     * @param {number|null} minutes
+     * @returns {string}
+     */
+    formatDuration(minutes) {
+        if (!minutes) {
+            return '?';
+        }
+        const hours = Math.floor(minutes / 60);
+        return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+    }
+
+    /**
+     * WhatsApp text of merged results
+     * @param {Object} result - search() result
+     * @returns {string}
+     */
+    formatResults(result) {
+        const { offers, providers, best, query } = result;
+        const currency = query.currency;
+
+        let message = `📊 **${offers.length} Options** (${SORT_LABELS[result.sortBy] || SORT_LABELS.price}):\n\n`;
+
+        offers.forEach(offer => {
+            const { outbound, inbound } = offer;
+            const stops = leg => (leg.stops === null ? '' : leg.stops === 0 ? ', nonstop' : `, ${leg.stops} stop${leg.stops > 1 ? 's' : ''}`);
+            const time = leg => (leg.departure.time ? new Date(leg.departure.time).toLocaleString() : '');
+
+            message += `**${offer.index}. ${outbound.airlineName || outbound.airline || 'Airline'}**` +
+                `${outbound.flightNumber ? ` (${outbound.airline}${outbound.flightNumber})` : ''}` +
+                ` - ${currency} ${offer.price.total.toFixed(2)} · ${offer.provider}\n`;
+            message += `   ${outbound.departure.airport || query.origin} → ${outbound.arrival.airport || query.destination}` +
+                `${time(outbound) ? ` at ${time(outbound)}` : ''} (${this.formatDuration(outbound.durationMinutes)}${stops(outbound)})\n`;
+            if (inbound) {
+                message += `   Return: ${time(inbound) || inbound.departure.airport} (${this.formatDuration(inbound.durationMinutes)}${stops(inbound)})\n`;
+            }
+
+            const others = offer.prices.filter(p => p.provider !== offer.provider);
+            if (others.length > 0) {
+                message += `   Also on ${others.map(p => `${p.provider} ${currency} ${p.total.toFixed(2)}`).join(', ')}\n`;
+            }
+            if (!offer.bookable && offer.deepLink) {
+                message += `   🔗 ${offer.deepLink}\n`;
+            }
+            message += `\n`;
+        });
+
+        if (best) {
+            message += `🏆 **Best price: ${currency} ${best.price.total.toFixed(2)} on ${best.provider}**`;
+            const rivals = providers.filter(p => p.success && p.name !== best.provider);
+            if (rivals.length > 0) {
+                message += ` (${rivals.map(p => `${p.name}: ${currency} ${p.cheapest.toFixed(2)}`).join(', ')})`;
+            }
+            message += `\n`;
+        }
+
+        const failed = providers.filter(p => !p.success);
+        if (failed.length > 0) {
+            message += `⚠️ No results from ${failed.map(p => p.name).join(', ')}\n`;
+        }
+
+        return message.trim();
+    }
+
+    /**
+     * @private
+     */
+    _itineraryKey(offer) {
+        const { outbound, inbound } = offer;
+        if (!outbound.departure.time || !outbound.arrival.time) {
+            return null;
+        }
+
+        const legKey = leg => `${leg.departure.airport}@${leg.departure.time.slice(0, 16)}>${leg.arrival.airport}@${(leg.arrival.time || '').slice(0, 16)}`;
+        return inbound && inbound.departure.time
+            ? `${legKey(outbound)}|${legKey(inbound)}`
+            : legKey(outbound);
+    }
+
+    /**
+     * @private
+     */
+    _totalDuration(offer) {
+        const minutes = (offer.outbound.durationMinutes || 0) + (offer.inbound ? offer.inbound.durationMinutes || 0 : 0);
+        return minutes || Number.MAX_SAFE_INTEGER;
+    }
+
+    /**
+     * Convert an offer to the search currency
+     * @private
+     */
+    async _inCurrency(offer, currency) {
+        if (offer.price.currency === currency) {
+            return offer;
+        }
+
+        const total = Math.round((await currencyService.convert(offer.price.total, offer.price.currency, currency)) * 100) / 100;
+        return {
+            ...offer,
+            price: { total, currency, original: offer.price },
+            prices: [{ provider: offer.provider, total }]
+        };
+    }
+}
+
+// Export singleton instance
+module.exports = new FlightSearch();
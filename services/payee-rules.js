@@ -0,0 +1,336 @@
+/**
+ * Payee Rules
+ *
+ * Learns which category the user picks for each payee, so later transactions
+ * from the same (or a similar) payee can be suggested or auto-categorized
+ * without asking Claude. Rules are stored per budget, because category IDs
+ * belong to a budget. Auto-apply is an opt-in per user.
+ *
+ * Commands:
+ *   /reglas                      -> List learned rules
+ *   /reglas editar <n> <categoría> -> Change the category of rule n
+ *   /reglas borrar <n>           -> Delete rule n
+ *   /reglas auto on|off          -> Auto-apply rules when categorizing
+ */
+
+const { storage, UserStorage } = require('../storage');
+const ynabService = require('./ynab-service');
+const { normalizePayee } = require('./transaction-matcher');
+
+const RULES_KEY_PREFIX = 'payee-rules:';
+
+// Share of the shorter payee's words the other one must contain to reuse a rule
+const MIN_SHARED_WORDS = 0.8;
+
+/**
+ * Compare two normalized payees by whole words
+ * "tambo" fits "tambo miraflores" but not "tambopata lodge": rules may be
+ * auto-applied, so a short rule must never match inside another word.
+ * @param {string} keyA - Normalized payee
+ * @param {string} keyB - Normalized payee
+ * @returns {Object} { score, shared } - Share of the shorter payee's words found in the other, and their count
+ */
+function wordOverlap(keyA, keyB) {
+    const wordsA = new Set(keyA.split(' '));
+    const wordsB = new Set(keyB.split(' '));
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+
+    return { score: shared / Math.min(wordsA.size, wordsB.size), shared };
+}
+
+class PayeeRules {
+    /**
+     * Record the category the user confirmed for a payee
+     * Never throws: learning must not break the flow that confirmed the category.
+     * @param {string} budgetId - Budget ID
+     * @param {string} budgetName - Budget name (for listings)
+     * @param {string} payee - Payee name as shown in YNAB
+     * @param {Object} category - { id, name }
+     * @returns {Promise<Object|null>} Stored rule
+     */
+    async recordCategory(budgetId, budgetName, payee, category) {
+        const key = normalizePayee(payee);
+        if (!key || !category || !category.id) {
+            return null;
+        }
+
+        try {
+            const doc = await this._load(budgetId, budgetName);
+            const existing = doc.rules[key];
+            const sameCategory = existing && existing.categoryId === category.id;
+
+            doc.rules[key] = {
+                payee: payee.trim(),
+                categoryId: category.id,
+                categoryName: category.name,
+                // A different category replaces the rule: the user changed their mind
+                count: sameCategory ? existing.count + 1 : 1,
+                updatedAt: new Date().toISOString()
+            };
+
+            await this._save(budgetId, doc);
+            console.log(`📚 Regla aprendida: ${key} → ${category.name} (${budgetName || budgetId})`);
+            return doc.rules[key];
+        } catch (error) {
+            console.error('Error guardando regla de payee:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Find the rule for a payee (exact normalized match, then payees sharing whole words)
+     * @param {string} budgetId - Budget ID
+     * @param {string} payee - Payee name
+     * @returns {Promise<Object|null>} Rule { payee, categoryId, categoryName, count }
+     */
+    async findRule(budgetId, payee) {
+        const key = normalizePayee(payee);
+        if (!key) {
+            return null;
+        }
+
+        const doc = await this._load(budgetId);
+        if (doc.rules[key]) {
+            return doc.rules[key];
+        }
+
+        // The closest rule wins; on a tie, the one sharing more words is more specific
+        let best = null;
+        let bestOverlap = { score: MIN_SHARED_WORDS, shared: 0 };
+        Object.entries(doc.rules).forEach(([ruleKey, rule]) => {
+            const overlap = wordOverlap(key, ruleKey);
+            if (overlap.score > bestOverlap.score ||
+                (overlap.score === bestOverlap.score && overlap.shared > bestOverlap.shared)) {
+                best = rule;
+                bestOverlap = overlap;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Suggest a category for a payee from the learned rules
+     * @param {string} budgetId - Budget ID
+     * @param {string} payee - Payee name
+     * @param {Array} categories - Current categories of the budget ({ id, name })
+     * @returns {Promise<Object|null>} Category from the list, or null
+     */
+    async suggest(budgetId, payee, categories) {
+        try {
+            const rule = await this.findRule(budgetId, payee);
+            if (!rule) {
+                return null;
+            }
+
+            // The category may have been renamed or deleted since the rule was learned
+            return categories.find(c => c.id === rule.categoryId) ||
+                ynabService.findCategoryByName(categories, rule.categoryName) ||
+                null;
+        } catch (error) {
+            console.error('Error buscando regla de payee:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether the user opted in to auto-applying rules
+     * @param {string} userId - WhatsApp user ID
+     * @returns {Promise<boolean>}
+     */
+    async isAutoApplyEnabled(userId) {
+        const user = await UserStorage.get(userId);
+        return !!(user && user.payeeRules && user.payeeRules.autoApply);
+    }
+
+    /**
+     * All rules of every budget, in listing order
+     * @returns {Promise<Array>} [{ budgetId, budgetName, key, rule }]
+     */
+    async listRules() {
+        const keys = (await storage.keys(`${RULES_KEY_PREFIX}*`)).sort();
+        const list = [];
+
+        for (const storageKey of keys) {
+            const budgetId = storageKey.substring(RULES_KEY_PREFIX.length);
+            const doc = await this._load(budgetId);
+
+            Object.keys(doc.rules).sort().forEach(key => {
+                list.push({ budgetId, budgetName: doc.budgetName || budgetId, key, rule: doc.rules[key] });
+            });
+        }
+
+        return list;
+    }
+
+    /**
+     * Learned rules as prompt lines for Claude
+     * @param {number} limit - Maximum number of rules
+     * @returns {Promise<string>} One "- payee → category (budget)" line per rule
+     */
+    async describeForPrompt(limit = 40) {
+        const list = await this.listRules();
+
+        return list
+            .sort((a, b) => b.rule.count - a.rule.count)
+            .slice(0, limit)
+            .map(({ budgetName, rule }) => `  * ${rule.payee} → "${rule.categoryName}" (${budgetName})`)
+            .join('\n');
+    }
+
+    /**
+     * Handle a /reglas command
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} text - Message text
+     * @returns {Promise<string|null>} Response, or null if not a rules command
+     */
+    async handleCommand(userId, text) {
+        const match = text.trim().match(/^\/reglas?(?:\s+(.*))?$/i);
+        if (!match) {
+            return null;
+        }
+
+        const args = (match[1] || '').trim();
+        const lower = args.toLowerCase();
+
+        try {
+            if (!args) {
+                return await this._formatRules(userId);
+            }
+
+            const autoMatch = lower.match(/^auto(?:\s+(on|off|si|sí|no))?$/);
+            if (autoMatch) {
+                if (!autoMatch[1]) {
+                    return await this._formatRules(userId);
+                }
+                const enabled = ['on', 'si', 'sí'].includes(autoMatch[1]);
+                const user = await UserStorage.get(userId);
+                await UserStorage.update(userId, {
+                    payeeRules: { ...((user && user.payeeRules) || {}), autoApply: enabled }
+                });
+                return enabled
+                    ? '🤖 Auto-categorización activada. Al categorizar pendientes aplicaré tus reglas sin preguntar.'
+                    : '✋ Auto-categorización desactivada. Las reglas solo se usarán como sugerencia.';
+            }
+
+            const deleteMatch = lower.match(/^(?:borrar|eliminar|delete)\s+(\d+)$/);
+            if (deleteMatch) {
+                return await this._deleteRule(parseInt(deleteMatch[1], 10));
+            }
+
+            const editMatch = args.match(/^(?:editar|edit|cambiar)\s+(\d+)\s+(.+)$/i);
+            if (editMatch) {
+                return await this._editRule(parseInt(editMatch[1], 10), editMatch[2].trim());
+            }
+
+            return this._getHelp();
+        } catch (error) {
+            console.error('Error en comando /reglas:', error.message);
+            return `❌ Error gestionando reglas: ${error.message}`;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async _editRule(index, categoryText) {
+        const entry = (await this.listRules())[index - 1];
+        if (!entry) {
+            return `❌ No existe la regla ${index}. Usa /reglas para ver la lista.`;
+        }
+
+        const categories = await ynabService.getCategories(entry.budgetId);
+        const category = ynabService.findCategoryByName(categories, categoryText);
+        if (!category) {
+            return `❌ No encontré la categoría "${categoryText}" en ${entry.budgetName}.`;
+        }
+
+        const doc = await this._load(entry.budgetId);
+        doc.rules[entry.key] = {
+            ...entry.rule,
+            categoryId: category.id,
+            categoryName: category.name,
+            count: 1,
+            updatedAt: new Date().toISOString()
+        };
+        await this._save(entry.budgetId, doc);
+
+        return `✏️ Regla actualizada: ${entry.rule.payee} → ${category.name}`;
+    }
+
+    /**
+     * @private
+     */
+    async _deleteRule(index) {
+        const entry = (await this.listRules())[index - 1];
+        if (!entry) {
+            return `❌ No existe la regla ${index}. Usa /reglas para ver la lista.`;
+        }
+
+        const doc = await this._load(entry.budgetId);
+        delete doc.rules[entry.key];
+        await this._save(entry.budgetId, doc);
+
+        return `🗑️ Regla eliminada: ${entry.rule.payee} → ${entry.rule.categoryName}`;
+    }
+
+    /**
+     * @private
+     */
+    async _formatRules(userId) {
+        const list = await this.listRules();
+        const autoApply = await this.isAutoApplyEnabled(userId);
+
+        let message = `📚 *Reglas de Categorización*\n\n`;
+
+        if (list.length === 0) {
+            message += `Aún no hay reglas. Se aprenden solas cuando categorizas transacciones.\n\n`;
+        } else {
+            let currentBudget = null;
+            list.forEach(({ budgetName, rule }, index) => {
+                if (budgetName !== currentBudget) {
+                    message += `${currentBudget ? '\n' : ''}📊 *${budgetName}*\n`;
+                    currentBudget = budgetName;
+                }
+                message += `${index + 1}. ${rule.payee} → ${rule.categoryName}${rule.count > 1 ? ` (${rule.count}x)` : ''}\n`;
+            });
+            message += `\n`;
+        }
+
+        message += `🤖 Auto-categorizar: ${autoApply ? 'activado' : 'desactivado'}\n\n`;
+        message += this._getHelp();
+        return message;
+    }
+
+    /**
+     * @private
+     */
+    _getHelp() {
+        return `💡 *Comandos de Reglas:*
+• /reglas editar 2 Groceries - Cambiar categoría
+• /reglas borrar 2 - Eliminar regla
+• /reglas auto on - Aplicar reglas sin preguntar
+• /reglas auto off - Solo sugerir`;
+    }
+
+    /**
+     * @private
+     */
+    async _load(budgetId, budgetName = null) {
+        const doc = (await storage.get(RULES_KEY_PREFIX + budgetId)) || { budgetName: null, rules: {} };
+        if (budgetName) {
+            doc.budgetName = budgetName;
+        }
+        return doc;
+    }
+
+    /**
+     * @private
+     */
+    async _save(budgetId, doc) {
+        await storage.set(RULES_KEY_PREFIX + budgetId, doc);
+    }
+}
+
+// Export singleton instance
+module.exports = new PayeeRules();
@@ -2,27 +2,218 @@
  * PDF Service
  *
  * Handles PDF text extraction using pdf-parse.
+ * - Password-protected statements (BCP uses the DNI): pass { password }
+ * - Text per page, so long statements can be processed in parts
+ * - Scanned (image-only) PDFs are detected and can be rasterized to images
+ *   for the image extraction path (Claude Vision)
  */
 
+const path = require('path');
 const pdf = require('pdf-parse');
 
+// pdf.js build bundled with pdf-parse (also used in the browser to rasterize)
+const PDFJS_BUILD_DIR = path.join(path.dirname(require.resolve('pdf-parse/lib/pdf-parse.js')), 'pdf.js', 'v1.10.100', 'build');
+
+// pdf.js PasswordResponses.INCORRECT_PASSWORD (1 is NEED_PASSWORD)
+const INCORRECT_PASSWORD = 2;
+
+// Pages with less text than this (non-blank characters, on average) are scans
+const MIN_TEXT_PER_PAGE = 30;
+
+// Scanned pages sent to Claude Vision at most (one image per page)
+const MAX_RASTER_PAGES = 10;
+
 class PdfService {
+    constructor() {
+        // Returns an already open Puppeteer browser (e.g. WhatsApp's), set by bot.js
+        this.browserProvider = null;
+    }
+
     /**
      * Extract text from PDF buffer
      * @param {Buffer} pdfBuffer - PDF file buffer
+     * @param {Object} options - { password } (optional)
      * @returns {Promise<string>} Extracted text
      */
-    async extractText(pdfBuffer) {
+    async extractText(pdfBuffer, options = {}) {
+        const { text } = await this.extract(pdfBuffer, options);
+        return text;
+    }
+
+    /**
+     * Extract text page by page and detect scanned PDFs
+     * @param {Buffer} pdfBuffer - PDF file buffer
+     * @param {Object} options - { password } (optional)
+     * @returns {Promise<Object>} { text, pages, numPages, isScanned }
+     */
+    async extract(pdfBuffer, options = {}) {
         try {
             console.log('📄 Extrayendo texto del PDF...');
-            const data = await pdf(pdfBuffer);
-            console.log(`✅ Texto extraído: ${data.text.length} caracteres`);
-            return data.text;
+
+            const pages = [];
+            const data = await pdf(this._source(pdfBuffer, options.password), {
+                // pdf-parse renders pages in order, one at a time
+                pagerender: pageData => pageData.getTextContent().then(textContent => {
+                    const text = this._renderText(textContent);
+                    pages.push(text);
+                    return text;
+                })
+            });
+
+            const textLength = pages.join('').replace(/\s/g, '').length;
+            const isScanned = data.numpages > 0 && textLength / data.numpages < MIN_TEXT_PER_PAGE;
+
+            console.log(`✅ Texto extraído: ${data.text.length} caracteres en ${data.numpages} páginas${isScanned ? ' (escaneado)' : ''}`);
+            return { text: data.text, pages, numPages: data.numpages, isScanned };
         } catch (error) {
+            const passwordError = this._toPasswordError(error);
+            if (passwordError) {
+                console.log(`🔒 PDF protegido: ${passwordError.code}`);
+                throw passwordError;
+            }
             console.error('Error extrayendo texto del PDF:', error);
             throw error;
         }
     }
+
+    /**
+     * Check if an error means the PDF needs a (different) password
+     * @param {Error} error - Error thrown by extract() or rasterize()
+     * @returns {boolean} True for missing or incorrect passwords
+     */
+    isPasswordError(error) {
+        return !!error && (error.code === 'PDF_PASSWORD_REQUIRED' || error.code === 'PDF_PASSWORD_INCORRECT');
+    }
+
+    /**
+     * Render pages as JPEG images (for scanned PDFs)
+     * Runs pdf.js inside Chrome, because Node has no canvas.
+     * @param {Buffer} pdfBuffer - PDF file buffer
+     * @param {Object} options - { password, maxPages, scale } (optional)
+     * @returns {Promise<Array>} [{ mimetype, data }] with base64 data, like downloaded images
+     */
+    async rasterize(pdfBuffer, options = {}) {
+        const { password = null, maxPages = MAX_RASTER_PAGES, scale = 2 } = options;
+
+        let browser = this.browserProvider ? await this.browserProvider() : null;
+        const ownBrowser = !browser;
+        let page = null;
+
+        try {
+            console.log('🖨️ Convirtiendo páginas del PDF a imágenes...');
+
+            if (ownBrowser) {
+                const puppeteer = require('puppeteer');
+                browser = await puppeteer.launch({
+                    headless: true,
+                    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage', '--disable-gpu']
+                });
+            }
+
+            page = await browser.newPage();
+            await page.addScriptTag({ path: path.join(PDFJS_BUILD_DIR, 'pdf.js') });
+
+            const workerSource = require('fs').readFileSync(path.join(PDFJS_BUILD_DIR, 'pdf.worker.js'), 'utf8');
+            const result = await page.evaluate(async (base64, workerSource, password, maxPages, scale) => {
+                const PDFJS = window.PDFJS;
+                PDFJS.workerSrc = URL.createObjectURL(new Blob([workerSource], { type: 'application/javascript' }));
+
+                const data = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+                let doc;
+                try {
+                    doc = await PDFJS.getDocument({ data, password: password || undefined });
+                } catch (error) {
+                    return { error: { name: error.name, code: error.code, message: error.message } };
+                }
+
+                const images = [];
+                for (let i = 1; i <= Math.min(doc.numPages, maxPages); i++) {
+                    const pdfPage = await doc.getPage(i);
+                    const viewport = pdfPage.getViewport(scale);
+                    const canvas = document.createElement('canvas');
+                    canvas.width = viewport.width;
+                    canvas.height = viewport.height;
+                    await pdfPage.render({ canvasContext: canvas.getContext('2d'), viewport });
+                    images.push(canvas.toDataURL('image/jpeg', 0.85).split(',')[1]);
+                }
+
+                return { images, numPages: doc.numPages };
+            }, pdfBuffer.toString('base64'), workerSource, password, maxPages, scale);
+
+            if (result.error) {
+                throw this._toPasswordError(result.error) || new Error(result.error.message);
+            }
+
+            if (result.numPages > maxPages) {
+                console.warn(`⚠️ PDF de ${result.numPages} páginas: solo se convierten las primeras ${maxPages}`);
+            }
+
+            console.log(`✅ ${result.images.length} páginas convertidas a imagen`);
+            return result.images.map(data => ({ mimetype: 'image/jpeg', data }));
+        } catch (error) {
+            if (!this.isPasswordError(error)) {
+                console.error('Error convirtiendo el PDF a imágenes:', error);
+            }
+            throw error;
+        } finally {
+            if (page) {
+                await page.close().catch(() => {});
+            }
+            if (ownBrowser && browser) {
+                await browser.close().catch(() => {});
+            }
+        }
+    }
+
+    /**
+     * Use an open Puppeteer browser for rasterize() instead of launching one
+     * @param {Function} provider - () => Browser (or Promise<Browser>), null to launch
+     */
+    setBrowserProvider(provider) {
+        this.browserProvider = provider;
+    }
+
+    /**
+     * pdf-parse passes its first argument to pdf.js getDocument(), which accepts { data, password }.
+     * The copy matters: small Buffers share Node's pool and pdf.js reads the whole underlying ArrayBuffer.
+     * @private
+     */
+    _source(pdfBuffer, password) {
+        const source = { data: new Uint8Array(pdfBuffer) };
+        if (password) {
+            source.password = password;
+        }
+        return source;
+    }
+
+    /**
+     * Same line joining as pdf-parse's default renderer
+     * @private
+     */
+    _renderText(textContent) {
+        let lastY;
+        let text = '';
+        for (const item of textContent.items) {
+            text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+            lastY = item.transform[5];
+        }
+        return text;
+    }
+
+    /**
+     * Map a pdf.js PasswordException to an Error with a code
+     * @private
+     */
+    _toPasswordError(error) {
+        if (!error || error.name !== 'PasswordException') {
+            return null;
+        }
+
+        const incorrect = error.code === INCORRECT_PASSWORD;
+        const passwordError = new Error(incorrect ? 'Contraseña del PDF incorrecta' : 'El PDF está protegido con contraseña');
+        passwordError.code = incorrect ? 'PDF_PASSWORD_INCORRECT' : 'PDF_PASSWORD_REQUIRED';
+        return passwordError;
+    }
 }
 
 // Export singleton instance
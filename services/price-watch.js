@@ -0,0 +1,564 @@
+/**
+ * Price Watch
+ *
+ * Watches flight prices for a route and dates ("avísame si baja de $400"
+ * after a flight search). On a schedule it searches every flight provider
+ * again (Amadeus, Sky-Scrapper), keeps the best price of each check as
+ * history and notifies the user over WhatsApp when the price drops:
+ * - With a limit: the first time the best price is at or below it, and on
+ *   every further drop. It re-arms if the price goes back above the limit.
+ * - Without a limit: whenever the best price is lower than the last check.
+ * Watches whose departure date has passed are removed.
+ *
+ * Watches are stored per user (UserStorage, key "priceWatches").
+ * Searches go through services/flight-search.js (all providers, merged).
+ *
+ * Commands:
+ *   /vigilar                                  -> List watched routes
+ *   /vigilar LIM MIA 2026-12-11 [2026-12-20] [$400] -> Watch a route (return date and limit optional)
+ *   /vigilar historial <n>                    -> Price history of watch n
+ *   /vigilar borrar <n>                       -> Stop watching n
+ *   /vigilar revisar                          -> Check prices now
+ */
+
+const { UserStorage } = require('../storage');
+const { today } = require('./recurrence');
+const flightSearch = require('./flight-search');
+
+// How often prices are searched again (each check is one search per provider and watch)
+const CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Checks kept per watch
+const MAX_HISTORY = 60;
+
+const CURRENCY_WORDS = [
+    { pattern: /s\/|\bsoles?\b|\bpen\b/i, currency: 'PEN' },
+    { pattern: /€|\beur(?:os?)?\b/i, currency: 'EUR' },
+    { pattern: /\$|\busd\b|\bd[oó]lar(?:es)?\b|\bdollars?\b/i, currency: 'USD' }
+];
+
+class PriceWatchService {
+    constructor() {
+        this.checkIntervalMs = CHECK_INTERVAL_MS;
+    }
+
+    /**
+     * Register the price check job with the scheduler
+     * @param {Object} scheduler - services/scheduler instance
+     */
+    register(scheduler) {
+        scheduler.register('price-watch', this.checkIntervalMs, ({ sendMessage, now }) =>
+            this.checkWatches(sendMessage, now)
+        );
+    }
+
+    /**
+     * Handle a /vigilar command
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} text - Message text
+     * @returns {Promise<string|null>} Response, or null if not a price watch command
+     */
+    async handleCommand(userId, text) {
+        const match = text.trim().match(/^\/vigilar(?:\s+(.*))?$/i);
+        if (!match) {
+            return null;
+        }
+
+        const args = (match[1] || '').trim();
+        const lower = args.toLowerCase();
+
+        try {
+            if (!args || lower === 'lista' || lower === 'list') {
+                return this._formatWatches(await this.getWatches(userId));
+            }
+
+            if (lower === 'revisar' || lower === 'check' || lower === 'ahora') {
+                return await this._checkNow(userId);
+            }
+
+            const historyMatch = lower.match(/^(?:historial|history)\s+(\d+)$/);
+            if (historyMatch) {
+                const watch = (await this.getWatches(userId))[parseInt(historyMatch[1], 10) - 1];
+                return watch
+                    ? this._formatHistory(watch)
+                    : `❌ No existe la vigilancia ${historyMatch[1]}. Usa /vigilar para ver la lista.`;
+            }
+
+            const deleteMatch = lower.match(/^(?:borrar|eliminar|delete)\s+(\d+)$/);
+            if (deleteMatch) {
+                return await this._deleteWatch(userId, parseInt(deleteMatch[1], 10));
+            }
+
+            const details = this._parseWatch(args);
+            if (!details) {
+                return `❌ No entendí la ruta.\n\n${this._getHelp()}`;
+            }
+
+            const watch = await this.addWatch(userId, details);
+            return `✅ Vigilando ${this.describeWatch(watch)}\n\n` +
+                `Revisaré los precios cada ${this.checkIntervalMs / 3600000} horas. Usa /vigilar revisar para buscar ahora.`;
+        } catch (error) {
+            console.error('Error en comando /vigilar:', error.message);
+            return `❌ Error vigilando precios: ${error.message}`;
+        }
+    }
+
+    /**
+     * Watch a route
+     * The same route and dates replace the previous limit instead of adding a second watch.
+     * @param {string} userId - WhatsApp user ID
+     * @param {Object} details - { origin, destination, departureDate, returnDate, adults, threshold, currency, currentBest }
+     *   currentBest: { price, provider, airline } from the search the user just saw (first history entry)
+     * @returns {Promise<Object>} Watch
+     */
+    async addWatch(userId, details) {
+        const watches = await this.getWatches(userId);
+        const currency = details.currency || 'USD';
+
+        const existing = watches.find(w =>
+            w.origin === details.origin &&
+            w.destination === details.destination &&
+            w.departureDate === details.departureDate &&
+            (w.returnDate || null) === (details.returnDate || null) &&
+            w.adults === (details.adults || 1)
+        );
+
+        const watch = existing || {
+            id: watches.reduce((max, w) => Math.max(max, w.id), 0) + 1,
+            origin: details.origin,
+            destination: details.destination,
+            departureDate: details.departureDate,
+            returnDate: details.returnDate || null,
+            adults: details.adults || 1,
+            createdAt: new Date().toISOString(),
+            history: []
+        };
+
+        watch.threshold = details.threshold || null;
+        watch.currency = currency;
+        watch.notifiedPrice = null;
+
+        if (details.currentBest && (!details.currentBest.currency || details.currentBest.currency === currency)) {
+            this._recordCheck(watch, { ...details.currentBest, currency }, new Date());
+        }
+
+        if (!existing) {
+            watches.push(watch);
+        }
+        await this._saveWatches(userId, watches);
+
+        console.log(`👀 Vigilancia de precio para ${userId}: ${this.describeWatch(watch)}`);
+        return watch;
+    }
+
+    /**
+     * Get a user's watches
+     * @param {string} userId - WhatsApp user ID
+     * @returns {Promise<Array>} Watches
+     */
+    async getWatches(userId) {
+        const user = await UserStorage.get(userId);
+        return (user && user.priceWatches) || [];
+    }
+
+    /**
+     * Check every user's watches and notify price drops
+     * @param {Function} sendMessage - async (userId, text) => void
+     * @param {Date} now - Current time
+     * @returns {Promise<number>} Number of notifications sent
+     */
+    async checkWatches(sendMessage, now = new Date()) {
+        if (flightSearch.providers.length === 0) {
+            console.log('⚠️ Vigilancia de precios: no hay proveedores de vuelos configurados');
+            return 0;
+        }
+
+        const userIds = await UserStorage.getAllUsers();
+        let notified = 0;
+
+        for (const userId of userIds) {
+            const watches = await this.getWatches(userId);
+            if (watches.length === 0) {
+                continue;
+            }
+
+            const checked = [];
+            const expired = [];
+            const day = now.toISOString().split('T')[0];
+
+            for (const watch of watches) {
+                if (watch.departureDate < day) {
+                    expired.push(watch.id);
+                    continue;
+                }
+
+                const result = await this.checkWatch(watch, now);
+                checked.push(watch);
+
+                if (!result.notify) {
+                    continue;
+                }
+
+                try {
+                    await sendMessage(userId, this._formatDrop(watch, result));
+                    console.log(`📉 Bajada de precio enviada a ${userId}: ${watch.origin} → ${watch.destination} ${result.best.price}`);
+                    notified++;
+                } catch (error) {
+                    console.error(`❌ Error enviando bajada de precio a ${userId}:`, error.message);
+                }
+            }
+
+            if (expired.length > 0) {
+                console.log(`🗑️ ${expired.length} vigilancias de precio vencidas de ${userId}`);
+            }
+
+            // Re-read so watches added or deleted while searching are kept
+            const current = (await this.getWatches(userId))
+                .filter(w => !expired.includes(w.id))
+                .map(w => checked.find(c => c.id === w.id) || w);
+            await this._saveWatches(userId, current);
+        }
+
+        return notified;
+    }
+
+    /**
+     * Search all providers for a watch and record the best price
+     * Updates watch.history and watch.notifiedPrice in place.
+     * @param {Object} watch - Watch
+     * @param {Date} now - Current time
+     * @returns {Promise<Object>} { best, previous, notify, errors } (best null if no provider had offers)
+     */
+    async checkWatch(watch, now = new Date()) {
+        const query = {
+            origin: watch.origin,
+            destination: watch.destination,
+            departureDate: watch.departureDate,
+            returnDate: watch.returnDate || undefined,
+            adults: watch.adults,
+            currency: watch.currency
+        };
+
+        const result = await flightSearch.search(query, { maxResults: 5 });
+
+        const errors = result.providers
+            .filter(provider => !provider.success)
+            .map(provider => `${provider.name}: ${provider.error}`);
+
+        const best = result.best ? this._describeOffer(result.best) : null;
+
+        const previous = watch.history.length > 0 ? watch.history[watch.history.length - 1] : null;
+
+        if (!best) {
+            return { best, previous, notify: false, errors };
+        }
+
+        this._recordCheck(watch, best, now);
+
+        let notify;
+        if (watch.threshold) {
+            if (best.price > watch.threshold) {
+                // Back above the limit: the next drop below it is news again
+                watch.notifiedPrice = null;
+                notify = false;
+            } else {
+                notify = watch.notifiedPrice === null || best.price < watch.notifiedPrice;
+            }
+        } else {
+            notify = previous !== null && best.price < previous.price;
+        }
+
+        if (notify) {
+            watch.notifiedPrice = best.price;
+        }
+
+        return { best, previous, notify, errors };
+    }
+
+    /**
+     * Read a price limit from a message ("avísame si baja de $400", "below S/ 1500")
+     * @param {string} text - Message
+     * @returns {Object|null} { amount, currency } (USD unless another currency is named)
+     */
+    parseThreshold(text) {
+        const value = String(text || '');
+        const match = value.match(/(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)/);
+        if (!match) {
+            return null;
+        }
+
+        const currency = CURRENCY_WORDS.find(word => word.pattern.test(value));
+        return {
+            amount: parseFloat(match[1].replace(/,/g, '')),
+            currency: currency ? currency.currency : 'USD'
+        };
+    }
+
+    /**
+     * One-line description of a watch
+     * @param {Object} watch - Watch
+     * @returns {string}
+     */
+    describeWatch(watch) {
+        const dates = watch.returnDate ? `${watch.departureDate} – ${watch.returnDate}` : watch.departureDate;
+        const people = watch.adults > 1 ? `, ${watch.adults} pasajeros` : '';
+        const limit = watch.threshold ? `, avisar si baja de ${watch.currency} ${watch.threshold}` : ', avisar si baja';
+        return `${watch.origin} → ${watch.destination} (${dates}${people})${limit}`;
+    }
+
+    /**
+     * Fields of a merged offer kept in the history and shown in the alert
+     * @private
+     */
+    _describeOffer(offer) {
+        return {
+            price: offer.price.total,
+            currency: offer.price.currency,
+            provider: offer.provider,
+            airline: offer.outbound.airlineName || offer.outbound.airline || null,
+            flightNumber: offer.outbound.flightNumber || null,
+            departureTime: offer.outbound.departure.time || null,
+            stops: offer.outbound.stops,
+            link: offer.deepLink || null
+        };
+    }
+
+    /**
+     * @private
+     */
+    _recordCheck(watch, best, now) {
+        watch.history.push({
+            checkedAt: now.toISOString(),
+            price: best.price,
+            provider: best.provider || null,
+            airline: best.airline || null
+        });
+        watch.history = watch.history.slice(-MAX_HISTORY);
+        watch.lastCheck = now.toISOString();
+    }
+
+    /**
+     * Check the user's watches now and describe the results
+     * @private
+     */
+    async _checkNow(userId) {
+        const watches = await this.getWatches(userId);
+        if (watches.length === 0) {
+            return this._formatWatches(watches);
+        }
+        if (flightSearch.providers.length === 0) {
+            return '❌ La búsqueda de vuelos no está disponible (activa el modo multi-agente).';
+        }
+
+        let message = `🔎 *Precios ahora*\n\n`;
+        for (const [index, watch] of watches.entries()) {
+            if (watch.departureDate < today()) {
+                message += `${index + 1}. ${watch.origin} → ${watch.destination}: ya pasó la fecha\n`;
+                continue;
+            }
+
+            const { best, previous, errors } = await this.checkWatch(watch);
+            if (!best) {
+                message += `${index + 1}. ${watch.origin} → ${watch.destination}: sin resultados (${errors.join('; ')})\n`;
+                continue;
+            }
+
+            message += `${index + 1}. ${watch.origin} → ${watch.destination}: ${best.currency} ${best.price.toFixed(2)} ` +
+                `(${best.airline || best.provider}, ${best.provider})${this._formatChange(best, previous)}\n`;
+        }
+
+        // Re-read so watches changed while searching are kept
+        const current = (await this.getWatches(userId)).map(w => watches.find(c => c.id === w.id) || w);
+        await this._saveWatches(userId, current);
+
+        return message.trim();
+    }
+
+    /**
+     * Parse "/vigilar LIM MIA 2026-12-11 [2026-12-20] [$400]"
+     * @private
+     */
+    _parseWatch(args) {
+        const match = args.match(/^([a-z]{3})\s*(?:-|→|>|\s)\s*([a-z]{3})\s+(\S+)(?:\s+(\d{1,2}\/\d{1,2}(?:\/\d{4})?|\d{4}-\d{2}-\d{2}))?(?:\s+(.+))?$/i);
+        if (!match) {
+            return null;
+        }
+
+        const departureDate = this._parseDate(match[3]);
+        const returnDate = match[4] ? this._parseDate(match[4]) : null;
+        if (!departureDate || (match[4] && (!returnDate || returnDate < departureDate))) {
+            return null;
+        }
+
+        const limit = match[5] ? this.parseThreshold(match[5]) : null;
+        if (match[5] && !limit) {
+            return null;
+        }
+
+        return {
+            origin: match[1].toUpperCase(),
+            destination: match[2].toUpperCase(),
+            departureDate,
+            returnDate,
+            threshold: limit ? limit.amount : null,
+            currency: limit ? limit.currency : 'USD'
+        };
+    }
+
+    /**
+     * YYYY-MM-DD or DD/MM[/YYYY] (next occurrence when the year is omitted), from today on
+     * @private
+     */
+    _parseDate(text) {
+        let date = null;
+
+        if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+            date = text;
+        } else {
+            const match = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+            if (!match) {
+                return null;
+            }
+            const [, day, month, year] = match;
+            const pad = n => String(n).padStart(2, '0');
+            const thisYear = parseInt(today().slice(0, 4), 10);
+            date = `${year || thisYear}-${pad(month)}-${pad(day)}`;
+            if (!year && date < today()) {
+                date = `${thisYear + 1}-${pad(month)}-${pad(day)}`;
+            }
+        }
+
+        const check = new Date(`${date}T00:00:00Z`);
+        if (isNaN(check.getTime()) || check.toISOString().split('T')[0] !== date || date < today()) {
+            return null;
+        }
+        return date;
+    }
+
+    /**
+     * @private
+     */
+    async _deleteWatch(userId, index) {
+        const watches = await this.getWatches(userId);
+        const watch = watches[index - 1];
+
+        if (!watch) {
+            return `❌ No existe la vigilancia ${index}. Usa /vigilar para ver la lista.`;
+        }
+
+        watches.splice(index - 1, 1);
+        await this._saveWatches(userId, watches);
+
+        return `🗑️ Ya no vigilo ${watch.origin} → ${watch.destination} (${watch.departureDate})`;
+    }
+
+    /**
+     * @private
+     */
+    async _saveWatches(userId, watches) {
+        await UserStorage.update(userId, { priceWatches: watches });
+    }
+
+    /**
+     * @private
+     */
+    _formatChange(best, previous) {
+        if (!previous) {
+            return '';
+        }
+        const diff = best.price - previous.price;
+        if (Math.abs(diff) < 0.005) {
+            return ' · igual';
+        }
+        return diff < 0 ? ` · 📉 ${Math.abs(diff).toFixed(2)} menos` : ` · 📈 ${diff.toFixed(2)} más`;
+    }
+
+    /**
+     * @private
+     */
+    _lowest(watch) {
+        return watch.history.reduce((min, entry) => (min === null || entry.price < min ? entry.price : min), null);
+    }
+
+    /**
+     * @private
+     */
+    _formatDrop(watch, { best, previous }) {
+        let message = `📉 *Bajó el precio: ${watch.origin} → ${watch.destination}*\n\n`;
+        message += `📅 ${watch.departureDate}${watch.returnDate ? ` – ${watch.returnDate}` : ''}\n`;
+        message += `💰 *${best.currency} ${best.price.toFixed(2)}* con ${best.airline || 'aerolínea sin nombre'}` +
+            `${best.flightNumber ? ` ${best.flightNumber}` : ''} (${best.provider})`;
+        if (previous) {
+            message += ` — antes ${watch.currency} ${previous.price.toFixed(2)}`;
+        }
+        message += `\n`;
+        if (best.departureTime) {
+            message += `🛫 Sale ${best.departureTime.replace('T', ' ').slice(0, 16)}${best.stops ? `, ${best.stops} escala(s)` : ', directo'}\n`;
+        }
+        if (watch.threshold) {
+            message += `🎯 Tu límite: ${watch.currency} ${watch.threshold}\n`;
+        }
+        message += `📊 Mínimo visto: ${watch.currency} ${this._lowest(watch).toFixed(2)} en ${watch.history.length} revisiones\n`;
+        if (best.link) {
+            message += `🔗 ${best.link}\n`;
+        }
+        message += `\n💡 Busca de nuevo en modo viaje para reservar. /vigilar para ver tus rutas.`;
+        return message;
+    }
+
+    /**
+     * @private
+     */
+    _formatHistory(watch) {
+        if (watch.history.length === 0) {
+            return `📊 ${watch.origin} → ${watch.destination}: todavía no hay precios. Usa /vigilar revisar.`;
+        }
+
+        let message = `📊 *Historial: ${watch.origin} → ${watch.destination}* (${watch.departureDate})\n\n`;
+        watch.history.slice(-15).forEach(entry => {
+            message += `• ${entry.checkedAt.replace('T', ' ').slice(0, 16)}: ${watch.currency} ${entry.price.toFixed(2)}` +
+                ` (${entry.airline || entry.provider})\n`;
+        });
+
+        const lowest = this._lowest(watch);
+        const highest = watch.history.reduce((max, entry) => Math.max(max, entry.price), 0);
+        message += `\n⬇️ Mínimo ${watch.currency} ${lowest.toFixed(2)} · ⬆️ Máximo ${watch.currency} ${highest.toFixed(2)}`;
+        return message;
+    }
+
+    /**
+     * @private
+     */
+    _formatWatches(watches) {
+        if (watches.length === 0) {
+            return `🔕 No estás vigilando ningún vuelo.\n\n${this._getHelp()}`;
+        }
+
+        let message = `👀 *Vuelos Vigilados*\n\n`;
+        watches.forEach((watch, index) => {
+            const last = watch.history[watch.history.length - 1];
+            message += `${index + 1}. ${this.describeWatch(watch)}\n`;
+            if (last) {
+                message += `   Último: ${watch.currency} ${last.price.toFixed(2)} · mínimo ${watch.currency} ${this._lowest(watch).toFixed(2)}\n`;
+            }
+        });
+        message += `\n${this._getHelp()}`;
+        return message;
+    }
+
+    /**
+     * @private
+     */
+    _getHelp() {
+        return `💡 *Comandos de Vigilancia de Precios:*
+• /vigilar LIM MIA 11/12 $400 - Avisar si baja de $400
+• /vigilar LIM MIA 11/12 20/12 - Ida y vuelta, avisar cada bajada
+• /vigilar historial 1 - Precios registrados
+• /vigilar borrar 1 - Dejar de vigilar
+• /vigilar revisar - Buscar ahora
+• En modo viaje, después de buscar: "avísame si baja de $400"`;
+    }
+}
+
+// Export singleton instance
+module.exports = new PriceWatchService();
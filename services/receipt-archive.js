@@ -0,0 +1,372 @@
+/**
+ * Receipt Archive
+ *
+ * Keeps every processed receipt/statement (images and PDFs) on local disk
+ * under its SHA-256 content hash, with an index that links each document to
+ * the YNAB transactions it created. The short hash also goes in the memo of
+ * those transactions, so a transaction in YNAB leads back to its document.
+ *
+ * Layout (RECEIPTS_DIR, default ./data/receipts):
+ *   ab/ab12cd34....jpg   - the original file, stored once per content
+ *   index.json           - { documents: { <hash>: { users, mimetype, filename, savedAt, transactions } } }
+ *
+ * Commands:
+ *   /recibo                 - Latest documents
+ *   /recibo <comercio>      - Search by payee ("/recibo tottus")
+ *   /recibo <fecha>         - Search by date ("/recibo 14/03", "/recibo 2025-03")
+ *   /recibo <código>        - The document with that code (from the list or the memo)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizePayee } = require('./transaction-matcher');
+
+// Characters of the hash shown to users and written in memos
+const SHORT_HASH_LENGTH = 12;
+
+// YNAB memo limit
+const MAX_MEMO_LENGTH = 200;
+
+// Documents listed per /recibo answer
+const MAX_RESULTS = 8;
+
+const EXTENSIONS = {
+    'application/pdf': 'pdf',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/heic': 'heic'
+};
+
+class ReceiptArchive {
+    constructor() {
+        this.dir = process.env.RECEIPTS_DIR || './data/receipts';
+        this.index = null; // Loaded on first use
+        this.writing = Promise.resolve(); // Index writes run one at a time
+    }
+
+    /**
+     * Content hash of a document
+     * @param {Buffer} buffer - File contents
+     * @returns {string} SHA-256 hex
+     */
+    hash(buffer) {
+        return crypto.createHash('sha256').update(buffer).digest('hex');
+    }
+
+    /**
+     * Short code for a hash (memos, /recibo lists)
+     * @param {string} hash - Full hash
+     * @returns {string} First SHORT_HASH_LENGTH characters
+     */
+    shortHash(hash) {
+        return hash.substring(0, SHORT_HASH_LENGTH);
+    }
+
+    /**
+     * Add the document code to a memo, keeping it within YNAB's limit
+     * @param {string|null} memo - Transaction memo
+     * @param {string} hash - Document hash
+     * @returns {string} Memo ending in "[doc:ab12cd34ef56]"
+     */
+    tagMemo(memo, hash) {
+        const tag = `[doc:${this.shortHash(hash)}]`;
+        const room = MAX_MEMO_LENGTH - tag.length - 1;
+        const text = (memo || '').trim();
+
+        if (!text) {
+            return tag;
+        }
+
+        return `${text.length > room ? `${text.substring(0, room - 1)}…` : text} ${tag}`;
+    }
+
+    /**
+     * Store a document (once per content) and register it for the user
+     * @param {string} userId - WhatsApp user ID
+     * @param {Buffer} buffer - File contents
+     * @param {Object} info - { mimetype, filename }
+     * @returns {Promise<string>} Document hash
+     */
+    async save(userId, buffer, info = {}) {
+        try {
+            const hash = this.hash(buffer);
+            const mimetype = info.mimetype || 'application/octet-stream';
+            const filePath = this._filePath(hash, mimetype);
+
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            try {
+                await fs.writeFile(filePath, buffer, { flag: 'wx' });
+                console.log(`🗄️ Documento archivado: ${this.shortHash(hash)} (${mimetype}, ${buffer.length} bytes)`);
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            await this._updateIndex(index => {
+                const entry = index.documents[hash] || {
+                    mimetype,
+                    filename: info.filename || null,
+                    savedAt: new Date().toISOString(),
+                    users: [],
+                    transactions: []
+                };
+                if (!entry.users.includes(userId)) {
+                    entry.users.push(userId);
+                }
+                if (!entry.filename && info.filename) {
+                    entry.filename = info.filename;
+                }
+                index.documents[hash] = entry;
+            });
+
+            return hash;
+        } catch (error) {
+            console.error('Error archivando documento:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Link a document to the YNAB transactions created from it
+     * @param {string} hash - Document hash
+     * @param {Array} transactions - [{ id, budgetId, accountId, date, payee, amount }]
+     */
+    async link(hash, transactions) {
+        if (!hash || transactions.length === 0) {
+            return;
+        }
+
+        try {
+            await this._updateIndex(index => {
+                const entry = index.documents[hash];
+                if (!entry) {
+                    return;
+                }
+
+                for (const tx of transactions) {
+                    if (!entry.transactions.some(existing => existing.id === tx.id)) {
+                        entry.transactions.push(tx);
+                    }
+                }
+            });
+
+            console.log(`🔗 Documento ${this.shortHash(hash)} vinculado a ${transactions.length} transacciones`);
+        } catch (error) {
+            console.error('Error vinculando documento:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a user's documents by code, payee or date (newest first)
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} query - Short hash, payee text, or date (YYYY-MM-DD, YYYY-MM, DD/MM, DD/MM/YYYY)
+     * @returns {Promise<Array>} [{ hash, ...entry }]
+     */
+    async search(userId, query = '') {
+        const index = await this._loadIndex();
+        const documents = Object.entries(index.documents)
+            .filter(([, entry]) => entry.users.includes(userId))
+            .map(([hash, entry]) => ({ hash, ...entry }))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+
+        const text = query.trim().toLowerCase();
+        if (!text) {
+            return documents;
+        }
+
+        // Document code
+        if (/^[0-9a-f]{6,64}$/.test(text)) {
+            const byHash = documents.filter(doc => doc.hash.startsWith(text));
+            if (byHash.length > 0) {
+                return byHash;
+            }
+        }
+
+        const date = this._parseQueryDate(text);
+        if (date) {
+            return documents.filter(doc =>
+                doc.transactions.some(tx => tx.date && tx.date.startsWith(date)) ||
+                doc.savedAt.startsWith(date)
+            );
+        }
+
+        const payee = normalizePayee(text);
+        if (!payee) {
+            return [];
+        }
+
+        return documents.filter(doc =>
+            doc.transactions.some(tx => normalizePayee(tx.payee).includes(payee)) ||
+            normalizePayee(doc.filename).includes(payee)
+        );
+    }
+
+    /**
+     * Read a stored document
+     * @param {string} hash - Document hash
+     * @returns {Promise<Object>} { buffer, mimetype, filename }
+     */
+    async load(hash) {
+        const index = await this._loadIndex();
+        const entry = index.documents[hash];
+        if (!entry) {
+            throw new Error(`Documento ${this.shortHash(hash)} no encontrado`);
+        }
+
+        const buffer = await fs.readFile(this._filePath(hash, entry.mimetype));
+        const filename = entry.filename || `recibo-${this.shortHash(hash)}.${EXTENSIONS[entry.mimetype] || 'bin'}`;
+        return { buffer, mimetype: entry.mimetype, filename };
+    }
+
+    /**
+     * Handle /recibo
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} text - Message text
+     * @returns {Promise<Object|null>} { text, document } (document to send back, or null), null if not a /recibo command
+     */
+    async handleCommand(userId, text) {
+        const match = text.trim().match(/^\/recibos?(?:\s+(.+))?$/i);
+        if (!match) {
+            return null;
+        }
+
+        const query = (match[1] || '').trim();
+        const documents = await this.search(userId, query);
+
+        if (documents.length === 0) {
+            return {
+                text: query
+                    ? `🔍 No encontré documentos para "${query}".\n\n💡 Busca por comercio (/recibo tottus) o fecha (/recibo 14/03, /recibo 2025-03).`
+                    : '🗄️ Aún no hay recibos archivados. Envía una foto o PDF y quedará guardado.',
+                document: null
+            };
+        }
+
+        // One match: send the original back
+        if (query && documents.length === 1) {
+            const doc = documents[0];
+            return {
+                text: `🧾 ${this._describe(doc)}`,
+                document: await this.load(doc.hash)
+            };
+        }
+
+        let response = query
+            ? `🗄️ *${documents.length} documentos para "${query}":*\n\n`
+            : '🗄️ *Últimos documentos archivados:*\n\n';
+
+        documents.slice(0, MAX_RESULTS).forEach(doc => {
+            response += `• \`${this.shortHash(doc.hash)}\` ${this._describe(doc)}\n`;
+        });
+        if (documents.length > MAX_RESULTS) {
+            response += `… y ${documents.length - MAX_RESULTS} más\n`;
+        }
+
+        response += '\n💡 Escribe /recibo <código> para recibir el documento.';
+        return { text: response, document: null };
+    }
+
+    /**
+     * One-line description: date, payees and total of the linked transactions
+     * @private
+     */
+    _describe(doc) {
+        const date = doc.transactions.length > 0
+            ? doc.transactions.map(tx => tx.date).sort()[0]
+            : doc.savedAt.split('T')[0];
+
+        if (doc.transactions.length === 0) {
+            return `${date} | ${doc.filename || doc.mimetype} (sin transacciones)`;
+        }
+
+        if (doc.transactions.length === 1) {
+            const tx = doc.transactions[0];
+            return `${date} | ${tx.payee} | ${tx.amount}`;
+        }
+
+        const payees = [...new Set(doc.transactions.map(tx => tx.payee))].slice(0, 3).join(', ');
+        return `${date} | ${doc.transactions.length} transacciones (${payees}${doc.transactions.length > 3 ? '…' : ''})`;
+    }
+
+    /**
+     * Date prefix to match: "2025-03-14", "2025-03", "14/03" (this year), "14/03/2025"
+     * @private
+     */
+    _parseQueryDate(text) {
+        if (/^\d{4}-\d{2}(-\d{2})?$/.test(text)) {
+            return text;
+        }
+
+        const match = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?$/);
+        if (!match) {
+            return null;
+        }
+
+        const year = match[3] ? (match[3].length === 2 ? `20${match[3]}` : match[3]) : String(new Date().getFullYear());
+        return `${year}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+    }
+
+    /**
+     * @private
+     */
+    _filePath(hash, mimetype) {
+        return path.join(this.dir, hash.substring(0, 2), `${hash}.${EXTENSIONS[mimetype] || 'bin'}`);
+    }
+
+    /**
+     * @private
+     */
+    async _loadIndex() {
+        if (!this.index) {
+            const indexPath = path.join(this.dir, 'index.json');
+            let content;
+            try {
+                content = await fs.readFile(indexPath, 'utf8');
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    // Unreadable (permissions, I/O): starting fresh would overwrite it
+                    console.error('❌ No se pudo leer el índice de recibos:', error.message);
+                    throw error;
+                }
+                content = null;
+            }
+
+            try {
+                this.index = content ? JSON.parse(content) : { documents: {} };
+            } catch (error) {
+                // Corrupt: keep it aside so the links can be recovered by hand
+                const backup = `${indexPath}.corrupt-${Date.now()}`;
+                await fs.rename(indexPath, backup);
+                console.error(`⚠️ Índice de recibos corrupto, guardado como ${backup}; se crea uno nuevo:`, error.message);
+                this.index = { documents: {} };
+            }
+        }
+        return this.index;
+    }
+
+    /**
+     * Apply a change to the index and write it (changes are serialized)
+     * @private
+     */
+    async _updateIndex(change) {
+        const run = this.writing.then(async () => {
+            const index = await this._loadIndex();
+            change(index);
+            await fs.mkdir(this.dir, { recursive: true });
+            const indexPath = path.join(this.dir, 'index.json');
+            await fs.writeFile(`${indexPath}.tmp`, JSON.stringify(index, null, 2));
+            await fs.rename(`${indexPath}.tmp`, indexPath);
+        });
+
+        // A failed write must not block the next ones
+        this.writing = run.catch(() => {});
+        return run;
+    }
+}
+
+// Export singleton instance
+module.exports = new ReceiptArchive();
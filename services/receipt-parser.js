@@ -0,0 +1,183 @@
+/**
+ * Receipt Parser
+ *
+ * Turns a receipt extracted by Claude (merchant, date, subtotal, IGV/tax,
+ * tip, total and line items) into ONE transaction for YNAB:
+ * - The printed total is what was charged, so it is the transaction amount
+ * - The total is checked against the sum of the lines (Peruvian prices
+ *   include IGV; US receipts add the tax on top)
+ * - One category → itemized memo; several → one split line per category,
+ *   with tax and tip shared in proportion to each category's lines
+ */
+
+const { today } = require('./recurrence');
+
+// Rounding on receipts (IGV is rounded per line on some tickets)
+const TOTAL_TOLERANCE = 0.05;
+
+// YNAB memo limit
+const MAX_MEMO_LENGTH = 200;
+
+const toCents = amount => Math.round(amount * 100);
+const fromCents = cents => cents / 100;
+
+/**
+ * Read a number from Claude's JSON (null if missing)
+ */
+function toAmount(value) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && !isNaN(number) ? number : null;
+}
+
+/**
+ * Clean the receipt returned by Claude
+ * @param {Object} raw - { merchant, date, subtotal, tax, tip, total, items: [{ description, quantity, amount, categoryName }] }
+ * @returns {Object} Receipt with numeric fields and valid items only
+ */
+function normalizeReceipt(raw) {
+    const items = (Array.isArray(raw.items) ? raw.items : [])
+        .map(item => ({
+            description: String(item.description || '').trim() || 'Producto',
+            quantity: toAmount(item.quantity),
+            amount: toAmount(item.amount),
+            categoryName: item.categoryName || null
+        }))
+        .filter(item => item.amount !== null);
+
+    return {
+        merchant: String(raw.merchant || '').trim() || null,
+        date: /^\d{4}-\d{2}-\d{2}$/.test(raw.date || '') ? raw.date : null,
+        subtotal: toAmount(raw.subtotal),
+        tax: toAmount(raw.tax),
+        tip: toAmount(raw.tip),
+        total: toAmount(raw.total),
+        items
+    };
+}
+
+/**
+ * Check the printed total against the lines
+ * Tries "prices include tax" (lines + tip) and "tax on top" (lines + tax + tip)
+ * and keeps the one that fits.
+ * @param {Object} receipt - Normalized receipt
+ * @returns {Object} { itemsTotal, expectedTotal, difference, matches, taxIncluded }
+ */
+function checkReceiptTotal(receipt) {
+    const itemsCents = receipt.items.reduce((sum, item) => sum + toCents(item.amount), 0);
+    const taxCents = toCents(receipt.tax || 0);
+    const tipCents = toCents(receipt.tip || 0);
+
+    const included = itemsCents + tipCents;
+    const onTop = itemsCents + taxCents + tipCents;
+    const totalCents = receipt.total !== null ? toCents(receipt.total) : onTop;
+
+    const taxIncluded = Math.abs(totalCents - included) < Math.abs(totalCents - onTop);
+    const expectedCents = taxIncluded ? included : onTop;
+    const difference = fromCents(totalCents - expectedCents);
+
+    return {
+        itemsTotal: fromCents(itemsCents),
+        expectedTotal: fromCents(expectedCents),
+        difference,
+        matches: receipt.items.length > 0 && Math.abs(difference) <= TOTAL_TOLERANCE,
+        taxIncluded
+    };
+}
+
+/**
+ * "2x Lomo saltado 58.00"
+ */
+function formatItem(item) {
+    const quantity = item.quantity && item.quantity !== 1 ? `${item.quantity}x ` : '';
+    return `${quantity}${item.description} ${item.amount.toFixed(2)}`;
+}
+
+/**
+ * Join memo parts and cut at YNAB's limit
+ */
+function limitMemo(parts) {
+    const memo = parts.filter(Boolean).join(' | ');
+    return memo.length > MAX_MEMO_LENGTH ? `${memo.substring(0, MAX_MEMO_LENGTH - 1)}…` : memo;
+}
+
+/**
+ * Tax and tip part of the memo: "IGV 12.60 | Propina 10.00"
+ */
+function extrasMemo(receipt, check) {
+    return [
+        receipt.tax ? `IGV ${receipt.tax.toFixed(2)}${check.taxIncluded ? ' incl.' : ''}` : null,
+        receipt.tip ? `Propina ${receipt.tip.toFixed(2)}` : null
+    ];
+}
+
+/**
+ * Share cents in proportion to weights; the largest share absorbs the rounding
+ */
+function shareCents(cents, weights) {
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+    if (cents === 0 || totalWeight === 0) {
+        return weights.map(() => 0);
+    }
+
+    const shares = weights.map(weight => Math.round(cents * weight / totalWeight));
+    const largest = weights.indexOf(Math.max(...weights));
+    shares[largest] += cents - shares.reduce((sum, share) => sum + share, 0);
+    return shares;
+}
+
+/**
+ * Build the YNAB transaction for a receipt
+ * @param {Object} receipt - Normalized receipt
+ * @returns {Object} { date, amount, payee, memo, categoryName | splits, receipt, receiptCheck }
+ */
+function receiptToTransaction(receipt) {
+    const check = checkReceiptTotal(receipt);
+    const totalCents = receipt.total !== null ? toCents(receipt.total) : toCents(check.expectedTotal);
+
+    const transaction = {
+        date: receipt.date || today(),
+        amount: -fromCents(totalCents),
+        payee: receipt.merchant || 'Recibo',
+        memo: '',
+        receipt,
+        receiptCheck: check
+    };
+
+    // Lines grouped by category, in the order they appear
+    const groups = [];
+    for (const item of receipt.items) {
+        let group = groups.find(g => g.categoryName === item.categoryName);
+        if (!group) {
+            group = { categoryName: item.categoryName, items: [], cents: 0 };
+            groups.push(group);
+        }
+        group.items.push(item);
+        group.cents += toCents(item.amount);
+    }
+
+    if (groups.length <= 1) {
+        transaction.categoryName = groups.length === 1 ? groups[0].categoryName : null;
+        transaction.memo = limitMemo([receipt.items.map(formatItem).join(', '), ...extrasMemo(receipt, check)]);
+        return transaction;
+    }
+
+    // Tax, tip and any rounding go to each category in proportion to its lines
+    const extraCents = totalCents - groups.reduce((sum, group) => sum + group.cents, 0);
+    const shares = shareCents(extraCents, groups.map(group => Math.max(group.cents, 0)));
+
+    transaction.memo = limitMemo([`${receipt.items.length} productos`, ...extrasMemo(receipt, check)]);
+    transaction.splits = groups.map((group, index) => ({
+        amount: -fromCents(group.cents + shares[index]),
+        categoryName: group.categoryName,
+        memo: limitMemo([group.items.map(formatItem).join(', ')])
+    }));
+
+    return transaction;
+}
+
+module.exports = {
+    TOTAL_TOLERANCE,
+    normalizeReceipt,
+    checkReceiptTotal,
+    receiptToTransaction
+};
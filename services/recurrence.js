@@ -0,0 +1,251 @@
+/**
+ * Recurrence
+ *
+ * Date math for YNAB scheduled transactions: next occurrence per frequency,
+ * occurrences inside a window (cash-flow previews) and parsing of Spanish
+ * recurrence phrases ("cada mes el día 1", "semanal los viernes").
+ * Dates are YYYY-MM-DD strings, like the YNAB API.
+ */
+
+const { normalizeAccents } = require('../message-normalizer');
+
+// YNAB frequency → label shown to the user
+const FREQUENCY_LABELS = {
+    never: 'una vez',
+    daily: 'cada día',
+    weekly: 'cada semana',
+    everyOtherWeek: 'cada 2 semanas',
+    twiceAMonth: 'dos veces al mes',
+    every4Weeks: 'cada 4 semanas',
+    monthly: 'cada mes',
+    everyOtherMonth: 'cada 2 meses',
+    every3Months: 'cada 3 meses',
+    every4Months: 'cada 4 meses',
+    twiceAYear: 'cada 6 meses',
+    yearly: 'cada año',
+    everyOtherYear: 'cada 2 años'
+};
+
+// Step of each frequency, in days or months
+const FREQUENCY_STEPS = {
+    daily: { days: 1 },
+    weekly: { days: 7 },
+    everyOtherWeek: { days: 14 },
+    every4Weeks: { days: 28 },
+    monthly: { months: 1 },
+    everyOtherMonth: { months: 2 },
+    every3Months: { months: 3 },
+    every4Months: { months: 4 },
+    twiceAYear: { months: 6 },
+    yearly: { months: 12 },
+    everyOtherYear: { months: 24 }
+};
+
+// Phrases → frequency (checked in order, on accent-free lowercase text)
+const FREQUENCY_PATTERNS = [
+    [/\bcada\s+(2|dos)\s+semanas\b|\bquincenal(mente)?\b|\bevery\s+other\s+week\b/, 'everyOtherWeek'],
+    [/\bcada\s+(2|dos)\s+meses\b|\bbimestral(mente)?\b|\bevery\s+other\s+month\b/, 'everyOtherMonth'],
+    [/\bcada\s+(3|tres)\s+meses\b|\btrimestral(mente)?\b|\bquarterly\b/, 'every3Months'],
+    [/\bcada\s+(6|seis)\s+meses\b|\bsemestral(mente)?\b/, 'twiceAYear'],
+    [/\bcada\s+dia\b|\bdiario\b|\bdiariamente\b|\bdaily\b|\bevery\s+day\b/, 'daily'],
+    [/\bcada\s+semana\b|\bsemanal(mente)?\b|\bweekly\b|\bevery\s+week\b/, 'weekly'],
+    [/\bcada\s+mes\b|\bmensual(mente)?\b|\bmonthly\b|\bevery\s+month\b/, 'monthly'],
+    [/\bcada\s+ano\b|\banual(mente)?\b|\byearly\b|\bevery\s+year\b/, 'yearly']
+];
+
+const WEEKDAYS = {
+    domingo: 0, lunes: 1, martes: 2, miercoles: 3, jueves: 4, viernes: 5, sabado: 6,
+    sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6
+};
+
+/**
+ * Today's date as YYYY-MM-DD (UTC, like the rest of the bot)
+ * @returns {string}
+ */
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Add days to a date
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(date, days) {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().split('T')[0];
+}
+
+/**
+ * Add months to a date, clamping to the end of shorter months
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} months - Months to add
+ * @param {number|null} anchorDay - Day of month to keep (e.g. 31 → Feb 28 → Mar 31)
+ * @returns {string} YYYY-MM-DD
+ */
+function addMonths(date, months, anchorDay = null) {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const daysInMonth = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(anchorDay || day, daysInMonth));
+    return target.toISOString().split('T')[0];
+}
+
+/**
+ * Next occurrence after a date
+ * twiceAMonth alternates between a day and 15 days later (1st/16th, 10th/25th).
+ * @param {string} date - Current occurrence (YYYY-MM-DD)
+ * @param {string} frequency - YNAB frequency
+ * @param {number|null} anchorDay - Day of month of the first occurrence
+ * @returns {string|null} Next occurrence, or null for one-time ('never')
+ */
+function nextDate(date, frequency, anchorDay = null) {
+    if (frequency === 'twiceAMonth') {
+        const day = parseInt(date.split('-')[2], 10);
+        return day <= 15 ? addDays(date, 15) : addMonths(addDays(date, -15), 1);
+    }
+
+    const step = FREQUENCY_STEPS[frequency];
+    if (!step) {
+        return null;
+    }
+
+    return step.days ? addDays(date, step.days) : addMonths(date, step.months, anchorDay);
+}
+
+/**
+ * Occurrences of a schedule inside a date window (both ends included)
+ * @param {string} firstDate - Next occurrence (YNAB date_next)
+ * @param {string} frequency - YNAB frequency
+ * @param {string} fromDate - Window start (YYYY-MM-DD)
+ * @param {string} toDate - Window end (YYYY-MM-DD)
+ * @param {number|null} anchorDay - Day of month of the first occurrence
+ * @returns {Array<string>} Dates
+ */
+function occurrencesBetween(firstDate, frequency, fromDate, toDate, anchorDay = null) {
+    const dates = [];
+    let date = firstDate;
+
+    while (date && date <= toDate) {
+        if (date >= fromDate) {
+            dates.push(date);
+        }
+        date = nextDate(date, frequency, anchorDay);
+    }
+
+    return dates;
+}
+
+/**
+ * Parse a recurrence phrase
+ * "alquiler 1500 cada mes el día 1" → { frequency: 'monthly', dayOfMonth: 1, weekday: null, rest: 'alquiler 1500' }
+ * @param {string} text - User message
+ * @returns {Object|null} { frequency, dayOfMonth, weekday, rest }, or null without a frequency
+ */
+function parseRecurrence(text) {
+    let rest = normalizeAccents(text.toLowerCase());
+
+    const found = FREQUENCY_PATTERNS.find(([pattern]) => pattern.test(rest));
+    if (!found) {
+        return null;
+    }
+    rest = rest.replace(found[0], ' ');
+
+    let dayOfMonth = null;
+    const dayMatch = rest.match(/\b(?:el\s+|los\s+)?dias?\s+(\d{1,2})\b/);
+    if (dayMatch && parseInt(dayMatch[1], 10) >= 1 && parseInt(dayMatch[1], 10) <= 31) {
+        dayOfMonth = parseInt(dayMatch[1], 10);
+        rest = rest.replace(dayMatch[0], ' ');
+    }
+
+    let weekday = null;
+    const weekdayMatch = rest.match(new RegExp(`\\b(?:el\\s+|los\\s+|on\\s+)?(${Object.keys(WEEKDAYS).join('|')})s?\\b`));
+    if (weekdayMatch) {
+        weekday = WEEKDAYS[weekdayMatch[1]];
+        rest = rest.replace(weekdayMatch[0], ' ');
+    }
+
+    return {
+        frequency: found[1],
+        dayOfMonth,
+        weekday,
+        rest: rest.replace(/\s+/g, ' ').trim()
+    };
+}
+
+/**
+ * Parse a date answer: "2026-11-01", "15" / "día 15", "mañana", "viernes"
+ * @param {string} text - User answer
+ * @param {string} from - Dates must be after this day (default today)
+ * @returns {string|null} YYYY-MM-DD after `from`, or null
+ */
+function parseDate(text, from = today()) {
+    const normalized = normalizeAccents(text.trim().toLowerCase());
+
+    const isoMatch = normalized.match(/^(\d{4}-\d{2}-\d{2})$/);
+    if (isoMatch) {
+        return isoMatch[1] > from ? isoMatch[1] : null;
+    }
+
+    if (normalized === 'manana' || normalized === 'tomorrow') {
+        return addDays(from, 1);
+    }
+
+    const dayMatch = normalized.match(/^(?:el\s+)?(?:dia\s+)?(\d{1,2})$/);
+    if (dayMatch) {
+        return firstDate({ dayOfMonth: parseInt(dayMatch[1], 10) }, from);
+    }
+
+    const weekday = WEEKDAYS[normalized.replace(/^(el|los)\s+/, '')];
+    if (weekday !== undefined) {
+        return firstDate({ weekday }, from);
+    }
+
+    return null;
+}
+
+/**
+ * First date after `from` that falls on the given day of month or weekday
+ * @param {Object} options - { frequency, dayOfMonth, weekday }
+ * @param {string} from - Exclusive lower bound (default today; YNAB rejects past dates)
+ * @returns {string|null} YYYY-MM-DD, or null when nothing pins the date
+ */
+function firstDate({ frequency = null, dayOfMonth = null, weekday = null }, from = today()) {
+    if (dayOfMonth) {
+        if (dayOfMonth < 1 || dayOfMonth > 31) {
+            return null;
+        }
+        const thisMonth = addMonths(from.substring(0, 8) + '01', 0, dayOfMonth);
+        return thisMonth > from ? thisMonth : addMonths(thisMonth, 1, dayOfMonth);
+    }
+
+    if (weekday !== null && weekday !== undefined) {
+        const current = new Date(`${from}T00:00:00Z`).getUTCDay();
+        return addDays(from, ((weekday - current + 6) % 7) + 1);
+    }
+
+    return frequency === 'daily' ? addDays(from, 1) : null;
+}
+
+/**
+ * Label of a YNAB frequency
+ * @param {string} frequency - YNAB frequency
+ * @returns {string} Spanish label
+ */
+function describeFrequency(frequency) {
+    return FREQUENCY_LABELS[frequency] || frequency;
+}
+
+module.exports = {
+    today,
+    addDays,
+    addMonths,
+    nextDate,
+    occurrencesBetween,
+    parseRecurrence,
+    parseDate,
+    firstDate,
+    describeFrequency
+};
@@ -0,0 +1,108 @@
+/**
+ * Scheduler
+ *
+ * Runs periodic background jobs (digests, alerts, ...) that push WhatsApp
+ * messages without an incoming message. Jobs register themselves with an
+ * interval and receive a sendMessage(userId, text) function when they run.
+ */
+
+class Scheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.sendMessage = null;
+        this.running = false;
+    }
+
+    /**
+     * Register a periodic job
+     * @param {string} name - Unique job name
+     * @param {number} intervalMs - Interval between runs in milliseconds
+     * @param {Function} fn - async ({ sendMessage, now }) => void
+     */
+    register(name, intervalMs, fn) {
+        if (this.jobs.has(name)) {
+            this._stopJob(this.jobs.get(name));
+        }
+
+        const job = { name, intervalMs, fn, timer: null, busy: false, lastRun: null };
+        this.jobs.set(name, job);
+
+        if (this.running) {
+            this._startJob(job);
+        }
+    }
+
+    /**
+     * Start all registered jobs
+     * @param {Function} sendMessage - async (userId, text) => void
+     */
+    start(sendMessage) {
+        this.sendMessage = sendMessage;
+
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        this.jobs.forEach(job => this._startJob(job));
+        console.log(`⏰ Scheduler iniciado (${this.jobs.size} tareas)`);
+    }
+
+    /**
+     * Stop all jobs
+     */
+    stop() {
+        this.running = false;
+        this.jobs.forEach(job => this._stopJob(job));
+    }
+
+    /**
+     * Run a job immediately (used by commands and tests)
+     * @param {string} name - Job name
+     * @param {Date} now - Current time (optional)
+     */
+    async runJob(name, now = new Date()) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Tarea no registrada: ${name}`);
+        }
+
+        // A slow run (YNAB latency) must not overlap with the next tick
+        if (job.busy) {
+            return;
+        }
+
+        job.busy = true;
+        try {
+            await job.fn({ sendMessage: this.sendMessage, now });
+            job.lastRun = now;
+        } catch (error) {
+            console.error(`❌ Error en tarea programada ${name}:`, error.message);
+        } finally {
+            job.busy = false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _startJob(job) {
+        job.timer = setInterval(() => this.runJob(job.name), job.intervalMs);
+
+        // Scheduled jobs must not keep the process alive (scripts, tests)
+        job.timer.unref();
+    }
+
+    /**
+     * @private
+     */
+    _stopJob(job) {
+        if (job.timer) {
+            clearInterval(job.timer);
+            job.timer = null;
+        }
+    }
+}
+
+// Export singleton instance
+module.exports = new Scheduler();
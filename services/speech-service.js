@@ -0,0 +1,184 @@
+/**
+ * Speech Service
+ *
+ * Transcribes WhatsApp voice notes so they go through the same pipeline as
+ * typed messages ("gasté 45 soles en el mercado").
+ * - Pluggable backend: { name, transcribe(buffer, { mimetype, language }) → text }
+ * - Default backend: a local Whisper-compatible binary (whisper.cpp by default),
+ *   configured with WHISPER_BIN / WHISPER_MODEL; audio is converted to 16 kHz
+ *   mono WAV with ffmpeg first. No audio leaves the machine.
+ *
+ * Configuration:
+ *   WHISPER_BIN       - Path to the binary (voice notes are disabled without it)
+ *   WHISPER_MODEL     - Model file (e.g. ./models/ggml-base.bin)
+ *   WHISPER_LANGUAGE  - Spoken language (default "es")
+ *   WHISPER_ARGS      - Arguments template (default "-m {model} -f {input} -l {language} -nt -np")
+ *   FFMPEG_BIN        - ffmpeg path (default "ffmpeg")
+ */
+
+const { execFile } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+// whisper.cpp: no timestamps (-nt), no progress output (-np); the text goes to stdout
+const DEFAULT_WHISPER_ARGS = '-m {model} -f {input} -l {language} -nt -np';
+
+// Longer voice notes are rejected (transcription runs on the bot's CPU)
+const MAX_VOICE_SECONDS = 120;
+
+// Time limit for each external command
+const COMMAND_TIMEOUT_MS = 120000;
+
+/**
+ * Run a command and return its stdout
+ */
+function run(bin, args) {
+    return new Promise((resolve, reject) => {
+        execFile(bin, args, { timeout: COMMAND_TIMEOUT_MS, maxBuffer: 1024 * 1024 }, (error, stdout, stderr) => {
+            if (error) {
+                error.message = `${path.basename(bin)}: ${error.message}${stderr ? `\n${stderr.trim().slice(-500)}` : ''}`;
+                reject(error);
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+class SpeechService {
+    constructor() {
+        this.backend = process.env.WHISPER_BIN
+            ? this.createWhisperBackend({
+                bin: process.env.WHISPER_BIN,
+                model: process.env.WHISPER_MODEL || '',
+                language: process.env.WHISPER_LANGUAGE || 'es',
+                args: process.env.WHISPER_ARGS || DEFAULT_WHISPER_ARGS,
+                ffmpeg: process.env.FFMPEG_BIN || 'ffmpeg'
+            })
+            : null;
+        this.language = process.env.WHISPER_LANGUAGE || 'es';
+    }
+
+    /**
+     * Backend that runs a local Whisper-compatible binary
+     * @param {Object} config - { bin, model, language, args, ffmpeg }
+     * @returns {Object} Backend
+     */
+    createWhisperBackend(config) {
+        const { bin, model, language = 'es', args = DEFAULT_WHISPER_ARGS, ffmpeg = 'ffmpeg' } = config;
+
+        return {
+            name: `whisper (${path.basename(bin)})`,
+
+            transcribe: async (buffer, options = {}) => {
+                const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'voice-'));
+                try {
+                    const audioPath = path.join(dir, 'audio');
+                    const wavPath = path.join(dir, 'audio.wav');
+                    await fs.writeFile(audioPath, buffer);
+
+                    // WhatsApp sends OGG/Opus; Whisper expects 16 kHz mono PCM
+                    await run(ffmpeg, ['-nostdin', '-loglevel', 'error', '-y', '-i', audioPath, '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le', wavPath]);
+
+                    return await run(bin, this._buildArgs(args, { model, input: wavPath, language: options.language || language }));
+                } finally {
+                    await fs.rm(dir, { recursive: true, force: true });
+                }
+            }
+        };
+    }
+
+    /**
+     * Replace the speech-to-text backend
+     * @param {Object|null} backend - { name, transcribe(buffer, { mimetype, language }) }
+     */
+    setBackend(backend) {
+        this.backend = backend;
+    }
+
+    /**
+     * Whether voice notes can be transcribed
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return this.backend !== null;
+    }
+
+    /**
+     * Check if a WhatsApp message is a voice note or audio file
+     * @param {Object} msg - whatsapp-web.js message
+     * @returns {boolean}
+     */
+    isVoiceNote(msg) {
+        return msg.hasMedia && (msg.type === 'ptt' || msg.type === 'audio');
+    }
+
+    /**
+     * Check if a voice note is too long to transcribe
+     * @param {Object} msg - whatsapp-web.js message (duration in seconds, as a string)
+     * @returns {boolean}
+     */
+    isTooLong(msg) {
+        return parseInt(msg.duration, 10) > MAX_VOICE_SECONDS;
+    }
+
+    /**
+     * Transcribe audio to text
+     * @param {Buffer} buffer - Audio file contents
+     * @param {Object} options - { mimetype, language }
+     * @returns {Promise<string>} Cleaned transcript ('' if nothing was said)
+     */
+    async transcribe(buffer, options = {}) {
+        if (!this.backend) {
+            throw new Error('No hay servicio de transcripción configurado (WHISPER_BIN)');
+        }
+
+        try {
+            console.log(`🎙️ Transcribiendo nota de voz (${buffer.length} bytes) con ${this.backend.name}...`);
+            const started = Date.now();
+
+            const raw = await this.backend.transcribe(buffer, {
+                mimetype: options.mimetype || 'audio/ogg',
+                language: options.language || this.language
+            });
+            const text = this.cleanTranscript(raw);
+
+            console.log(`✅ Transcripción (${Date.now() - started} ms): "${text}"`);
+            return text;
+        } catch (error) {
+            console.error('Error transcribiendo nota de voz:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Clean Whisper output into a chat message
+     * Drops timestamps and sound tags ("[Música]", "(risas)"), joins lines and
+     * removes the final period so "...en el mercado." reads like a typed message.
+     * @param {string} text - Raw transcript
+     * @returns {string}
+     */
+    cleanTranscript(text) {
+        return String(text || '')
+            .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .replace(/^["«]|["»]$/g, '')
+            .replace(/\.$/, '')
+            .trim();
+    }
+
+    /**
+     * Fill the arguments template: "{model}", "{input}" and "{language}" become values
+     * @private
+     */
+    _buildArgs(template, values) {
+        return template.trim().split(/\s+/).map(arg =>
+            arg.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match))
+        );
+    }
+}
+
+// Export singleton instance
+module.exports = new SpeechService();
@@ -0,0 +1,411 @@
+/**
+ * Statement Parser
+ *
+ * Parses bank statement exports (CSV, OFX and QFX) into the same transaction
+ * shape the document flows get from Claude: { date, amount, payee, memo }.
+ * Parsing is deterministic: amounts are taken exactly as the bank wrote them.
+ *
+ * CSV columns are mapped with per-bank profiles (BCP, Chase checking, Chase
+ * credit card), with a generic profile for anything that has date, description
+ * and amount (or debit/credit) columns.
+ */
+
+const { normalizeAccents } = require('../message-normalizer');
+
+const STATEMENT_EXTENSIONS = /\.(csv|ofx|qfx)$/i;
+const STATEMENT_MIMETYPES = ['text/csv', 'text/comma-separated-values', 'application/x-ofx', 'application/ofx', 'application/vnd.intu.qfx', 'application/x-qfx'];
+
+/**
+ * CSV column profiles, checked in order
+ * Column names are normalized (lowercase, no accents). `dateOrder` is used
+ * when the dates themselves don't tell (e.g. 03/04/2025).
+ */
+const CSV_PROFILES = [
+    {
+        id: 'bcp',
+        name: 'BCP',
+        required: ['fecha', 'descripcion operacion', 'monto'],
+        date: 'fecha',
+        payee: 'descripcion operacion',
+        amount: 'monto',
+        balance: 'saldo',
+        dateOrder: 'DMY'
+    },
+    {
+        id: 'chase-checking',
+        name: 'Chase (cuenta)',
+        required: ['posting date', 'description', 'amount', 'details'],
+        date: 'posting date',
+        payee: 'description',
+        amount: 'amount',
+        balance: 'balance',
+        dateOrder: 'MDY'
+    },
+    {
+        id: 'chase-card',
+        name: 'Chase (tarjeta)',
+        required: ['transaction date', 'post date', 'description', 'amount'],
+        date: 'transaction date',
+        payee: 'description',
+        amount: 'amount',
+        memo: 'memo',
+        dateOrder: 'MDY'
+    }
+];
+
+// Generic profile: first column whose name matches each list
+const GENERIC_COLUMNS = {
+    date: ['fecha', 'fecha operacion', 'date', 'transaction date', 'posting date', 'posted date'],
+    payee: ['descripcion', 'concepto', 'detalle', 'payee', 'description', 'name', 'merchant'],
+    amount: ['monto', 'importe', 'amount'],
+    debit: ['cargo', 'cargos', 'debe', 'retiro', 'debit', 'withdrawal'],
+    credit: ['abono', 'abonos', 'haber', 'deposito', 'credit', 'deposit'],
+    balance: ['saldo', 'balance'],
+    memo: ['memo', 'nota', 'referencia']
+};
+
+/**
+ * Check if an attachment is a statement export
+ * @param {string|null} filename - File name
+ * @param {string|null} mimetype - MIME type
+ * @returns {boolean}
+ */
+function isStatementFile(filename, mimetype) {
+    return STATEMENT_EXTENSIONS.test(filename || '') || STATEMENT_MIMETYPES.includes(mimetype);
+}
+
+/**
+ * Decode a downloaded file (UTF-8, falling back to Latin-1 for older bank exports)
+ * @param {Buffer} buffer - File contents
+ * @returns {string} Text without BOM
+ */
+function decodeFile(buffer) {
+    let text = buffer.toString('utf8');
+    if (text.includes('\uFFFD')) {
+        text = buffer.toString('latin1');
+    }
+    return text.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Detect the format of a statement file
+ * @param {string} text - File contents
+ * @param {string|null} filename - File name
+ * @returns {string} 'ofx' or 'csv'
+ */
+function detectFormat(text, filename = null) {
+    if (/\.(ofx|qfx)$/i.test(filename || '') || /<OFX>/i.test(text) || /^OFXHEADER:/m.test(text)) {
+        return 'ofx';
+    }
+    return 'csv';
+}
+
+/**
+ * Parse a statement file
+ * @param {string} text - File contents
+ * @param {string|null} filename - File name
+ * @returns {Object} { format, profile, transactions, statementBalance }
+ */
+function parseStatementFile(text, filename = null) {
+    const format = detectFormat(text, filename);
+    return format === 'ofx' ? parseOFX(text) : parseCSV(text);
+}
+
+/**
+ * Parse an amount as written by a bank: "-1,234.56", "1.234,56", "(45.00)", "S/ 12.50"
+ * @param {string} value - Raw amount
+ * @returns {number|null} Amount, or null if empty/invalid
+ */
+function parseAmount(value) {
+    if (value === undefined || value === null) {
+        return null;
+    }
+
+    let text = String(value).trim();
+    const negative = /^\(.*\)$/.test(text) || /^-|-$/.test(text.replace(/[^\d.,()-]/g, ''));
+    text = text.replace(/[^\d.,]/g, '');
+    if (!text) {
+        return null;
+    }
+
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma > lastDot && /,\d{1,2}$/.test(text)) {
+        // Decimal comma: "1.234,56"
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else {
+        text = text.replace(/,/g, '');
+    }
+
+    const amount = parseFloat(text);
+    if (isNaN(amount)) {
+        return null;
+    }
+
+    return Math.round((negative ? -amount : amount) * 100) / 100;
+}
+
+/**
+ * Convert a date to YYYY-MM-DD
+ * @param {string} value - "2025-03-14", "14/03/2025", "03/14/2025", "20250314..."
+ * @param {string} dateOrder - 'DMY' or 'MDY' for slashed dates
+ * @returns {string|null} ISO date, or null if invalid
+ */
+function parseStatementDate(value, dateOrder = 'DMY') {
+    const text = String(value || '').trim();
+
+    let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+    if (match) {
+        return `${match[1]}-${match[2]}-${match[3]}`;
+    }
+
+    match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+    if (!match) {
+        return null;
+    }
+
+    const [first, second] = [parseInt(match[1]), parseInt(match[2])];
+    const [day, month] = dateOrder === 'MDY' ? [second, first] : [first, second];
+    const year = match[3].length === 2 ? `20${match[3]}` : match[3];
+
+    if (month < 1 || month > 12 || day < 1 || day > 31) {
+        return null;
+    }
+
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Split CSV text into rows, honoring quotes
+ * @private
+ */
+function splitCSV(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field.trim());
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field.trim());
+            if (row.some(value => value !== '')) {
+                rows.push(row);
+            }
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    row.push(field.trim());
+    if (row.some(value => value !== '')) {
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * @private
+ */
+function normalizeHeader(header) {
+    return normalizeAccents(header.toLowerCase()).replace(/[^a-z0-9#]+/g, ' ').trim();
+}
+
+/**
+ * Column indexes for a header row: a bank profile, or the generic mapping
+ * @private
+ */
+function mapColumns(headers) {
+    const profile = CSV_PROFILES.find(p => p.required.every(name => headers.includes(name)));
+    const find = names => [].concat(names).map(name => headers.indexOf(name)).find(index => index >= 0);
+
+    if (profile) {
+        return {
+            profile,
+            columns: {
+                date: find(profile.date),
+                payee: find(profile.payee),
+                amount: find(profile.amount),
+                balance: profile.balance ? find(profile.balance) : undefined,
+                memo: profile.memo ? find(profile.memo) : undefined
+            }
+        };
+    }
+
+    const columns = {};
+    Object.entries(GENERIC_COLUMNS).forEach(([key, names]) => {
+        columns[key] = find(names);
+    });
+
+    const hasAmount = columns.amount !== undefined || (columns.debit !== undefined && columns.credit !== undefined);
+    if (columns.date === undefined || columns.payee === undefined || !hasAmount) {
+        return null;
+    }
+
+    return { profile: { id: 'generic', name: 'Genérico', dateOrder: null }, columns };
+}
+
+/**
+ * Guess DMY/MDY from the dates themselves (a part above 12 can only be the day)
+ * @private
+ */
+function guessDateOrder(values) {
+    for (const value of values) {
+        const match = String(value).match(/^(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}$/);
+        if (match && parseInt(match[1]) > 12) {
+            return 'DMY';
+        }
+        if (match && parseInt(match[2]) > 12) {
+            return 'MDY';
+        }
+    }
+    return 'DMY';
+}
+
+/**
+ * Parse a CSV export
+ * Lines before the header row (account number, period...) are skipped.
+ * @param {string} text - File contents
+ * @returns {Object} { format: 'csv', profile, transactions, statementBalance }
+ */
+function parseCSV(text) {
+    const firstLines = text.split(/\r?\n/).slice(0, 20).join('\n');
+    const delimiter = [';', '\t', ','].reduce((best, candidate) =>
+        firstLines.split(candidate).length > firstLines.split(best).length ? candidate : best
+    );
+    const rows = splitCSV(text, delimiter);
+
+    let headerIndex = -1;
+    let mapping = null;
+    for (let i = 0; i < Math.min(rows.length, 20) && !mapping; i++) {
+        mapping = mapColumns(rows[i].map(normalizeHeader));
+        headerIndex = i;
+    }
+
+    if (!mapping) {
+        throw new Error('No se reconocen las columnas del CSV (se necesita fecha, descripción y monto)');
+    }
+
+    const { profile, columns } = mapping;
+    const dataRows = rows.slice(headerIndex + 1);
+    const dateOrder = profile.dateOrder || guessDateOrder(dataRows.map(row => row[columns.date]));
+
+    const transactions = [];
+    const balances = [];
+    dataRows.forEach(row => {
+        const date = parseStatementDate(row[columns.date], dateOrder);
+        let amount = columns.amount !== undefined ? parseAmount(row[columns.amount]) : null;
+        if (amount === null && columns.debit !== undefined) {
+            const debit = parseAmount(row[columns.debit]) || 0;
+            const credit = parseAmount(row[columns.credit]) || 0;
+            amount = Math.round((Math.abs(credit) - Math.abs(debit)) * 100) / 100;
+        }
+
+        if (!date || amount === null) {
+            return; // Totals, footers
+        }
+
+        transactions.push({
+            date,
+            amount,
+            payee: row[columns.payee] || 'Sin descripción',
+            memo: columns.memo !== undefined ? row[columns.memo] || '' : ''
+        });
+
+        const balance = columns.balance !== undefined ? parseAmount(row[columns.balance]) : null;
+        if (balance !== null) {
+            balances.push({ date, balance });
+        }
+    });
+
+    return {
+        format: 'csv',
+        profile: profile.name,
+        transactions,
+        statementBalance: closingBalance(balances)
+    };
+}
+
+/**
+ * Running balance after the newest row
+ * Exports list newest-first or oldest-first; the order of the dates tells which.
+ * @private
+ */
+function closingBalance(balances) {
+    if (balances.length === 0) {
+        return null;
+    }
+
+    const first = balances[0];
+    const last = balances[balances.length - 1];
+    return first.date > last.date ? first.balance : last.balance;
+}
+
+/**
+ * Parse an OFX/QFX file (SGML 1.x or XML 2.x)
+ * @param {string} text - File contents
+ * @returns {Object} { format: 'ofx', profile, transactions, statementBalance }
+ */
+function parseOFX(text) {
+    const field = (block, tag) => {
+        const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+        return match ? match[1].trim() : null;
+    };
+
+    const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+    if (blocks.length === 0 && !/<OFX>/i.test(text)) {
+        throw new Error('El archivo no parece un OFX/QFX válido');
+    }
+
+    const transactions = blocks
+        .map(block => ({
+            date: parseStatementDate(field(block, 'DTPOSTED')),
+            amount: parseAmount(field(block, 'TRNAMT')),
+            payee: field(block, 'NAME') || field(block, 'PAYEE') || field(block, 'MEMO') || 'Sin descripción',
+            memo: field(block, 'NAME') ? field(block, 'MEMO') || '' : ''
+        }))
+        .filter(tx => tx.date && tx.amount !== null);
+
+    const ledger = text.match(/<LEDGERBAL>[\s\S]*?<BALAMT>([^<\r\n]*)/i);
+    const bank = field(text, 'ORG');
+
+    return {
+        format: 'ofx',
+        profile: bank || 'OFX',
+        transactions,
+        statementBalance: ledger ? parseAmount(ledger[1]) : null
+    };
+}
+
+module.exports = {
+    CSV_PROFILES,
+    isStatementFile,
+    decodeFile,
+    detectFormat,
+    parseStatementFile,
+    parseAmount,
+    parseStatementDate,
+    parseCSV,
+    parseOFX
+};
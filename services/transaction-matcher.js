@@ -0,0 +1,204 @@
+/**
+ * Transaction Matcher
+ *
+ * Detects likely duplicates between transactions extracted from documents
+ * (PDFs, images) and transactions already in YNAB, and generates stable
+ * import_id values so re-importing the same document is idempotent.
+ */
+
+const crypto = require('crypto');
+const { normalizeAccents, levenshteinDistance } = require('../message-normalizer');
+
+// Prefix for import_ids generated by the bot (YNAB's own file imports use "YNAB:")
+const IMPORT_ID_PREFIX = 'WA';
+
+// Words that appear in bank descriptions but say nothing about the payee
+const PAYEE_NOISE = new Set(['pe', 'lima', 'peru', 'sa', 'sac', 'srl', 'eirl', 'inc', 'llc', 'www', 'com', 'pos', 'compra', 'pago']);
+
+/**
+ * Normalize a payee name for comparison
+ * "UBER *TRIP 4821" → "uber trip", "Tambo+ Miraflores" → "tambo miraflores"
+ * @param {string} payee - Raw payee name
+ * @returns {string} Normalized payee
+ */
+function normalizePayee(payee) {
+    if (!payee) {
+        return '';
+    }
+
+    return normalizeAccents(String(payee).toLowerCase())
+        .replace(/\./g, '')  // "S.A.C." → "sac"
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .replace(/\b\d+\b/g, ' ')  // Store numbers, references
+        .split(/\s+/)
+        .filter(word => word.length > 0 && !PAYEE_NOISE.has(word))
+        .join(' ');
+}
+
+/**
+ * Similarity between two payee names (0 = unrelated, 1 = same)
+ * @param {string} a - First payee
+ * @param {string} b - Second payee
+ * @returns {number} Similarity score
+ */
+function payeeSimilarity(a, b) {
+    const normA = normalizePayee(a);
+    const normB = normalizePayee(b);
+
+    if (!normA || !normB) {
+        return 0;
+    }
+
+    if (normA === normB || normA.includes(normB) || normB.includes(normA)) {
+        return 1;
+    }
+
+    // Shared words (bank descriptions often add or drop a word)
+    const wordsA = new Set(normA.split(' '));
+    const wordsB = new Set(normB.split(' '));
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    const wordScore = shared / Math.min(wordsA.size, wordsB.size);
+
+    // Edit distance (typos, truncated descriptions)
+    const distance = levenshteinDistance(normA, normB);
+    const editScore = 1 - distance / Math.max(normA.length, normB.length);
+
+    return Math.max(wordScore, editScore);
+}
+
+/**
+ * Days between two YYYY-MM-DD dates
+ */
+function daysBetween(dateA, dateB) {
+    return Math.abs(new Date(dateA) - new Date(dateB)) / (24 * 60 * 60 * 1000);
+}
+
+/**
+ * Generate a stable import_id for an extracted transaction
+ * Format: WA:<milliunits>:<date>:<payee hash>:<occurrence> (YNAB allows 36 chars)
+ * @param {number} amountMilliunits - Amount in milliunits
+ * @param {string} date - Date YYYY-MM-DD
+ * @param {string} payee - Payee name
+ * @param {number} occurrence - 1 for the first identical transaction, 2 for the next, ...
+ * @returns {string} import_id
+ */
+function generateImportId(amountMilliunits, date, payee, occurrence = 1) {
+    const payeeHash = crypto.createHash('sha1').update(normalizePayee(payee)).digest('hex').substring(0, 6);
+    return `${IMPORT_ID_PREFIX}:${amountMilliunits}:${date}:${payeeHash}:${occurrence}`;
+}
+
+/**
+ * Assign import_ids to a list of extracted transactions (amounts in currency units)
+ * Identical rows in the same document get increasing occurrence numbers.
+ * @param {Array} transactions - [{ date, amount, payee }]
+ * @returns {Array} Same transactions with importId set
+ */
+function assignImportIds(transactions) {
+    const occurrences = new Map();
+
+    transactions.forEach(tx => {
+        const amount = Math.round(tx.amount * 1000);
+        const key = `${amount}:${tx.date}:${normalizePayee(tx.payee)}`;
+        const occurrence = (occurrences.get(key) || 0) + 1;
+        occurrences.set(key, occurrence);
+
+        tx.importId = generateImportId(amount, tx.date, tx.payee, occurrence);
+    });
+
+    return transactions;
+}
+
+/**
+ * Find the existing YNAB transaction that a candidate most likely duplicates
+ * @param {Object} candidate - { date, amount (currency units), payee, importId }
+ * @param {Array} existing - YNAB transactions (amounts in milliunits)
+ * @param {Object} options - { dateWindowDays, minPayeeSimilarity }
+ * @returns {Object|null} { transaction, reason: 'import_id'|'same_day'|'fuzzy', score }
+ */
+function findDuplicate(candidate, existing, options = {}) {
+    const { dateWindowDays = 3, minPayeeSimilarity = 0.5 } = options;
+    const amount = Math.round(candidate.amount * 1000);
+
+    if (candidate.importId) {
+        const exact = existing.find(tx => tx.import_id === candidate.importId);
+        if (exact) {
+            return { transaction: exact, reason: 'import_id', score: 1 };
+        }
+    }
+
+    let best = null;
+
+    for (const tx of existing) {
+        if (tx.amount !== amount || daysBetween(tx.date, candidate.date) > dateWindowDays) {
+            continue;
+        }
+
+        const score = payeeSimilarity(candidate.payee, tx.payee_name);
+        const sameDay = tx.date === candidate.date;
+
+        // Same amount on the same day is suspicious even if the bank renamed the payee
+        if (score < minPayeeSimilarity && !sameDay) {
+            continue;
+        }
+
+        const reason = score >= minPayeeSimilarity ? 'fuzzy' : 'same_day';
+        if (!best || score > best.score) {
+            best = { transaction: tx, reason, score };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Flag candidates that duplicate existing transactions of the same account
+ * Each existing transaction can only be matched once, so two identical
+ * charges in a statement are not both flagged by a single YNAB entry.
+ * @param {Array} candidates - Extracted transactions (amounts in currency units)
+ * @param {Array} existing - YNAB transactions of the target account
+ * @param {Object} options - { accountId, dateWindowDays, minPayeeSimilarity }
+ * @returns {number} Number of candidates flagged
+ */
+function flagDuplicates(candidates, existing, options = {}) {
+    const pool = existing.filter(tx =>
+        !tx.deleted && (!options.accountId || tx.account_id === options.accountId)
+    );
+    let flagged = 0;
+
+    candidates.forEach(candidate => {
+        // Rows repeated across a page break (document-chunker) stay flagged without a YNAB match
+        const pageBreak = candidate.duplicateOf && candidate.duplicateOf.reason === 'page_break'
+            ? candidate.duplicateOf
+            : null;
+        delete candidate.duplicateOf;
+
+        const match = findDuplicate(candidate, pool, options);
+        if (!match) {
+            if (pageBreak) {
+                candidate.duplicateOf = pageBreak;
+            }
+            return;
+        }
+
+        pool.splice(pool.indexOf(match.transaction), 1);
+        candidate.duplicateOf = {
+            id: match.transaction.id,
+            date: match.transaction.date,
+            payee: match.transaction.payee_name,
+            amount: match.transaction.amount / 1000,
+            reason: match.reason
+        };
+        flagged++;
+    });
+
+    return flagged;
+}
+
+module.exports = {
+    normalizePayee,
+    payeeSimilarity,
+    generateImportId,
+    assignImportIds,
+    findDuplicate,
+    flagDuplicates
+};
@@ -0,0 +1,421 @@
+/**
+ * Travel Preferences
+ *
+ * Per-user travel profile that flight and hotel searches start from, so a
+ * route flown every month doesn't need the same details each time:
+ * - Flights: home airport (origin when the message has none), preferred
+ *   airlines (ranked first), cabin class and max stops
+ * - Hotels: star range and budget per night
+ * - Loyalty numbers and dietary notes, shown when booking and planning
+ * Whatever the message says wins over the profile.
+ *
+ * Stored per user (UserStorage, key "travelPreferences").
+ * Passenger details for flight orders are in services/traveler-profile.js.
+ *
+ * Commands:
+ *   /perfil                             -> Show the profile
+ *   /perfil aeropuerto LIM              -> Home airport
+ *   /perfil aerolineas LATAM, Copa      -> Preferred airlines
+ *   /perfil cabina business             -> economica | premium | business | primera
+ *   /perfil escalas 1                   -> Max stops (0 = only nonstop)
+ *   /perfil estrellas 3-5               -> Hotel stars ("4" = 4 or more)
+ *   /perfil hotel $150                  -> Hotel budget per night
+ *   /perfil millas LATAM Pass 12345678  -> Loyalty number (airline first)
+ *   /perfil millas borrar LATAM         -> Remove a loyalty number
+ *   /perfil dieta vegetariano           -> Dietary notes
+ *   /perfil borrar <campo|todo>         -> Clear a field or the whole profile
+ */
+
+const { UserStorage } = require('../storage');
+const { normalizeAccents } = require('../message-normalizer');
+const priceWatch = require('./price-watch');
+
+const EMPTY_PREFERENCES = {
+    homeAirport: null,
+    airlines: [],
+    cabin: null,
+    maxStops: null,
+    hotelStars: null,
+    hotelBudget: null,
+    loyalty: [],
+    dietary: null
+};
+
+// Command words (accent-free) → field
+const FIELD_WORDS = {
+    aeropuerto: 'homeAirport', airport: 'homeAirport', origen: 'homeAirport',
+    aerolineas: 'airlines', aerolinea: 'airlines', airlines: 'airlines',
+    cabina: 'cabin', clase: 'cabin', cabin: 'cabin',
+    escalas: 'maxStops', stops: 'maxStops',
+    estrellas: 'hotelStars', stars: 'hotelStars',
+    hotel: 'hotelBudget', presupuesto: 'hotelBudget', budget: 'hotelBudget',
+    millas: 'loyalty', loyalty: 'loyalty',
+    dieta: 'dietary', comida: 'dietary', diet: 'dietary'
+};
+
+const CABINS = [
+    { pattern: /^(premium|premium economy|premium economica)$/, cabin: 'PREMIUM_ECONOMY' },
+    { pattern: /^(economica|economy|turista)$/, cabin: 'ECONOMY' },
+    { pattern: /^(business|ejecutiva)$/, cabin: 'BUSINESS' },
+    { pattern: /^(primera|first)$/, cabin: 'FIRST' }
+];
+
+const CABIN_LABELS = {
+    ECONOMY: 'Económica',
+    PREMIUM_ECONOMY: 'Premium economy',
+    BUSINESS: 'Business',
+    FIRST: 'Primera'
+};
+
+class TravelPreferencesService {
+    /**
+     * Handle a /perfil command
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} text - Message text
+     * @returns {Promise<string|null>} Response, or null if not a profile command
+     */
+    async handleCommand(userId, text) {
+        const match = text.trim().match(/^\/perfil(?:\s+(.*))?$/i);
+        if (!match) {
+            return null;
+        }
+
+        const args = (match[1] || '').trim();
+        const [first, ...rest] = args.split(/\s+/);
+        const word = normalizeAccents((first || '').toLowerCase());
+        const value = rest.join(' ').trim();
+
+        try {
+            if (!args) {
+                return this._formatPreferences(await this.getPreferences(userId));
+            }
+
+            if (word === 'borrar' || word === 'delete') {
+                return await this._clear(userId, normalizeAccents(value.toLowerCase()));
+            }
+
+            const field = FIELD_WORDS[word];
+            if (!field) {
+                return `❌ No conozco "${first}".\n\n${this._getHelp()}`;
+            }
+            if (!value) {
+                return `❌ Falta el valor.\n\n${this._getHelp()}`;
+            }
+
+            if (field === 'loyalty') {
+                return await this._updateLoyalty(userId, value);
+            }
+
+            const parsed = this.parseField(field, value);
+            if (parsed.error) {
+                return `❌ ${parsed.error}`;
+            }
+
+            const preferences = await this.updatePreferences(userId, { [field]: parsed.value });
+            return `✅ ${this._describeField(field, preferences)}`;
+        } catch (error) {
+            console.error('Error en comando /perfil:', error.message);
+            return `❌ Error guardando el perfil: ${error.message}`;
+        }
+    }
+
+    /**
+     * Get a user's travel preferences (unset fields are null or empty)
+     * @param {string} userId - WhatsApp user ID
+     * @returns {Promise<Object>} { homeAirport, airlines, cabin, maxStops, hotelStars, hotelBudget, loyalty, dietary }
+     */
+    async getPreferences(userId) {
+        const user = await UserStorage.get(userId);
+        return { ...EMPTY_PREFERENCES, ...((user && user.travelPreferences) || {}) };
+    }
+
+    /**
+     * Change some fields of a user's travel preferences
+     * @param {string} userId - WhatsApp user ID
+     * @param {Object} changes - Fields to set
+     * @returns {Promise<Object>} Updated preferences
+     */
+    async updatePreferences(userId, changes) {
+        const preferences = { ...(await this.getPreferences(userId)), ...changes };
+        await UserStorage.update(userId, { travelPreferences: preferences });
+        return preferences;
+    }
+
+    /**
+     * Parse the value of a profile field as written in the chat
+     * @param {string} field - Field name (see EMPTY_PREFERENCES)
+     * @param {string} text - Value ("LIM", "LATAM, Copa", "3-5", "$150")
+     * @returns {Object} { value } or { error }
+     */
+    parseField(field, text) {
+        const value = String(text || '').trim();
+        const lower = normalizeAccents(value.toLowerCase());
+
+        switch (field) {
+            case 'homeAirport':
+                return /^[a-z]{3}$/.test(lower)
+                    ? { value: lower.toUpperCase() }
+                    : { error: 'Usa el código del aeropuerto (ej: LIM, MIA).' };
+
+            case 'airlines': {
+                const airlines = value.split(/\s*(?:,|\/|\s+y\s+|\s+and\s+)\s*/i).filter(Boolean);
+                return airlines.length > 0 ? { value: airlines } : { error: 'Escribe las aerolíneas separadas por comas (ej: LATAM, Copa).' };
+            }
+
+            case 'cabin': {
+                const found = CABINS.find(c => c.pattern.test(lower));
+                return found
+                    ? { value: found.cabin }
+                    : { error: 'Cabina: economica, premium, business o primera.' };
+            }
+
+            case 'maxStops': {
+                if (['directo', 'directos', 'nonstop', 'sin escalas'].includes(lower)) {
+                    return { value: 0 };
+                }
+                const stops = parseInt(lower, 10);
+                return /^\d$/.test(lower) && stops <= 3
+                    ? { value: stops }
+                    : { error: 'Escalas: un número de 0 a 3 (0 = solo directos).' };
+            }
+
+            case 'hotelStars': {
+                const match = lower.match(/^([1-5])(?:\s*(?:-|a|to)\s*([1-5]))?$/);
+                if (!match) {
+                    return { error: 'Estrellas: un número (4 = 4 o más) o un rango como 3-5.' };
+                }
+                const min = parseInt(match[1], 10);
+                const max = match[2] ? parseInt(match[2], 10) : 5;
+                return min <= max
+                    ? { value: { min, max } }
+                    : { error: 'El rango de estrellas va de menor a mayor (ej: 3-5).' };
+            }
+
+            case 'hotelBudget': {
+                const budget = priceWatch.parseThreshold(value);
+                return budget && budget.amount > 0
+                    ? { value: budget }
+                    : { error: 'Presupuesto por noche: un monto (ej: $150 o S/ 500).' };
+            }
+
+            case 'dietary':
+                return { value };
+
+            default:
+                return { error: `Campo desconocido: ${field}` };
+        }
+    }
+
+    /**
+     * Flight search params with the profile's defaults filled in
+     * Params from the message are kept; `applied` lists the fields taken from the profile.
+     * @param {Object} preferences - From getPreferences()
+     * @param {Object} params - Search params from the message ({ from, class, prefer, ... })
+     * @returns {Object} { params, maxStops, applied }
+     */
+    flightDefaults(preferences, params = {}) {
+        const merged = { ...params };
+        const applied = [];
+
+        if (!merged.from && preferences.homeAirport) {
+            merged.from = preferences.homeAirport;
+            applied.push('homeAirport');
+        }
+        if (!merged.class && preferences.cabin) {
+            merged.class = preferences.cabin;
+            applied.push('cabin');
+        }
+        if ((!merged.prefer || merged.prefer.length === 0) && preferences.airlines.length > 0) {
+            merged.prefer = preferences.airlines;
+            applied.push('airlines');
+        }
+        if (preferences.maxStops !== null && preferences.maxStops !== undefined) {
+            applied.push('maxStops');
+        }
+
+        return { params: merged, maxStops: applied.includes('maxStops') ? preferences.maxStops : null, applied };
+    }
+
+    /**
+     * Amadeus hotel ratings for the profile's star range
+     * @param {Object} preferences - From getPreferences()
+     * @returns {Array<number>|null} e.g. [3, 4, 5], or null for any rating
+     */
+    hotelRatings(preferences) {
+        const stars = preferences.hotelStars;
+        if (!stars) {
+            return null;
+        }
+
+        const ratings = [];
+        for (let rating = stars.min; rating <= stars.max; rating++) {
+            ratings.push(rating);
+        }
+        // The API takes up to four ratings; all five is the same as no filter
+        return ratings.length <= 4 ? ratings : null;
+    }
+
+    /**
+     * Loyalty number for an airline
+     * Matched on the first word of the program ("LATAM Pass" → LATAM) or the IATA code.
+     * @param {Object} preferences - From getPreferences()
+     * @param {Object} leg - { airline, airlineName }
+     * @returns {Object|null} { program, number }
+     */
+    loyaltyFor(preferences, leg) {
+        if (!leg) {
+            return null;
+        }
+
+        const code = String(leg.airline || '').toLowerCase();
+        const nameWords = normalizeAccents(String(leg.airlineName || '').toLowerCase()).split(/\s+/);
+
+        return preferences.loyalty.find(entry => {
+            const airline = normalizeAccents(entry.program.toLowerCase()).split(/\s+/)[0];
+            return airline === code || nameWords.includes(airline);
+        }) || null;
+    }
+
+    /**
+     * Profile notes for the trip planner prompt
+     * @param {Object} preferences - From getPreferences()
+     * @returns {string|null} e.g. "Flies from LIM; hotels 3-5 stars; dietary: vegetarian"
+     */
+    describeForPlanning(preferences) {
+        const notes = [];
+        if (preferences.homeAirport) {
+            notes.push(`flies from ${preferences.homeAirport}`);
+        }
+        if (preferences.airlines.length > 0) {
+            notes.push(`prefers ${preferences.airlines.join(', ')}`);
+        }
+        if (preferences.cabin) {
+            notes.push(`${preferences.cabin.toLowerCase().replace('_', ' ')} class`);
+        }
+        if (preferences.hotelStars) {
+            notes.push(`hotels ${preferences.hotelStars.min}-${preferences.hotelStars.max} stars`);
+        }
+        if (preferences.hotelBudget) {
+            notes.push(`hotel budget ${preferences.hotelBudget.currency} ${preferences.hotelBudget.amount} per night`);
+        }
+        if (preferences.dietary) {
+            notes.push(`dietary: ${preferences.dietary}`);
+        }
+        return notes.length > 0 ? notes.join('; ') : null;
+    }
+
+    /**
+     * Add, replace or remove a loyalty number
+     * @private
+     */
+    async _updateLoyalty(userId, value) {
+        const preferences = await this.getPreferences(userId);
+        const removeMatch = value.match(/^(?:borrar|eliminar|delete)\s+(.+)$/i);
+
+        if (removeMatch) {
+            const name = normalizeAccents(removeMatch[1].toLowerCase());
+            const loyalty = preferences.loyalty.filter(entry => !normalizeAccents(entry.program.toLowerCase()).startsWith(name));
+            if (loyalty.length === preferences.loyalty.length) {
+                return `❌ No tienes millas de "${removeMatch[1]}".`;
+            }
+            await this.updatePreferences(userId, { loyalty });
+            return `🗑️ Millas de ${removeMatch[1]} eliminadas.`;
+        }
+
+        const match = value.match(/^(.+?)\s+([A-Za-z0-9-]*\d[A-Za-z0-9-]*)$/);
+        if (!match) {
+            return '❌ Escribe la aerolínea y el número (ej: /perfil millas LATAM Pass 12345678).';
+        }
+
+        const entry = { program: match[1].trim(), number: match[2].toUpperCase() };
+        const loyalty = preferences.loyalty.filter(e => e.program.toLowerCase() !== entry.program.toLowerCase());
+        loyalty.push(entry);
+        await this.updatePreferences(userId, { loyalty });
+
+        return `✅ Millas: ${entry.program} ${entry.number}`;
+    }
+
+    /**
+     * Clear one field, or the whole profile with "todo"
+     * @private
+     */
+    async _clear(userId, word) {
+        if (word === 'todo' || word === 'all') {
+            await UserStorage.update(userId, { travelPreferences: null });
+            return '🗑️ Perfil de viaje borrado.';
+        }
+
+        const field = FIELD_WORDS[word];
+        if (!field) {
+            return `❌ Indica qué borrar: aeropuerto, aerolineas, cabina, escalas, estrellas, hotel, millas, dieta o todo.`;
+        }
+
+        await this.updatePreferences(userId, { [field]: EMPTY_PREFERENCES[field] });
+        return `🗑️ ${this._describeField(field, EMPTY_PREFERENCES)}`;
+    }
+
+    /**
+     * One line of the profile
+     * @private
+     */
+    _describeField(field, preferences) {
+        const unset = '_sin definir_';
+
+        switch (field) {
+            case 'homeAirport':
+                return `🏠 Aeropuerto: ${preferences.homeAirport || unset}`;
+            case 'airlines':
+                return `✈️ Aerolíneas preferidas: ${preferences.airlines.length > 0 ? preferences.airlines.join(', ') : unset}`;
+            case 'cabin':
+                return `💺 Cabina: ${preferences.cabin ? CABIN_LABELS[preferences.cabin] : unset}`;
+            case 'maxStops':
+                if (preferences.maxStops === null || preferences.maxStops === undefined) {
+                    return `🔁 Escalas: ${unset}`;
+                }
+                return `🔁 Escalas: ${preferences.maxStops === 0 ? 'solo directos' : `máximo ${preferences.maxStops}`}`;
+            case 'hotelStars': {
+                const stars = preferences.hotelStars;
+                if (!stars) {
+                    return `⭐ Hotel: ${unset}`;
+                }
+                return `⭐ Hotel: ${stars.max === 5 ? `${stars.min} estrellas o más` : `${stars.min}-${stars.max} estrellas`}`;
+            }
+            case 'hotelBudget':
+                return `💰 Hotel por noche: ${preferences.hotelBudget ? `hasta ${preferences.hotelBudget.currency} ${preferences.hotelBudget.amount}` : unset}`;
+            case 'loyalty':
+                return `🎖️ Millas: ${preferences.loyalty.length > 0 ? preferences.loyalty.map(e => `${e.program} ${e.number}`).join(', ') : unset}`;
+            case 'dietary':
+                return `🍽️ Dieta: ${preferences.dietary || unset}`;
+            default:
+                return field;
+        }
+    }
+
+    /**
+     * @private
+     */
+    _formatPreferences(preferences) {
+        let message = '🧳 *Tu perfil de viaje*\n\n';
+        message += Object.keys(EMPTY_PREFERENCES).map(field => this._describeField(field, preferences)).join('\n');
+        message += '\n\nLas búsquedas de vuelos y hoteles parten de aquí; lo que digas en el mensaje manda.\n\n';
+        return message + this._getHelp();
+    }
+
+    /**
+     * @private
+     */
+    _getHelp() {
+        return '*Uso:*\n' +
+            '/perfil aeropuerto LIM\n' +
+            '/perfil aerolineas LATAM, Copa\n' +
+            '/perfil cabina economica | premium | business | primera\n' +
+            '/perfil escalas 1 (0 = solo directos)\n' +
+            '/perfil estrellas 3-5\n' +
+            '/perfil hotel $150 (por noche)\n' +
+            '/perfil millas LATAM Pass 12345678\n' +
+            '/perfil dieta vegetariano\n' +
+            '/perfil borrar <campo|todo>';
+    }
+}
+
+module.exports = new TravelPreferencesService();
@@ -0,0 +1,260 @@
+/**
+ * Traveler Profile
+ *
+ * Passenger details a flight order needs (Amadeus Flight Create Orders),
+ * asked one at a time in the chat:
+ * - Each answer is parsed and validated ("31/12/1990", "+51 987654321", "F")
+ * - Names are written like on the passport: no accents, upper case
+ * - toAmadeusTraveler() builds the `travelers[]` entry of the order
+ */
+
+const { normalizeAccents } = require('../message-normalizer');
+const { today } = require('./recurrence');
+
+// Questions in the order they are asked
+const TRAVELER_STEPS = [
+    { field: 'name', question: '👤 Full name as it appears on the passport? (e.g. "Ana María Quispe Rojas" or "Quispe Rojas, Ana María")' },
+    { field: 'dateOfBirth', question: '🎂 Date of birth? (DD/MM/YYYY)' },
+    { field: 'gender', question: '🚻 Gender on the passport? (M/F)' },
+    { field: 'email', question: '📧 Email for the booking confirmation?' },
+    { field: 'phone', question: '📱 Mobile phone with country code? (e.g. +51 987654321)' },
+    { field: 'passport', question: '🛂 Passport number, expiry date and nationality? (e.g. "P1234567 31/12/2030 PE"), or "skip" for domestic flights' }
+];
+
+const SKIP_WORDS = ['skip', 'omitir', 'no', 'none', 'ninguno'];
+
+// Words of a chat request, never of a passport name ("what's my balance", "search flights to Miami")
+const REQUEST_WORDS = [
+    'what', 'whats', 'how', 'my', 'show', 'search', 'find', 'flight', 'flights', 'hotel', 'hotels',
+    'book', 'booking', 'balance', 'budget', 'spent', 'plan', 'trip', 'to', 'from', 'help', 'menu', 'please',
+    'buscar', 'busca', 'vuelo', 'vuelos', 'saldo', 'presupuesto', 'gasto', 'gaste', 'cuanto', 'mi', 'mis', 'reserva'
+];
+
+/**
+ * Read a date written as DD/MM/YYYY, DD-MM-YYYY or YYYY-MM-DD
+ * @returns {string|null} YYYY-MM-DD
+ */
+function parseDate(text) {
+    const value = String(text || '').trim();
+
+    let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match;
+    } else {
+        match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+        if (!match) {
+            return null;
+        }
+        [, day, month, year] = match;
+    }
+
+    const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+    const check = new Date(`${date}T00:00:00Z`);
+    if (isNaN(check.getTime()) || check.toISOString().split('T')[0] !== date) {
+        return null;
+    }
+    return date;
+}
+
+/**
+ * Split a full name into { firstName, lastName }
+ * "Quispe Rojas, Ana María" is last name first; otherwise the last two words
+ * are the surnames when there are three or more (Peruvian naming).
+ */
+function parseName(text) {
+    const ascii = normalizeAccents(String(text || ''));
+
+    // Digits, question marks and request words mean the user asked something else
+    if (/[^A-Za-z,' .-]/.test(ascii.trim())) {
+        return null;
+    }
+    if (ascii.toLowerCase().replace(/'/g, '').split(/[\s,.-]+/).some(word => REQUEST_WORDS.includes(word))) {
+        return null;
+    }
+
+    const clean = ascii
+        .replace(/[^A-Za-z,' -]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toUpperCase();
+
+    if (clean.includes(',')) {
+        const [last, first] = clean.split(',').map(part => part.trim());
+        return first && last ? { firstName: first, lastName: last } : null;
+    }
+
+    const words = clean.split(' ').filter(Boolean);
+    if (words.length < 2 || words.length > 6) {
+        return null;
+    }
+
+    const surnames = words.length >= 3 ? 2 : 1;
+    return {
+        firstName: words.slice(0, words.length - surnames).join(' '),
+        lastName: words.slice(words.length - surnames).join(' ')
+    };
+}
+
+/**
+ * Parse the answer to one question
+ * @param {string} field - Step field (see TRAVELER_STEPS)
+ * @param {string} text - User reply
+ * @returns {Object} { value } or { error }
+ */
+function parseAnswer(field, text) {
+    const value = String(text || '').trim();
+    const lower = value.toLowerCase();
+
+    switch (field) {
+        case 'name': {
+            const name = parseName(value);
+            return name ? { value: name } : { error: 'I need first name and last name.' };
+        }
+
+        case 'dateOfBirth': {
+            const date = parseDate(value);
+            if (!date || date >= today() || date < '1900-01-01') {
+                return { error: 'That date is not valid. Use DD/MM/YYYY, e.g. 23/04/1988.' };
+            }
+            return { value: date };
+        }
+
+        case 'gender':
+            if (/^(m|male|masculino|h|hombre)$/.test(lower)) {
+                return { value: 'MALE' };
+            }
+            if (/^(f|female|femenino|mujer)$/.test(lower)) {
+                return { value: 'FEMALE' };
+            }
+            return { error: 'Reply M or F.' };
+
+        case 'email':
+            return /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i.test(value)
+                ? { value: value.toLowerCase() }
+                : { error: 'That email doesn\'t look right.' };
+
+        case 'phone': {
+            // The country code is the first group after "+": "+51 987 654 321"
+            const match = value.match(/^\+(\d{1,3})[\s-]+([\d\s-]{6,15})$/);
+            if (!match) {
+                return { error: 'Include the country code, e.g. +51 987654321.' };
+            }
+            return { value: { countryCallingCode: match[1], number: match[2].replace(/\D/g, '') } };
+        }
+
+        case 'passport': {
+            if (SKIP_WORDS.includes(lower)) {
+                return { value: null };
+            }
+
+            const match = value.toUpperCase().match(/^([A-Z0-9]{5,15})\s+(\S+)\s+([A-Z]{2})$/);
+            const expiryDate = match ? parseDate(match[2]) : null;
+            if (!match || !expiryDate) {
+                return { error: 'Use "number expiry country", e.g. P1234567 31/12/2030 PE (or "skip").' };
+            }
+            if (expiryDate <= today()) {
+                return { error: 'That passport has expired.' };
+            }
+            return { value: { number: match[1], expiryDate, nationality: match[3], issuanceCountry: match[3] } };
+        }
+
+        default:
+            return { error: `Unknown field ${field}` };
+    }
+}
+
+/**
+ * Whether a reply that didn't parse was still meant as the answer to the step
+ * (a mistyped date, an email without domain), so the question is asked again
+ * instead of treating the reply as a new request
+ * @param {string} field - Step field (see TRAVELER_STEPS)
+ * @param {string} text - User reply
+ * @returns {boolean}
+ */
+function looksLikeAnswer(field, text) {
+    const value = String(text || '').trim();
+
+    switch (field) {
+        case 'name':
+            return /^[\p{L}'-]+$/u.test(value);
+        case 'dateOfBirth':
+            return /^\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}$/.test(value);
+        case 'gender':
+            return /^\p{L}{1,10}$/u.test(value);
+        case 'email':
+            return /^\S+@\S*$/.test(value);
+        case 'phone':
+            return /^\+?[\d\s-]{6,20}$/.test(value);
+        case 'passport':
+            return /\d/.test(value) && value.split(/\s+/).length <= 4;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Next question for a partially filled traveler (passport: null means skipped)
+ * @param {Object} traveler - Collected fields
+ * @returns {Object|null} Step, or null when complete
+ */
+function nextStep(traveler) {
+    return TRAVELER_STEPS.find(step => traveler[step.field] === undefined) || null;
+}
+
+/**
+ * Amadeus `travelers[]` entry
+ * @param {Object} traveler - Complete traveler
+ * @param {number} index - Position in the order (1-based; matches travelerPricings ids)
+ * @returns {Object} Amadeus traveler
+ */
+function toAmadeusTraveler(traveler, index) {
+    const entry = {
+        id: String(index),
+        dateOfBirth: traveler.dateOfBirth,
+        name: { firstName: traveler.name.firstName, lastName: traveler.name.lastName },
+        gender: traveler.gender,
+        contact: {
+            emailAddress: traveler.email,
+            phones: [{
+                deviceType: 'MOBILE',
+                countryCallingCode: traveler.phone.countryCallingCode,
+                number: traveler.phone.number
+            }]
+        }
+    };
+
+    if (traveler.passport) {
+        entry.documents = [{
+            documentType: 'PASSPORT',
+            number: traveler.passport.number,
+            expiryDate: traveler.passport.expiryDate,
+            issuanceCountry: traveler.passport.issuanceCountry,
+            nationality: traveler.passport.nationality,
+            holder: true
+        }];
+    }
+
+    return entry;
+}
+
+/**
+ * One-line description (passport number masked)
+ * @param {Object} traveler - Complete traveler
+ * @returns {string}
+ */
+function describeTraveler(traveler) {
+    const passport = traveler.passport
+        ? `, passport ···${traveler.passport.number.slice(-3)} (${traveler.passport.nationality})`
+        : '';
+    return `${traveler.name.firstName} ${traveler.name.lastName}, born ${traveler.dateOfBirth}, ${traveler.email}${passport}`;
+}
+
+module.exports = {
+    TRAVELER_STEPS,
+    parseAnswer,
+    looksLikeAnswer,
+    nextStep,
+    toAmadeusTraveler,
+    describeTraveler
+};
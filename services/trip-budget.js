@@ -0,0 +1,608 @@
+/**
+ * Trip Budget
+ *
+ * Gives each planned trip its own YNAB category group ("✈️ Cusco 2026-12")
+ * with one category per kind of spend, and compares the plan with what has
+ * been spent: booked flights and hotels (TripAgent) and expenses during the
+ * trip ("track expense: dinner $50"). Every expense is a real YNAB
+ * transaction created through BudgetAgent.createTransaction.
+ *
+ * Planning a trip writes nothing to YNAB: the group is found or created with
+ * the first expense, unless the user picks an existing one before
+ * (/tripbudget grupo), so re-planning never leaves empty groups behind.
+ *
+ * Trips are stored per user (UserStorage, key "trips").
+ *
+ * Commands:
+ *   /tripbudget                          - Active trip: spent vs plan by category and by day
+ *   /tripbudget lista                    - All trips
+ *   /tripbudget <n>                      - Trip n of the list
+ *   /tripbudget plan <categoría> <monto> - Change the plan of a category
+ *   /tripbudget cuenta <cuenta>          - Account the trip is paid from
+ *   /tripbudget grupo                    - List the YNAB category groups
+ *   /tripbudget grupo <grupo>            - Use an existing YNAB category group
+ *
+ * Configuration:
+ *   TRIP_BUDGET_NAME env variable: YNAB budget for trips (default "BCP DOLARES")
+ */
+
+const ynabService = require('./ynab-service');
+const currencyService = require('./currency-service');
+const { today, addDays } = require('./recurrence');
+const { UserStorage } = require('../storage');
+const { normalizeAccents } = require('../message-normalizer');
+
+// Categories created for every trip; share = part of the total budget,
+// daily = spent during the trip (compared per day)
+const TRIP_CATEGORIES = [
+    { kind: 'flights', name: 'Vuelos', share: 0.35, daily: false, keywords: ['vuelo', 'flight', 'avion', 'aerolinea', 'airline', 'pasaje'] },
+    { kind: 'lodging', name: 'Hospedaje', share: 0.30, daily: false, keywords: ['hotel', 'hospedaje', 'hostal', 'airbnb', 'alojamiento', 'lodging'] },
+    { kind: 'food', name: 'Comida', share: 0.15, daily: true, keywords: ['comida', 'cena', 'almuerzo', 'desayuno', 'restaurante', 'cafe', 'dinner', 'lunch', 'breakfast', 'restaurant', 'food', 'coffee', 'drinks'] },
+    { kind: 'transport', name: 'Transporte', share: 0.10, daily: true, keywords: ['taxi', 'uber', 'metro', 'bus', 'tren', 'train', 'transporte', 'transport', 'gasolina', 'gas', 'parking'] },
+    { kind: 'activities', name: 'Actividades', share: 0.10, daily: true, keywords: ['tour', 'museo', 'museum', 'entrada', 'ticket', 'excursion', 'actividad', 'activity'] }
+];
+
+// Kind used when the description matches no keyword
+const DEFAULT_KIND = 'activities';
+
+const CURRENCY_WORDS = [
+    { pattern: /s\/|\bsoles?\b|\bpen\b/i, currency: 'PEN' },
+    { pattern: /€|\beur(?:os?)?\b/i, currency: 'EUR' },
+    { pattern: /\$|\busd\b|\bd[oó]lar(?:es)?\b|\bdollars?\b/i, currency: 'USD' }
+];
+
+class TripBudget {
+    constructor() {
+        this.budgetName = process.env.TRIP_BUDGET_NAME || 'BCP DOLARES';
+    }
+
+    /**
+     * Create the budget of a trip: plan per category and the name of its group
+     * Nothing is written to YNAB until the first expense, and planning the
+     * same trip twice returns the stored one.
+     * @param {string} userId - WhatsApp user ID
+     * @param {Object} details - { destination, startDate, endDate, total } (total: number or text like "$3000", "S/ 5000")
+     * @returns {Promise<Object>} Trip
+     */
+    async createTrip(userId, details) {
+        try {
+            const { destination, startDate = null, endDate = null } = details;
+            const trips = await this.getTrips(userId);
+
+            const existing = trips.find(trip =>
+                trip.destination.toLowerCase() === String(destination).toLowerCase() && trip.startDate === startDate
+            );
+            if (existing) {
+                return existing;
+            }
+
+            const ynabData = await ynabService.getAccounts(this.budgetName);
+            const format = await currencyService.getBudgetFormat(ynabData.budgetId);
+            const currency = format.iso_code || 'USD';
+            const account = this._defaultAccount(ynabData.accounts, trips);
+
+            const trip = {
+                id: `trip-${Date.now()}`,
+                destination,
+                startDate,
+                endDate: endDate || startDate,
+                currency,
+                budgetId: ynabData.budgetId,
+                budgetName: ynabData.budgetName,
+                accountId: account ? account.id : null,
+                accountName: account ? account.name : null,
+                groupId: null,
+                groupName: `✈️ ${destination}${startDate ? ` ${startDate.substring(0, 7)}` : ''}`,
+                categories: {},
+                plan: {},
+                transactions: [],
+                createdAt: new Date().toISOString()
+            };
+
+            const total = await this._parseTotal(details.total, currency);
+            TRIP_CATEGORIES.forEach(category => {
+                trip.plan[category.kind] = total ? Math.round(total * category.share * 100) / 100 : 0;
+            });
+
+            trips.push(trip);
+            await this._saveTrips(userId, trips);
+
+            console.log(`🧳 Presupuesto de viaje creado: ${trip.groupName} (${total || 0} ${currency})`);
+            return trip;
+        } catch (error) {
+            console.error('Error creando presupuesto de viaje:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's trips (oldest first)
+     * @param {string} userId - WhatsApp user ID
+     * @returns {Promise<Array>} Trips
+     */
+    async getTrips(userId) {
+        const user = await UserStorage.get(userId);
+        return (user && user.trips) || [];
+    }
+
+    /**
+     * The trip expenses go to: the one in progress, else the next one, else the latest
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} date - YYYY-MM-DD
+     * @returns {Promise<Object|null>} Trip
+     */
+    async getActiveTrip(userId, date = today()) {
+        const trips = await this.getTrips(userId);
+        if (trips.length === 0) {
+            return null;
+        }
+
+        const current = trips.find(trip => trip.startDate && trip.startDate <= date && trip.endDate >= date);
+        if (current) {
+            return current;
+        }
+
+        const upcoming = trips
+            .filter(trip => trip.startDate && trip.startDate > date)
+            .sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+        return upcoming[0] || trips[trips.length - 1];
+    }
+
+    /**
+     * Kind of spend for a description ("dinner" → food, "Hotel" → lodging)
+     * @param {string} text - Description or booking type
+     * @returns {string} Kind
+     */
+    guessKind(text) {
+        const words = normalizeAccents(String(text || '').toLowerCase()).split(/[^a-z0-9]+/);
+        const category = TRIP_CATEGORIES.find(c => c.keywords.some(keyword => words.includes(keyword)));
+        return category ? category.kind : DEFAULT_KIND;
+    }
+
+    /**
+     * Read an amount and its currency from text ("dinner $50", "45 soles", "USD 1,200.50")
+     * @param {string} text - Text
+     * @returns {Object|null} { amount, currency, text } (currency null if not written, text without the amount)
+     */
+    parseAmount(text) {
+        const value = String(text || '');
+        const match = value.match(/(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:[.,]\d+)?)/);
+        if (!match) {
+            return null;
+        }
+
+        const number = /,\d{3}/.test(match[1]) ? match[1].replace(/,/g, '') : match[1].replace(',', '.');
+        const currency = CURRENCY_WORDS.find(word => word.pattern.test(value));
+
+        const rest = CURRENCY_WORDS
+            .reduce((result, word) => result.replace(new RegExp(word.pattern.source, 'gi'), ' '), value.replace(match[1], ' '))
+            .replace(/[\s:,-]+/g, ' ')
+            .trim();
+
+        return { amount: parseFloat(number), currency: currency ? currency.currency : null, text: rest };
+    }
+
+    /**
+     * Post an expense of the active trip to YNAB through the BudgetAgent
+     * @param {string} userId - WhatsApp user ID
+     * @param {Object} expense - { kind, amount, currency, payee, memo, date, confirmation } (amount > 0)
+     * @param {Object} budgetAgent - BudgetAgent
+     * @returns {Promise<Object|null>} { trip, entry, duplicate }, null if the user has no trip
+     */
+    async recordExpense(userId, expense, budgetAgent) {
+        try {
+            const trip = await this.getActiveTrip(userId);
+            if (!trip) {
+                return null;
+            }
+
+            if (expense.confirmation) {
+                const booked = trip.transactions.find(tx => tx.confirmation === expense.confirmation);
+                if (booked) {
+                    return { trip, entry: booked, duplicate: true };
+                }
+            }
+
+            if (!trip.accountId) {
+                throw new Error(`El viaje no tiene cuenta de pago. Usa /tripbudget cuenta <cuenta>`);
+            }
+
+            // First expense of the trip: find or create its group in YNAB
+            if (!trip.groupId) {
+                const linked = await this._updateTrip(userId, trip.id, stored => this._linkGroup(stored, stored.groupName));
+                Object.assign(trip, { groupId: linked.groupId, groupName: linked.groupName, categories: linked.categories });
+            }
+
+            const kind = trip.categories[expense.kind] ? expense.kind : DEFAULT_KIND;
+            const converted = await currencyService.convert(expense.amount, expense.currency || trip.currency, trip.currency);
+            const amount = Math.round(converted * 100) / 100;
+
+            const response = await budgetAgent.createTransaction({
+                budgetName: trip.budgetName,
+                accountId: trip.accountId,
+                amount: -amount,
+                payee: expense.payee,
+                categoryId: trip.categories[kind].id,
+                memo: expense.memo || '',
+                date: expense.date || null
+            }, { userId });
+
+            // BudgetAgent answers errors with a message instead of throwing
+            if (!response.data || !response.data.transaction) {
+                throw new Error(response.message.replace(/^❌\s*/, ''));
+            }
+
+            const transaction = response.data.transaction;
+            const entry = {
+                id: transaction.id,
+                kind,
+                date: transaction.date,
+                payee: expense.payee,
+                amount,
+                confirmation: expense.confirmation || null
+            };
+
+            await this._updateTrip(userId, trip.id, stored => {
+                stored.transactions.push(entry);
+            });
+            trip.transactions.push(entry);
+
+            console.log(`🧳 Gasto de viaje registrado: ${expense.payee} ${amount} ${trip.currency} (${kind})`);
+            return { trip, entry, duplicate: false };
+        } catch (error) {
+            console.error('Error registrando gasto de viaje:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Spent vs plan by category and, for daily categories, by day
+     * @param {Object} trip - Trip
+     * @param {string} date - Today (YYYY-MM-DD); days after it are not listed
+     * @returns {Object} { categories: [{ kind, name, plan, spent }], days: [{ date, spent, allowance }], plan, spent, dailyAllowance, remainingPerDay }
+     */
+    summarize(trip, date = today()) {
+        const categories = TRIP_CATEGORIES.map(category => ({
+            kind: category.kind,
+            name: category.name,
+            daily: category.daily,
+            plan: trip.plan[category.kind] || 0,
+            spent: this._round(trip.transactions
+                .filter(tx => tx.kind === category.kind)
+                .reduce((sum, tx) => sum + tx.amount, 0))
+        }));
+
+        const daily = categories.filter(category => category.daily);
+        const dailyPlan = daily.reduce((sum, category) => sum + category.plan, 0);
+        const dailySpent = daily.reduce((sum, category) => sum + category.spent, 0);
+        const tripDays = this._tripDays(trip);
+        const dailyAllowance = tripDays.length > 0 ? this._round(dailyPlan / tripDays.length) : 0;
+
+        const days = tripDays
+            .filter(day => day <= date)
+            .map(day => ({
+                date: day,
+                allowance: dailyAllowance,
+                spent: this._round(trip.transactions
+                    .filter(tx => tx.date === day && daily.some(category => category.kind === tx.kind))
+                    .reduce((sum, tx) => sum + tx.amount, 0))
+            }));
+
+        const daysLeft = tripDays.filter(day => day >= date).length;
+
+        return {
+            categories,
+            days,
+            plan: this._round(categories.reduce((sum, category) => sum + category.plan, 0)),
+            spent: this._round(categories.reduce((sum, category) => sum + category.spent, 0)),
+            dailyAllowance,
+            remainingPerDay: daysLeft > 0 ? this._round((dailyPlan - dailySpent) / daysLeft) : null
+        };
+    }
+
+    /**
+     * Handle /tripbudget
+     * @param {string} userId - WhatsApp user ID
+     * @param {string} text - Message text
+     * @returns {Promise<string|null>} Response, or null if not a /tripbudget command
+     */
+    async handleCommand(userId, text) {
+        const match = text.trim().match(/^\/tripbudget(?:\s+(.*))?$/i);
+        if (!match) {
+            return null;
+        }
+
+        const args = (match[1] || '').trim();
+        const lower = args.toLowerCase();
+
+        try {
+            const trips = await this.getTrips(userId);
+            if (trips.length === 0) {
+                return `🧳 Aún no tienes viajes.\n\n💡 Planifica uno en modo viaje ("plan trip to Cusco Dec 11-21, budget $2000") y su presupuesto se crea en YNAB.`;
+            }
+
+            if (!args) {
+                return await this.formatSummary(await this.getActiveTrip(userId));
+            }
+
+            if (lower === 'lista' || lower === 'list') {
+                return this._formatList(trips);
+            }
+
+            if (/^\d+$/.test(lower)) {
+                const trip = trips[parseInt(lower, 10) - 1];
+                return trip ? await this.formatSummary(trip) : `❌ No existe el viaje ${lower}. Escribe /tripbudget lista`;
+            }
+
+            const planMatch = args.match(/^plan\s+(.+?)\s+(\S*\d\S*)$/i);
+            if (planMatch) {
+                return await this._setPlan(userId, planMatch[1], planMatch[2]);
+            }
+
+            const accountMatch = args.match(/^cuenta\s+(.+)$/i);
+            if (accountMatch) {
+                return await this._setAccount(userId, accountMatch[1]);
+            }
+
+            const groupMatch = args.match(/^grupos?(?:\s+(.+))?$/i);
+            if (groupMatch) {
+                return await this._chooseGroup(userId, (groupMatch[1] || '').trim());
+            }
+
+            return this._getHelp();
+        } catch (error) {
+            console.error('Error en comando /tripbudget:', error.message);
+            return `❌ Error con el presupuesto del viaje: ${error.message}`;
+        }
+    }
+
+    /**
+     * Spent vs plan of a trip, by category and by day
+     * @param {Object} trip - Trip
+     * @returns {Promise<string>} WhatsApp message
+     */
+    async formatSummary(trip) {
+        const format = await currencyService.getBudgetFormat(trip.budgetId);
+        const money = amount => currencyService.format(amount, format);
+        const summary = this.summarize(trip);
+
+        let message = `🧳 *Presupuesto: ${trip.destination}*\n`;
+        if (trip.startDate) {
+            message += `📅 ${trip.startDate}${trip.endDate && trip.endDate !== trip.startDate ? ` → ${trip.endDate}` : ''}\n`;
+        }
+        message += `📁 ${trip.groupName} (${trip.budgetName}${trip.accountName ? `, ${trip.accountName}` : ''})\n`;
+        if (!trip.groupId) {
+            message += `💡 El grupo se crea en YNAB con el primer gasto. Para usar uno existente: /tripbudget grupo\n`;
+        }
+        message += '\n';
+
+        message += `*Por categoría:*\n`;
+        summary.categories.forEach(category => {
+            const over = category.plan > 0 && category.spent > category.plan;
+            message += `${over ? '🔴' : '🟢'} ${category.name}: ${money(category.spent)} / ${money(category.plan)}\n`;
+        });
+        message += `\n💰 *Total:* ${money(summary.spent)} / ${money(summary.plan)}`;
+        if (summary.plan > 0) {
+            message += ` (${Math.round(summary.spent / summary.plan * 100)}%)`;
+        }
+        message += '\n';
+
+        if (summary.days.length > 0) {
+            message += `\n*Por día* (comida, transporte y actividades; ${money(summary.dailyAllowance)}/día):\n`;
+            summary.days.forEach(day => {
+                message += `${day.spent > day.allowance ? '🔴' : '🟢'} ${day.date}: ${money(day.spent)}\n`;
+            });
+        }
+
+        if (summary.remainingPerDay !== null && summary.days.length > 0) {
+            message += `\n📊 Te quedan ${money(summary.remainingPerDay)} por día hasta el final del viaje.`;
+        }
+
+        if (summary.plan === 0) {
+            message += `\n💡 Define el plan con /tripbudget plan <categoría> <monto>`;
+        }
+
+        return message;
+    }
+
+    /**
+     * Find the trip's group in YNAB (or create it) and its categories
+     * @private
+     */
+    async _linkGroup(trip, groupName) {
+        const categories = await ynabService.getCategories(trip.budgetId);
+        const inGroup = categories.filter(c => c.group.toLowerCase() === groupName.toLowerCase());
+
+        let groupId;
+        if (inGroup.length > 0) {
+            groupId = inGroup[0].groupId;
+            groupName = inGroup[0].group;
+        } else {
+            const group = await ynabService.createCategoryGroup(trip.budgetId, groupName);
+            groupId = group.id;
+        }
+
+        trip.groupId = groupId;
+        trip.groupName = groupName;
+        trip.categories = {};
+
+        for (const category of TRIP_CATEGORIES) {
+            const found = inGroup.find(c => c.name.toLowerCase() === category.name.toLowerCase());
+            const linked = found || await ynabService.createCategory(trip.budgetId, groupId, category.name);
+            trip.categories[category.kind] = { id: linked.id, name: linked.name };
+        }
+    }
+
+    /**
+     * Link the active trip to an existing YNAB category group, or list the groups
+     * @private
+     */
+    async _chooseGroup(userId, groupText) {
+        const trip = await this.getActiveTrip(userId);
+        const categories = await ynabService.getCategories(trip.budgetId);
+        const groups = [...new Set(categories.map(c => c.group))].filter(group => group !== 'Internal Master Category');
+
+        const wanted = normalizeAccents(groupText.toLowerCase());
+        const group = groupText && groups.find(name => normalizeAccents(name.toLowerCase()) === wanted);
+        if (!group) {
+            let message = groupText ? `❌ No encontré el grupo "${groupText}" en ${trip.budgetName}.\n\n` : '';
+            message += `📁 *Grupos de ${trip.budgetName}:*\n`;
+            groups.forEach(name => {
+                message += `• ${name}\n`;
+            });
+            message += `\n💡 Escribe /tripbudget grupo <nombre> para registrar ahí los gastos de *${trip.destination}*.`;
+            return message;
+        }
+
+        const updated = await this._updateTrip(userId, trip.id, stored => this._linkGroup(stored, group));
+        return `✅ Gastos de *${updated.destination}* en el grupo *${updated.groupName}* de YNAB.`;
+    }
+
+    /**
+     * Account for a new trip: the one the previous trip used, else the first open one
+     * @private
+     */
+    _defaultAccount(accounts, trips) {
+        const open = accounts.filter(a => !a.closed && !a.deleted && a.on_budget !== false);
+        const previous = trips.length > 0 ? trips[trips.length - 1].accountId : null;
+        return open.find(a => a.id === previous) || open[0] || null;
+    }
+
+    /**
+     * Trip total in the trip's currency
+     * @private
+     */
+    async _parseTotal(total, currency) {
+        if (!total) {
+            return 0;
+        }
+
+        const parsed = typeof total === 'number' ? { amount: total, currency: null } : this.parseAmount(total);
+        if (!parsed) {
+            return 0;
+        }
+
+        return this._round(await currencyService.convert(parsed.amount, parsed.currency || currency, currency));
+    }
+
+    /**
+     * Every date of the trip
+     * @private
+     */
+    _tripDays(trip) {
+        if (!trip.startDate) {
+            return [];
+        }
+
+        const days = [];
+        for (let day = trip.startDate; day <= trip.endDate && days.length < 366; day = addDays(day, 1)) {
+            days.push(day);
+        }
+        return days;
+    }
+
+    /**
+     * @private
+     */
+    async _setPlan(userId, categoryText, amountText) {
+        const trip = await this.getActiveTrip(userId);
+        const wanted = normalizeAccents(categoryText.toLowerCase().trim());
+        const category = TRIP_CATEGORIES.find(c =>
+            normalizeAccents(c.name.toLowerCase()) === wanted || c.kind === wanted || c.keywords.includes(wanted)
+        );
+        if (!category) {
+            return `❌ Categoría desconocida. Usa: ${TRIP_CATEGORIES.map(c => c.name).join(', ')}`;
+        }
+
+        const amount = await this._parseTotal(amountText, trip.currency);
+        if (!(amount > 0)) {
+            return '❌ Formato: /tripbudget plan Comida 400';
+        }
+
+        await this._updateTrip(userId, trip.id, stored => {
+            stored.plan[category.kind] = amount;
+        });
+
+        const format = await currencyService.getBudgetFormat(trip.budgetId);
+        return `✅ Plan de *${category.name}* para ${trip.destination}: ${currencyService.format(amount, format)}`;
+    }
+
+    /**
+     * @private
+     */
+    async _setAccount(userId, accountText) {
+        const trip = await this.getActiveTrip(userId);
+        const { accounts } = await ynabService.getAccounts(trip.budgetName);
+        const open = accounts.filter(a => !a.closed && !a.deleted);
+        const account = open.find(a => a.name.toLowerCase().includes(accountText.toLowerCase().trim()));
+        if (!account) {
+            return `❌ No encontré la cuenta "${accountText}". Cuentas de ${trip.budgetName}: ${open.map(a => a.name).join(', ')}`;
+        }
+
+        await this._updateTrip(userId, trip.id, stored => {
+            stored.accountId = account.id;
+            stored.accountName = account.name;
+        });
+
+        return `✅ Los gastos de *${trip.destination}* se pagan con *${account.name}*.`;
+    }
+
+    /**
+     * @private
+     */
+    _formatList(trips) {
+        let message = '🧳 *Tus viajes:*\n\n';
+        trips.forEach((trip, index) => {
+            const summary = this.summarize(trip);
+            message += `${index + 1}. *${trip.destination}*${trip.startDate ? ` (${trip.startDate})` : ''} — ${summary.spent} / ${summary.plan} ${trip.currency}\n`;
+        });
+        message += '\n💡 Escribe /tripbudget <número> para ver el detalle.';
+        return message;
+    }
+
+    /**
+     * @private
+     */
+    _getHelp() {
+        return `🧳 *Presupuesto de Viaje*\n\n` +
+            `• /tripbudget - Viaje actual: gastado vs plan\n` +
+            `• /tripbudget lista - Todos tus viajes\n` +
+            `• /tripbudget 2 - Detalle del viaje 2\n` +
+            `• /tripbudget plan Comida 400 - Cambiar el plan de una categoría\n` +
+            `• /tripbudget cuenta Ahorro - Cuenta con la que pagas el viaje\n` +
+            `• /tripbudget grupo - Ver los grupos de YNAB; /tripbudget grupo Viajes usa uno existente`;
+    }
+
+    /**
+     * Apply a change to a stored trip
+     * @private
+     */
+    async _updateTrip(userId, tripId, change) {
+        const trips = await this.getTrips(userId);
+        const trip = trips.find(t => t.id === tripId);
+        if (!trip) {
+            throw new Error('Viaje no encontrado');
+        }
+        await change(trip);
+        await this._saveTrips(userId, trips);
+        return trip;
+    }
+
+    /**
+     * @private
+     */
+    async _saveTrips(userId, trips) {
+        await UserStorage.update(userId, { trips });
+    }
+
+    /**
+     * @private
+     */
+    _round(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+}
+
+// Export singleton instance
+module.exports = new TripBudget();
@@ -6,12 +6,22 @@
  */
 
 const axios = require('axios');
+const { storage, CacheStorage } = require('../storage');
+const recurrence = require('./recurrence');
 require('dotenv').config();
 
+// Storage key prefixes for the YNAB cache
+const BUDGETS_CACHE_KEY = 'ynab:budgets';
+const DELTA_PREFIX = 'ynab:delta:';
+
+// Transaction cleared statuses accepted by the API
+const CLEARED_STATUSES = ['cleared', 'uncleared', 'reconciled'];
+
 class YnabService {
     constructor() {
         this.apiKey = process.env.YNAB_API_KEY;
-        this.baseUrl = 'https://api.ynab.com/v1';
+        this.baseUrl = process.env.YNAB_BASE_URL || 'https://api.ynab.com/v1';
+        this.budgetsCacheTTL = 3600; // Budget list rarely changes (1 hour)
     }
 
     /**
@@ -24,17 +34,112 @@ class YnabService {
         };
     }
 
+    /**
+     * Merge a delta response into a cached collection
+     * Items are matched by id; items flagged as deleted are removed.
+     * @param {Array} items - Cached items
+     * @param {Array} changes - Changed items returned by YNAB
+     * @param {Function|null} mergeItem - Optional (existing, changed) => merged item
+     * @returns {Array} Merged items
+     * @private
+     */
+    _mergeDelta(items, changes, mergeItem = null) {
+        const byId = new Map(items.map(item => [item.id, item]));
+
+        changes.forEach(changed => {
+            if (changed.deleted) {
+                byId.delete(changed.id);
+                return;
+            }
+
+            const existing = byId.get(changed.id);
+            byId.set(changed.id, existing && mergeItem ? mergeItem(existing, changed) : changed);
+        });
+
+        return Array.from(byId.values());
+    }
+
+    /**
+     * Fetch a budget resource using delta sync
+     *
+     * Stores YNAB's server_knowledge per budget and resource, and on later calls
+     * only requests changes via last_knowledge_of_server, merging them into the cache.
+     *
+     * @param {string} budgetId - Budget ID
+     * @param {string} resource - Resource path under the budget (accounts, categories, transactions, scheduled_transactions)
+     * @param {string} collection - Collection field in the response data
+     * @param {Object} options - { params, mergeItem, cacheKey, reset }
+     * @returns {Promise<Array>} Up-to-date collection
+     * @private
+     */
+    async _deltaSync(budgetId, resource, collection, options = {}) {
+        const { params = {}, mergeItem = null, cacheKey = resource, reset = false } = options;
+        const key = `${DELTA_PREFIX}${budgetId}:${cacheKey}`;
+        const cached = reset ? null : await storage.get(key);
+
+        const requestParams = { ...params };
+        if (cached) {
+            requestParams.last_knowledge_of_server = cached.serverKnowledge;
+        }
+
+        const response = await axios.get(`${this.baseUrl}/budgets/${budgetId}/${resource}`, {
+            headers: this._getHeaders(),
+            params: requestParams
+        });
+
+        const data = response.data.data;
+        const changes = data[collection] || [];
+        const items = cached
+            ? this._mergeDelta(cached.items, changes, mergeItem)
+            : changes.filter(item => !item.deleted);
+
+        await storage.set(key, {
+            serverKnowledge: data.server_knowledge,
+            params,
+            items
+        });
+
+        console.log(`🔄 YNAB ${cacheKey} (${budgetId.substring(0, 8)}): ${cached ? `delta ${changes.length} cambios` : `descarga completa ${items.length}`}`);
+
+        return items;
+    }
+
+    /**
+     * Drop cached YNAB data so the next calls download everything again
+     * @param {string|null} budgetId - Budget ID, or null to clear every budget
+     */
+    async clearCache(budgetId = null) {
+        const keys = await storage.keys(`${DELTA_PREFIX}${budgetId || ''}*`);
+        await Promise.all(keys.map(key => storage.delete(key)));
+
+        if (!budgetId) {
+            await CacheStorage.delete(BUDGETS_CACHE_KEY);
+        }
+    }
+
     /**
      * Get all budgets
+     * Cached for an hour because the YNAB budgets endpoint has no delta support.
+     * @param {boolean} forceRefresh - Skip the cache
      * @returns {Promise<Array>} List of budgets
      */
-    async getBudgets() {
+    async getBudgets(forceRefresh = false) {
         try {
+            if (!forceRefresh) {
+                const cached = await CacheStorage.get(BUDGETS_CACHE_KEY);
+                if (cached) {
+                    return cached;
+                }
+            }
+
             const response = await axios.get(`${this.baseUrl}/budgets`, {
                 headers: this._getHeaders()
             });
 
-            return response.data.data.budgets;
+            const budgets = response.data.data.budgets;
+            await CacheStorage.set(BUDGETS_CACHE_KEY, budgets, this.budgetsCacheTTL);
+
+            return budgets;
         } catch (error) {
             console.error('Error obteniendo presupuestos:', error.message);
             throw error;
@@ -64,17 +169,12 @@ class YnabService {
                 targetBudget = budgets[0];
             }
 
-            const accountsResponse = await axios.get(
-                `${this.baseUrl}/budgets/${targetBudget.id}/accounts`,
-                {
-                    headers: this._getHeaders()
-                }
-            );
+            const accounts = await this._deltaSync(targetBudget.id, 'accounts', 'accounts');
 
             return {
                 budgetId: targetBudget.id,
                 budgetName: targetBudget.name,
-                accounts: accountsResponse.data.data.accounts,
+                accounts,
                 allBudgets: budgets
             };
         } catch (error) {
@@ -85,6 +185,11 @@ class YnabService {
 
     /**
      * Get transactions for a budget/account
+     *
+     * The whole budget is synced once and filtered locally, so every account and
+     * look-back window shares the same delta cache. The cache is only rebuilt when
+     * a caller asks for older transactions than it holds.
+     *
      * @param {string} budgetId - Budget ID
      * @param {string|null} accountId - Account ID (optional)
      * @param {number} days - Number of days to look back (default 90)
@@ -92,18 +197,21 @@ class YnabService {
      */
     async getTransactions(budgetId, accountId = null, days = 90) {
         try {
-            const url = accountId
-                ? `${this.baseUrl}/budgets/${budgetId}/accounts/${accountId}/transactions`
-                : `${this.baseUrl}/budgets/${budgetId}/transactions`;
-
-            const response = await axios.get(url, {
-                headers: this._getHeaders(),
-                params: {
-                    since_date: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
-                }
+            const sinceDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+            const cached = await storage.get(`${DELTA_PREFIX}${budgetId}:transactions`);
+            const cachedSince = cached && cached.params ? cached.params.since_date : null;
+            const reset = !cachedSince || cachedSince > sinceDate;
+
+            const transactions = await this._deltaSync(budgetId, 'transactions', 'transactions', {
+                params: { since_date: reset ? sinceDate : cachedSince },
+                reset
             });
 
-            return response.data.data.transactions;
+            return transactions
+                .filter(tx => tx.date >= sinceDate)
+                .filter(tx => !accountId || tx.account_id === accountId)
+                .sort((a, b) => a.date.localeCompare(b.date));
         } catch (error) {
             console.error('Error obteniendo transacciones:', error.message);
             throw error;
@@ -119,9 +227,10 @@ class YnabService {
      * @param {string|null} categoryId - Category ID (optional)
      * @param {string} memo - Memo/note
      * @param {string|null} date - Date in YYYY-MM-DD format (optional, defaults to today)
+     * @param {Object} options - { importId, cleared } (optional, cleared defaults to 'cleared')
      * @returns {Promise<Object>} Created transaction
      */
-    async createTransaction(budgetId, accountId, amount, payee, categoryId, memo, date = null) {
+    async createTransaction(budgetId, accountId, amount, payee, categoryId, memo, date = null, options = {}) {
         try {
             console.log(`\n🔧 DEBUG: ynabService.createTransaction() called`);
             console.log(`   INPUT budgetId: ${budgetId}`);
@@ -138,7 +247,7 @@ class YnabService {
                 amount: Math.round(amount * 1000), // YNAB uses miliunits
                 payee_name: payee,
                 memo: memo,
-                cleared: 'cleared'
+                cleared: options.cleared || 'cleared'
             };
 
             // Add category_id only if provided
@@ -146,6 +255,11 @@ class YnabService {
                 transactionData.category_id = categoryId;
             }
 
+            // YNAB rejects a second transaction with the same import_id on the account
+            if (options.importId) {
+                transactionData.import_id = options.importId;
+            }
+
             console.log(`   BUILT transactionData:`, JSON.stringify(transactionData, null, 2));
 
             const url = `${this.baseUrl}/budgets/${budgetId}/transactions`;
@@ -179,28 +293,142 @@ class YnabService {
     }
 
     /**
-     * Get categories for a budget
+     * Create a split transaction (one payment spread over several categories)
      * @param {string} budgetId - Budget ID
-     * @returns {Promise<Array>} List of categories
+     * @param {string} accountId - Account ID
+     * @param {string} payee - Payee name
+     * @param {Array} splits - [{ amount, categoryId, memo }] with amounts in currency (same sign as the total)
+     * @param {string} memo - Memo/note for the whole transaction
+     * @param {string|null} date - Date in YYYY-MM-DD format (optional, defaults to today)
+     * @param {Object} options - { importId } (optional)
+     * @returns {Promise<Object>} Created transaction (with subtransactions)
      */
-    async getCategories(budgetId) {
+    async createSplitTransaction(budgetId, accountId, payee, splits, memo, date = null, options = {}) {
         try {
-            const response = await axios.get(
-                `${this.baseUrl}/budgets/${budgetId}/categories`,
+            if (!Array.isArray(splits) || splits.length < 2) {
+                throw new Error('Una transacción dividida necesita al menos 2 partes');
+            }
+
+            // Convert each part first so the total always equals the sum of the parts
+            const subtransactions = splits.map(split => ({
+                amount: Math.round(split.amount * 1000),
+                category_id: split.categoryId || null,
+                memo: split.memo || null
+            }));
+            const total = subtransactions.reduce((sum, sub) => sum + sub.amount, 0);
+
+            const transactionData = {
+                account_id: accountId,
+                date: date || new Date().toISOString().split('T')[0],
+                amount: total,
+                payee_name: payee,
+                category_id: null, // Splits carry the categories
+                memo: memo,
+                cleared: 'cleared',
+                subtransactions
+            };
+
+            if (options.importId) {
+                transactionData.import_id = options.importId;
+            }
+
+            console.log(`✂️ Creando transacción dividida: ${payee} (${total / 1000}) en ${subtransactions.length} partes`);
+
+            const response = await axios.post(
+                `${this.baseUrl}/budgets/${budgetId}/transactions`,
+                {
+                    transaction: transactionData
+                },
+                {
+                    headers: this._getHeaders()
+                }
+            );
+
+            return response.data.data.transaction;
+        } catch (error) {
+            console.error('Error creando transacción dividida:', error.message);
+            if (error.response) {
+                console.error('   Response data:', JSON.stringify(error.response.data));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Create a transfer between two accounts of the same budget
+     * Uses the target account's transfer payee, so YNAB creates the matching
+     * inflow itself. Budget-to-budget transfers don't exist in YNAB: use two
+     * createTransaction calls instead.
+     * @param {string} budgetId - Budget ID
+     * @param {string} fromAccountId - Account the money leaves
+     * @param {Object} toAccount - Target account (needs transfer_payee_id)
+     * @param {number} amount - Amount in currency (positive)
+     * @param {string|null} memo - Memo/note
+     * @param {string|null} date - Date in YYYY-MM-DD format (optional, defaults to today)
+     * @returns {Promise<Object>} Created outflow (transfer_account_id set)
+     */
+    async createTransfer(budgetId, fromAccountId, toAccount, amount, memo = null, date = null) {
+        try {
+            if (!toAccount.transfer_payee_id) {
+                throw new Error(`La cuenta "${toAccount.name}" no acepta transferencias`);
+            }
+
+            const transactionData = {
+                account_id: fromAccountId,
+                date: date || new Date().toISOString().split('T')[0],
+                amount: -Math.round(Math.abs(amount) * 1000),
+                payee_id: toAccount.transfer_payee_id,
+                memo: memo,
+                cleared: 'cleared'
+            };
+
+            console.log(`🔄 Creando transferencia: ${amount} → ${toAccount.name}`);
+
+            const response = await axios.post(
+                `${this.baseUrl}/budgets/${budgetId}/transactions`,
+                {
+                    transaction: transactionData
+                },
                 {
                     headers: this._getHeaders()
                 }
             );
 
+            return response.data.data.transaction;
+        } catch (error) {
+            console.error('Error creando transferencia:', error.message);
+            if (error.response) {
+                console.error('   Response data:', JSON.stringify(error.response.data));
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get categories for a budget
+     * @param {string} budgetId - Budget ID
+     * @returns {Promise<Array>} List of categories
+     */
+    async getCategories(budgetId) {
+        try {
+            // Delta responses only include the changed categories of each group
+            const groups = await this._deltaSync(budgetId, 'categories', 'category_groups', {
+                mergeItem: (existing, changed) => ({
+                    ...changed,
+                    categories: this._mergeDelta(existing.categories || [], changed.categories || [])
+                })
+            });
+
             const categories = [];
-            response.data.data.category_groups.forEach(group => {
+            groups.forEach(group => {
                 if (!group.hidden && !group.deleted) {
                     group.categories.forEach(cat => {
                         if (!cat.hidden && !cat.deleted) {
                             categories.push({
                                 id: cat.id,
                                 name: cat.name,
-                                group: group.name
+                                group: group.name,
+                                groupId: group.id
                             });
                         }
                     });
@@ -214,6 +442,153 @@ class YnabService {
         }
     }
 
+    /**
+     * Create a category group
+     * @param {string} budgetId - Budget ID
+     * @param {string} name - Group name
+     * @returns {Promise<Object>} Created group { id, name, categories }
+     */
+    async createCategoryGroup(budgetId, name) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/budgets/${budgetId}/category_groups`,
+                { category_group: { name } },
+                {
+                    headers: this._getHeaders()
+                }
+            );
+
+            console.log(`📁 Grupo de categorías creado: ${name}`);
+            return response.data.data.category_group;
+        } catch (error) {
+            console.error('Error creando grupo de categorías:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Create a category in a group
+     * @param {string} budgetId - Budget ID
+     * @param {string} categoryGroupId - Group ID
+     * @param {string} name - Category name
+     * @returns {Promise<Object>} Created category { id, name, category_group_id, ... }
+     */
+    async createCategory(budgetId, categoryGroupId, name) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/budgets/${budgetId}/categories`,
+                { category: { name, category_group_id: categoryGroupId } },
+                {
+                    headers: this._getHeaders()
+                }
+            );
+
+            console.log(`📁 Categoría creada: ${name}`);
+            return response.data.data.category;
+        } catch (error) {
+            console.error('Error creando categoría:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a budget month with its category balances
+     * Not cached: budgeted/activity/balance change with every transaction.
+     * @param {string} budgetId - Budget ID
+     * @param {string} month - 'current' or YYYY-MM-01 (default 'current')
+     * @returns {Promise<Object>} Month detail { month, to_be_budgeted, categories: [{ id, name, budgeted, activity, balance, ... }] }
+     */
+    async getMonth(budgetId, month = 'current') {
+        try {
+            const response = await axios.get(
+                `${this.baseUrl}/budgets/${budgetId}/months/${month}`,
+                {
+                    headers: this._getHeaders()
+                }
+            );
+
+            return response.data.data.month;
+        } catch (error) {
+            console.error('Error obteniendo mes del presupuesto:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Set the amount assigned (budgeted) to a category in a month
+     * @param {string} budgetId - Budget ID
+     * @param {string} categoryId - Category ID
+     * @param {number} budgeted - New assigned amount in currency (YNAB uses miliunits)
+     * @param {string} month - 'current' or YYYY-MM-01 (default 'current')
+     * @returns {Promise<Object>} Updated month category { id, name, budgeted, activity, balance, ... }
+     */
+    async updateCategoryBudgeted(budgetId, categoryId, budgeted, month = 'current') {
+        try {
+            const response = await axios.patch(
+                `${this.baseUrl}/budgets/${budgetId}/months/${month}/categories/${categoryId}`,
+                {
+                    category: { budgeted: Math.round(budgeted * 1000) }
+                },
+                {
+                    headers: this._getHeaders()
+                }
+            );
+
+            return response.data.data.category;
+        } catch (error) {
+            console.error('Error asignando dinero a la categoría:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Move assigned money between two categories of the current month
+     * A null category means "Ready to Assign": moving from null assigns new money,
+     * moving to null returns money to Ready to Assign.
+     * @param {string} budgetId - Budget ID
+     * @param {string|null} fromCategoryId - Source category ID (null = Ready to Assign)
+     * @param {string|null} toCategoryId - Target category ID (null = Ready to Assign)
+     * @param {number} amount - Amount in currency (positive)
+     * @returns {Promise<Object>} { from, to } updated month categories (null for Ready to Assign)
+     */
+    async moveCategoryBudget(budgetId, fromCategoryId, toCategoryId, amount) {
+        try {
+            if (!(amount > 0)) {
+                throw new Error('El monto a mover debe ser mayor a 0');
+            }
+            if (fromCategoryId === toCategoryId) {
+                throw new Error('Las categorías de origen y destino son la misma');
+            }
+
+            // YNAB only sets absolute values, so read the current assignments first
+            const month = await this.getMonth(budgetId);
+            const findMonthCategory = (categoryId) => {
+                const category = month.categories.find(c => c.id === categoryId);
+                if (!category) {
+                    throw new Error(`Categoría ${categoryId} no encontrada en el mes`);
+                }
+                return category;
+            };
+
+            const source = fromCategoryId ? findMonthCategory(fromCategoryId) : null;
+            const target = toCategoryId ? findMonthCategory(toCategoryId) : null;
+
+            console.log(`🔀 Moviendo ${amount} de ${source ? source.name : 'Por asignar'} a ${target ? target.name : 'Por asignar'}`);
+
+            const from = source
+                ? await this.updateCategoryBudgeted(budgetId, source.id, source.budgeted / 1000 - amount)
+                : null;
+            const to = target
+                ? await this.updateCategoryBudgeted(budgetId, target.id, target.budgeted / 1000 + amount)
+                : null;
+
+            return { from, to };
+        } catch (error) {
+            console.error('Error moviendo dinero entre categorías:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Update a transaction (e.g., to categorize it)
      * @param {string} budgetId - Budget ID
@@ -250,6 +625,220 @@ class YnabService {
         }
     }
 
+    /**
+     * Update several transactions in a single request (bulk PATCH)
+     * @param {string} budgetId - Budget ID
+     * @param {Array} updates - [{ id, category_id, approved, ... }] in YNAB field names
+     * @returns {Promise<Array>} Updated transactions
+     */
+    async updateTransactions(budgetId, updates) {
+        try {
+            const response = await axios.patch(
+                `${this.baseUrl}/budgets/${budgetId}/transactions`,
+                {
+                    transactions: updates
+                },
+                {
+                    headers: this._getHeaders()
+                }
+            );
+
+            console.log(`✅ ${updates.length} transacciones actualizadas en una sola llamada`);
+            return response.data.data.transactions;
+        } catch (error) {
+            console.error('Error actualizando transacciones:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Change the cleared status of several transactions (bulk PATCH)
+     * @param {string} budgetId - Budget ID
+     * @param {Array<string>} transactionIds - Transaction IDs
+     * @param {string} cleared - 'cleared', 'uncleared' or 'reconciled'
+     * @returns {Promise<Array>} Updated transactions
+     */
+    async updateTransactionsCleared(budgetId, transactionIds, cleared = 'cleared') {
+        if (!CLEARED_STATUSES.includes(cleared)) {
+            throw new Error(`Estado inválido "${cleared}": usa ${CLEARED_STATUSES.join(', ')}`);
+        }
+
+        if (transactionIds.length === 0) {
+            return [];
+        }
+
+        console.log(`🧾 Marcando ${transactionIds.length} transacciones como ${cleared}`);
+        return await this.updateTransactions(
+            budgetId,
+            transactionIds.map(id => ({ id, cleared }))
+        );
+    }
+
+    /**
+     * Get scheduled (recurring) transactions of a budget, soonest first
+     * @param {string} budgetId - Budget ID
+     * @returns {Promise<Array>} Scheduled transactions { id, date_first, date_next, frequency, amount, payee_name, ... }
+     */
+    async getScheduledTransactions(budgetId) {
+        try {
+            const scheduled = await this._deltaSync(budgetId, 'scheduled_transactions', 'scheduled_transactions');
+            return scheduled.sort((a, b) => a.date_next.localeCompare(b.date_next));
+        } catch (error) {
+            console.error('Error obteniendo transacciones programadas:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Expand scheduled transactions into the occurrences of the next days
+     * A weekly payment shows up once per week inside the window.
+     * @param {string} budgetId - Budget ID
+     * @param {number} days - Window length from today (default 7)
+     * @returns {Promise<Array>} [{ ...scheduledTransaction, date }] sorted by date
+     */
+    async getUpcomingScheduled(budgetId, days = 7) {
+        const scheduled = await this.getScheduledTransactions(budgetId);
+        const from = recurrence.today();
+        const to = recurrence.addDays(from, days);
+
+        const upcoming = [];
+        scheduled.forEach(st => {
+            const anchorDay = parseInt(st.date_first.split('-')[2], 10);
+            recurrence.occurrencesBetween(st.date_next, st.frequency, from, to, anchorDay)
+                .forEach(date => upcoming.push({ ...st, date }));
+        });
+
+        return upcoming.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Create a scheduled transaction
+     * @param {string} budgetId - Budget ID
+     * @param {string} accountId - Account ID
+     * @param {number} amount - Amount in currency (YNAB uses miliunits)
+     * @param {string} payee - Payee name
+     * @param {string|null} categoryId - Category ID (optional)
+     * @param {string} memo - Memo/note
+     * @param {string} date - First occurrence (YYYY-MM-DD, must be in the future)
+     * @param {string} frequency - YNAB frequency ('never', 'weekly', 'monthly', ...)
+     * @returns {Promise<Object>} Created scheduled transaction
+     */
+    async createScheduledTransaction(budgetId, accountId, amount, payee, categoryId, memo, date, frequency) {
+        try {
+            const response = await axios.post(
+                `${this.baseUrl}/budgets/${budgetId}/scheduled_transactions`,
+                {
+                    scheduled_transaction: {
+                        account_id: accountId,
+                        date,
+                        amount: Math.round(amount * 1000),
+                        payee_name: payee,
+                        category_id: categoryId || null,
+                        memo: memo || null,
+                        frequency
+                    }
+                },
+                {
+                    headers: this._getHeaders()
+                }
+            );
+
+            console.log(`🔁 Transacción programada creada: ${payee} (${amount}) ${frequency} desde ${date}`);
+            return response.data.data.scheduled_transaction;
+        } catch (error) {
+            console.error('Error creando transacción programada:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Update a scheduled transaction
+     * YNAB replaces the whole scheduled transaction, so the current one is merged with the changes.
+     * @param {string} budgetId - Budget ID
+     * @param {Object} scheduled - Current scheduled transaction (from getScheduledTransactions)
+     * @param {Object} changes - { date, amount, ... } in YNAB field names (amount in milliunits)
+     * @returns {Promise<Object>} Updated scheduled transaction
+     */
+    async updateScheduledTransaction(budgetId, scheduled, changes) {
+        try {
+            const response = await axios.put(
+                `${this.baseUrl}/budgets/${budgetId}/scheduled_transactions/${scheduled.id}`,
+                {
+                    scheduled_transaction: {
+                        account_id: scheduled.account_id,
+                        date: scheduled.date_next,
+                        amount: scheduled.amount,
+                        payee_id: scheduled.payee_id || null,
+                        payee_name: scheduled.payee_id ? null : scheduled.payee_name,
+                        category_id: scheduled.category_id || null,
+                        memo: scheduled.memo || null,
+                        flag_color: scheduled.flag_color || null,
+                        frequency: scheduled.frequency,
+                        ...changes
+                    }
+                },
+                {
+                    headers: this._getHeaders()
+                }
+            );
+
+            return response.data.data.scheduled_transaction;
+        } catch (error) {
+            console.error('Error actualizando transacción programada:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Skip the next occurrence of a scheduled transaction
+     * Recurring ones move to the following date; one-time ones are deleted.
+     * @param {string} budgetId - Budget ID
+     * @param {Object} scheduled - Scheduled transaction (from getScheduledTransactions)
+     * @returns {Promise<Object|null>} Updated scheduled transaction, or null if it was deleted
+     */
+    async skipScheduledTransaction(budgetId, scheduled) {
+        const anchorDay = parseInt(scheduled.date_first.split('-')[2], 10);
+        const next = recurrence.nextDate(scheduled.date_next, scheduled.frequency, anchorDay);
+
+        if (!next) {
+            await this.deleteScheduledTransaction(budgetId, scheduled.id);
+            return null;
+        }
+
+        return await this.updateScheduledTransaction(budgetId, scheduled, { date: next });
+    }
+
+    /**
+     * Delete a scheduled transaction
+     * @param {string} budgetId - Budget ID
+     * @param {string} scheduledId - Scheduled transaction ID
+     * @returns {Promise<Object>} Deleted scheduled transaction
+     */
+    async deleteScheduledTransaction(budgetId, scheduledId) {
+        try {
+            const response = await axios.delete(
+                `${this.baseUrl}/budgets/${budgetId}/scheduled_transactions/${scheduledId}`,
+                {
+                    headers: this._getHeaders()
+                }
+            );
+
+            return response.data.data.scheduled_transaction;
+        } catch (error) {
+            console.error('Error eliminando transacción programada:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether an API error is YNAB rejecting a duplicate import_id
+     * @param {Error} error - Axios error
+     * @returns {boolean} True for 409 conflicts
+     */
+    isDuplicateImportError(error) {
+        return !!(error.response && error.response.status === 409);
+    }
+
     /**
      * Validate that a budget allows manual transaction creation
      * @param {string} budgetName - Budget name
@@ -2,18 +2,33 @@
  * Storage Module
  *
  * Provides persistent storage for bot data with Redis (optional) + in-memory fallback.
+ * Without Redis, STORAGE_FILE keeps the in-memory store saved to a JSON file
+ * so sessions and user data survive restarts.
  * Supports TTL, namespacing, and automatic serialization.
  */
 
+const fs = require('fs');
+const path = require('path');
+
 class Storage {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath - JSON file for the in-memory store (default: STORAGE_FILE)
+     */
+    constructor(options = {}) {
         this.useRedis = process.env.REDIS_URL && process.env.USE_REDIS === 'true';
         this.redis = null;
         this.memoryStore = new Map();
         this.ttlTimers = new Map(); // For in-memory TTL
+        this.expiresAt = new Map(); // Key -> expiry timestamp, saved with the file
+        this.filePath = this.useRedis ? null : (options.filePath || process.env.STORAGE_FILE || null);
+        this.fileWrites = Promise.resolve();
 
         if (this.useRedis) {
             this._initRedis();
+        } else if (this.filePath) {
+            this._loadFile();
+            console.log(`💾 Storage: Using file store (${this.filePath})`);
         } else {
             console.log('💾 Storage: Using in-memory store (Redis disabled)');
         }
@@ -48,6 +63,70 @@ class Storage {
         }
     }
 
+    /**
+     * Load the saved in-memory store, skipping expired keys
+     * A file that can't be parsed is kept aside instead of being overwritten.
+     * @private
+     */
+    _loadFile() {
+        let saved;
+        try {
+            saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return;
+            }
+
+            if (error instanceof SyntaxError) {
+                const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+                fs.renameSync(this.filePath, corruptPath);
+                console.error(`❌ Storage file is corrupt, kept as ${corruptPath}`);
+                return;
+            }
+
+            throw error;
+        }
+
+        const now = Date.now();
+        for (const [key, entry] of Object.entries(saved)) {
+            if (entry.expiresAt && entry.expiresAt <= now) {
+                continue;
+            }
+
+            this.memoryStore.set(key, entry.value);
+            if (entry.expiresAt) {
+                this._setMemoryTTL(key, (entry.expiresAt - now) / 1000);
+            }
+        }
+    }
+
+    /**
+     * Save the in-memory store to the file (writes run one after another)
+     * @private
+     */
+    _saveFile() {
+        if (!this.filePath) {
+            return Promise.resolve();
+        }
+
+        this.fileWrites = this.fileWrites.then(async () => {
+            const entries = {};
+            for (const [key, value] of this.memoryStore) {
+                entries[key] = { value, expiresAt: this.expiresAt.get(key) || null };
+            }
+
+            // Write a temporary file first so a crash never leaves half a file
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, JSON.stringify(entries));
+            await fs.promises.rename(tempPath, this.filePath);
+        }).catch(error => {
+            console.error('❌ Storage file write error:', error.message);
+        });
+
+        return this.fileWrites;
+    }
+
     /**
      * Set a value in storage
      * @param {string} key - Storage key
@@ -77,8 +156,12 @@ class Storage {
         // Set TTL timer for in-memory
         if (ttl) {
             this._setMemoryTTL(key, ttl);
+        } else {
+            this._clearMemoryTTL(key);
         }
 
+        await this._saveFile();
+
         return true;
     }
 
@@ -129,13 +212,9 @@ class Storage {
 
         // Also delete from memory
         this.memoryStore.delete(key);
+        this._clearMemoryTTL(key);
 
-        // Clear TTL timer
-        const timer = this.ttlTimers.get(key);
-        if (timer) {
-            clearTimeout(timer);
-            this.ttlTimers.delete(key);
-        }
+        await this._saveFile();
     }
 
     /**
@@ -182,18 +261,35 @@ class Storage {
      */
     _setMemoryTTL(key, ttl) {
         // Clear existing timer
-        const existingTimer = this.ttlTimers.get(key);
-        if (existingTimer) {
-            clearTimeout(existingTimer);
-        }
+        this._clearMemoryTTL(key);
 
         // Set new timer
         const timer = setTimeout(() => {
             this.memoryStore.delete(key);
             this.ttlTimers.delete(key);
+            this.expiresAt.delete(key);
+            this._saveFile();
         }, ttl * 1000);
 
+        // Expiry timers must not keep the process alive (scripts, tests)
+        timer.unref();
+
         this.ttlTimers.set(key, timer);
+        this.expiresAt.set(key, Date.now() + ttl * 1000);
+    }
+
+    /**
+     * Remove the in-memory TTL of a key
+     * @param {string} key - Storage key
+     * @private
+     */
+    _clearMemoryTTL(key) {
+        const timer = this.ttlTimers.get(key);
+        if (timer) {
+            clearTimeout(timer);
+            this.ttlTimers.delete(key);
+        }
+        this.expiresAt.delete(key);
     }
 
     /**
@@ -202,7 +298,7 @@ class Storage {
      */
     async getStats() {
         const stats = {
-            backend: this.useRedis ? 'Redis' : 'In-Memory',
+            backend: this.useRedis ? 'Redis' : (this.filePath ? 'File' : 'In-Memory'),
             memoryKeys: this.memoryStore.size
         };
 
@@ -240,6 +336,9 @@ class Storage {
             clearTimeout(timer);
         }
         this.ttlTimers.clear();
+        this.expiresAt.clear();
+
+        await this._saveFile();
 
         console.log('🧹 Storage cleared');
     }
@@ -257,6 +356,8 @@ class Storage {
             clearTimeout(timer);
         }
         this.ttlTimers.clear();
+
+        await this.fileWrites;
     }
 }
 
@@ -283,6 +384,19 @@ class UserStorage {
         return this.storage.delete(this.prefix + userId);
     }
 
+    /**
+     * Merge a patch into the stored user data (creates it if missing)
+     * @param {string} userId - User ID
+     * @param {Object} patch - Top-level fields to set
+     * @returns {Object} Updated user data
+     */
+    async update(userId, patch) {
+        const current = (await this.get(userId)) || {};
+        const updated = { ...current, ...patch };
+        await this.set(userId, updated);
+        return updated;
+    }
+
     async getAllUsers() {
         const keys = await this.storage.keys(this.prefix + '*');
         return keys.map(key => key.replace(this.prefix, ''));
@@ -316,6 +430,7 @@ class CacheStorage {
 const storage = new Storage();
 
 module.exports = {
+    Storage,
     storage,
     UserStorage: new UserStorage(storage),
     CacheStorage: new CacheStorage(storage)
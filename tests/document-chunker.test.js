@@ -0,0 +1,171 @@
+/**
+ * Document Chunker Tests
+ *
+ * Tests page/row chunking, merging chunk results and the balance check.
+ * Run with: node tests/document-chunker.test.js
+ */
+
+const {
+    chunkPages,
+    chunkImages,
+    mergeChunkResults,
+    checkBalances
+} = require('../services/document-chunker');
+
+// Test counter
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function rows(count, prefix) {
+    return Array.from({ length: count }, (_, i) => `${String(i + 1).padStart(2, '0')}MAR ${prefix} COMERCIO ${i + 1} -${i + 1}.50`).join('\n');
+}
+
+console.log('\n🧪 Testing Document Chunker...\n');
+
+// ===== CHUNKING =====
+console.log('✂️ Testing Chunking:');
+
+test('Short pages share one chunk', () => {
+    const chunks = chunkPages(['página uno', 'página dos', 'página tres']);
+    assertEqual(chunks.length, 1);
+    assertEqual(chunks[0].label, 'páginas 1-3 de 3');
+    assertEqual(chunks[0].text, 'página uno\npágina dos\npágina tres');
+});
+
+test('Pages are grouped while they fit', () => {
+    const pages = [rows(10, 'A'), rows(10, 'B'), rows(10, 'C')];
+    const chunks = chunkPages(pages, { maxChars: pages[0].length * 2 + 1 });
+    assertEqual(chunks.length, 2);
+    assertEqual(chunks[0].label, 'páginas 1-2 de 3');
+    assertEqual(chunks[1].label, 'página 3/3');
+});
+
+test('A long page is split between rows', () => {
+    const page = rows(40, 'LARGO');
+    const chunks = chunkPages([page, 'SALDO FINAL 100.00'], { maxChars: 500 });
+
+    assertEqual(chunks.length > 2, true);
+    assertEqual(chunks[0].label, 'página 1/2 (parte 1)');
+    assertEqual(chunks[chunks.length - 1].label, 'página 2/2', 'The next page is not appended to a part');
+
+    const rejoined = chunks.filter(chunk => chunk.firstPage === 1).map(chunk => chunk.text).join('\n');
+    assertEqual(rejoined, page, 'No row is cut or lost');
+    chunks.forEach(chunk => assertEqual(chunk.text.length <= 500, true));
+});
+
+test('Full text without pages is labeled by parts', () => {
+    const chunks = chunkPages([rows(40, 'TEXTO')], { maxChars: 600 });
+    assertEqual(chunks[0].label, `parte 1/${chunks.length}`);
+});
+
+test('Blank pages are skipped', () => {
+    const chunks = chunkPages(['', 'movimientos', '   '], { maxChars: 100 });
+    assertEqual(chunks.length, 1);
+    assertEqual(chunks[0].firstPage, 2);
+});
+
+test('Images are grouped a few pages per chunk', () => {
+    const images = Array.from({ length: 6 }, (_, i) => ({ mimetype: 'image/jpeg', data: `p${i + 1}` }));
+    const chunks = chunkImages(images);
+    assertEqual(chunks.length, 2);
+    assertEqual(chunks[0].images.length, 4);
+    assertEqual(chunks[1].label, 'páginas 5-6 de 6');
+});
+
+// ===== MERGING =====
+console.log('\n🔗 Testing Merging:');
+
+test('Results keep document order and the printed balances', () => {
+    const merged = mergeChunkResults([
+        { transactions: [{ date: '2025-03-01', amount: -10, payee: 'Tambo' }], openingBalance: 500, statementBalance: null },
+        { transactions: [{ date: '2025-03-09', amount: -20, payee: 'Wong' }], openingBalance: null, statementBalance: 470 }
+    ]);
+    assertEqual(merged.transactions.map(tx => tx.payee).join(','), 'Tambo,Wong');
+    assertEqual(merged.openingBalance, 500);
+    assertEqual(merged.statementBalance, 470);
+});
+
+test('Rows repeated at a chunk boundary are kept and flagged', () => {
+    const merged = mergeChunkResults([
+        { transactions: [
+            { date: '2025-03-01', amount: -10, payee: 'Tambo' },
+            { date: '2025-03-02', amount: -35.5, payee: 'UBER *TRIP 4821' }
+        ] },
+        { transactions: [
+            { date: '2025-03-02', amount: -35.5, payee: 'Uber Trip' },
+            { date: '2025-03-03', amount: -12, payee: 'Starbucks' }
+        ] }
+    ]);
+    // Two real charges on either side of a page break must both reach the balance check
+    assertEqual(merged.transactions.length, 4);
+    assertEqual(merged.repeatsFlagged, 1);
+    assertEqual(merged.transactions[1].duplicateOf, undefined);
+    assertEqual(merged.transactions[2].duplicateOf.reason, 'page_break');
+    assertEqual(merged.transactions[2].duplicateOf.payee, 'UBER *TRIP 4821');
+    assertEqual(checkBalances(100, 7, merged.transactions).matches, true, 'Kept rows add up');
+});
+
+test('Identical rows inside one chunk are not merged', () => {
+    const merged = mergeChunkResults([
+        { transactions: [
+            { date: '2025-03-02', amount: -8, payee: 'Uber' },
+            { date: '2025-03-02', amount: -8, payee: 'Uber' }
+        ] }
+    ]);
+    assertEqual(merged.transactions.length, 2);
+});
+
+// ===== BALANCES =====
+console.log('\n🧮 Testing Balance Check:');
+
+test('Account statement: opening + movements = closing', () => {
+    const check = checkBalances(1000, 1734.5, [{ amount: 1500 }, { amount: -765.5 }]);
+    assertEqual(check.matches, true);
+    assertEqual(check.isDebt, false);
+});
+
+test('Card statement prints debt as positive', () => {
+    const check = checkBalances(300, 365.99, [{ amount: -15.99 }, { amount: -50 }]);
+    assertEqual(check.matches, true);
+    assertEqual(check.isDebt, true);
+});
+
+test('A missing row shows as a difference', () => {
+    const check = checkBalances(1000, 900, [{ amount: -60 }]);
+    assertEqual(check.matches, false);
+    assertEqual(check.difference, -40);
+    assertEqual(checkBalances(null, 900, []), null, 'Needs both balances');
+});
+
+// ===== RESULTS =====
+console.log('\n' + '='.repeat(50));
+console.log('📊 TEST RESULTS:');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+    console.log('\n⚠️  Some tests failed!');
+    process.exit(1);
+} else {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+}
@@ -0,0 +1,275 @@
+/**
+ * Fake Amadeus Server
+ *
+ * Local stand-in for the Amadeus Self-Service API so flight booking can be
+ * tested end to end without network or credentials. Answers the calls the
+ * amadeus SDK makes (OAuth token, Flight Offers Search/Price, Flight Create
+ * Orders, Flight Order Management) with fixtures (tests/fixtures/amadeus-fixtures.js).
+ *
+ * Usage:
+ *   const server = new FakeAmadeusServer();
+ *   await server.start();
+ *   await amadeusServer.initialize('key', 'secret', { host: '127.0.0.1', port: server.port, ssl: false });
+ *   ...
+ *   await server.stop();
+ */
+
+const http = require('http');
+const { createFlightOffers } = require('./fixtures/amadeus-fixtures');
+
+class AmadeusApiError extends Error {
+    constructor(status, code, title, detail) {
+        super(detail || title);
+        this.status = status;
+        this.code = code;
+        this.title = title;
+    }
+}
+
+class FakeAmadeusServer {
+    constructor() {
+        this.server = null;
+        this.port = null;
+        this.accessToken = 'test-amadeus-token';
+
+        this.routes = [
+            ['POST', /^\/v1\/security\/oauth2\/token$/, this._token],
+            ['GET', /^\/v2\/shopping\/flight-offers$/, this._searchOffers],
+            ['POST', /^\/v1\/shopping\/flight-offers\/pricing$/, this._priceOffers],
+            ['POST', /^\/v1\/booking\/flight-orders$/, this._createOrder],
+            ['GET', /^\/v1\/booking\/flight-orders\/([^/]+)$/, this._getOrder],
+            ['DELETE', /^\/v1\/booking\/flight-orders\/([^/]+)$/, this._deleteOrder]
+        ];
+
+        this.reset();
+    }
+
+    /**
+     * Clear orders, price changes and the request log
+     */
+    reset() {
+        this.orders = new Map();
+        this.priceChanges = new Map(); // offer id -> new grandTotal at pricing time
+        this.requests = [];
+        this.nextOrder = 1;
+    }
+
+    /**
+     * Make the next pricing of an offer return a different fare
+     * @param {string} offerId - Offer ID
+     * @param {string} total - New grand total
+     */
+    setPriceChange(offerId, total) {
+        this.priceChanges.set(offerId, total);
+    }
+
+    /**
+     * Start listening on a random local port
+     * @returns {Promise<number>} Port
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this._onRequest(req, res));
+
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+
+        this.port = this.server.address().port;
+        return this.port;
+    }
+
+    /**
+     * Stop the server
+     */
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    /**
+     * Requests received so far, optionally filtered by method
+     * @param {string|null} method - HTTP method
+     * @returns {Array} [{ method, path, query, body }]
+     */
+    getRequests(method = null) {
+        return this.requests.filter(r => !method || r.method === method);
+    }
+
+    // ===== HTTP PLUMBING =====
+
+    _onRequest(req, res) {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const path = url.pathname;
+            const query = Object.fromEntries(url.searchParams.entries());
+            const isForm = (req.headers['content-type'] || '').includes('x-www-form-urlencoded');
+            const body = !raw ? null : (isForm ? Object.fromEntries(new URLSearchParams(raw)) : JSON.parse(raw));
+
+            this.requests.push({ method: req.method, path, query, body });
+
+            try {
+                const route = this.routes.find(([method, pattern]) =>
+                    method === req.method && pattern.test(path)
+                );
+
+                if (!route) {
+                    throw new AmadeusApiError(404, 38196, 'Resource not found', `No route for ${req.method} ${path}`);
+                }
+
+                if (route[2] !== this._token && req.headers.authorization !== `Bearer ${this.accessToken}`) {
+                    throw new AmadeusApiError(401, 38190, 'Invalid access token');
+                }
+
+                const params = path.match(route[1]).slice(1).map(decodeURIComponent);
+                const { status = 200, payload } = route[2].call(this, params, query, body);
+
+                if (status === 204) {
+                    res.writeHead(204);
+                    res.end();
+                    return;
+                }
+
+                res.writeHead(status, { 'Content-Type': 'application/vnd.amadeus+json' });
+                res.end(JSON.stringify(payload));
+            } catch (error) {
+                const status = error.status || 500;
+                res.writeHead(status, { 'Content-Type': 'application/vnd.amadeus+json' });
+                res.end(JSON.stringify({
+                    errors: [{ status, code: error.code || 141, title: error.title || 'SYSTEM ERROR HAS OCCURRED', detail: error.message }]
+                }));
+            }
+        });
+    }
+
+    // ===== ROUTES =====
+
+    _token(params, query, body) {
+        if (!body || body.grant_type !== 'client_credentials' || !body.client_id || !body.client_secret) {
+            throw new AmadeusApiError(401, 38187, 'invalid_client', 'Client credentials are invalid');
+        }
+
+        return {
+            payload: {
+                type: 'amadeusOAuth2Token',
+                username: 'test@example.com',
+                application_name: 'ynab-bot-tests',
+                client_id: body.client_id,
+                token_type: 'Bearer',
+                access_token: this.accessToken,
+                expires_in: 1799,
+                state: 'approved',
+                scope: ''
+            }
+        };
+    }
+
+    _searchOffers(params, query) {
+        for (const field of ['originLocationCode', 'destinationLocationCode', 'departureDate', 'adults']) {
+            if (!query[field]) {
+                throw new AmadeusApiError(400, 32171, 'MANDATORY DATA MISSING', `${field} is required`);
+            }
+        }
+
+        const { offers } = createFlightOffers(parseInt(query.adults));
+        return {
+            payload: {
+                meta: { count: offers.length },
+                data: offers.slice(0, parseInt(query.max) || offers.length),
+                dictionaries: { carriers: { LA: 'LATAM AIRLINES GROUP', AA: 'AMERICAN AIRLINES', CM: 'COPA AIRLINES' } }
+            }
+        };
+    }
+
+    _priceOffers(params, query, body) {
+        const flightOffers = body && body.data && body.data.flightOffers;
+        if (!flightOffers || flightOffers.length === 0) {
+            throw new AmadeusApiError(400, 477, 'INVALID FORMAT', 'data.flightOffers is required');
+        }
+
+        const priced = flightOffers.map(offer => {
+            const copy = JSON.parse(JSON.stringify(offer));
+            const newTotal = this.priceChanges.get(offer.id);
+            if (newTotal) {
+                this.priceChanges.delete(offer.id);
+                copy.price.total = newTotal;
+                copy.price.grandTotal = newTotal;
+            }
+            return copy;
+        });
+
+        return {
+            payload: {
+                data: {
+                    type: 'flight-offers-pricing',
+                    flightOffers: priced,
+                    bookingRequirements: { emailAddressRequired: true, mobilePhoneNumberRequired: true }
+                }
+            }
+        };
+    }
+
+    _createOrder(params, query, body) {
+        const data = body && body.data;
+        if (!data || !data.flightOffers || data.flightOffers.length === 0) {
+            throw new AmadeusApiError(400, 477, 'INVALID FORMAT', 'data.flightOffers is required');
+        }
+
+        const offer = data.flightOffers[0];
+        const travelers = data.travelers || [];
+
+        if (travelers.length !== offer.travelerPricings.length) {
+            throw new AmadeusApiError(400, 4926, 'INVALID DATA RECEIVED', 'travelers does not match travelerPricings');
+        }
+        for (const traveler of travelers) {
+            if (!traveler.name || !traveler.name.firstName || !traveler.name.lastName || !traveler.dateOfBirth) {
+                throw new AmadeusApiError(400, 32171, 'MANDATORY DATA MISSING', `traveler ${traveler.id}: name and dateOfBirth are required`);
+            }
+            if (!traveler.contact || !traveler.contact.emailAddress) {
+                throw new AmadeusApiError(400, 32171, 'MANDATORY DATA MISSING', `traveler ${traveler.id}: contact.emailAddress is required`);
+            }
+        }
+
+        const number = this.nextOrder++;
+        const order = {
+            type: 'flight-order',
+            id: `order-${number}`,
+            queuingOfficeId: 'NCE4D31SB',
+            associatedRecords: [{
+                reference: `TEST${String(number).padStart(2, '0')}`,
+                creationDate: new Date().toISOString().replace('Z', ''),
+                originSystemCode: 'GDS',
+                flightOfferId: offer.id
+            }],
+            flightOffers: [offer],
+            travelers
+        };
+        this.orders.set(order.id, order);
+
+        return { status: 201, payload: { data: order } };
+    }
+
+    _order(orderId) {
+        const order = this.orders.get(orderId);
+        if (!order) {
+            throw new AmadeusApiError(404, 1797, 'NOT FOUND', 'order not found');
+        }
+        return order;
+    }
+
+    _getOrder([orderId]) {
+        return { payload: { data: this._order(orderId) } };
+    }
+
+    _deleteOrder([orderId]) {
+        this._order(orderId);
+        this.orders.delete(orderId);
+        return { status: 204 };
+    }
+}
+
+module.exports = {
+    FakeAmadeusServer,
+    AmadeusApiError
+};
@@ -0,0 +1,695 @@
+/**
+ * Fake YNAB Server
+ *
+ * Local stand-in for api.ynab.com so flows can be tested end to end without network.
+ * Serves seeded fixtures (tests/fixtures/ynab-fixtures.js) over HTTP and keeps
+ * server_knowledge like the real API, so delta sync is exercised too.
+ *
+ * Usage:
+ *   const server = new FakeYnabServer();
+ *   await server.start();
+ *   ynabService.baseUrl = server.baseUrl;
+ *   ...
+ *   await server.stop();
+ */
+
+const http = require('http');
+const { createFixtures } = require('./fixtures/ynab-fixtures');
+
+class YnabApiError extends Error {
+    constructor(status, name, detail) {
+        super(detail);
+        this.status = status;
+        this.name = name;
+    }
+}
+
+class FakeYnabServer {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey || process.env.YNAB_API_KEY || 'test-ynab-token';
+        this.server = null;
+        this.baseUrl = null;
+
+        this.routes = [
+            ['GET', /^\/budgets$/, this._getBudgets],
+            ['GET', /^\/budgets\/([^/]+)\/accounts$/, this._getAccounts],
+            ['GET', /^\/budgets\/([^/]+)\/categories$/, this._getCategories],
+            ['POST', /^\/budgets\/([^/]+)\/category_groups$/, this._createCategoryGroup],
+            ['POST', /^\/budgets\/([^/]+)\/categories$/, this._createCategory],
+            ['GET', /^\/budgets\/([^/]+)\/months\/([^/]+)$/, this._getMonth],
+            ['PATCH', /^\/budgets\/([^/]+)\/months\/([^/]+)\/categories\/([^/]+)$/, this._updateMonthCategory],
+            ['GET', /^\/budgets\/([^/]+)\/transactions$/, this._getTransactions],
+            ['GET', /^\/budgets\/([^/]+)\/accounts\/([^/]+)\/transactions$/, this._getTransactions],
+            ['GET', /^\/budgets\/([^/]+)\/transactions\/([^/]+)$/, this._getTransaction],
+            ['POST', /^\/budgets\/([^/]+)\/transactions$/, this._createTransactions],
+            ['PUT', /^\/budgets\/([^/]+)\/transactions\/([^/]+)$/, this._updateTransaction],
+            ['PATCH', /^\/budgets\/([^/]+)\/transactions$/, this._updateTransactions],
+            ['GET', /^\/budgets\/([^/]+)\/scheduled_transactions$/, this._getScheduledTransactions],
+            ['POST', /^\/budgets\/([^/]+)\/scheduled_transactions$/, this._createScheduledTransaction],
+            ['PUT', /^\/budgets\/([^/]+)\/scheduled_transactions\/([^/]+)$/, this._updateScheduledTransaction],
+            ['DELETE', /^\/budgets\/([^/]+)\/scheduled_transactions\/([^/]+)$/, this._deleteScheduledTransaction]
+        ];
+
+        this.reset();
+    }
+
+    /**
+     * Restore seeded fixtures and clear the request log
+     */
+    reset() {
+        this.data = createFixtures();
+        this.serverKnowledge = 100;
+        this.knowledge = new Map(); // entity id -> server_knowledge of last change
+        this.requests = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Start listening on a random local port
+     * @returns {Promise<string>} Base URL to use as ynabService.baseUrl
+     */
+    async start() {
+        this.server = http.createServer((req, res) => this._onRequest(req, res));
+
+        await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+
+        const { port } = this.server.address();
+        this.baseUrl = `http://127.0.0.1:${port}/v1`;
+        return this.baseUrl;
+    }
+
+    /**
+     * Stop the server
+     */
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    /**
+     * Requests received so far, optionally filtered by method
+     * @param {string|null} method - HTTP method
+     * @returns {Array} [{ method, path, query, body }]
+     */
+    getRequests(method = null) {
+        return this.requests.filter(r => !method || r.method === method);
+    }
+
+    /**
+     * All non-deleted transactions of a budget (raw fixture objects)
+     * @param {string} budgetId - Budget ID
+     * @returns {Array} Transactions
+     */
+    getTransactions(budgetId) {
+        return (this.data.transactions[budgetId] || []).filter(tx => !tx.deleted);
+    }
+
+    // ===== HTTP PLUMBING =====
+
+    _onRequest(req, res) {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const path = url.pathname.replace(/^\/v1/, '');
+            const query = Object.fromEntries(url.searchParams.entries());
+            const body = raw ? JSON.parse(raw) : null;
+
+            this.requests.push({ method: req.method, path, query, body });
+
+            try {
+                if (req.headers.authorization !== `Bearer ${this.apiKey}`) {
+                    throw new YnabApiError(401, 'unauthorized', 'Unauthorized');
+                }
+
+                const route = this.routes.find(([method, pattern]) =>
+                    method === req.method && pattern.test(path)
+                );
+
+                if (!route) {
+                    throw new YnabApiError(404, 'not_found', `No route for ${req.method} ${path}`);
+                }
+
+                const params = path.match(route[1]).slice(1);
+                const { status = 200, data } = route[2].call(this, params, query, body);
+
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ data }));
+            } catch (error) {
+                const status = error.status || 500;
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    error: { id: String(status), name: error.name || 'internal_error', detail: error.message }
+                }));
+            }
+        });
+    }
+
+    // ===== HELPERS =====
+
+    _touch(entity) {
+        this.serverKnowledge++;
+        this.knowledge.set(entity.id, this.serverKnowledge);
+    }
+
+    /**
+     * Apply last_knowledge_of_server: full list (no deleted) or only changes since
+     */
+    _delta(items, query) {
+        if (query.last_knowledge_of_server === undefined) {
+            return items.filter(item => !item.deleted);
+        }
+
+        const lastKnowledge = parseInt(query.last_knowledge_of_server);
+        return items.filter(item => (this.knowledge.get(item.id) || 0) > lastKnowledge);
+    }
+
+    _budget(budgetId) {
+        const budget = this.data.budgets.find(b => b.id === budgetId);
+        if (!budget) {
+            throw new YnabApiError(404, 'resource_not_found', 'Budget not found');
+        }
+        return budget;
+    }
+
+    _account(budgetId, accountId) {
+        const account = (this.data.accounts[budgetId] || []).find(a => a.id === accountId && !a.deleted);
+        if (!account) {
+            throw new YnabApiError(400, 'bad_request', `account_id ${accountId} does not exist`);
+        }
+        return account;
+    }
+
+    _category(budgetId, categoryId) {
+        if (categoryId === null || categoryId === undefined) {
+            return null;
+        }
+        if (typeof categoryId !== 'string') {
+            throw new YnabApiError(400, 'bad_request', 'category_id must be a string');
+        }
+
+        for (const group of this.data.categoryGroups[budgetId] || []) {
+            const category = group.categories.find(c => c.id === categoryId);
+            if (category) {
+                return category;
+            }
+        }
+        throw new YnabApiError(400, 'bad_request', `category_id ${categoryId} does not exist`);
+    }
+
+    _adjustBalance(budgetId, accountId, amount, cleared) {
+        const account = this._account(budgetId, accountId);
+        account.balance += amount;
+        if (cleared === 'uncleared') {
+            account.uncleared_balance += amount;
+        } else {
+            account.cleared_balance += amount;
+        }
+        this._touch(account);
+    }
+
+    /**
+     * Move a transaction's amount in or out of its categories' activity
+     * (all fixture transactions count as the current month)
+     */
+    _adjustActivity(budgetId, tx, sign) {
+        const parts = tx.subtransactions && tx.subtransactions.length > 0 ? tx.subtransactions : [tx];
+
+        parts.forEach(part => {
+            const category = this._category(budgetId, part.category_id);
+            if (category) {
+                category.activity += sign * part.amount;
+                category.balance += sign * part.amount;
+                this._touch(category);
+            }
+        });
+    }
+
+    _scheduledTransaction(budgetId, scheduledId) {
+        const st = (this.data.scheduledTransactions[budgetId] || []).find(s => s.id === scheduledId && !s.deleted);
+        if (!st) {
+            throw new YnabApiError(404, 'resource_not_found', 'Scheduled transaction not found');
+        }
+        return st;
+    }
+
+    /**
+     * Like YNAB: amount in milliunits, an existing account and a date not in the past
+     */
+    _validateScheduledTransaction(budgetId, input) {
+        if (!Number.isInteger(input.amount)) {
+            throw new YnabApiError(400, 'bad_request', 'amount must be an integer (milliunits)');
+        }
+        if (!input.date || !/^\d{4}-\d{2}-\d{2}$/.test(input.date)) {
+            throw new YnabApiError(400, 'bad_request', 'date is invalid');
+        }
+        if (input.date < new Date().toISOString().split('T')[0]) {
+            throw new YnabApiError(400, 'bad_request', 'date must be a future date');
+        }
+        if (!input.frequency) {
+            throw new YnabApiError(400, 'bad_request', 'frequency is required');
+        }
+        this._account(budgetId, input.account_id);
+        this._category(budgetId, input.category_id);
+    }
+
+    _presentScheduled(budgetId, st) {
+        const account = (this.data.accounts[budgetId] || []).find(a => a.id === st.account_id);
+        const category = st.category_id ? this._category(budgetId, st.category_id) : null;
+
+        return {
+            ...st,
+            account_name: account ? account.name : null,
+            category_name: category ? category.name : null
+        };
+    }
+
+    /**
+     * Render a transaction like the API does (with joined names)
+     */
+    /**
+     * Account whose transfer payee is `payeeId` (null for regular payees)
+     */
+    _transferAccount(budgetId, payeeId) {
+        if (!payeeId) {
+            return null;
+        }
+        return (this.data.accounts[budgetId] || []).find(a => a.transfer_payee_id === payeeId && !a.deleted) || null;
+    }
+
+    _present(budgetId, tx) {
+        const account = (this.data.accounts[budgetId] || []).find(a => a.id === tx.account_id);
+        const category = tx.category_id ? this._category(budgetId, tx.category_id) : null;
+
+        return {
+            ...tx,
+            account_name: account ? account.name : null,
+            category_name: category ? category.name : (tx.subtransactions.length > 0 ? 'Split (Multiple Categories)' : null)
+        };
+    }
+
+    _validateTransaction(budgetId, input) {
+        if (!Number.isInteger(input.amount)) {
+            throw new YnabApiError(400, 'bad_request', 'amount must be an integer (milliunits)');
+        }
+        if (!input.date || !/^\d{4}-\d{2}-\d{2}$/.test(input.date)) {
+            throw new YnabApiError(400, 'bad_request', 'date is invalid');
+        }
+        if (input.cleared && !['cleared', 'uncleared', 'reconciled'].includes(input.cleared)) {
+            throw new YnabApiError(400, 'bad_request', 'cleared must be cleared, uncleared or reconciled');
+        }
+        this._account(budgetId, input.account_id);
+        this._category(budgetId, input.category_id);
+
+        const transferTarget = this._transferAccount(budgetId, input.payee_id);
+        if (transferTarget && transferTarget.id === input.account_id) {
+            throw new YnabApiError(400, 'bad_request', 'cannot transfer to the same account');
+        }
+
+        const subtransactions = input.subtransactions || [];
+        if (subtransactions.length > 0) {
+            subtransactions.forEach(sub => this._category(budgetId, sub.category_id));
+
+            const total = subtransactions.reduce((sum, sub) => sum + sub.amount, 0);
+            if (total !== input.amount) {
+                throw new YnabApiError(400, 'bad_request', 'subtransaction amounts must add up to the transaction amount');
+            }
+        }
+    }
+
+    // ===== ROUTES =====
+
+    _getBudgets() {
+        return { data: { budgets: this.data.budgets, default_budget: null } };
+    }
+
+    _getAccounts([budgetId], query) {
+        this._budget(budgetId);
+        return {
+            data: {
+                accounts: this._delta(this.data.accounts[budgetId] || [], query),
+                server_knowledge: this.serverKnowledge
+            }
+        };
+    }
+
+    _getCategories([budgetId], query) {
+        this._budget(budgetId);
+        const groups = this.data.categoryGroups[budgetId] || [];
+
+        let categoryGroups;
+        if (query.last_knowledge_of_server === undefined) {
+            categoryGroups = groups.filter(g => !g.deleted);
+        } else {
+            // Like YNAB: return groups containing only the changed categories
+            categoryGroups = groups
+                .map(group => ({ ...group, categories: this._delta(group.categories, query) }))
+                .filter(group => group.categories.length > 0 || this._delta([group], query).length > 0);
+        }
+
+        return { data: { category_groups: categoryGroups, server_knowledge: this.serverKnowledge } };
+    }
+
+    _createCategoryGroup([budgetId], query, body) {
+        this._budget(budgetId);
+        const name = body && body.category_group ? body.category_group.name : null;
+        if (!name) {
+            throw new YnabApiError(400, 'bad_request', 'category_group.name is required');
+        }
+
+        const group = { id: `group-new-${this.nextId++}`, name, hidden: false, deleted: false, categories: [] };
+        (this.data.categoryGroups[budgetId] || (this.data.categoryGroups[budgetId] = [])).push(group);
+        this._touch(group);
+
+        return { status: 201, data: { category_group: { ...group }, server_knowledge: this.serverKnowledge } };
+    }
+
+    _createCategory([budgetId], query, body) {
+        this._budget(budgetId);
+        const input = (body && body.category) || {};
+        const group = (this.data.categoryGroups[budgetId] || []).find(g => g.id === input.category_group_id && !g.deleted);
+        if (!group) {
+            throw new YnabApiError(400, 'bad_request', `category_group_id ${input.category_group_id} does not exist`);
+        }
+        if (!input.name) {
+            throw new YnabApiError(400, 'bad_request', 'category.name is required');
+        }
+
+        const category = {
+            id: `cat-new-${this.nextId++}`,
+            name: input.name,
+            hidden: false,
+            budgeted: 0,
+            activity: 0,
+            balance: 0,
+            deleted: false
+        };
+        group.categories.push(category);
+        this._touch(category);
+
+        return { status: 201, data: { category: { ...category, category_group_id: group.id }, server_knowledge: this.serverKnowledge } };
+    }
+
+    _getMonth([budgetId, month]) {
+        this._budget(budgetId);
+        const groups = (this.data.categoryGroups[budgetId] || []).filter(g => !g.deleted);
+
+        const categories = [];
+        groups.forEach(group => group.categories.forEach(cat => {
+            categories.push({ ...cat, category_group_id: group.id, category_group_name: group.name });
+        }));
+
+        const current = new Date().toISOString().substring(0, 7) + '-01';
+
+        return {
+            data: {
+                month: {
+                    month: month === 'current' ? current : month,
+                    income: 0,
+                    budgeted: categories.reduce((sum, cat) => sum + cat.budgeted, 0),
+                    activity: categories.reduce((sum, cat) => sum + cat.activity, 0),
+                    to_be_budgeted: this.data.readyToAssign[budgetId] || 0,
+                    deleted: false,
+                    categories
+                }
+            }
+        };
+    }
+
+    _updateMonthCategory([budgetId, month, categoryId], query, body) {
+        this._budget(budgetId);
+        const category = this._category(budgetId, categoryId);
+        const budgeted = body && body.category ? body.category.budgeted : undefined;
+
+        if (!Number.isInteger(budgeted)) {
+            throw new YnabApiError(400, 'bad_request', 'budgeted must be an integer (milliunits)');
+        }
+
+        // Assigned money comes out of (or goes back to) Ready to Assign
+        const delta = budgeted - category.budgeted;
+        category.budgeted = budgeted;
+        category.balance += delta;
+        this.data.readyToAssign[budgetId] = (this.data.readyToAssign[budgetId] || 0) - delta;
+        this._touch(category);
+
+        return { data: { category: { ...category }, server_knowledge: this.serverKnowledge } };
+    }
+
+    _getTransactions([budgetId, accountId], query) {
+        this._budget(budgetId);
+
+        let transactions = this._delta(this.data.transactions[budgetId] || [], query);
+        if (accountId) {
+            transactions = transactions.filter(tx => tx.account_id === accountId);
+        }
+        if (query.since_date) {
+            transactions = transactions.filter(tx => tx.date >= query.since_date);
+        }
+
+        return {
+            data: {
+                transactions: transactions.map(tx => this._present(budgetId, tx)),
+                server_knowledge: this.serverKnowledge
+            }
+        };
+    }
+
+    _getTransaction([budgetId, transactionId]) {
+        const tx = this.getTransactions(budgetId).find(t => t.id === transactionId);
+        if (!tx) {
+            throw new YnabApiError(404, 'resource_not_found', 'Transaction not found');
+        }
+        return { data: { transaction: this._present(budgetId, tx), server_knowledge: this.serverKnowledge } };
+    }
+
+    _createTransactions([budgetId], query, body) {
+        this._budget(budgetId);
+
+        const single = !!(body && body.transaction);
+        const inputs = single ? [body.transaction] : ((body && body.transactions) || []);
+        const existing = this.data.transactions[budgetId] || (this.data.transactions[budgetId] = []);
+
+        const created = [];
+        const duplicateImportIds = [];
+
+        for (const input of inputs) {
+            this._validateTransaction(budgetId, input);
+
+            if (input.import_id && existing.some(tx =>
+                tx.import_id === input.import_id && tx.account_id === input.account_id && !tx.deleted
+            )) {
+                if (single) {
+                    throw new YnabApiError(409, 'conflict', 'A transaction with the same import_id already exists on the account');
+                }
+                duplicateImportIds.push(input.import_id);
+                continue;
+            }
+
+            const tx = {
+                id: `tx-new-${this.nextId++}`,
+                date: input.date,
+                amount: input.amount,
+                memo: input.memo || null,
+                cleared: input.cleared || 'uncleared',
+                approved: input.approved !== undefined ? input.approved : false,
+                account_id: input.account_id,
+                payee_id: input.payee_id || null,
+                payee_name: input.payee_name || null,
+                category_id: input.category_id || null,
+                transfer_account_id: null,
+                import_id: input.import_id || null,
+                flag_color: input.flag_color || null,
+                deleted: false,
+                subtransactions: []
+            };
+
+            tx.subtransactions = (input.subtransactions || []).map((sub, index) => ({
+                id: `${tx.id}-sub-${index + 1}`,
+                transaction_id: tx.id,
+                amount: sub.amount,
+                memo: sub.memo || null,
+                category_id: sub.category_id || null,
+                category_name: sub.category_id ? this._category(budgetId, sub.category_id).name : null,
+                deleted: false
+            }));
+
+            // Like YNAB, a transfer payee creates the other side of the transfer
+            const transferTarget = this._transferAccount(budgetId, input.payee_id);
+            if (transferTarget) {
+                const source = this._account(budgetId, tx.account_id);
+                const mirror = {
+                    ...tx,
+                    id: `tx-new-${this.nextId++}`,
+                    amount: -tx.amount,
+                    account_id: transferTarget.id,
+                    payee_id: source.transfer_payee_id,
+                    payee_name: `Transfer : ${source.name}`,
+                    category_id: null,
+                    transfer_account_id: source.id,
+                    transfer_transaction_id: tx.id,
+                    import_id: null,
+                    subtransactions: []
+                };
+                tx.payee_name = `Transfer : ${transferTarget.name}`;
+                tx.transfer_account_id = transferTarget.id;
+                tx.transfer_transaction_id = mirror.id;
+
+                existing.push(mirror);
+                this._adjustBalance(budgetId, mirror.account_id, mirror.amount, mirror.cleared);
+                this._touch(mirror);
+            }
+
+            existing.push(tx);
+            this._adjustBalance(budgetId, tx.account_id, tx.amount, tx.cleared);
+            this._adjustActivity(budgetId, tx, 1);
+            this._touch(tx);
+            created.push(tx);
+        }
+
+        const data = {
+            transaction_ids: created.map(tx => tx.id),
+            duplicate_import_ids: duplicateImportIds,
+            server_knowledge: this.serverKnowledge
+        };
+
+        if (single) {
+            data.transaction = this._present(budgetId, created[0]);
+        } else {
+            data.transactions = created.map(tx => this._present(budgetId, tx));
+        }
+
+        return { status: 201, data };
+    }
+
+    /**
+     * Apply an update payload to a stored transaction
+     */
+    _applyUpdate(budgetId, tx, update) {
+        const merged = { ...tx, ...update, id: tx.id };
+        this._validateTransaction(budgetId, merged);
+
+        if (merged.amount !== tx.amount || merged.account_id !== tx.account_id || merged.cleared !== tx.cleared) {
+            this._adjustBalance(budgetId, tx.account_id, -tx.amount, tx.cleared);
+            this._adjustBalance(budgetId, merged.account_id, merged.amount, merged.cleared);
+        }
+
+        this._adjustActivity(budgetId, tx, -1);
+        Object.assign(tx, merged);
+        this._adjustActivity(budgetId, tx, 1);
+        this._touch(tx);
+        return tx;
+    }
+
+    _updateTransaction([budgetId, transactionId], query, body) {
+        const tx = this.getTransactions(budgetId).find(t => t.id === transactionId);
+        if (!tx) {
+            throw new YnabApiError(404, 'resource_not_found', 'Transaction not found');
+        }
+
+        this._applyUpdate(budgetId, tx, (body && body.transaction) || {});
+
+        return { data: { transaction: this._present(budgetId, tx), server_knowledge: this.serverKnowledge } };
+    }
+
+    _updateTransactions([budgetId], query, body) {
+        const updates = (body && body.transactions) || [];
+        const updated = [];
+
+        for (const update of updates) {
+            const tx = this.getTransactions(budgetId).find(t =>
+                (update.id && t.id === update.id) || (!update.id && update.import_id && t.import_id === update.import_id)
+            );
+            if (!tx) {
+                throw new YnabApiError(404, 'resource_not_found', `Transaction ${update.id || update.import_id} not found`);
+            }
+
+            const { import_id, ...fields } = update;
+            updated.push(this._applyUpdate(budgetId, tx, fields));
+        }
+
+        return {
+            data: {
+                transaction_ids: updated.map(tx => tx.id),
+                transactions: updated.map(tx => this._present(budgetId, tx)),
+                server_knowledge: this.serverKnowledge
+            }
+        };
+    }
+
+    _getScheduledTransactions([budgetId], query) {
+        this._budget(budgetId);
+        const scheduled = this._delta(this.data.scheduledTransactions[budgetId] || [], query);
+
+        return {
+            data: {
+                scheduled_transactions: scheduled.map(st => this._presentScheduled(budgetId, st)),
+                server_knowledge: this.serverKnowledge
+            }
+        };
+    }
+
+    _createScheduledTransaction([budgetId], query, body) {
+        this._budget(budgetId);
+        const input = (body && body.scheduled_transaction) || {};
+        this._validateScheduledTransaction(budgetId, input);
+
+        const st = {
+            id: `sch-new-${this.nextId++}`,
+            date_first: input.date,
+            date_next: input.date,
+            frequency: input.frequency,
+            amount: input.amount,
+            memo: input.memo || null,
+            flag_color: input.flag_color || null,
+            account_id: input.account_id,
+            payee_id: input.payee_id || null,
+            payee_name: input.payee_name || null,
+            category_id: input.category_id || null,
+            transfer_account_id: null,
+            deleted: false,
+            subtransactions: []
+        };
+
+        const list = this.data.scheduledTransactions[budgetId] || (this.data.scheduledTransactions[budgetId] = []);
+        list.push(st);
+        this._touch(st);
+
+        return { status: 201, data: { scheduled_transaction: this._presentScheduled(budgetId, st) } };
+    }
+
+    _updateScheduledTransaction([budgetId, scheduledId], query, body) {
+        const st = this._scheduledTransaction(budgetId, scheduledId);
+        const input = (body && body.scheduled_transaction) || {};
+        this._validateScheduledTransaction(budgetId, input);
+
+        Object.assign(st, {
+            date_next: input.date,
+            frequency: input.frequency,
+            amount: input.amount,
+            memo: input.memo !== undefined ? input.memo : st.memo,
+            flag_color: input.flag_color !== undefined ? input.flag_color : st.flag_color,
+            account_id: input.account_id,
+            payee_id: input.payee_id || st.payee_id,
+            payee_name: input.payee_name || st.payee_name,
+            category_id: input.category_id !== undefined ? input.category_id : st.category_id
+        });
+        this._touch(st);
+
+        return { data: { scheduled_transaction: this._presentScheduled(budgetId, st) } };
+    }
+
+    _deleteScheduledTransaction([budgetId, scheduledId]) {
+        const st = this._scheduledTransaction(budgetId, scheduledId);
+        st.deleted = true;
+        this._touch(st);
+
+        return { data: { scheduled_transaction: this._presentScheduled(budgetId, st) } };
+    }
+}
+
+module.exports = {
+    FakeYnabServer,
+    YnabApiError
+};
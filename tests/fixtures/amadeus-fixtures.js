@@ -0,0 +1,81 @@
+/**
+ * Amadeus flight fixtures for the fake Amadeus server
+ *
+ * Offers for LIM → MIA shaped like Flight Offers Search v2 responses
+ * (trimmed to the fields the bot and the booking APIs use).
+ * Dates are relative to today so they are always in the future.
+ */
+
+function daysFromNow(days) {
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+function segment(id, carrierCode, number, from, to, departureAt, arrivalAt) {
+    return {
+        id,
+        departure: { iataCode: from, at: departureAt },
+        arrival: { iataCode: to, at: arrivalAt },
+        carrierCode,
+        number,
+        aircraft: { code: '789' },
+        operating: { carrierCode },
+        duration: 'PT6H',
+        numberOfStops: 0
+    };
+}
+
+function offer(id, carrierCode, total, segments, adults) {
+    const perTraveler = (parseFloat(total) / adults).toFixed(2);
+
+    return {
+        type: 'flight-offer',
+        id,
+        source: 'GDS',
+        instantTicketingRequired: false,
+        nonHomogeneous: false,
+        oneWay: false,
+        lastTicketingDate: daysFromNow(3),
+        numberOfBookableSeats: 7,
+        itineraries: [{ duration: 'PT6H', segments }],
+        price: { currency: 'USD', total, base: (parseFloat(total) * 0.8).toFixed(2), grandTotal: total },
+        pricingOptions: { fareType: ['PUBLISHED'], includedCheckedBagsOnly: true },
+        validatingAirlineCodes: [carrierCode],
+        travelerPricings: Array.from({ length: adults }, (_, i) => ({
+            travelerId: String(i + 1),
+            fareOption: 'STANDARD',
+            travelerType: 'ADULT',
+            price: { currency: 'USD', total: perTraveler, base: (perTraveler * 0.8).toFixed(2) },
+            fareDetailsBySegment: segments.map(s => ({ segmentId: s.id, cabin: 'ECONOMY', class: 'Y' }))
+        }))
+    };
+}
+
+/**
+ * Offers for a search
+ * @param {number} adults - Passengers (one travelerPricing each)
+ * @returns {Object} { departureDate, offers }
+ */
+function createFlightOffers(adults = 1) {
+    const date = daysFromNow(30);
+
+    return {
+        departureDate: date,
+        offers: [
+            offer('1', 'LA', '412.30', [
+                segment('10', 'LA', '2460', 'LIM', 'MIA', `${date}T01:25:00`, `${date}T08:35:00`)
+            ], adults),
+            offer('2', 'AA', '455.10', [
+                segment('20', 'AA', '918', 'LIM', 'MIA', `${date}T10:05:00`, `${date}T17:10:00`)
+            ], adults),
+            offer('3', 'CM', '389.00', [
+                segment('30', 'CM', '472', 'LIM', 'PTY', `${date}T06:00:00`, `${date}T09:20:00`),
+                segment('31', 'CM', '420', 'PTY', 'MIA', `${date}T11:05:00`, `${date}T15:10:00`)
+            ], adults)
+        ]
+    };
+}
+
+module.exports = {
+    createFlightOffers,
+    daysFromNow
+};
@@ -0,0 +1,208 @@
+/**
+ * Seeded YNAB data for the fake YNAB server
+ *
+ * Mirrors the family's real setup: BCP SOLES, BCP DOLARES and USA BANKS.
+ * Dates are relative to today so "last 90 days" queries always find them.
+ * Amounts are in milliunits, like the real API.
+ */
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+}
+
+function daysFromNow(days) {
+    return daysAgo(-days);
+}
+
+function currencyFormat(isoCode, symbol) {
+    return {
+        iso_code: isoCode,
+        example_format: '123,456.78',
+        decimal_digits: 2,
+        decimal_separator: '.',
+        symbol_first: true,
+        group_separator: ',',
+        currency_symbol: symbol,
+        display_symbol: true
+    };
+}
+
+function account(id, name, type, balance, unclearedBalance = 0) {
+    return {
+        id,
+        name,
+        type,
+        on_budget: true,
+        closed: false,
+        balance,
+        cleared_balance: balance - unclearedBalance,
+        uncleared_balance: unclearedBalance,
+        transfer_payee_id: `payee-transfer-${id}`,
+        deleted: false
+    };
+}
+
+function category(id, name, budgeted, activity) {
+    return {
+        id,
+        name,
+        hidden: false,
+        budgeted,
+        activity,
+        balance: budgeted + activity,
+        deleted: false
+    };
+}
+
+function transaction(id, accountId, date, amount, payee, categoryId = null, extra = {}) {
+    return {
+        id,
+        date,
+        amount,
+        memo: null,
+        cleared: 'cleared',
+        approved: !!categoryId,
+        account_id: accountId,
+        payee_name: payee,
+        category_id: categoryId,
+        transfer_account_id: null,
+        import_id: null,
+        deleted: false,
+        subtransactions: [],
+        ...extra
+    };
+}
+
+function scheduled(id, accountId, dateNext, frequency, amount, payee, categoryId = null) {
+    return {
+        id,
+        date_first: dateNext,
+        date_next: dateNext,
+        frequency,
+        amount,
+        memo: null,
+        flag_color: null,
+        account_id: accountId,
+        payee_id: null,
+        payee_name: payee,
+        category_id: categoryId,
+        transfer_account_id: null,
+        deleted: false,
+        subtransactions: []
+    };
+}
+
+/**
+ * Build a fresh copy of the fixtures
+ * @returns {Object} { budgets, accounts, categoryGroups, readyToAssign, transactions, scheduledTransactions } keyed by budget ID
+ */
+function createFixtures() {
+    return {
+        budgets: [
+            { id: 'budget-soles', name: 'BCP SOLES', currency_format: currencyFormat('PEN', 'S/') },
+            { id: 'budget-dolares', name: 'BCP DOLARES', currency_format: currencyFormat('USD', '$') },
+            { id: 'budget-usa', name: 'USA BANKS', currency_format: currencyFormat('USD', '$') }
+        ],
+        accounts: {
+            'budget-soles': [
+                account('acc-soles-ahorro', 'BCP Ahorro Soles', 'savings', 1500000),
+                account('acc-soles-corriente', 'BCP Cuenta Corriente', 'checking', 820500),
+                account('acc-soles-visa', 'Visa BCP', 'creditCard', -320000, -38000)
+            ],
+            'budget-dolares': [
+                account('acc-dolares-ahorro', 'BCP Ahorro Dolares', 'savings', 800000)
+            ],
+            'budget-usa': [
+                account('acc-usa-checking', 'Chase Checking', 'checking', 2500000, -54320),
+                account('acc-usa-sapphire', 'Chase Sapphire', 'creditCard', -450000)
+            ]
+        },
+        categoryGroups: {
+            'budget-soles': [
+                {
+                    id: 'group-soles-diario',
+                    name: 'Gastos Diarios',
+                    hidden: false,
+                    deleted: false,
+                    categories: [
+                        category('cat-soles-groceries', 'Groceries', 800000, -412300),
+                        category('cat-soles-restaurants', 'Restaurants', 300000, -356000),
+                        category('cat-soles-transport', 'Transportation', 200000, -45000)
+                    ]
+                },
+                {
+                    id: 'group-soles-hogar',
+                    name: 'Hogar',
+                    hidden: false,
+                    deleted: false,
+                    categories: [
+                        category('cat-soles-household', 'Household', 150000, -60000),
+                        category('cat-soles-utilities', 'Utilities', 250000, -180000)
+                    ]
+                }
+            ],
+            'budget-dolares': [
+                {
+                    id: 'group-dolares-fijos',
+                    name: 'Gastos Fijos',
+                    hidden: false,
+                    deleted: false,
+                    categories: [
+                        category('cat-dolares-subs', 'Subscriptions', 50000, -15990),
+                        category('cat-dolares-travel', 'Travel', 400000, 0)
+                    ]
+                }
+            ],
+            'budget-usa': [
+                {
+                    id: 'group-usa-everyday',
+                    name: 'Everyday',
+                    hidden: false,
+                    deleted: false,
+                    categories: [
+                        category('cat-usa-groceries', 'Groceries', 600000, -210000),
+                        category('cat-usa-dining', 'Dining Out', 250000, -98000)
+                    ]
+                }
+            ]
+        },
+        // Month "Ready to Assign" (to_be_budgeted); USA BANKS is over-assigned
+        readyToAssign: {
+            'budget-soles': 150000,
+            'budget-dolares': 0,
+            'budget-usa': -40000
+        },
+        transactions: {
+            'budget-soles': [
+                transaction('tx-soles-1', 'acc-soles-corriente', daysAgo(12), -85500, 'Plaza Vea', 'cat-soles-groceries'),
+                transaction('tx-soles-2', 'acc-soles-visa', daysAgo(6), -45000, 'UBER *TRIP 4821'),
+                transaction('tx-soles-3', 'acc-soles-visa', daysAgo(4), -62900, 'Tambo+ Miraflores'),
+                transaction('tx-soles-4', 'acc-soles-visa', daysAgo(2), -38000, 'UBER *TRIP 5530', null, { cleared: 'uncleared' }),
+                transaction('tx-soles-5', 'acc-soles-corriente', daysAgo(1), -120000, 'Luz del Sur', 'cat-soles-utilities')
+            ],
+            'budget-dolares': [
+                transaction('tx-dolares-1', 'acc-dolares-ahorro', daysAgo(9), -15990, 'Netflix', 'cat-dolares-subs')
+            ],
+            'budget-usa': [
+                transaction('tx-usa-1', 'acc-usa-checking', daysAgo(3), -54320, 'Whole Foods', 'cat-usa-groceries', { cleared: 'uncleared', approved: false })
+            ]
+        },
+        // Upcoming payments: the weekly one falls twice in a 7-day window
+        scheduledTransactions: {
+            'budget-soles': [
+                scheduled('sch-soles-rent', 'acc-soles-corriente', daysFromNow(3), 'monthly', -1500000, 'Alquiler', 'cat-soles-household'),
+                scheduled('sch-soles-laundry', 'acc-soles-corriente', daysFromNow(0), 'weekly', -30000, 'Lavandería', 'cat-soles-household'),
+                scheduled('sch-soles-salary', 'acc-soles-corriente', daysFromNow(5), 'monthly', 5000000, 'Sueldo'),
+                scheduled('sch-soles-spotify', 'acc-soles-visa', daysFromNow(20), 'monthly', -25900, 'Spotify', 'cat-soles-utilities')
+            ],
+            'budget-dolares': [],
+            'budget-usa': []
+        }
+    };
+}
+
+module.exports = {
+    createFixtures,
+    daysAgo,
+    daysFromNow
+};
@@ -0,0 +1,167 @@
+/**
+ * Flight Booking Tests (offline)
+ *
+ * Tests search → price → order → retrieve → cancel through the Amadeus MCP
+ * server against the fake Amadeus server, including a fare that changes
+ * between search and booking and an order rejected by the API.
+ * Requires the amadeus package.
+ * Run with: node tests/flight-booking.test.js
+ */
+
+const { TestRunner } = require('./flow-tester');
+const { FakeAmadeusServer } = require('./fake-amadeus-server');
+const { daysFromNow } = require('./fixtures/amadeus-fixtures');
+const amadeusServer = require('../mcp-servers/amadeus/server');
+const { parseAnswer, toAmadeusTraveler } = require('../services/traveler-profile');
+
+const server = new FakeAmadeusServer();
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+/**
+ * Traveler built from chat answers, like the TripAgent does
+ */
+function traveler(name, index) {
+    return toAmadeusTraveler({
+        name: parseAnswer('name', name).value,
+        dateOfBirth: parseAnswer('dateOfBirth', '23/04/1988').value,
+        gender: parseAnswer('gender', 'F').value,
+        email: parseAnswer('email', 'ana@mail.com').value,
+        phone: parseAnswer('phone', '+51 987654321').value,
+        passport: parseAnswer('passport', 'P1234567 31/12/2099 PE').value
+    }, index);
+}
+
+async function search(adults = 1) {
+    const result = await amadeusServer.searchFlights({
+        origin: 'LIM',
+        destination: 'MIA',
+        departureDate: daysFromNow(30),
+        adults
+    });
+    assert(result.success, `Search should succeed: ${result.error}`);
+    return result;
+}
+
+const runner = new TestRunner();
+
+// Test 1: the whole booking lifecycle
+runner.addTest('Flight booking: search, price, order, retrieve and cancel', async () => {
+    server.reset();
+
+    const result = await search();
+    assertEqual(result.offers.length, 3);
+    assertEqual(result.offers[0].price.total, '412.30');
+    assert(result.offers[0].raw && result.offers[0].raw.type === 'flight-offer', 'Raw offer is kept for pricing');
+
+    const pricing = await amadeusServer.priceFlightOffer(result.offers[0].raw);
+    assert(pricing.success, 'Pricing should succeed');
+    assertEqual(pricing.priceChanged, false);
+    assertEqual(pricing.price.total, '412.30');
+    assertEqual(pricing.bookingRequirements.mobilePhoneNumberRequired, true);
+
+    const created = await amadeusServer.createFlightOrder(pricing.offer, [traveler('Ana María Quispe Rojas', 1)]);
+    assert(created.success, `Order should be created: ${created.description}`);
+    assertEqual(created.order.confirmationCode, 'TEST01');
+    assertEqual(created.order.route, 'LIM → MIA');
+    assertEqual(created.order.travelers[0], 'ANA MARIA QUISPE ROJAS');
+    assertEqual(created.order.ticketed, false);
+
+    const order = server.getRequests('POST').find(r => r.path === '/v1/booking/flight-orders').body.data;
+    assertEqual(order.travelers[0].documents[0].number, 'P1234567');
+
+    const retrieved = await amadeusServer.getFlightOrder(created.order.id);
+    assert(retrieved.success, 'Order can be retrieved');
+    assertEqual(retrieved.order.confirmationCode, 'TEST01');
+
+    const cancelled = await amadeusServer.cancelFlightOrder(created.order.id);
+    assert(cancelled.success, 'Order can be cancelled');
+
+    const gone = await amadeusServer.getFlightOrder(created.order.id);
+    assertEqual(gone.success, false);
+    assertEqual(gone.status, 404, 'Cancelled orders are not found');
+});
+
+// Test 2: the fare changed since the search
+runner.addTest('Flight booking: pricing reports a changed fare', async () => {
+    server.reset();
+
+    const result = await search();
+    const offer = result.offers.find(o => o.outbound.airline === 'LA');
+    server.setPriceChange(offer.raw.id, '437.80');
+
+    const pricing = await amadeusServer.priceFlightOffer(offer.raw);
+    assertEqual(pricing.priceChanged, true);
+    assertEqual(pricing.price.total, '437.80');
+    assertEqual(pricing.previousPrice.total, '412.30');
+});
+
+// Test 3: errors from the API come back as a description, not an exception
+runner.addTest('Flight booking: rejected orders return the API error', async () => {
+    server.reset();
+
+    const result = await search(2);
+    const pricing = await amadeusServer.priceFlightOffer(result.offers[0].raw);
+
+    // Two seats priced, one traveler sent
+    const created = await amadeusServer.createFlightOrder(pricing.offer, [traveler('Ana Quispe', 1)]);
+    assertEqual(created.success, false);
+    assertEqual(created.status, 400);
+    assert(created.description.includes('travelerPricings'), `Should explain the error: ${created.description}`);
+
+    const both = await amadeusServer.createFlightOrder(pricing.offer, [traveler('Ana Quispe', 1), traveler('Luis Quispe', 2)]);
+    assert(both.success, 'One traveler per priced seat');
+    assertEqual(both.order.travelers.length, 2);
+});
+
+// Test 4: production keys search, but only book with the explicit opt-in
+runner.addTest('Flight booking: production orders need AMADEUS_ALLOW_PRODUCTION_BOOKING', async () => {
+    server.reset();
+    const local = { host: '127.0.0.1', port: server.port, ssl: false };
+
+    try {
+        await amadeusServer.initialize('live-key', 'live-secret', { ...local, hostname: 'production' });
+        assertEqual(amadeusServer.isBookingEnabled(), false);
+
+        const result = await search();
+        const pricing = await amadeusServer.priceFlightOffer(result.offers[0].raw);
+        assert(pricing.success, 'Search and pricing work in production');
+
+        const created = await amadeusServer.createFlightOrder(pricing.offer, [traveler('Ana Quispe', 1)]);
+        assertEqual(created.success, false);
+        assert(created.error.includes('AMADEUS_ALLOW_PRODUCTION_BOOKING'), `Should explain the opt-in: ${created.error}`);
+        assertEqual((await amadeusServer.cancelFlightOrder('order-1')).success, false);
+        assert(!server.getRequests('POST').some(r => r.path === '/v1/booking/flight-orders'), 'No order reaches the API');
+
+        await amadeusServer.initialize('live-key', 'live-secret', { ...local, hostname: 'production', allowProductionBooking: true });
+        const booked = await amadeusServer.createFlightOrder(pricing.offer, [traveler('Ana Quispe', 1)]);
+        assert(booked.success, 'The opt-in allows real orders');
+    } finally {
+        await amadeusServer.initialize('test-key', 'test-secret', { ...local, hostname: 'test' });
+    }
+});
+
+// Run all tests
+if (require.main === module) {
+    (async () => {
+        const port = await server.start();
+        await amadeusServer.initialize('test-key', 'test-secret', { hostname: 'test', host: '127.0.0.1', port, ssl: false });
+
+        const results = await runner.run();
+
+        await server.stop();
+        process.exit(results.failed > 0 ? 1 : 0);
+    })();
+}
+
+module.exports = { runner, server };
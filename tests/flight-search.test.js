@@ -0,0 +1,216 @@
+/**
+ * Flight Search Tests (offline)
+ *
+ * Tests merging of Amadeus and Sky-Scrapper results: one schema, the same
+ * itinerary shown once, ranking, airline filters and the reply that names
+ * the provider with the best price. Providers are scripted with offers shaped
+ * like each MCP server's searchFlights() output.
+ * Run with: node tests/flight-search.test.js
+ */
+
+const { TestRunner } = require('./flow-tester');
+const flightSearch = require('../services/flight-search');
+
+const DATE = '2026-12-11';
+const QUERY = { origin: 'LIM', destination: 'MIA', departureDate: DATE, adults: 1, currency: 'USD' };
+
+const AIRLINES = { LA: 'LATAM', AA: 'American Airlines', CM: 'Copa Airlines', NK: 'Spirit Airlines' };
+
+// Amadeus server shape: departure/arrival objects, ISO duration, raw offer
+function amadeusOffer(id, airline, flightNumber, total, departure, arrival, duration, stops) {
+    return {
+        id,
+        price: { total, currency: 'USD' },
+        outbound: {
+            departure: { airport: 'LIM', time: `${DATE}T${departure}:00` },
+            arrival: { airport: 'MIA', time: `${DATE}T${arrival}:00` },
+            duration,
+            stops,
+            airline,
+            flightNumber
+        },
+        inbound: null,
+        raw: { type: 'flight-offer', id }
+    };
+}
+
+// Sky-Scrapper server shape: times on the leg, minutes, deep link
+function skyOffer(airline, airlineName, total, departure, arrival, minutes, stops, currency = 'USD') {
+    return {
+        price: { total, currency },
+        outbound: {
+            airline,
+            airlineName,
+            departure: `${DATE}T${departure}:00`,
+            arrival: `${DATE}T${arrival}:00`,
+            departureTime: `${DATE}T${departure}:00`,
+            arrivalTime: `${DATE}T${arrival}:00`,
+            duration: minutes,
+            stops
+        },
+        deepLink: `https://www.skyscanner.com/${airline}-${departure}`
+    };
+}
+
+function provider(name, result) {
+    return {
+        name,
+        queries: [],
+        async searchFlights(query) {
+            this.queries.push(query);
+            if (result instanceof Error) {
+                throw result;
+            }
+            return result;
+        },
+        airlineName: code => AIRLINES[code] || code
+    };
+}
+
+function useProviders(amadeusOffers, skyOffers) {
+    const amadeus = provider('Amadeus', { success: true, offers: amadeusOffers });
+    const sky = provider('Sky-Scrapper', Array.isArray(skyOffers) ? { success: true, offers: skyOffers } : skyOffers);
+    flightSearch.setProviders([amadeus, sky]);
+    return { amadeus, sky };
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function assertContains(text, expected, message) {
+    assert(text.includes(expected), `${message}\nExpected to contain: "${expected}"\nActual: "${text}"`);
+}
+
+const runner = new TestRunner();
+
+// Test 1: both providers, merged into one list
+runner.addTest('Flight search: merges providers and de-duplicates the same itinerary', async () => {
+    const { amadeus, sky } = useProviders([
+        amadeusOffer('1', 'LA', '2460', '412.30', '01:25', '08:35', 'PT7H10M', 0),
+        amadeusOffer('2', 'AA', '918', '455.10', '10:05', '17:10', 'PT7H5M', 0)
+    ], [
+        skyOffer('-32695', 'LATAM', '398', '01:25', '08:35', 430, 0),
+        skyOffer('-32573', 'Copa Airlines', '389', '06:00', '15:10', 550, 1)
+    ]);
+
+    const result = await flightSearch.search(QUERY);
+
+    assertEqual(result.success, true);
+    assertEqual(amadeus.queries[0].origin, 'LIM', 'Both providers get the query');
+    assertEqual(sky.queries[0].currency, 'USD');
+    assertEqual(result.offers.length, 3, 'LATAM 01:25 is the same flight on both providers');
+
+    const [copa, latam, american] = result.offers;
+    assertEqual(copa.provider, 'Sky-Scrapper');
+    assertEqual(copa.price.total, 389);
+    assertEqual(copa.bookable, false, 'Only Amadeus offers can be booked here');
+    assertEqual(copa.outbound.departure.airport, 'LIM', 'Airports from the query when the provider omits them');
+    assertEqual(copa.outbound.durationMinutes, 550);
+
+    assertEqual(latam.price.total, 398, 'Cheapest price of the duplicates');
+    assertEqual(latam.provider, 'Sky-Scrapper');
+    assertEqual(latam.bookable, true, 'The Amadeus copy is kept for booking');
+    assertEqual(latam.raw.id, '1');
+    assertEqual(latam.prices.length, 2);
+    assertEqual(latam.outbound.durationMinutes, 430);
+
+    assertEqual(american.outbound.airlineName, 'American Airlines', 'Names from the provider');
+    assertEqual(american.index, 3);
+
+    assertEqual(result.best.provider, 'Sky-Scrapper');
+    assertEqual(result.providers.find(p => p.name === 'Amadeus').cheapest, 412.3);
+
+    const text = flightSearch.formatResults(result);
+    assertContains(text, '**1. Copa Airlines** - USD 389.00 · Sky-Scrapper', 'Each option names its provider');
+    assertContains(text, 'Also on Amadeus USD 412.30', 'Duplicates show the other price');
+    assertContains(text, '🏆 **Best price: USD 389.00 on Sky-Scrapper** (Amadeus: USD 412.30)', 'Best provider');
+    assertContains(text, '(9h 10m, 1 stop)', 'Duration and stops');
+    assertContains(text, '🔗 https://www.skyscanner.com/-32573-06:00', 'Link for offers that cannot be booked here');
+});
+
+// Test 2: ranking and filters
+runner.addTest('Flight search: ranks by duration, stops and preferred airlines', async () => {
+    useProviders([
+        amadeusOffer('1', 'LA', '2460', '412.30', '01:25', '08:35', 'PT7H10M', 0),
+        amadeusOffer('2', 'AA', '918', '455.10', '10:05', '16:05', 'PT6H', 0),
+        amadeusOffer('3', 'NK', '301', '250.00', '23:00', '11:40', 'PT12H40M', 2)
+    ], [
+        skyOffer('-32573', 'Copa Airlines', '389', '06:00', '15:10', 550, 1)
+    ]);
+
+    let result = await flightSearch.search(QUERY, { sortBy: 'duration' });
+    assertEqual(result.offers.map(o => o.outbound.airline).join(','), 'AA,LA,-32573,NK');
+
+    result = await flightSearch.search(QUERY, { sortBy: 'stops' });
+    assertEqual(result.offers.map(o => o.outbound.airline).join(','), 'LA,AA,-32573,NK', 'Nonstop first, then price');
+    assertContains(flightSearch.formatResults(result), 'fewest stops first', 'Should say how it is ranked');
+
+    result = await flightSearch.search(QUERY, { prefer: ['Copa'], exclude: ['Spirit'] });
+    assertEqual(result.offers.map(o => o.outbound.airline).join(','), '-32573,LA,AA', 'Preferred first, Spirit out');
+
+    result = await flightSearch.search(QUERY, { only: ['LA', 'american'], maxResults: 1 });
+    assertEqual(result.offers.length, 1);
+    assertEqual(result.offers[0].outbound.airline, 'LA');
+
+    result = await flightSearch.search({ ...QUERY, maxPrice: 400 });
+    assertEqual(result.offers.map(o => o.outbound.airline).join(','), 'NK,-32573', 'Max price applies to every provider');
+
+    result = await flightSearch.search(QUERY, { maxStops: 1 });
+    assertEqual(result.offers.map(o => o.outbound.airline).join(','), '-32573,LA,AA', 'Spirit has two stops');
+
+    result = await flightSearch.search({ ...QUERY, maxPrice: 300 }, { maxStops: 0 });
+    assertEqual(result.success, false);
+    assertEqual(result.error, 'No flights match the filters');
+
+    assertEqual(flightSearch.parseSortBy('vuelos a Miami más rápido'), 'duration');
+    assertEqual(flightSearch.parseSortBy('flights to Miami nonstop'), 'stops');
+    assertEqual(flightSearch.parseSortBy('flights to Miami'), null);
+    assertEqual(flightSearch.parseDuration('P1DT2H30M'), 1590);
+});
+
+// Test 3: one provider failing or answering in another currency
+runner.addTest('Flight search: provider failures and other currencies', async () => {
+    useProviders([
+        amadeusOffer('1', 'LA', '2460', '412.30', '01:25', '08:35', 'PT7H10M', 0)
+    ], new Error('Rate limit exceeded'));
+
+    let result = await flightSearch.search(QUERY);
+    assertEqual(result.success, true, 'One provider is enough');
+    assertEqual(result.best.provider, 'Amadeus');
+    assertEqual(result.providers.find(p => p.name === 'Sky-Scrapper').error, 'Rate limit exceeded');
+    assertContains(flightSearch.formatResults(result), '⚠️ No results from Sky-Scrapper', 'Should say who failed');
+
+    // Soles at the default 3.75 per dollar
+    useProviders([], [skyOffer('-32573', 'Copa Airlines', '1500', '06:00', '15:10', 550, 1, 'PEN')]);
+    result = await flightSearch.search(QUERY);
+    assertEqual(result.offers[0].price.total, 400);
+    assertEqual(result.offers[0].price.original.currency, 'PEN');
+
+    useProviders([], { success: false, error: 'No flights found for this route' });
+    result = await flightSearch.search(QUERY);
+    assertEqual(result.success, false);
+    assertContains(result.error, 'Sky-Scrapper: No flights found for this route', 'Should explain');
+
+    flightSearch.setProviders([]);
+    result = await flightSearch.search(QUERY);
+    assertEqual(result.success, false);
+});
+
+// Run all tests
+if (require.main === module) {
+    (async () => {
+        const results = await runner.run();
+        process.exit(results.failed > 0 ? 1 : 0);
+    })();
+}
+
+module.exports = { runner };
@@ -0,0 +1,1137 @@
+/**
+ * End-to-End Flow Tests (offline)
+ *
+ * Runs real flows through the flow router against the fake YNAB server,
+ * so transaction creation and updates can be verified with no network.
+ * Run with: node tests/flows.e2e.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FlowTester, TestRunner } = require('./flow-tester');
+const { FakeYnabServer } = require('./fake-ynab-server');
+const { daysAgo, daysFromNow } = require('./fixtures/ynab-fixtures');
+const ynabService = require('../services/ynab-service');
+const flowRouter = require('../flows/router');
+const flowState = require('../flows/state');
+const BaseDocumentFlow = require('../flows/BaseDocumentFlow');
+const payeeRules = require('../services/payee-rules');
+const recurrence = require('../services/recurrence');
+const currencyService = require('../services/currency-service');
+const receiptArchive = require('../services/receipt-archive');
+const speechService = require('../services/speech-service');
+const BudgetAgent = require('../agents/budget/BudgetAgent');
+const { storage, UserStorage } = require('../storage');
+
+const server = new FakeYnabServer();
+
+/**
+ * Fake Anthropic client: answers category suggestions and document extraction
+ */
+const fakeAnthropic = {
+    extractionResponse: null,
+    calls: 0,
+    lastContent: null,
+
+    messages: {
+        create: async ({ messages }) => {
+            fakeAnthropic.calls++;
+            const content = messages[0].content;
+            fakeAnthropic.lastContent = content;
+            const prompt = typeof content === 'string' ? content : JSON.stringify(content);
+            let text = 'Unknown';
+
+            if (prompt.includes('extrae TODAS las transacciones') || prompt.includes('DETALLE DEL RECIBO')) {
+                // A function answers each chunk of a long document differently
+                const extraction = typeof fakeAnthropic.extractionResponse === 'function'
+                    ? fakeAnthropic.extractionResponse(prompt)
+                    : fakeAnthropic.extractionResponse;
+                text = JSON.stringify(extraction);
+            } else if (/Payee: UBER/i.test(prompt)) {
+                text = 'Transportation';
+            } else if (/Payee: Tambo/i.test(prompt)) {
+                text = 'Groceries';
+            } else if (prompt.includes('Category mentioned: "Supermercado"')) {
+                text = 'Groceries';
+            } else if (prompt.includes('Category mentioned: "Restaurantes"')) {
+                text = 'Restaurants';
+            }
+
+            return { content: [{ type: 'text', text }] };
+        }
+    }
+};
+
+/**
+ * Build a tester that routes messages through the flow router
+ * @param {string} userId - Fake WhatsApp user ID
+ * @param {Object} options - Router options (documents, media)
+ */
+function createTester(userId, options = {}) {
+    const tester = new FlowTester();
+    tester.userId = userId;
+    tester.setMessageHandler(async (msg) => {
+        const response = await flowRouter.handleIncomingMessage(msg.from, msg.body, options);
+        await msg.reply(response);
+    });
+    return tester;
+}
+
+/**
+ * Reset fixtures, caches and sessions before each test
+ */
+async function freshState(userId) {
+    server.reset();
+    await ynabService.clearCache();
+    flowState.clearUserSession(userId);
+    await UserStorage.delete(userId);
+    for (const key of await storage.keys('payee-rules:*')) {
+        await storage.delete(key);
+    }
+    await storage.delete('exchange-rates');
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertContains(text, expected, message) {
+    assert(text.includes(expected), `${message}\nExpected to contain: "${expected}"\nActual: "${text}"`);
+}
+
+const runner = new TestRunner();
+
+// Test 1: AddExpenseFlow creates the transaction in YNAB
+runner.addTest('AddExpenseFlow: creates transaction with category', async () => {
+    const userId = 'e2e-add@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('Gasté S/ 45.50 en Tambo');
+    tester.assertContains('¿En qué presupuesto?', 'Should ask for budget');
+
+    await tester.sendMessage('1');
+    tester.assertContains('BCP Cuenta Corriente', 'Should list accounts');
+
+    await tester.sendMessage('2');
+    tester.assertContains('Categoría', 'Should ask for category');
+
+    await tester.sendMessage('Groceries');
+    await tester.sendMessage('skip');
+    tester.assertContains('Confirmar Transacción', 'Should ask for confirmation');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Transacción creada', 'Should confirm creation');
+    tester.assertContains('-45.50', 'Should show the amount in currency units');
+
+    const [post] = server.getRequests('POST');
+    assert(post, 'Expected a POST to YNAB');
+    const tx = post.body.transaction;
+    assert(tx.amount === -45500, `Expected -45500 milliunits, got ${tx.amount}`);
+    assert(tx.payee_name === 'Tambo', `Unexpected payee ${tx.payee_name}`);
+    assert(tx.account_id === 'acc-soles-corriente', `Unexpected account ${tx.account_id}`);
+    assert(tx.category_id === 'cat-soles-groceries', `Unexpected category ${tx.category_id}`);
+});
+
+// Test 2: CategorizeTransactionsFlow applies suggestions and skips
+runner.addTest('CategorizeTransactionsFlow: applies suggested categories', async () => {
+    const userId = 'e2e-categorize@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('categorizar pendientes');
+    await tester.sendMessage('1');
+    tester.assertContains('Transacción 1/3', 'Should show first uncategorized transaction');
+    tester.assertContains('Transportation', 'Should suggest Transportation for Uber');
+
+    await tester.sendMessage('1');
+    tester.assertContains('Categoría aplicada: *Transportation*', 'Should apply suggestion');
+    tester.assertContains('Tambo+', 'Should move to next transaction');
+
+    await tester.sendMessage('3');
+    tester.assertContains('Transacción 3/3', 'Should skip to third transaction');
+
+    await tester.sendMessage('Restaurants');
+    tester.assertContains('Categorized: 2', 'Should finish with 2 categorized');
+
+    const updated = server.getTransactions('budget-soles');
+    const uber1 = updated.find(tx => tx.id === 'tx-soles-2');
+    const tambo = updated.find(tx => tx.id === 'tx-soles-3');
+    const uber2 = updated.find(tx => tx.id === 'tx-soles-4');
+
+    assert(uber1.category_id === 'cat-soles-transport' && uber1.approved, 'First Uber should be categorized and approved');
+    assert(tambo.category_id === null, 'Skipped transaction should stay uncategorized');
+    assert(uber2.category_id === 'cat-soles-restaurants', 'Typed category should be applied');
+});
+
+// Test 3: ViewBalanceFlow shows grouped balances and totals
+runner.addTest('ViewBalanceFlow: shows grouped balances for a budget', async () => {
+    const userId = 'e2e-balance@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('ver balances');
+    await tester.sendMessage('1');
+
+    tester.assertContains('Balances - BCP SOLES', 'Should show budget title');
+    tester.assertContains('*Savings*', 'Should group savings accounts');
+    tester.assertContains('*Credit Card*', 'Should group credit cards');
+    tester.assertContains('Visa BCP: -S/320.00', 'Should show credit card balance');
+    tester.assertContains('*Total:* S/2,000.50', 'Should show total balance');
+});
+
+// Test 4: ViewBalanceFlow across all budgets, refreshed by delta sync
+runner.addTest('ViewBalanceFlow: all budgets reflect new transactions via delta sync', async () => {
+    const userId = 'e2e-balance-all@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('mostrar saldo');
+    await tester.sendMessage('4');
+    tester.assertContains('USA BANKS', 'Should list every budget');
+    tester.assertContains('Saldo Total: $2,050.00', 'Should sum USA BANKS accounts');
+
+    const { budgetId } = await ynabService.getAccounts('USA BANKS');
+    await ynabService.createTransaction(budgetId, 'acc-usa-checking', -50, 'Target', null, null);
+
+    flowState.clearUserSession(userId);
+    await tester.sendMessage('mostrar saldo');
+    await tester.sendMessage('4');
+    tester.assertContains('Saldo Total: $2,000.00', 'Should include the new transaction');
+
+    const deltaRequests = server.getRequests('GET').filter(r =>
+        r.path === '/budgets/budget-usa/accounts' && r.query.last_knowledge_of_server
+    );
+    assert(deltaRequests.length > 0, 'Accounts should be refreshed with last_knowledge_of_server');
+});
+
+// Test 5: BaseDocumentFlow (via PDF) extracts, corrects and creates transactions
+runner.addTest('BaseDocumentFlow: PDF import with corrections', async () => {
+    const userId = 'e2e-pdf@c.us';
+    await freshState(userId);
+
+    fakeAnthropic.extractionResponse = {
+        transactions: [
+            { date: '2025-03-02', amount: -89.9, payee: 'Wong', categoryName: 'Groceries', memo: '' },
+            { date: '2025-03-03', amount: -35, payee: 'Rappi', categoryName: 'Groceries', memo: '' }
+        ]
+    };
+
+    const tester = createTester(userId, { isPDF: true, pdfText: 'ESTADO DE CUENTA BCP ...' });
+
+    await tester.sendMessage('');
+    tester.assertContains('Extraer Transacciones de PDF', 'Should start PDF flow');
+
+    await tester.sendMessage('1');
+    tester.assertContains('2 transacciones extraídas', 'Should extract two transactions');
+
+    await tester.sendMessage('3');
+    tester.assertContains('Transacciones a crear en Visa BCP', 'Should show confirmation');
+
+    await tester.sendMessage('2 es Restaurants');
+    tester.assertContains('Categoría - Ahora: Restaurants', 'Should apply correction');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Creadas: 2', 'Should create both transactions');
+
+    const posts = server.getRequests('POST').map(r => r.body.transaction);
+    assert(posts.length === 2, `Expected 2 POSTs, got ${posts.length}`);
+    assert(posts[0].amount === -89900 && posts[0].date === '2025-03-02', 'First transaction amount/date');
+    assert(posts[1].category_id === 'cat-soles-restaurants', 'Corrected category should be used');
+    assert(posts.every(tx => tx.account_id === 'acc-soles-visa'), 'Transactions should go to the chosen account');
+});
+
+// Test 6: AddExpenseFlow "dividir" creates one split transaction
+runner.addTest('AddExpenseFlow: dividir creates a split transaction', async () => {
+    const userId = 'e2e-split@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('Pagué S/ 120 en Costco');
+    await tester.sendMessage('1');
+    await tester.sendMessage('2');
+    await tester.sendMessage('dividir');
+    tester.assertContains('Dividir 120.00', 'Should ask for split parts');
+
+    await tester.sendMessage('Groceries 70, Household 20');
+    tester.assertContains('suman 90.00', 'Should reject parts that do not add up');
+
+    await tester.sendMessage('Groceries ., Household 120');
+    tester.assertContains('Falta el monto en "Groceries ."', 'A lone dot is not an amount');
+
+    await tester.sendMessage('Groceries 0, Household 120');
+    tester.assertContains('debe ser mayor que 0', 'Should reject empty parts');
+
+    await tester.sendMessage('Groceries 80, Household');
+    tester.assertContains('¿Nota adicional?', 'Remainder should complete the split');
+
+    await tester.sendMessage('skip');
+    tester.assertContains('Household: -40.00', 'Confirmation should list the split');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Transacción creada', 'Should confirm creation');
+
+    const [post] = server.getRequests('POST');
+    const tx = post.body.transaction;
+    assert(tx.amount === -120000, `Expected -120000, got ${tx.amount}`);
+    assert(tx.category_id === null, 'Split parent must not have a category');
+    assert(tx.subtransactions.length === 2, 'Expected 2 subtransactions');
+    assert(tx.subtransactions[0].amount === -80000 && tx.subtransactions[0].category_id === 'cat-soles-groceries', 'Groceries part');
+    assert(tx.subtransactions[1].amount === -40000 && tx.subtransactions[1].category_id === 'cat-soles-household', 'Household part');
+});
+
+// Test 7: BaseDocumentFlow (via image) keeps receipt lines as one split
+runner.addTest('BaseDocumentFlow: receipt lines become one split transaction', async () => {
+    const userId = 'e2e-receipt-split@c.us';
+    await freshState(userId);
+
+    fakeAnthropic.extractionResponse = {
+        transactions: [
+            {
+                date: '2025-03-05',
+                amount: -150.5,
+                payee: 'Costco',
+                memo: '',
+                splits: [
+                    { amount: -100.5, categoryName: 'Groceries', memo: 'Comida' },
+                    { amount: -50, categoryName: 'Household', memo: 'Limpieza' }
+                ]
+            },
+            {
+                date: '2025-03-05',
+                amount: -20,
+                payee: 'Starbucks',
+                categoryName: 'Restaurants',
+                splits: [{ amount: -5, categoryName: 'Restaurants' }, { amount: -5, categoryName: 'Groceries' }]
+            }
+        ]
+    };
+
+    const tester = createTester(userId, { isImage: true, imageData: { mimetype: 'image/jpeg', data: 'ZmFrZQ==' } });
+
+    await tester.sendMessage('');
+    await tester.sendMessage('1');
+    await tester.sendMessage('2');
+    tester.assertContains('✂️ Household: -50', 'Should show split lines');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Creadas: 2', 'Should create both transactions');
+
+    const posts = server.getRequests('POST').map(r => r.body.transaction);
+    assert(posts[0].subtransactions.length === 2 && posts[0].amount === -150500, 'Receipt should be one split');
+    assert(!posts[1].subtransactions && posts[1].category_id === 'cat-soles-restaurants', 'Inconsistent split should fall back to one category');
+});
+
+// Test 8: BaseDocumentFlow flags duplicates and re-imports are idempotent
+runner.addTest('BaseDocumentFlow: flags duplicates and skips re-imported rows', async () => {
+    const userId = 'e2e-duplicates@c.us';
+    await freshState(userId);
+
+    fakeAnthropic.extractionResponse = {
+        transactions: [
+            { date: daysAgo(5), amount: -45, payee: 'UBER TRIP', categoryName: 'Transportation' },
+            { date: daysAgo(1), amount: -20, payee: 'Starbucks', categoryName: 'Restaurants' }
+        ]
+    };
+
+    const importStatement = async () => {
+        const tester = createTester(userId, { isPDF: true, pdfText: 'ESTADO DE CUENTA VISA' });
+        await tester.sendMessage('');
+        await tester.sendMessage('1');
+        await tester.sendMessage('3'); // Visa BCP
+        return tester;
+    };
+
+    // First import: the Uber row is already in YNAB (bank-imported as "UBER *TRIP 4821")
+    let tester = await importStatement();
+    tester.assertContains('⚠️ Posible duplicado', 'Should flag the Uber row');
+    tester.assertContains('Posibles duplicados: 1', 'Should count duplicates');
+
+    await tester.sendMessage('omitir duplicados');
+    tester.assertContains('Se omitirán: 1', 'Should mark the duplicate as skipped');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Creadas: 1', 'Should create only the new row');
+    tester.assertContains('Omitidas: 1', 'Should report the skipped row');
+
+    const [post] = server.getRequests('POST').map(r => r.body.transaction);
+    assert(post.payee_name === 'Starbucks', 'Only Starbucks should be posted');
+    assert(/^WA:-20000:/.test(post.import_id), `Expected a stable import_id, got ${post.import_id}`);
+
+    // Second import of the same statement: Starbucks is recognized by import_id and skipped by default
+    server.requests = [];
+    tester = await importStatement();
+    tester.assertContains('Ya importada', 'Should recognize the previously imported row');
+
+    await tester.sendMessage('incluir 1');
+    tester.assertContains('Se incluirán: 1', 'User can include a flagged row again');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Creadas: 1', 'Only the included row should be created');
+    tester.assertContains('Omitidas: 1', 'Previously imported row should be skipped');
+});
+
+// Test 9: Flow sessions are persisted and rehydrated after a restart
+runner.addTest('Flow sessions: categorization resumes after a restart', async () => {
+    const userId = 'e2e-restart@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('categorizar pendientes');
+    await tester.sendMessage('1');
+    await tester.sendMessage('1'); // Apply suggestion to the first transaction
+    tester.assertContains('Transacción 2/3', 'Should be on the second transaction');
+
+    // Simulate a restart: keep only what was persisted, drop the in-memory session
+    const saved = JSON.parse(JSON.stringify(await storage.get(`flow:session:${userId}`)));
+    assert(saved && saved.flow.flowClass === 'CategorizeTransactionsFlow', 'Session should be persisted');
+    flowState.clearUserSession(userId);
+    await storage.set(`flow:session:${userId}`, saved);
+
+    const restored = await flowState.restoreSessions({ anthropicClient: fakeAnthropic });
+    assert(restored >= 1, 'Should restore the persisted session');
+    assert(flowState.getUserSession(userId).flowInstance.state.data.currentIndex === 1, 'Should keep progress');
+
+    await tester.sendMessage('3'); // Skip Tambo+
+    tester.assertContains('Transacción 3/3', 'Should continue where it left off');
+
+    await tester.sendMessage('cancelar');
+    assert(await storage.get(`flow:session:${userId}`) === null, 'Finished sessions should be removed from storage');
+});
+
+// Test 10: Confirmed categories become payee rules, used before Claude and auto-applied on opt-in
+runner.addTest('CategorizeTransactionsFlow: learns payee rules and auto-applies them', async () => {
+    const userId = 'e2e-rules@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('categorizar pendientes');
+    await tester.sendMessage('1');
+    await tester.sendMessage('1'); // UBER *TRIP 4821 → Transportation (AI suggestion)
+    await tester.sendMessage('cancelar');
+
+    await tester.sendMessage('categorizar pendientes');
+    await tester.sendMessage('1');
+    tester.assertContains('Tambo+', 'Tambo+ has no rule yet');
+    const callsBefore = fakeAnthropic.calls;
+    await tester.sendMessage('3'); // Skip Tambo+
+    tester.assertContains('UBER *TRIP 5530', 'Should show the second Uber charge');
+    tester.assertContains('*Transportation* 📚 (regla aprendida)', 'Should suggest from the learned rule');
+    assert(fakeAnthropic.calls === callsBefore, 'Learned rules should not call Claude');
+    await tester.sendMessage('cancelar');
+
+    let response = await payeeRules.handleCommand(userId, '/reglas');
+    assertContains(response, '1. UBER *TRIP 4821 → Transportation', 'Should list the learned rule');
+
+    response = await payeeRules.handleCommand(userId, '/reglas auto on');
+    assertContains(response, 'Auto-categorización activada', 'Should enable auto-apply');
+
+    await tester.sendMessage('categorizar pendientes');
+    await tester.sendMessage('1');
+    tester.assertContains('Auto-categorizadas con tus reglas: 1', 'Should auto-apply the rule');
+    tester.assertContains('UBER *TRIP 5530 → Transportation', 'Should list auto-applied transactions');
+    tester.assertContains('Transacción 1/1', 'Only Tambo+ is left to review');
+    await tester.sendMessage('cancelar');
+
+    const uber2 = server.getTransactions('budget-soles').find(tx => tx.id === 'tx-soles-4');
+    assert(uber2.category_id === 'cat-soles-transport' && uber2.approved, 'Auto-applied rule should update YNAB');
+
+    response = await payeeRules.handleCommand(userId, '/reglas editar 1 Restaurants');
+    assertContains(response, 'UBER *TRIP 4821 → Restaurants', 'Should edit the rule');
+    response = await payeeRules.handleCommand(userId, '/reglas borrar 1');
+    assertContains(response, 'Regla eliminada', 'Should delete the rule');
+    assert((await payeeRules.listRules()).length === 0, 'No rules should be left');
+});
+
+// Test 11: AddExpenseFlow suggests the learned category and records confirmations
+runner.addTest('AddExpenseFlow: suggests and learns payee categories', async () => {
+    const userId = 'e2e-add-rules@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('Gasté S/ 30 en Tambo');
+    await tester.sendMessage('1');
+    await tester.sendMessage('2');
+    await tester.sendMessage('Groceries');
+    await tester.sendMessage('skip');
+    await tester.sendMessage('sí');
+    tester.assertContains('Transacción creada', 'Should create the first expense');
+
+    await tester.sendMessage('Gasté S/ 12 en Tambo');
+    await tester.sendMessage('1');
+    await tester.sendMessage('2');
+    tester.assertContains('Sugerencia: *Groceries* 📚', 'Should suggest the learned category');
+
+    await tester.sendMessage('ok');
+    await tester.sendMessage('skip');
+    await tester.sendMessage('sí');
+
+    const [, second] = server.getRequests('POST');
+    assert(second.body.transaction.category_id === 'cat-soles-groceries', 'Suggested category should be used');
+
+    const rule = await payeeRules.findRule('budget-soles', 'Tambo');
+    assert(rule && rule.count === 2, `Rule should be confirmed twice, got ${JSON.stringify(rule)}`);
+});
+
+// Test 11b: Rules match whole words only, so auto-apply never guesses from part of a word
+runner.addTest('Payee rules: a short rule does not match inside another word', async () => {
+    await freshState('e2e-rule-words@c.us');
+
+    await payeeRules.recordCategory('budget-soles', 'BCP SOLES', 'BAR', { id: 'cat-soles-restaurants', name: 'Restaurants' });
+    await payeeRules.recordCategory('budget-soles', 'BCP SOLES', 'Tambo', { id: 'cat-soles-groceries', name: 'Groceries' });
+    await payeeRules.recordCategory('budget-soles', 'BCP SOLES', 'Tambo Delivery', { id: 'cat-soles-household', name: 'Household' });
+
+    assert(await payeeRules.findRule('budget-soles', 'BARBERIA LOPEZ') === null, 'BAR must not match BARBERIA');
+    assert(await payeeRules.findRule('budget-soles', 'Tambopata Lodge') === null, 'Tambo must not match Tambopata');
+
+    const store = await payeeRules.findRule('budget-soles', 'TAMBO+ MIRAFLORES');
+    assert(store && store.categoryName === 'Groceries', `Extra words keep the rule, got ${JSON.stringify(store)}`);
+    const delivery = await payeeRules.findRule('budget-soles', 'TAMBO DELIVERY SURCO');
+    assert(delivery && delivery.categoryName === 'Household', 'The rule sharing more words wins');
+});
+
+// Test 12: Similar pending transactions are categorized together with one bulk PATCH
+runner.addTest('CategorizeTransactionsFlow: applies a category to similar transactions at once', async () => {
+    const userId = 'e2e-bulk@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('categorizar pendientes');
+    await tester.sendMessage('1');
+    tester.assertContains('2 transacciones similares pendientes', 'Should show the Uber batch');
+    tester.assertContains('UBER *TRIP 5530', 'Should list the similar transaction');
+    tester.assertContains('4. Usar sugerencia para las 2 similares', 'Should offer the bulk option');
+
+    await tester.sendMessage('5');
+    tester.assertContains('Elige una categoría', 'Should ask for the batch category');
+    await tester.sendMessage('Transportation');
+    tester.assertContains('Categoría aplicada a 2 transacciones: *Transportation*', 'Should apply to the batch');
+    tester.assertContains('Transacción 2/3', 'Should continue with Tambo+');
+    tester.assertContains('Tambo+', 'Should show the next payee');
+
+    await tester.sendMessage('3');
+    tester.assertContains('Categorized: 2', 'Batch should count both transactions');
+    tester.assertContains('Remaining: 1', 'Skipped transaction remains');
+
+    const patches = server.getRequests('PATCH');
+    assert(patches.length === 1, `Expected one bulk PATCH, got ${patches.length}`);
+    assert(patches[0].body.transactions.length === 2, 'Bulk PATCH should include both Uber charges');
+    assert(server.getRequests('PUT').length === 0, 'No per-transaction updates expected');
+
+    const ubers = server.getTransactions('budget-soles').filter(tx => tx.payee_name.startsWith('UBER'));
+    assert(ubers.every(tx => tx.category_id === 'cat-soles-transport' && tx.approved), 'Both Uber charges should be categorized');
+});
+
+// Test 13: ViewCategoriesFlow shows the month and moves money between categories
+runner.addTest('ViewCategoriesFlow: shows the month table and moves money', async () => {
+    const userId = 'e2e-categories@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('ver categorías');
+    tester.assertContains('¿De qué presupuesto?', 'Should ask for budget');
+
+    await tester.sendMessage('1');
+    tester.assertContains('Presupuesto del Mes - BCP SOLES', 'Should show the month table');
+    tester.assertContains('📁 *Gastos Diarios*', 'Should group categories');
+    tester.assertContains('🔴 Restaurants: -56.00 (asignado 300.00, gastado 356.00)', 'Should show overspent categories');
+    tester.assertContains('Por asignar:* 150.00', 'Should show Ready to Assign');
+
+    // Names in Spanish are matched to the YNAB categories
+    await tester.sendMessage('mueve 50 de Restaurantes a Supermercado');
+    tester.assertContains('Mover Dinero', 'Should ask to confirm the move');
+    tester.assertContains('De: Restaurants (-56.00 → -106.00)', 'Should show the source change');
+    tester.assertContains('A: Groceries (387.70 → 437.70)', 'Should show the target change');
+    tester.assertContains('Restaurants quedará en negativo', 'Should warn about overspending');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Movido 50.00 de Restaurants a Groceries', 'Should confirm the move');
+    tester.assertContains('Groceries: 437.70 (asignado 850.00', 'Should show the updated table');
+    tester.assertContains('Por asignar:* 150.00', 'Moving between categories keeps Ready to Assign');
+
+    const patches = server.getRequests('PATCH');
+    assert(patches.length === 2, `Expected 2 category PATCHes, got ${patches.length}`);
+    assert(patches[0].path === '/budgets/budget-soles/months/current/categories/cat-soles-restaurants', `Unexpected path ${patches[0].path}`);
+    assert(patches[0].body.category.budgeted === 250000, `Unexpected budgeted ${patches[0].body.category.budgeted}`);
+    assert(patches[1].body.category.budgeted === 850000, `Unexpected budgeted ${patches[1].body.category.budgeted}`);
+});
+
+// Test 14: Assigning more than Ready to Assign warns before and after
+runner.addTest('ViewCategoriesFlow: assigning money warns when Ready to Assign goes negative', async () => {
+    const userId = 'e2e-assign@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('asigna 200 a Groceries en BCP SOLES');
+    tester.assertContains('Asignar Dinero', 'Should start with the command');
+    tester.assertContains('De: Por asignar (150.00 → -50.00)', 'Should take money from Ready to Assign');
+    tester.assertContains('Por asignar quedará en negativo', 'Should warn before assigning');
+
+    await tester.sendMessage('si');
+    tester.assertContains('Movido 200.00 de Por asignar a Groceries', 'Should assign the money');
+    tester.assertContains('⚠️ *Por asignar:* -50.00', 'Should show negative Ready to Assign');
+    tester.assertContains('Asignaste más dinero del que tienes', 'Should warn after assigning');
+    tester.assertContains('"mueve 50.00 de Groceries a por asignar"', 'Should suggest where to take money from');
+
+    await tester.sendMessage('mueve 50 de Groceries a por asignar');
+    await tester.sendMessage('sí');
+    tester.assertContains('💵 *Por asignar:* 0.00', 'Returning money clears the warning');
+
+    const patches = server.getRequests('PATCH');
+    assert(patches.length === 2, `Expected one PATCH per change, got ${patches.length}`);
+});
+
+// Test 14b: BudgetAgent (multi-agent mode) asks for the same confirmation
+runner.addTest('BudgetAgent: assign_money and move_money wait for "sí"', async () => {
+    const userId = 'e2e-agent-move@c.us';
+    await freshState(userId);
+    const agent = new BudgetAgent(fakeAnthropic, ynabService);
+    const context = { userId };
+
+    let result = await agent.handleRequest({
+        intent: 'assign_money',
+        params: { amount: 200, toCategory: 'Supermercado', budgetName: 'BCP SOLES' }
+    }, context);
+    assert(result.message.includes('De: Por asignar (150.00 → -50.00)'), `Should ask to confirm: ${result.message}`);
+    assert(result.message.includes('¿Confirmar? (sí/no)'), 'Should ask to confirm');
+    assert(server.getRequests('PATCH').length === 0, 'Nothing moves before "sí"');
+    assert(agent.isMoveReply(userId, 'sí'), '"sí" answers the move');
+    assert(!agent.isMoveReply(userId, 'cuánto gasté en comida'), 'Other messages route as usual');
+
+    result = await agent.handleRequest({ intent: 'move_money', params: { reply: 'no' } }, context);
+    assert(result.message.includes('Movimiento cancelado'), 'Should cancel');
+    assert(server.getRequests('PATCH').length === 0, 'Cancelled moves change nothing');
+    assert(!agent.isMoveReply(userId, 'sí'), 'No move waiting');
+
+    await agent.handleRequest({
+        intent: 'move_money',
+        params: { amount: 50, fromCategory: 'Restaurantes', toCategory: 'Supermercado', budgetName: 'BCP SOLES' }
+    }, context);
+    result = await agent.handleRequest({ intent: 'move_money', params: { reply: 'sí' } }, context);
+    assert(result.message.includes('Movido 50.00 de Restaurants a Groceries'), `Should move: ${result.message}`);
+    assert(server.getRequests('PATCH').length === 2, 'One PATCH per category');
+});
+
+// Test 15: ViewBalanceFlow subtracts upcoming scheduled outflows
+runner.addTest('ViewBalanceFlow: 7-day preview subtracts scheduled payments', async () => {
+    const userId = 'e2e-projection@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('próximos 7 días');
+    await tester.sendMessage('1');
+
+    tester.assertContains('Balances - BCP SOLES', 'Should show the balances first');
+    tester.assertContains('Próximos 7 días', 'Should add the preview');
+    tester.assertContains('Alquiler: -S/1,500.00 (BCP Cuenta Corriente)', 'Should list the rent');
+    tester.assertContains('BCP Cuenta Corriente: S/820.50 → -S/739.50', 'Weekly laundry counts twice, rent once');
+    tester.assertContains('*Total proyectado:* S/440.50', 'Should project the total');
+    tester.assertNotContains('Sueldo', 'Inflows should not be subtracted');
+    tester.assertNotContains('Spotify', 'Payments after the window should be left out');
+});
+
+// Test 16: ScheduledTransactionsFlow creates a recurring payment from one message
+runner.addTest('ScheduledTransactionsFlow: creates a monthly payment from chat', async () => {
+    const userId = 'e2e-scheduled-create@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('alquiler 1500 cada mes el día 1');
+    tester.assertContains('¿De qué presupuesto?', 'Should ask for budget');
+
+    await tester.sendMessage('1');
+    tester.assertContains('¿Desde qué cuenta se paga Alquiler?', 'Should ask for the account');
+
+    await tester.sendMessage('2');
+    await tester.sendMessage('Household');
+    tester.assertContains('Monto: -1500.00', 'Rent is an outflow');
+    tester.assertContains('Frecuencia: cada mes', 'Should show the frequency');
+
+    const firstDate = recurrence.firstDate({ dayOfMonth: 1 });
+    tester.assertContains(`Primer pago: ${firstDate}`, 'Should start on the next 1st');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Pago programado creado', 'Should create the payment');
+
+    const posts = server.getRequests('POST').filter(r => r.path === '/budgets/budget-soles/scheduled_transactions');
+    assert(posts.length === 1, `Expected 1 scheduled POST, got ${posts.length}`);
+    const body = posts[0].body.scheduled_transaction;
+    assert(body.amount === -1500000, `Unexpected amount ${body.amount}`);
+    assert(body.frequency === 'monthly', `Unexpected frequency ${body.frequency}`);
+    assert(body.date === firstDate, `Unexpected date ${body.date}`);
+    assert(body.account_id === 'acc-soles-corriente', `Unexpected account ${body.account_id}`);
+    assert(body.category_id === 'cat-soles-household', `Unexpected category ${body.category_id}`);
+});
+
+// Test 16b: Budgets synced by the bank don't get scheduled payments from chat
+runner.addTest('ScheduledTransactionsFlow: refuses to schedule payments in USA BANKS', async () => {
+    const userId = 'e2e-scheduled-usa@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('alquiler 1500 cada mes el día 1 en USA BANKS');
+    tester.assertContains('USA BANKS no permite crear transacciones desde aquí', 'Should refuse USA BANKS');
+    assert(server.getRequests('POST').length === 0, 'Should not create anything');
+});
+
+// Test 17: Skipping and editing only the next occurrence
+runner.addTest('ScheduledTransactionsFlow: skips and edits the next occurrence', async () => {
+    const userId = 'e2e-scheduled-list@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('ver pagos programados de BCP SOLES');
+    tester.assertContains('Pagos Programados - BCP SOLES', 'Should list the schedule');
+    tester.assertContains(`1. 📅 ${daysFromNow(0)} Lavandería: -30.00`, 'Should sort by next date');
+    tester.assertContains('cada semana · BCP Cuenta Corriente', 'Should show frequency and account');
+
+    const rentDate = daysFromNow(3);
+    const rentNext = recurrence.addMonths(rentDate, 1);
+    await tester.sendMessage('saltar 2');
+    tester.assertContains(`Saltado el pago de Alquiler del ${rentDate}. Próximo: ${rentNext}`, 'Should move the rent a month');
+
+    await tester.sendMessage('editar 1 45');
+    tester.assertContains('Próximo pago de Lavandería', 'Should edit the laundry');
+    tester.assertContains('Los siguientes siguen en -30.00', 'Following occurrences keep the amount');
+
+    const puts = server.getRequests('PUT');
+    assert(puts.length === 2, `Expected 2 PUTs, got ${puts.length}`);
+    assert(puts[0].body.scheduled_transaction.date === rentNext, 'Skip should PUT the next date');
+    assert(puts[1].body.scheduled_transaction.date === daysFromNow(7), 'Series should move a week');
+
+    const oneOff = server.getRequests('POST')[0].body.scheduled_transaction;
+    assert(oneOff.frequency === 'never' && oneOff.amount === -45000 && oneOff.date === daysFromNow(0),
+        'Edited occurrence should be a one-time payment');
+
+    await tester.sendMessage('borrar 1');
+    tester.assertContains('¿Eliminar *Lavandería* (-45.00 una vez)?', 'Should ask before deleting');
+    await tester.sendMessage('sí');
+    tester.assertContains('Eliminado: Lavandería', 'Should delete the one-time payment');
+    assert(server.getRequests('DELETE').length === 1, 'Should send one DELETE');
+});
+
+// Test 18: Net worth across PEN and USD budgets in the user's home currency
+runner.addTest('ViewBalanceFlow: net worth converts budgets to the home currency', async () => {
+    const userId = 'e2e-currency@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('mostrar saldo');
+    await tester.sendMessage('4');
+    tester.assertContains('Saldo Total: S/2,000.50\n', 'Soles budget in soles');
+    tester.assertContains('Saldo Total: $800.00 (≈ S/3,000.00)', 'Dollar budgets converted to the default PEN');
+    tester.assertContains('Patrimonio neto:* S/12,688.00 (PEN)', 'Should add up every budget');
+
+    let response = await currencyService.handleCommand(userId, '/moneda USD');
+    assert(response.includes('Totales en *USD*'), `Unexpected /moneda response: ${response}`);
+    // The rates are shared: only the bot owner changes them, and never the base
+    currencyService.owners = ['51999000111'];
+    response = await currencyService.handleCommand(userId, '/tipocambio USD 4');
+    assert(response.includes('Solo el dueño del bot'), `Other users can't change rates: ${response}`);
+    response = await currencyService.handleCommand('51999000111@c.us', '/tipocambio PEN 2');
+    assert(response.includes('PEN es la moneda base'), `The base can't be changed: ${response}`);
+    response = await currencyService.handleCommand('51999000111@c.us', '/tipocambio USD 4');
+    assert(response.includes('1 USD = 4 PEN'), `Unexpected /tipocambio response: ${response}`);
+    currencyService.owners = [];
+    await storage.set('exchange-rates', { USD: 4, PEN: 2 });
+    assert((await currencyService.getRates()).rates.PEN === 1, 'A stored base rate is ignored');
+    await storage.set('exchange-rates', { USD: 4 });
+    assert(await currencyService.handleCommand(userId, '/moneda XYZ') !== null, 'Unknown currencies are answered');
+
+    await tester.sendMessage('mostrar saldo');
+    await tester.sendMessage('4');
+    tester.assertContains('Saldo Total: S/2,000.50 (≈ $500.13)', 'Soles converted with the new rate');
+    tester.assertContains('Patrimonio neto:* $3,350.13 (USD)', 'Total in the chosen currency');
+
+    const euro = { decimal_digits: 2, decimal_separator: ',', group_separator: '.', symbol_first: false, currency_symbol: '€' };
+    assert(currencyService.format(-1234.5, euro) === '-1.234,50€', 'Should follow the budget currency_format');
+});
+
+// Test 19: A transfer inside a budget uses the target account's transfer payee
+runner.addTest('TransferFlow: pays the credit card from savings with a YNAB transfer', async () => {
+    const userId = 'e2e-transfer@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('transferí 500 de ahorro a tarjeta');
+    tester.assertContains('Confirmar Transferencia', 'Only BCP SOLES has savings and a card: no questions');
+    tester.assertContains('De: BCP Ahorro Soles', 'Should pick the soles savings account');
+    tester.assertContains('A: Visa BCP', 'Should pick the credit card');
+    tester.assertContains('Monto: S/500.00', 'Should show the amount in soles');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Transferencia registrada', 'Should create the transfer');
+
+    const post = server.getRequests('POST').find(r => r.path === '/budgets/budget-soles/transactions');
+    const body = post.body.transaction;
+    assert(body.account_id === 'acc-soles-ahorro' && body.amount === -500000, 'Outflow from savings');
+    assert(body.payee_id === 'payee-transfer-acc-soles-visa', `Should use the transfer payee, got ${body.payee_id}`);
+    assert(!body.category_id, 'Transfers between budget accounts have no category');
+
+    const visaSide = server.getTransactions('budget-soles').find(tx => tx.account_id === 'acc-soles-visa' && tx.transfer_account_id === 'acc-soles-ahorro');
+    assert(visaSide && visaSide.amount === 500000, 'YNAB should create the card side');
+});
+
+// Test 20: Soles to dollars creates a linked outflow and inflow with the exchange rate
+runner.addTest('TransferFlow: cross-budget transfer converts with the exchange rate', async () => {
+    const userId = 'e2e-transfer-fx@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('transferí 380 de ahorro soles a ahorro dólares');
+    tester.assertContains('De: BCP Ahorro Soles (BCP SOLES): -S/380.00', 'Should show the outflow');
+    tester.assertContains('A: BCP Ahorro Dolares (BCP DOLARES): +$101.33', 'Should convert with the default rate');
+    tester.assertContains('Tipo de cambio: 1 USD = 3.75 PEN', 'Should show the rate');
+
+    await tester.sendMessage('tc 3.80');
+    tester.assertContains('+$100.00', 'Should use the typed rate');
+    tester.assertContains('1 USD = 3.8 PEN', 'Should show the typed rate');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Transferencia registrada', 'Should create both sides');
+
+    const outflow = server.getTransactions('budget-soles').find(tx => tx.payee_name === 'Transferencia a BCP Ahorro Dolares');
+    const inflow = server.getTransactions('budget-dolares').find(tx => tx.payee_name === 'Transferencia de BCP Ahorro Soles');
+    assert(outflow && outflow.amount === -380000, 'Outflow in soles');
+    assert(inflow && inflow.amount === 100000, 'Inflow in dollars');
+    assert(outflow.memo === inflow.memo && /^TRF-\S+ /.test(outflow.memo), `Both sides should share the memo: ${outflow.memo}`);
+    assert(outflow.memo.includes('TC 1 USD = 3.8 PEN'), 'The memo should record the rate');
+});
+
+// Test 21: The uncleared transaction that explains the difference is suggested and cleared
+runner.addTest('ReconcileAccountFlow: clears the suggested transaction and reconciles the card', async () => {
+    const userId = 'e2e-reconcile@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('conciliar visa bcp');
+    tester.assertContains('Conciliar Visa BCP', 'Should pick the BCP card');
+    tester.assertContains('saldo total que debes', 'Should ask for the card debt');
+
+    await tester.sendMessage('320');
+    tester.assertContains('Saldo del estado de cuenta: -S/320.00', 'Card debt should be negative');
+    tester.assertContains('Saldo compensado en YNAB: -S/282.00', 'Should show the cleared balance');
+    tester.assertContains('Diferencia: -S/38.00', 'Should show the difference');
+    tester.assertContains('1. ⭐', 'The UBER trip explains the difference');
+    tester.assertContains('UBER *TRIP 5530', 'Should list the uncleared transaction');
+
+    await tester.sendMessage('sugeridas');
+    tester.assertContains('1 transacciones marcadas como compensadas', 'Should clear the suggestion');
+    tester.assertContains('Cuenta conciliada', 'Should balance after clearing');
+    tester.assertContains('transferí 320.00 de BCP Cuenta Corriente a Visa BCP', 'Should suggest the card payment');
+
+    const [clear, reconcile] = server.getRequests('PATCH').map(r => r.body.transactions);
+    assert(clear.length === 1 && clear[0].id === 'tx-soles-4' && clear[0].cleared === 'cleared', 'Should clear the UBER trip');
+    assert(reconcile.every(tx => tx.cleared === 'reconciled'), 'Should lock cleared transactions');
+
+    const visa = server.getTransactions('budget-soles').filter(tx => tx.account_id === 'acc-soles-visa');
+    assert(visa.every(tx => tx.cleared === 'reconciled'), 'Every card transaction should be reconciled');
+
+    const ReconcileAccountFlow = require('../flows/ReconcileAccountFlow');
+    const picked = ReconcileAccountFlow.findExplainingSet([{ amount: -10000 }, { amount: -25000 }, { amount: -15000 }], -25000);
+    assert(picked.join(',') === '1', `Should prefer the smallest group, got ${picked}`);
+});
+
+// Test 22: A difference with nothing left to clear becomes an adjustment
+runner.addTest('ReconcileAccountFlow: creates an adjustment for the remaining difference', async () => {
+    const userId = 'e2e-reconcile-adjust@c.us';
+    await freshState(userId);
+    const tester = createTester(userId);
+
+    await tester.sendMessage('conciliar corriente bcp con 800');
+    tester.assertContains('Diferencia: -S/20.50', 'Should compare with the typed balance');
+    tester.assertContains('¿Crear una transacción de ajuste por -S/20.50?', 'No uncleared transactions: offer the adjustment');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Ajuste creado: -S/20.50', 'Should create the adjustment');
+    tester.assertContains('Cuenta conciliada', 'Should reconcile');
+
+    const post = server.getRequests('POST').map(r => r.body.transaction).find(tx => tx.payee_name === 'Reconciliation Balance Adjustment');
+    assert(post && post.amount === -20500 && post.account_id === 'acc-soles-corriente', 'Adjustment amount and account');
+    assert(post.cleared === 'reconciled', `Adjustment should be reconciled, got ${post.cleared}`);
+
+    const corriente = server.getTransactions('budget-soles').filter(tx => tx.account_id === 'acc-soles-corriente');
+    assert(corriente.every(tx => tx.cleared === 'reconciled'), 'Every checking transaction should be reconciled');
+});
+
+// Test 23: A PDF statement with a closing balance offers the reconciliation
+runner.addTest('BaseDocumentFlow: offers to reconcile with the statement balance', async () => {
+    const userId = 'e2e-pdf-reconcile@c.us';
+    await freshState(userId);
+
+    fakeAnthropic.extractionResponse = {
+        statementBalance: 409.9,
+        transactions: [
+            { date: daysAgo(1), amount: -89.9, payee: 'Wong', categoryName: 'Groceries', memo: '' }
+        ]
+    };
+
+    const tester = createTester(userId, { isPDF: true, pdfText: 'ESTADO DE CUENTA VISA' });
+
+    await tester.sendMessage('');
+    await tester.sendMessage('1');
+    await tester.sendMessage('3');
+    await tester.sendMessage('sí');
+    tester.assertContains('Creadas: 1', 'Should create the transaction');
+    tester.assertContains('¿Conciliar Visa BCP con este saldo?', 'Should offer the reconciliation');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Diferencia: -S/38.00', 'Should reconcile the imported account');
+
+    await tester.sendMessage('1');
+    tester.assertContains('Cuenta conciliada', 'Should finish the reconciliation');
+    assert(!flowState.getUserSession(userId), 'The document flow should end with the reconciliation');
+});
+
+// Test 24: A bank CSV is imported without Claude, with exact amounts and payee rules
+runner.addTest('ProcessStatementFileFlow: imports a BCP CSV without Claude', async () => {
+    const userId = 'e2e-csv@c.us';
+    await freshState(userId);
+    await payeeRules.recordCategory('budget-soles', 'BCP SOLES', 'PLAZA VEA', { id: 'cat-soles-groceries', name: 'Groceries' });
+
+    const slashed = date => date.split('-').reverse().join('/');
+    const csv = [
+        'Fecha;Fecha valuta;Descripción operación;Monto;Saldo',
+        `${slashed(daysAgo(1))};${slashed(daysAgo(1))};LUZ DEL SUR;-120.00;700.50`,
+        `${slashed(daysAgo(2))};${slashed(daysAgo(2))};PLAZA VEA SURCO;-33.33;820.50`
+    ].join('\n');
+
+    const callsBefore = fakeAnthropic.calls;
+    const tester = createTester(userId, { isStatementFile: true, statementFile: { filename: 'movimientos.csv', text: csv } });
+
+    await tester.sendMessage('');
+    tester.assertContains('Importar Estado de Cuenta (CSV)', 'Should start the statement file flow');
+
+    await tester.sendMessage('1');
+    tester.assertContains('2 transacciones extraídas', 'Should parse both rows');
+
+    await tester.sendMessage('2');
+    tester.assertContains('Posible duplicado', 'Luz del Sur is already in YNAB');
+    tester.assertContains('📁 Groceries', 'Payee rule should categorize Plaza Vea');
+
+    await tester.sendMessage('omitir duplicados');
+    await tester.sendMessage('sí');
+    tester.assertContains('Creadas: 1', 'Should create only the new row');
+    tester.assertContains('Saldo final del estado de cuenta: 700.5', 'The running balance is offered for reconciliation');
+
+    await tester.sendMessage('no');
+    assert(fakeAnthropic.calls === callsBefore, 'Statement files must not call Claude');
+
+    const [post] = server.getRequests('POST').map(r => r.body.transaction);
+    assert(post.amount === -33330 && post.payee_name === 'PLAZA VEA SURCO', `Exact amount, got ${post.amount}`);
+    assert(post.category_id === 'cat-soles-groceries', 'Category from the payee rule');
+});
+
+// Test 25: Scanned PDF pages go to Claude Vision in a single request
+runner.addTest('ProcessImageFlow: scanned PDF pages are extracted together', async () => {
+    const userId = 'e2e-scanned-pdf@c.us';
+    await freshState(userId);
+
+    fakeAnthropic.extractionResponse = {
+        transactions: [
+            { date: daysAgo(3), amount: -42.9, payee: 'Wong Benavides', categoryName: 'Groceries' },
+            { date: daysAgo(2), amount: -18, payee: 'Tambo Larco', categoryName: 'Groceries' }
+        ]
+    };
+
+    const images = [
+        { mimetype: 'image/jpeg', data: 'cGFnZTE=' },
+        { mimetype: 'image/jpeg', data: 'cGFnZTI=' }
+    ];
+    const tester = createTester(userId, { isImage: true, imageData: images[0], images });
+
+    await tester.sendMessage('');
+    tester.assertContains('PDF escaneado (2 páginas)', 'Should say the pages came from a scanned PDF');
+
+    await tester.sendMessage('1');
+    tester.assertContains('2 transacciones extraídas', 'Should extract from both pages');
+
+    const imageBlocks = fakeAnthropic.lastContent.filter(block => block.type === 'image');
+    assert(imageBlocks.length === 2, `Both pages in one request, got ${imageBlocks.length}`);
+    assert(imageBlocks[1].source.data === 'cGFnZTI=', 'Pages keep their order');
+});
+
+// Test 26: Long PDFs are extracted page by page and checked against the printed balances
+runner.addTest('ProcessPDFFlow: long statement is extracted in chunks and balanced', async () => {
+    const userId = 'e2e-long-pdf@c.us';
+    await freshState(userId);
+
+    const filler = label => Array.from({ length: 90 }, (_, i) => `${label} MOVIMIENTO DE RELLENO ${i} ......`).join('\n');
+    const pdfPages = [
+        `PAGINA-1 SALDO ANTERIOR 1000.00\n${filler('P1')}`,
+        `PAGINA-2\n${filler('P2')}`,
+        `PAGINA-3 SALDO FINAL 1199.00\n${filler('P3')}`
+    ];
+
+    const byPage = {
+        'PAGINA-1': { openingBalance: 1000, statementBalance: null, transactions: [
+            { date: daysAgo(20), amount: 1500, payee: 'Abono Sueldo', memo: '' },
+            { date: daysAgo(18), amount: -85.5, payee: 'Plaza Vea', categoryName: 'Groceries', memo: '' }
+        ] },
+        'PAGINA-2': { openingBalance: null, statementBalance: null, transactions: [
+            { date: daysAgo(18), amount: -85.5, payee: 'PLAZA VEA', categoryName: 'Groceries', memo: '' },
+            { date: daysAgo(10), amount: -1100, payee: 'Alquiler', memo: '' }
+        ] },
+        'PAGINA-3': { openingBalance: null, statementBalance: 1199, transactions: [
+            { date: daysAgo(5), amount: -30, payee: 'Tambo', categoryName: 'Groceries', memo: '' }
+        ] }
+    };
+    fakeAnthropic.extractionResponse = prompt => byPage[Object.keys(byPage).find(page => prompt.includes(page))];
+
+    const progress = [];
+    BaseDocumentFlow.setNotifier(async (to, text) => progress.push(text));
+
+    try {
+        const tester = createTester(userId, { isPDF: true, pdfText: pdfPages.join('\n'), pdfPages });
+
+        await tester.sendMessage('');
+        await tester.sendMessage('1');
+        tester.assertContains('5 transacciones extraídas', 'Plaza Vea on both sides of the page break is kept');
+        assert(progress.length === 3 && progress.includes('⏳ Procesando página 3/3...'), `Progress per page, got ${JSON.stringify(progress)}`);
+
+        await tester.sendMessage('1');
+        tester.assertContains('⚠️ Igual a la fila antes del salto de página', 'The repeated row is flagged');
+        tester.assertContains('✅ cuadra con el estado de cuenta', 'Opening + movements should match the closing balance');
+
+        await tester.sendMessage('5 es -20');
+        tester.assertContains('Diferencia de -10.00', 'A wrong amount should show in the balance check');
+    } finally {
+        BaseDocumentFlow.setNotifier(null);
+    }
+});
+
+// Test 27: Receipt mode creates one split transaction with tax and tip shared
+runner.addTest('ProcessImageFlow: receipt mode splits a grocery receipt by category', async () => {
+    const userId = 'e2e-receipt-mode@c.us';
+    await freshState(userId);
+
+    fakeAnthropic.extractionResponse = {
+        merchant: 'Tottus Surco',
+        date: daysAgo(1),
+        subtotal: 100,
+        tax: 18,
+        tip: null,
+        total: 118,
+        items: [
+            { description: 'Arroz Costeño 5kg', quantity: 2, amount: 60, categoryName: 'Groceries' },
+            { description: 'Lejía Clorox', quantity: 1, amount: 40, categoryName: 'Household' }
+        ]
+    };
+
+    const tester = createTester(userId, { isImage: true, imageData: { mimetype: 'image/jpeg', data: 'cmVjaWJv' } });
+
+    await tester.sendMessage('');
+    tester.assertContains('Escribe *recibo*', 'Statement mode offers receipt mode');
+
+    await tester.sendMessage('es una boleta');
+    tester.assertContains('Modo recibo', 'Should switch to receipt mode');
+
+    await tester.sendMessage('1');
+    tester.assertContains('1 transacciones extraídas', 'A receipt is one transaction');
+
+    await tester.sendMessage('2');
+    tester.assertContains('• 2x Arroz Costeño 5kg 60.00 (Groceries)', 'Should list the receipt lines');
+    tester.assertContains('🧾 Subtotal 100.00 | IGV 18.00 | Total 118.00', 'Should show the receipt totals');
+    tester.assertContains('✅ Las líneas cuadran con el total', 'Lines + IGV match the total');
+
+    await tester.sendMessage('sí');
+    tester.assertContains('Creadas: 1', 'Should create the receipt');
+
+    const [post] = server.getRequests('POST').map(r => r.body.transaction);
+    assert(post.amount === -118000 && post.payee_name === 'Tottus Surco', `Total amount, got ${post.amount}`);
+    assert(post.subtransactions.length === 2, 'One split per category');
+    assert(post.subtransactions[0].amount === -70800 && post.subtransactions[1].amount === -47200, 'IGV shared by category');
+    assert(post.subtransactions[1].memo === 'Lejía Clorox 40.00', 'Split memo lists its lines');
+    assert(post.memo.includes('IGV 18.00'), 'Memo mentions the tax');
+});
+
+// Test 28: The document is linked to the transactions it created
+runner.addTest('ProcessImageFlow: archived receipt is tagged in the memo and found with /recibo', async () => {
+    const userId = 'e2e-receipt-archive@c.us';
+    await freshState(userId);
+
+    receiptArchive.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-e2e-'));
+    receiptArchive.index = null;
+
+    const photo = Buffer.from('boleta del chifa');
+    const documentHash = await receiptArchive.save(userId, photo, { mimetype: 'image/jpeg' });
+    const code = receiptArchive.shortHash(documentHash);
+
+    fakeAnthropic.extractionResponse = {
+        merchant: 'Chifa Titi',
+        date: daysAgo(2),
+        total: 64,
+        items: [{ description: 'Tallarín saltado', quantity: 1, amount: 64, categoryName: 'Restaurants' }]
+    };
+
+    const tester = createTester(userId, {
+        isImage: true,
+        imageData: { mimetype: 'image/jpeg', data: photo.toString('base64') },
+        documentHash
+    });
+
+    await tester.sendMessage('recibo');
+    await tester.sendMessage('1');
+    await tester.sendMessage('2');
+    await tester.sendMessage('sí');
+    tester.assertContains(`🗄️ Documento archivado: /recibo ${code}`, 'Should tell how to get the document back');
+
+    const [post] = server.getRequests('POST').map(r => r.body.transaction);
+    assert(post.memo.endsWith(`[doc:${code}]`), `Memo should carry the document code, got "${post.memo}"`);
+
+    const found = await receiptArchive.handleCommand(userId, '/recibo chifa');
+    assert(found.document && found.document.buffer.equals(photo), 'The original image is sent back');
+    assertContains(found.text, 'Chifa Titi | -64', 'Should describe the linked transaction');
+});
+
+// Test 29: A voice note goes through the same router as a typed message
+runner.addTest('AddExpenseFlow: a transcribed voice note pre-fills amount and payee', async () => {
+    const userId = 'e2e-voice-note@c.us';
+    await freshState(userId);
+
+    speechService.setBackend({
+        name: 'fake',
+        transcribe: async () => ' gasté 45 soles en el mercado.\n'
+    });
+
+    try {
+        const transcript = await speechService.transcribe(Buffer.from('OggS fake opus'));
+        assert(transcript === 'gasté 45 soles en el mercado', `Unexpected transcript "${transcript}"`);
+
+        const tester = createTester(userId);
+        await tester.sendMessage(transcript);
+        tester.assertContains('¿En qué presupuesto?', 'Amount and payee were found, only the budget is missing');
+
+        await tester.sendMessage('1');
+        await tester.sendMessage('2');
+        await tester.sendMessage('Groceries');
+        await tester.sendMessage('skip');
+        tester.assertContains('Mercado', 'The spoken payee should be pre-filled');
+
+        await tester.sendMessage('sí');
+        const [post] = server.getRequests('POST').map(r => r.body.transaction);
+        assert(post.amount === -45000 && post.payee_name === 'Mercado', `Got ${post.amount} at ${post.payee_name}`);
+    } finally {
+        speechService.setBackend(null);
+    }
+});
+
+// Run all tests
+if (require.main === module) {
+    (async () => {
+        await server.start();
+        ynabService.baseUrl = server.baseUrl;
+        ynabService.apiKey = server.apiKey;
+        flowRouter.setAnthropicClient(fakeAnthropic);
+
+        const results = await runner.run();
+
+        await server.stop();
+        process.exit(results.failed > 0 ? 1 : 0);
+    })();
+}
+
+module.exports = { runner, server, fakeAnthropic, createTester, freshState };
@@ -0,0 +1,164 @@
+/**
+ * PDF Service Tests
+ *
+ * Tests per-page text, scanned PDF detection, password errors and page
+ * rasterization (with a fake browser, Chrome is not needed).
+ * Run with: node tests/pdf-service.test.js
+ */
+
+const { TestRunner } = require('./flow-tester');
+const pdfService = require('../services/pdf-service');
+
+/**
+ * Build a minimal PDF with one text page per entry ('' = page without text, like a scan)
+ */
+function buildPdf(pages) {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+
+    pages.forEach((text, i) => {
+        const stream = text.split('\n').map((line, j) => `BT /F1 12 Tf 50 ${750 - j * 20} Td (${line}) Tj ET`).join('\n');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Fake Puppeteer browser whose page.evaluate() returns a fixed result
+ */
+function fakeBrowser(evaluateResult) {
+    const browser = { pagesOpened: 0, pagesClosed: 0, evaluateArgs: null };
+    browser.newPage = async () => {
+        browser.pagesOpened++;
+        return {
+            addScriptTag: async () => {},
+            evaluate: async (fn, ...args) => {
+                browser.evaluateArgs = args;
+                return evaluateResult;
+            },
+            close: async () => { browser.pagesClosed++; }
+        };
+    };
+    return browser;
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+const runner = new TestRunner();
+
+// ===== TEXT =====
+
+runner.addTest('Text is returned per page', async () => {
+    const statement = [
+        'ESTADO DE CUENTA BCP - MARZO 2025\n15MAR PLAZA VEA MIRAFLORES -85.50\n16MAR TAMBO LARCO -12.90',
+        '17MAR UBER TRIP -18.00\nSALDO FINAL 1,734.50'
+    ];
+    const result = await pdfService.extract(buildPdf(statement));
+
+    assertEqual(result.numPages, 2);
+    assertEqual(result.pages.length, 2);
+    assertEqual(result.pages[0].includes('PLAZA VEA'), true);
+    assertEqual(result.pages[1].includes('SALDO FINAL'), true);
+    assertEqual(result.pages[1].includes('PLAZA VEA'), false, 'Pages do not share text');
+    assertEqual(result.isScanned, false);
+    assertEqual(result.text.includes('TAMBO LARCO'), true, 'Full text is still returned');
+});
+
+runner.addTest('extractText() still returns the full text', async () => {
+    const text = await pdfService.extractText(buildPdf(['Hola mundo, este es un PDF de prueba']));
+    assertEqual(text.includes('Hola mundo'), true);
+});
+
+runner.addTest('Pages without text are detected as scanned', async () => {
+    const scanned = await pdfService.extract(buildPdf(['', '']));
+    assertEqual(scanned.isScanned, true);
+
+    // A page number on each scanned page is not enough text
+    const numbered = await pdfService.extract(buildPdf(['1', '2', '3']));
+    assertEqual(numbered.isScanned, true);
+});
+
+// ===== PASSWORDS =====
+
+runner.addTest('pdf.js password exceptions become coded errors', async () => {
+    const required = pdfService._toPasswordError({ name: 'PasswordException', code: 1 });
+    const incorrect = pdfService._toPasswordError({ name: 'PasswordException', code: 2 });
+
+    assertEqual(required.code, 'PDF_PASSWORD_REQUIRED');
+    assertEqual(incorrect.code, 'PDF_PASSWORD_INCORRECT');
+    assertEqual(pdfService.isPasswordError(required), true);
+    assertEqual(pdfService.isPasswordError(incorrect), true);
+    assertEqual(pdfService._toPasswordError(new Error('Invalid PDF structure')), null);
+    assertEqual(pdfService.isPasswordError(new Error('Invalid PDF structure')), false);
+});
+
+runner.addTest('A password on an unprotected PDF is ignored', async () => {
+    const result = await pdfService.extract(buildPdf(['Movimientos de la cuenta de ahorros']), { password: '12345678' });
+    assertEqual(result.pages[0].includes('Movimientos'), true);
+});
+
+// ===== RASTERIZATION =====
+
+runner.addTest('Scanned pages are rasterized with the provided browser', async () => {
+    const browser = fakeBrowser({ images: ['cGFnZTE=', 'cGFnZTI='], numPages: 2 });
+    pdfService.setBrowserProvider(() => browser);
+
+    try {
+        const images = await pdfService.rasterize(buildPdf(['', '']), { password: '12345678' });
+
+        assertEqual(images.length, 2);
+        assertEqual(images[0].mimetype, 'image/jpeg');
+        assertEqual(images[1].data, 'cGFnZTI=');
+        assertEqual(browser.evaluateArgs[2], '12345678', 'Password is passed to pdf.js');
+        assertEqual(browser.pagesClosed, 1, 'Tab is closed, the shared browser is not');
+    } finally {
+        pdfService.setBrowserProvider(null);
+    }
+});
+
+runner.addTest('Rasterizing with a wrong password throws a password error', async () => {
+    const browser = fakeBrowser({ error: { name: 'PasswordException', code: 2, message: 'Incorrect Password' } });
+    pdfService.setBrowserProvider(() => browser);
+
+    try {
+        let error = null;
+        try {
+            await pdfService.rasterize(buildPdf(['']), { password: 'wrong' });
+        } catch (e) {
+            error = e;
+        }
+        assertEqual(error && error.code, 'PDF_PASSWORD_INCORRECT');
+        assertEqual(browser.pagesClosed, 1);
+    } finally {
+        pdfService.setBrowserProvider(null);
+    }
+});
+
+// Run all tests
+if (require.main === module) {
+    runner.run().then(results => {
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
+
+module.exports = { runner };
@@ -0,0 +1,240 @@
+/**
+ * Price Watch Tests (offline)
+ *
+ * Runs the price-watch job with scripted flight providers (in place of
+ * Amadeus and Sky-Scrapper) and checks the history kept and what would be
+ * pushed to WhatsApp.
+ * Run with: node tests/price-watch.test.js
+ */
+
+const { TestRunner } = require('./flow-tester');
+const scheduler = require('../services/scheduler');
+const priceWatch = require('../services/price-watch');
+const flightSearch = require('../services/flight-search');
+const { today, addDays } = require('../services/recurrence');
+const { UserStorage } = require('../storage');
+
+// bot.js registers the job at startup
+priceWatch.register(scheduler);
+
+const USER = 'price-watch@c.us';
+const DEPARTURE = addDays(today(), 40);
+
+/**
+ * Provider that answers with the next scripted price on every search
+ * (null = the search fails)
+ */
+function scriptedProvider(name, airline, prices) {
+    const provider = {
+        name,
+        searches: [],
+        searchFlights: async query => {
+            provider.searches.push(query);
+            const price = prices.length > 1 ? prices.shift() : prices[0];
+            if (price === null) {
+                return { success: false, error: 'Rate limit exceeded' };
+            }
+            return {
+                success: true,
+                offers: [
+                    { price: { total: String(price + 80), currency: 'USD' }, outbound: { airline, stops: 0 } },
+                    { price: { total: String(price), currency: 'USD' }, outbound: { airline, departureTime: `${DEPARTURE}T06:00:00`, stops: 1 }, deepLink: `https://example.com/${name}` }
+                ]
+            };
+        }
+    };
+    return provider;
+}
+
+/**
+ * Collects messages instead of sending them to WhatsApp
+ */
+function createOutbox() {
+    const messages = [];
+    scheduler.sendMessage = async (userId, text) => {
+        messages.push({ userId, text });
+    };
+    return messages;
+}
+
+/**
+ * Clear stored users before each test
+ */
+async function freshState() {
+    for (const userId of await UserStorage.getAllUsers()) {
+        await UserStorage.delete(userId);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function assertContains(text, expected, message) {
+    assert(text.includes(expected), `${message}\nExpected to contain: "${expected}"\nActual: "${text}"`);
+}
+
+const runner = new TestRunner();
+
+// Test 1: commands and the threshold from a chat message
+runner.addTest('Price watch: /vigilar adds, lists and deletes watches', async () => {
+    await freshState();
+
+    let response = await priceWatch.handleCommand(USER, `/vigilar lim-mia ${DEPARTURE} $400`);
+    assertContains(response, `Vigilando LIM → MIA (${DEPARTURE}), avisar si baja de USD 400`, 'Should confirm the watch');
+
+    // Same route again only changes the limit
+    await priceWatch.handleCommand(USER, `/vigilar LIM MIA ${DEPARTURE} S/ 1400`);
+    let watches = await priceWatch.getWatches(USER);
+    assertEqual(watches.length, 1);
+    assertEqual(watches[0].threshold, 1400);
+    assertEqual(watches[0].currency, 'PEN');
+
+    response = await priceWatch.handleCommand(USER, '/vigilar LIM MIA 31/02');
+    assertContains(response, 'No entendí la ruta', 'Invalid dates are rejected');
+
+    response = await priceWatch.handleCommand(USER, '/vigilar');
+    assertContains(response, '1. LIM → MIA', 'Should list the watch');
+
+    response = await priceWatch.handleCommand(USER, '/vigilar borrar 1');
+    assertContains(response, 'Ya no vigilo LIM → MIA', 'Should delete it');
+    watches = await priceWatch.getWatches(USER);
+    assertEqual(watches.length, 0);
+
+    assertEqual(await priceWatch.handleCommand(USER, 'vigilar'), null, 'Only the slash command');
+
+    const limit = priceWatch.parseThreshold('avísame si baja de $1,250');
+    assertEqual(limit.amount, 1250);
+    assertEqual(limit.currency, 'USD');
+    assertEqual(priceWatch.parseThreshold('below 900 soles').currency, 'PEN');
+});
+
+// Test 2: below the limit notifies once, then on further drops, re-arms above it
+runner.addTest('Price watch: notifies drops below the limit with the best provider', async () => {
+    await freshState();
+    const messages = createOutbox();
+
+    const amadeus = scriptedProvider('Amadeus', 'LA', [455, 410, 395, 395, 380, 420, 390]);
+    const sky = scriptedProvider('Sky-Scrapper', 'Copa Airlines', [470, 430, 399, 420, 399, 450, 430]);
+    flightSearch.setProviders([amadeus, sky]);
+
+    await priceWatch.addWatch(USER, {
+        origin: 'LIM',
+        destination: 'MIA',
+        departureDate: DEPARTURE,
+        threshold: 400,
+        currency: 'USD',
+        currentBest: { price: 412.3, provider: 'Amadeus', airline: 'LATAM' }
+    });
+
+    const run = day => scheduler.runJob('price-watch', new Date(`${addDays(today(), day)}T12:00:00Z`));
+
+    await run(0); // 455 / 470 → above the limit
+    await run(1); // 410 / 430
+    assertEqual(messages.length, 0, 'Nothing below 400 yet');
+
+    await run(2); // 395 / 399 → below the limit
+    assertEqual(messages.length, 1, 'First price below the limit');
+    assertContains(messages[0].text, 'Bajó el precio: LIM → MIA', 'Should say the price dropped');
+    assertContains(messages[0].text, 'USD 395.00* con LA (Amadeus) — antes USD 410.00', 'Best offer and previous price');
+    assertContains(messages[0].text, '1 escala(s)', 'Should show the stops');
+    assertContains(messages[0].text, 'Mínimo visto: USD 395.00 en 4 revisiones', 'History includes the search the user saw');
+
+    await run(3); // 395 / 420 → same price
+    assertEqual(messages.length, 1, 'Same price is not news');
+
+    await run(4); // 380 / 399 → further drop
+    assertEqual(messages.length, 2, 'A further drop notifies again');
+
+    await run(5); // 420 / 450 → back above, re-arms
+    await run(6); // 390 / 430 → below again (more than the last notified price)
+    assertEqual(messages.length, 3, 'Below the limit again after going above');
+    assertContains(messages[2].text, 'USD 390.00', 'Should show the new price');
+
+    assertEqual(amadeus.searches[0].origin, 'LIM');
+    assertEqual(amadeus.searches[0].currency, 'USD');
+
+    const [watch] = await priceWatch.getWatches(USER);
+    assertEqual(watch.history.length, 8);
+    assertEqual(watch.history[watch.history.length - 1].provider, 'Amadeus');
+
+    const history = await priceWatch.handleCommand(USER, '/vigilar historial 1');
+    assertContains(history, '⬇️ Mínimo USD 380.00 · ⬆️ Máximo USD 455.00', 'History shows min and max');
+});
+
+// Test 3: without a limit, any drop notifies; failures and past dates
+runner.addTest('Price watch: drops without a limit, provider failures and expired watches', async () => {
+    await freshState();
+    const messages = createOutbox();
+
+    const amadeus = scriptedProvider('Amadeus', 'AA', [null, 500, 520, 505]);
+    const sky = scriptedProvider('Sky-Scrapper', 'Copa Airlines', [480, null, 470, null]);
+    flightSearch.setProviders([amadeus, sky]);
+
+    await priceWatch.handleCommand(USER, `/vigilar LIM MIA ${DEPARTURE} ${addDays(DEPARTURE, 10)}`);
+    await priceWatch.addWatch(USER, { origin: 'LIM', destination: 'CUZ', departureDate: addDays(today(), -1) });
+
+    const run = day => scheduler.runJob('price-watch', new Date(`${addDays(today(), day)}T12:00:00Z`));
+
+    await run(0); // 480 (Sky-Scrapper only), first price
+    assertEqual(messages.filter(m => m.text.includes('MIA')).length, 0, 'Nothing to compare yet');
+
+    await run(1); // 500 (Amadeus only)
+    await run(2); // 470 → lower than the last check
+    const drops = messages.filter(m => m.text.includes('LIM → MIA'));
+    assertEqual(drops.length, 1, 'Lower than the last check');
+    assertContains(drops[0].text, 'Copa Airlines', 'Cheapest provider wins');
+    assertContains(drops[0].text, 'https://example.com/Sky-Scrapper', 'Should include the link');
+
+    await run(3); // 505 → up
+    assertEqual(messages.filter(m => m.text.includes('LIM → MIA')).length, 1, 'Price going up is not notified');
+
+    // The Cusco flight already left: never searched, removed on the first run
+    const watches = await priceWatch.getWatches(USER);
+    assertEqual(watches.length, 1, 'Past departures are removed');
+    assertEqual(watches[0].destination, 'MIA');
+    assertEqual(watches[0].returnDate, addDays(DEPARTURE, 10));
+    assertEqual(amadeus.searches.length, 4, 'One search per run');
+    assertEqual(amadeus.searches[0].returnDate, addDays(DEPARTURE, 10));
+});
+
+// Test 4: /vigilar revisar checks right away
+runner.addTest('Price watch: /vigilar revisar shows current prices', async () => {
+    await freshState();
+
+    flightSearch.setProviders([scriptedProvider('Amadeus', 'LA', [412])]);
+    await priceWatch.addWatch(USER, {
+        origin: 'LIM',
+        destination: 'MIA',
+        departureDate: DEPARTURE,
+        threshold: 400,
+        currentBest: { price: 430, provider: 'Amadeus', airline: 'LATAM' }
+    });
+
+    const response = await priceWatch.handleCommand(USER, '/vigilar revisar');
+    assertContains(response, '1. LIM → MIA: USD 412.00 (LA, Amadeus) · 📉 18.00 menos', 'Should compare with the last price');
+
+    const [watch] = await priceWatch.getWatches(USER);
+    assertEqual(watch.history.length, 2, 'Manual checks are recorded');
+
+    flightSearch.setProviders([]);
+    assertEqual(await priceWatch.checkWatches(async () => {}), 0, 'No providers, nothing to check');
+});
+
+// Run all tests
+if (require.main === module) {
+    (async () => {
+        const results = await runner.run();
+        process.exit(results.failed > 0 ? 1 : 0);
+    })();
+}
+
+module.exports = { runner, freshState };
@@ -0,0 +1,130 @@
+/**
+ * Receipt Archive Tests
+ *
+ * Tests content-hash storage, transaction links, memo tags and /recibo
+ * search, in a temporary directory.
+ * Run with: node tests/receipt-archive.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestRunner } = require('./flow-tester');
+const receiptArchive = require('../services/receipt-archive');
+
+const USER = 'archive-user@c.us';
+const OTHER_USER = 'archive-other@c.us';
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+/**
+ * Point the archive at an empty temporary directory
+ */
+function freshArchive() {
+    receiptArchive.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+    receiptArchive.index = null;
+    return receiptArchive.dir;
+}
+
+const tottusPhoto = Buffer.from('fake jpeg: boleta Tottus');
+const statementPdf = Buffer.from('%PDF-1.4 fake estado de cuenta');
+
+const runner = new TestRunner();
+
+runner.addTest('Documents are stored once under their content hash', async () => {
+    const dir = freshArchive();
+
+    const hash = await receiptArchive.save(USER, tottusPhoto, { mimetype: 'image/jpeg' });
+    const again = await receiptArchive.save(USER, tottusPhoto, { mimetype: 'image/jpeg', filename: 'boleta.jpg' });
+
+    assertEqual(hash, again);
+    assertEqual(hash.length, 64);
+    assertEqual(fs.existsSync(path.join(dir, hash.substring(0, 2), `${hash}.jpg`)), true);
+
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+    assertEqual(index.documents[hash].filename, 'boleta.jpg', 'A later filename fills the gap');
+    assertEqual(index.documents[hash].users.length, 1);
+});
+
+runner.addTest('Memo tag fits in the YNAB memo limit', async () => {
+    const hash = receiptArchive.hash(tottusPhoto);
+    assertEqual(receiptArchive.tagMemo('', hash), `[doc:${hash.substring(0, 12)}]`);
+    assertEqual(receiptArchive.tagMemo('Arroz 60.00', hash), `Arroz 60.00 [doc:${hash.substring(0, 12)}]`);
+
+    const tagged = receiptArchive.tagMemo('x'.repeat(300), hash);
+    assertEqual(tagged.length, 200);
+    assertEqual(tagged.endsWith(`[doc:${hash.substring(0, 12)}]`), true);
+});
+
+runner.addTest('Search by payee, date and code only sees the user\'s documents', async () => {
+    freshArchive();
+
+    const tottus = await receiptArchive.save(USER, tottusPhoto, { mimetype: 'image/jpeg' });
+    await receiptArchive.link(tottus, [{ id: 'tx-1', date: '2025-03-14', payee: 'Tottus Surco', amount: -118 }]);
+
+    const statement = await receiptArchive.save(USER, statementPdf, { mimetype: 'application/pdf', filename: 'EECC_marzo.pdf' });
+    await receiptArchive.link(statement, [
+        { id: 'tx-2', date: '2025-03-02', payee: 'Wong', amount: -89.9 },
+        { id: 'tx-3', date: '2025-03-20', payee: 'UBER *TRIP 4821', amount: -18 }
+    ]);
+
+    await receiptArchive.save(OTHER_USER, Buffer.from('other'), { mimetype: 'image/png' });
+
+    assertEqual((await receiptArchive.search(USER, 'tottus'))[0].hash, tottus);
+    assertEqual((await receiptArchive.search(USER, 'uber trip'))[0].hash, statement);
+    assertEqual((await receiptArchive.search(USER, '14/03/2025'))[0].hash, tottus);
+    assertEqual((await receiptArchive.search(USER, '2025-03')).length, 2);
+    assertEqual((await receiptArchive.search(USER, 'eecc marzo'))[0].hash, statement, 'Filename is searchable');
+    assertEqual((await receiptArchive.search(USER, statement.substring(0, 12)))[0].hash, statement);
+    assertEqual((await receiptArchive.search(USER, '')).length, 2, 'Other users\' documents are not listed');
+});
+
+runner.addTest('/recibo sends back a single match and lists several', async () => {
+    freshArchive();
+
+    const tottus = await receiptArchive.save(USER, tottusPhoto, { mimetype: 'image/jpeg' });
+    await receiptArchive.link(tottus, [{ id: 'tx-1', date: '2025-03-14', payee: 'Tottus Surco', amount: -118 }]);
+    const statement = await receiptArchive.save(USER, statementPdf, { mimetype: 'application/pdf', filename: 'EECC_marzo.pdf' });
+    await receiptArchive.link(statement, [{ id: 'tx-2', date: '2025-03-02', payee: 'Wong', amount: -89.9 }]);
+
+    const single = await receiptArchive.handleCommand(USER, '/recibo tottus');
+    assertEqual(single.document.mimetype, 'image/jpeg');
+    assertEqual(single.document.buffer.equals(tottusPhoto), true);
+    assertEqual(single.text.includes('Tottus Surco | -118'), true);
+
+    const list = await receiptArchive.handleCommand(USER, '/recibo 2025-03');
+    assertEqual(list.document, null);
+    assertEqual(list.text.includes(statement.substring(0, 12)), true);
+
+    const none = await receiptArchive.handleCommand(USER, '/recibo plaza vea');
+    assertEqual(none.text.includes('No encontré'), true);
+
+    assertEqual(await receiptArchive.handleCommand(USER, 'recibo de luz'), null, 'Only the slash command');
+});
+
+// Run all tests
+runner.addTest('A corrupt index is kept aside, not overwritten', async () => {
+    const dir = freshArchive();
+    fs.writeFileSync(path.join(dir, 'index.json'), '{"documents": {"abc": ');
+
+    const hash = await receiptArchive.save(USER, tottusPhoto, { mimetype: 'image/jpeg' });
+
+    const backups = fs.readdirSync(dir).filter(name => name.startsWith('index.json.corrupt-'));
+    assertEqual(backups.length, 1, 'The corrupt index is renamed');
+    assertEqual(fs.readFileSync(path.join(dir, backups[0]), 'utf8'), '{"documents": {"abc": ');
+
+    const index = JSON.parse(fs.readFileSync(path.join(dir, 'index.json'), 'utf8'));
+    assertEqual(Object.keys(index.documents).join(), hash, 'A new index is started');
+});
+
+if (require.main === module) {
+    runner.run().then(results => {
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
+
+module.exports = { runner };
@@ -0,0 +1,156 @@
+/**
+ * Receipt Parser Tests
+ *
+ * Tests total validation (IGV included or on top), itemized memos and
+ * split lines with tax and tip shared between categories.
+ * Run with: node tests/receipt-parser.test.js
+ */
+
+const {
+    normalizeReceipt,
+    checkReceiptTotal,
+    receiptToTransaction
+} = require('../services/receipt-parser');
+
+// Test counter
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+// Peruvian restaurant: prices include IGV, tip on top
+const restaurant = {
+    merchant: 'La Lucha Sanguchería',
+    date: '2025-03-14',
+    subtotal: 59.32,
+    tax: '10.68',
+    tip: 7,
+    total: 77,
+    items: [
+        { description: 'Sánguche de chicharrón', quantity: 2, amount: 58, categoryName: 'Restaurants' },
+        { description: 'Chicha morada', quantity: 1, amount: 12, categoryName: 'Restaurants' },
+        { description: '', amount: 'ilegible' }
+    ]
+};
+
+console.log('\n🧪 Testing Receipt Parser...\n');
+
+// ===== VALIDATION =====
+console.log('🧮 Testing Total Validation:');
+
+test('Receipt fields are cleaned', () => {
+    const receipt = normalizeReceipt(restaurant);
+    assertEqual(receipt.items.length, 2, 'Lines without amount are dropped');
+    assertEqual(receipt.tax, 10.68);
+    assertEqual(normalizeReceipt({ date: '14/03/2025', items: [] }).date, null);
+});
+
+test('Prices with IGV included plus tip match the total', () => {
+    const check = checkReceiptTotal(normalizeReceipt(restaurant));
+    assertEqual(check.matches, true);
+    assertEqual(check.taxIncluded, true);
+    assertEqual(check.itemsTotal, 70);
+});
+
+test('US receipt adds the tax on top', () => {
+    const check = checkReceiptTotal(normalizeReceipt({
+        total: 27.06,
+        tax: 2.06,
+        items: [{ description: 'Burrito', amount: 15 }, { description: 'Soda', amount: 10 }]
+    }));
+    assertEqual(check.matches, true);
+    assertEqual(check.taxIncluded, false);
+});
+
+test('A misread line shows as a difference', () => {
+    const check = checkReceiptTotal(normalizeReceipt({
+        total: 50,
+        items: [{ description: 'Pan', amount: 20 }, { description: 'Leche', amount: 25 }]
+    }));
+    assertEqual(check.matches, false);
+    assertEqual(check.difference, 5);
+});
+
+// ===== TRANSACTION =====
+console.log('\n🧾 Testing Transaction:');
+
+test('One category: total amount and itemized memo', () => {
+    const tx = receiptToTransaction(normalizeReceipt(restaurant));
+    assertEqual(tx.amount, -77);
+    assertEqual(tx.payee, 'La Lucha Sanguchería');
+    assertEqual(tx.categoryName, 'Restaurants');
+    assertEqual(tx.splits, undefined);
+    assertEqual(tx.memo, '2x Sánguche de chicharrón 58.00, Chicha morada 12.00 | IGV 10.68 incl. | Propina 7.00');
+});
+
+test('Several categories: splits share tax and tip and add up to the total', () => {
+    const tx = receiptToTransaction(normalizeReceipt({
+        merchant: 'Tottus',
+        total: 118,
+        tax: 18,
+        items: [
+            { description: 'Arroz', amount: 60, categoryName: 'Groceries' },
+            { description: 'Lejía', amount: 40, categoryName: 'Household' }
+        ]
+    }));
+
+    assertEqual(tx.splits.length, 2);
+    assertEqual(tx.splits[0].amount, -70.8);
+    assertEqual(tx.splits[1].amount, -47.2);
+    assertEqual(tx.splits[1].memo, 'Lejía 40.00');
+
+    const total = tx.splits.reduce((sum, split) => sum + Math.round(split.amount * 100), 0);
+    assertEqual(total, -11800);
+});
+
+test('Rounding cents go to the largest category', () => {
+    const tx = receiptToTransaction(normalizeReceipt({
+        total: 10,
+        items: [
+            { description: 'A', amount: 3, categoryName: 'Groceries' },
+            { description: 'B', amount: 3, categoryName: 'Household' },
+            { description: 'C', amount: 3.33, categoryName: 'Restaurants' }
+        ]
+    }));
+
+    const total = tx.splits.reduce((sum, split) => sum + Math.round(split.amount * 100), 0);
+    assertEqual(total, -1000);
+});
+
+test('Long memos are cut to the YNAB limit', () => {
+    const items = Array.from({ length: 30 }, (_, i) => ({ description: `Producto número ${i + 1}`, amount: 1, categoryName: 'Groceries' }));
+    const tx = receiptToTransaction(normalizeReceipt({ total: 30, items }));
+    assertEqual(tx.memo.length, 200);
+    assertEqual(tx.memo.endsWith('…'), true);
+});
+
+// ===== RESULTS =====
+console.log('\n' + '='.repeat(50));
+console.log('📊 TEST RESULTS:');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+    console.log('\n⚠️  Some tests failed!');
+    process.exit(1);
+} else {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+}
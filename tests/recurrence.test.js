@@ -0,0 +1,131 @@
+/**
+ * Recurrence Tests
+ *
+ * Tests scheduled transaction date math and recurrence phrase parsing.
+ * Run with: node tests/recurrence.test.js
+ */
+
+const {
+    addMonths,
+    nextDate,
+    occurrencesBetween,
+    parseRecurrence,
+    parseDate,
+    firstDate
+} = require('../services/recurrence');
+const ScheduledTransactionsFlow = require('../flows/ScheduledTransactionsFlow');
+
+// Test counter
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+console.log('\n🧪 Testing Recurrence...\n');
+
+// ===== DATE MATH =====
+console.log('📅 Testing Date Math:');
+
+test('Monthly keeps the day, clamped to short months', () => {
+    assertEqual(addMonths('2025-01-31', 1), '2025-02-28');
+    assertEqual(nextDate('2025-02-28', 'monthly', 31), '2025-03-31');
+});
+
+test('Weekly and one-time frequencies', () => {
+    assertEqual(nextDate('2025-03-01', 'weekly'), '2025-03-08');
+    assertEqual(nextDate('2025-03-01', 'never'), null);
+});
+
+test('Twice a month alternates day and day + 15', () => {
+    assertEqual(nextDate('2025-03-01', 'twiceAMonth'), '2025-03-16');
+    assertEqual(nextDate('2025-03-16', 'twiceAMonth'), '2025-04-01');
+});
+
+test('Occurrences inside a window', () => {
+    const dates = occurrencesBetween('2025-03-01', 'weekly', '2025-03-01', '2025-03-08');
+    assertEqual(dates.join(','), '2025-03-01,2025-03-08');
+    assertEqual(occurrencesBetween('2025-03-20', 'monthly', '2025-03-01', '2025-03-08').length, 0);
+});
+
+// ===== PARSING =====
+console.log('\n📝 Testing Parsing:');
+
+test('Monthly phrase with day of month', () => {
+    const parsed = parseRecurrence('Alquiler 1500 cada mes el día 1');
+    assertEqual(parsed.frequency, 'monthly');
+    assertEqual(parsed.dayOfMonth, 1);
+    assertEqual(parsed.rest, 'alquiler 1500');
+});
+
+test('Weekly phrase with weekday', () => {
+    const parsed = parseRecurrence('gimnasio 120 semanal los lunes');
+    assertEqual(parsed.frequency, 'weekly');
+    assertEqual(parsed.weekday, 1);
+});
+
+test('Messages without a frequency are not recurrences', () => {
+    assertEqual(parseRecurrence('Gasté 50 en Starbucks'), null);
+});
+
+test('First date is always after today', () => {
+    assertEqual(firstDate({ dayOfMonth: 1 }, '2025-03-01'), '2025-04-01');
+    assertEqual(firstDate({ dayOfMonth: 15 }, '2025-03-01'), '2025-03-15');
+    assertEqual(firstDate({ weekday: 6 }, '2025-03-01'), '2025-03-08'); // 2025-03-01 is a Saturday
+    assertEqual(firstDate({ frequency: 'monthly' }, '2025-03-01'), null);
+});
+
+test('Date answers', () => {
+    assertEqual(parseDate('mañana', '2025-03-01'), '2025-03-02');
+    assertEqual(parseDate('día 10', '2025-03-01'), '2025-03-10');
+    assertEqual(parseDate('2025-02-01', '2025-03-01'), null);
+});
+
+test('Draft keeps the payee spelling and detects income', () => {
+    const laundry = ScheduledTransactionsFlow.parseDraft('Lavandería 30 cada semana');
+    assertEqual(laundry.payee, 'Lavandería');
+    assertEqual(laundry.amount, -30);
+
+    const salary = ScheduledTransactionsFlow.parseDraft('sueldo 5000 mensual el día 30 en BCP SOLES');
+    assertEqual(salary.payee, 'Sueldo');
+    assertEqual(salary.amount, 5000);
+    assertEqual(ScheduledTransactionsFlow.parseDraft('resumen mensual'), null);
+});
+
+test('Draft needs an explicit recurrence', () => {
+    assertEqual(ScheduledTransactionsFlow.parseDraft('gasté 20 en el diario'), null);
+    assertEqual(ScheduledTransactionsFlow.parseDraft('pagué 80 de la cuota mensual'), null);
+    assertEqual(ScheduledTransactionsFlow.parseDraft('gimnasio 120 semanal los lunes').frequency, 'weekly');
+    assertEqual(ScheduledTransactionsFlow.parseDraft('netflix 45 mensualmente').payee, 'Netflix');
+    assertEqual(ScheduledTransactionsFlow.parseDraft('programar seguro 300 anual').frequency, 'yearly');
+});
+
+// ===== RESULTS =====
+console.log('\n' + '='.repeat(50));
+console.log('📊 TEST RESULTS:');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+    console.log('\n⚠️  Some tests failed!');
+    process.exit(1);
+} else {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+}
@@ -0,0 +1,220 @@
+/**
+ * Scheduled Jobs Tests (offline)
+ *
+ * Runs the scheduler jobs (digest, alerts) against the fake YNAB server and checks
+ * what would be pushed to WhatsApp.
+ * Run with: node tests/scheduled-jobs.e2e.test.js
+ */
+
+const { TestRunner } = require('./flow-tester');
+const { FakeYnabServer } = require('./fake-ynab-server');
+const ynabService = require('../services/ynab-service');
+const scheduler = require('../services/scheduler');
+const digestService = require('../services/digest-service');
+const alertService = require('../services/alert-service');
+const { UserStorage } = require('../storage');
+
+const server = new FakeYnabServer();
+
+// bot.js registers the jobs at startup
+digestService.register(scheduler);
+alertService.register(scheduler);
+
+// Monday 2026-10-19 08:00 in America/Lima (UTC-5)
+const MONDAY_8AM = new Date('2026-10-19T13:00:00Z');
+const MONDAY_9AM = new Date('2026-10-19T14:00:00Z');
+const TUESDAY_8AM = new Date('2026-10-20T13:00:00Z');
+
+/**
+ * Collects messages instead of sending them to WhatsApp
+ */
+function createOutbox() {
+    const messages = [];
+    const sendMessage = async (userId, text) => {
+        messages.push({ userId, text });
+    };
+    return { messages, sendMessage };
+}
+
+/**
+ * Reset fixtures, caches and stored users before each test
+ */
+async function freshState() {
+    server.reset();
+    await ynabService.clearCache();
+    for (const userId of await UserStorage.getAllUsers()) {
+        await UserStorage.delete(userId);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertContains(text, expected, message) {
+    assert(text.includes(expected), `${message}\nExpected to contain: "${expected}"\nActual: "${text}"`);
+}
+
+const runner = new TestRunner();
+
+// Test 1: /digest commands store and clear the schedule
+runner.addTest('Digest: commands configure the schedule', async () => {
+    const userId = 'digest-config@c.us';
+    await freshState();
+
+    let response = await digestService.handleCommand(userId, '/digest diario 8am');
+    assertContains(response, 'Todos los días a las 08:00', 'Should confirm the daily schedule');
+    let prefs = await digestService.getPreferences(userId);
+    assert(prefs.frequency === 'daily' && prefs.hour === 8, `Unexpected prefs ${JSON.stringify(prefs)}`);
+
+    response = await digestService.handleCommand(userId, '/digest semanal Lunes 7 pm');
+    assertContains(response, 'Cada lunes a las 19:00', 'Should confirm the weekly schedule');
+    prefs = await digestService.getPreferences(userId);
+    assert(prefs.frequency === 'weekly' && prefs.weekday === 1 && prefs.hour === 19, `Unexpected prefs ${JSON.stringify(prefs)}`);
+
+    response = await digestService.handleCommand(userId, '/digest diario 25');
+    assertContains(response, 'No entendí la hora', 'Should reject invalid hours');
+
+    response = await digestService.handleCommand(userId, '/digest off');
+    assertContains(response, 'Digest desactivado', 'Should confirm opt-out');
+    assert(await digestService.getPreferences(userId) === null, 'Preferences should be cleared');
+
+    assert(await digestService.handleCommand(userId, 'ver balances') === null, 'Other messages are not digest commands');
+});
+
+// Test 2: The digest summarizes balances, spending and pending approvals
+runner.addTest('Digest: weekly content per budget', async () => {
+    await freshState();
+
+    const digest = await digestService.buildDigest('weekly');
+
+    assertContains(digest, 'Resumen Semanal', 'Should have a weekly title');
+    assertContains(digest, '*BCP SOLES*', 'Should list each budget');
+    assertContains(digest, 'Checking: S/820.50', 'Should group balances by account type');
+    assertContains(digest, 'Savings: S/1,500.00', 'Should include savings');
+    assertContains(digest, 'Credit Card: -S/320.00', 'Should include credit cards');
+    assertContains(digest, 'Gastado: S/265.90', 'Should total last week spending');
+    assertContains(digest, 'Utilities: S/120.00 (45%)', 'Should list top categories');
+    assertContains(digest, 'Patrimonio neto: S/12,688.00 (PEN)', 'Should add up budgets in the home currency');
+    assertContains(digest, 'Por aprobar: 3', 'Should count unapproved transactions per budget');
+    assertContains(digest, 'Tienes 4 transacciones por aprobar', 'Should total unapproved transactions');
+});
+
+// Test 3: The scheduler job sends once per period, at the configured hour
+runner.addTest('Digest: scheduler sends due digests once', async () => {
+    await freshState();
+    await digestService.handleCommand('daily@c.us', '/digest diario 8am');
+    await digestService.handleCommand('weekly@c.us', '/digest semanal martes 8am');
+    await digestService.handleCommand('off@c.us', '/digest off');
+
+    const outbox = createOutbox();
+    scheduler.start(outbox.sendMessage);
+
+    try {
+        await scheduler.runJob('digest', MONDAY_9AM);
+        assert(outbox.messages.length === 0, 'Nothing is due at 9am');
+
+        await scheduler.runJob('digest', MONDAY_8AM);
+        assert(outbox.messages.length === 1, `Expected 1 digest, got ${outbox.messages.length}`);
+        assert(outbox.messages[0].userId === 'daily@c.us', 'Daily user should get the digest');
+        assertContains(outbox.messages[0].text, 'Resumen Diario', 'Should send the daily digest');
+
+        await scheduler.runJob('digest', MONDAY_8AM);
+        assert(outbox.messages.length === 1, 'Should not send twice the same day');
+
+        await scheduler.runJob('digest', TUESDAY_8AM);
+        const recipients = outbox.messages.slice(1).map(m => m.userId).sort();
+        assert(recipients.join(',') === 'daily@c.us,weekly@c.us', `Unexpected recipients ${recipients}`);
+        assertContains(outbox.messages[2].text + outbox.messages[1].text, 'Resumen Semanal', 'Weekly user gets the weekly digest');
+    } finally {
+        scheduler.stop();
+    }
+});
+
+// Test 4: /alerta commands add, list and delete rules
+runner.addTest('Alerts: commands manage rules', async () => {
+    const userId = 'alerts-config@c.us';
+    await freshState();
+
+    let response = await alertService.handleCommand(userId, '/alerta negativo');
+    assertContains(response, 'cualquier categoría en negativo', 'Should add a negative rule');
+
+    response = await alertService.handleCommand(userId, '/alerta Groceries 80%');
+    assertContains(response, 'Groceries supera 80%', 'Should add a percentage rule');
+
+    response = await alertService.handleCommand(userId, '/alerta saldo BCP Cuenta Corriente < 900');
+    assertContains(response, 'BCP Cuenta Corriente con saldo menor a 900.00', 'Should add a balance rule');
+
+    response = await alertService.handleCommand(userId, '/alerta algo raro');
+    assertContains(response, 'No entendí la alerta', 'Should reject unknown rules');
+
+    response = await alertService.handleCommand(userId, '/alertas');
+    assertContains(response, '3. BCP Cuenta Corriente', 'Should list rules in order');
+
+    response = await alertService.handleCommand(userId, '/alerta borrar 1');
+    assertContains(response, 'Alerta eliminada', 'Should delete a rule');
+    const rules = await alertService.getRules(userId);
+    assert(rules.length === 2 && rules[0].type === 'category_percent', `Unexpected rules ${JSON.stringify(rules)}`);
+
+    assert(await alertService.handleCommand(userId, '/digest') === null, 'Other commands are not alert commands');
+});
+
+// Test 5: Alerts fire once, and again only after the condition clears
+runner.addTest('Alerts: scheduler notifies new alerts and re-arms', async () => {
+    const userId = 'alerts-run@c.us';
+    await freshState();
+    await alertService.handleCommand(userId, '/alerta negativo Restaurants');
+    await alertService.handleCommand(userId, '/alerta Groceries 80%');
+    await alertService.handleCommand(userId, '/alerta saldo Corriente 900');
+
+    const outbox = createOutbox();
+    scheduler.start(outbox.sendMessage);
+
+    try {
+        await scheduler.runJob('alerts');
+        assert(outbox.messages.length === 1, `Expected 1 notification, got ${outbox.messages.length}`);
+        const first = outbox.messages[0].text;
+        assertContains(first, '*Restaurants* (BCP SOLES) está en negativo: -56.00', 'Should flag the overspent category');
+        assertContains(first, '*BCP Cuenta Corriente* (BCP SOLES) bajó de 900.00: saldo 820.50', 'Should flag the low balance');
+        assert(!first.includes('Groceries'), 'Groceries is still under 80%');
+
+        await scheduler.runJob('alerts');
+        assert(outbox.messages.length === 1, 'Should not repeat active alerts');
+
+        // A new expense pushes Groceries over 80% (412.30 + 300 of 800)
+        await ynabService.createTransaction('budget-soles', 'acc-soles-ahorro', -300, 'Wong', 'cat-soles-groceries', '');
+        await scheduler.runJob('alerts');
+        assert(outbox.messages.length === 2, 'Should notify the new alert');
+        assertContains(outbox.messages[1].text, '*Groceries* (BCP SOLES) usó 89% del presupuesto: 712.30 de 800.00', 'Should show usage');
+        assert(!outbox.messages[1].text.includes('Restaurants'), 'Only new alerts are sent');
+
+        // Restaurants recovers, then goes negative again
+        const restaurants = server.data.categoryGroups['budget-soles'][0].categories[1];
+        restaurants.balance = 10000;
+        await scheduler.runJob('alerts');
+        restaurants.balance = -5000;
+        await scheduler.runJob('alerts');
+        assert(outbox.messages.length === 3, `Expected re-armed alert, got ${outbox.messages.length} messages`);
+        assertContains(outbox.messages[2].text, 'está en negativo: -5.00', 'Should fire again after recovering');
+    } finally {
+        scheduler.stop();
+    }
+});
+
+// Run all tests
+if (require.main === module) {
+    (async () => {
+        await server.start();
+        ynabService.baseUrl = server.baseUrl;
+        ynabService.apiKey = server.apiKey;
+
+        const results = await runner.run();
+
+        await server.stop();
+        process.exit(results.failed > 0 ? 1 : 0);
+    })();
+}
+
+module.exports = { runner, server, createOutbox, freshState };
@@ -0,0 +1,117 @@
+/**
+ * Speech Service Tests
+ *
+ * Tests the Whisper backend with stand-in ffmpeg/whisper executables,
+ * transcript cleanup and voice note detection.
+ * Run with: node tests/speech-service.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestRunner } = require('./flow-tester');
+const speechService = require('../services/speech-service');
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+/**
+ * Write an executable Node script that stands in for ffmpeg or whisper
+ */
+function fakeBinary(dir, name, source) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, `#!${process.execPath}\n${source}\n`, { mode: 0o755 });
+    return file;
+}
+
+const binDir = fs.mkdtempSync(path.join(os.tmpdir(), 'speech-bin-'));
+
+// ffmpeg: copies the input to the last argument (the WAV path)
+const ffmpeg = fakeBinary(binDir, 'ffmpeg', `
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.copyFileSync(args[args.indexOf('-i') + 1], args[args.length - 1]);
+`);
+
+// whisper: prints what was "said" (the file contents) and the arguments it got
+const whisper = fakeBinary(binDir, 'whisper-cli', `
+const fs = require('fs');
+const args = process.argv.slice(2);
+const input = args[args.indexOf('-f') + 1];
+if (!input.endsWith('.wav')) { console.error('expected a WAV file'); process.exit(1); }
+console.error('whisper_init_from_file: loading model ' + args[args.indexOf('-m') + 1]);
+process.stdout.write(' ' + fs.readFileSync(input, 'utf8') + ' [lang:' + args[args.indexOf('-l') + 1] + ']\\n');
+`);
+
+const runner = new TestRunner();
+
+runner.addTest('Whisper backend converts the audio and reads the transcript', async () => {
+    const backend = speechService.createWhisperBackend({ bin: whisper, model: 'ggml-base.bin', ffmpeg });
+    speechService.setBackend(backend);
+
+    const text = await speechService.transcribe(Buffer.from('Gasté 45 soles en el mercado.'));
+    assertEqual(text, 'Gasté 45 soles en el mercado', 'Tags and the final period are removed');
+    assertEqual(backend.name, 'whisper (whisper-cli)');
+});
+
+runner.addTest('Arguments template and language come from the configuration', async () => {
+    const backend = speechService.createWhisperBackend({
+        bin: whisper,
+        model: 'ggml-small.bin',
+        language: 'en',
+        args: '-m {model} -l {language} -f {input} --no-timestamps',
+        ffmpeg
+    });
+
+    const raw = await backend.transcribe(Buffer.from('spent 20 dollars at Target'));
+    assertEqual(raw.includes('[lang:en]'), true);
+
+    const spanish = await backend.transcribe(Buffer.from('hola'), { language: 'es' });
+    assertEqual(spanish.includes('[lang:es]'), true, 'The language can be chosen per call');
+});
+
+runner.addTest('A failing binary is reported with its output', async () => {
+    const failing = fakeBinary(binDir, 'broken-whisper', `console.error('failed to open model'); process.exit(3);`);
+    speechService.setBackend(speechService.createWhisperBackend({ bin: failing, model: 'missing.bin', ffmpeg }));
+
+    let error = null;
+    try {
+        await speechService.transcribe(Buffer.from('audio'));
+    } catch (e) {
+        error = e;
+    }
+    assertEqual(error !== null && error.message.includes('failed to open model'), true);
+
+    const tmpLeft = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('voice-'));
+    assertEqual(tmpLeft.length, 0, 'Temporary audio is deleted');
+});
+
+runner.addTest('Transcripts are cleaned into a chat message', async () => {
+    assertEqual(speechService.cleanTranscript(' [Música]\n Gasté 30 soles\n en la bodega. (risas) '), 'Gasté 30 soles en la bodega');
+    assertEqual(speechService.cleanTranscript('"Pagué 20 dólares en Uber."'), 'Pagué 20 dólares en Uber');
+    assertEqual(speechService.cleanTranscript('[BLANK_AUDIO]'), '');
+});
+
+runner.addTest('Voice notes are detected and limited in length', async () => {
+    assertEqual(speechService.isVoiceNote({ hasMedia: true, type: 'ptt' }), true);
+    assertEqual(speechService.isVoiceNote({ hasMedia: true, type: 'audio' }), true);
+    assertEqual(speechService.isVoiceNote({ hasMedia: true, type: 'image' }), false);
+    assertEqual(speechService.isTooLong({ duration: '45' }), false);
+    assertEqual(speechService.isTooLong({ duration: '300' }), true);
+
+    speechService.setBackend(null);
+    assertEqual(speechService.isAvailable(), false);
+});
+
+// Run all tests
+if (require.main === module) {
+    runner.run().then(results => {
+        fs.rmSync(binDir, { recursive: true, force: true });
+        process.exit(results.failed > 0 ? 1 : 0);
+    });
+}
+
+module.exports = { runner };
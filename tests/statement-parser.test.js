@@ -0,0 +1,194 @@
+/**
+ * Statement Parser Tests
+ *
+ * Tests CSV (bank profiles and generic), OFX and QFX parsing.
+ * Run with: node tests/statement-parser.test.js
+ */
+
+const {
+    isStatementFile,
+    decodeFile,
+    parseStatementFile,
+    parseAmount,
+    parseStatementDate
+} = require('../services/statement-parser');
+
+// Test counter
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+console.log('\n🧪 Testing Statement Parser...\n');
+
+// ===== VALUES =====
+console.log('🔢 Testing Values:');
+
+test('Amounts as banks write them', () => {
+    assertEqual(parseAmount('-1,234.56'), -1234.56);
+    assertEqual(parseAmount('1.234,56'), 1234.56);
+    assertEqual(parseAmount('(45.00)'), -45);
+    assertEqual(parseAmount('S/ -12.50'), -12.5);
+    assertEqual(parseAmount(''), null);
+});
+
+test('Dates in ISO, OFX and slashed formats', () => {
+    assertEqual(parseStatementDate('20250314120000[-5:EST]'), '2025-03-14');
+    assertEqual(parseStatementDate('14/03/2025'), '2025-03-14');
+    assertEqual(parseStatementDate('03/14/2025', 'MDY'), '2025-03-14');
+    assertEqual(parseStatementDate('TOTAL'), null);
+});
+
+test('Statement attachments by extension or MIME type', () => {
+    assertEqual(isStatementFile('movimientos.CSV', 'application/octet-stream'), true);
+    assertEqual(isStatementFile(null, 'application/x-ofx'), true);
+    assertEqual(isStatementFile('estado.pdf', 'application/pdf'), false);
+    assertEqual(decodeFile(Buffer.from('\uFEFFFecha;Monto', 'utf8')), 'Fecha;Monto');
+    assertEqual(decodeFile(Buffer.from('Descripción', 'latin1')), 'Descripción');
+});
+
+// ===== CSV =====
+console.log('\n📄 Testing CSV:');
+
+test('BCP export with preamble, semicolons and running balance', () => {
+    const csv = [
+        'Cuenta: 191-12345678-0-12',
+        'Fecha;Fecha valuta;Descripción operación;Monto;Saldo',
+        '15/03/2025;15/03/2025;PLAZA VEA MIRAFLORES;-85.50;1,734.50',
+        '14/03/2025;14/03/2025;"ABONO SUELDO; MARZO";1,500.00;1,820.00'
+    ].join('\n');
+
+    const parsed = parseStatementFile(csv, 'movimientos.csv');
+    assertEqual(parsed.profile, 'BCP');
+    assertEqual(parsed.transactions.length, 2);
+    assertEqual(parsed.transactions[0].amount, -85.5);
+    assertEqual(parsed.transactions[1].payee, 'ABONO SUELDO; MARZO');
+    assertEqual(parsed.statementBalance, 1734.5, 'Newest-first file: first row has the closing balance');
+});
+
+test('Chase checking and credit card profiles use month/day dates', () => {
+    const checking = parseStatementFile([
+        'Details,Posting Date,Description,Amount,Type,Balance,Check or Slip #',
+        'DEBIT,03/04/2025,"WHOLE FOODS, AUSTIN",-54.32,DEBIT_CARD,2445.68,,'
+    ].join('\r\n'));
+    assertEqual(checking.profile, 'Chase (cuenta)');
+    assertEqual(checking.transactions[0].date, '2025-03-04');
+    assertEqual(checking.transactions[0].payee, 'WHOLE FOODS, AUSTIN');
+
+    const card = parseStatementFile([
+        'Transaction Date,Post Date,Description,Category,Type,Amount,Memo',
+        '03/05/2025,03/06/2025,NETFLIX.COM,Entertainment,Sale,-15.99,',
+        '03/07/2025,03/07/2025,Payment Thank You,,Payment,450.00,'
+    ].join('\n'));
+    assertEqual(card.profile, 'Chase (tarjeta)');
+    assertEqual(card.transactions[0].date, '2025-03-05');
+    assertEqual(card.transactions[1].amount, 450);
+    assertEqual(card.statementBalance, null);
+});
+
+test('Generic CSV with debit/credit columns guesses the date order', () => {
+    const parsed = parseStatementFile([
+        'Fecha,Concepto,Cargo,Abono',
+        '02/03/2025,Tambo,12.90,',
+        '25/03/2025,Devolución,,5.00',
+        'TOTAL,,12.90,5.00'
+    ].join('\n'));
+    assertEqual(parsed.profile, 'Genérico');
+    assertEqual(parsed.transactions.length, 2, 'Total row is skipped');
+    assertEqual(parsed.transactions[0].date, '2025-03-02', '25/03 means day/month');
+    assertEqual(parsed.transactions[0].amount, -12.9);
+    assertEqual(parsed.transactions[1].amount, 5);
+});
+
+test('Unknown CSV columns are rejected', () => {
+    let error = null;
+    try {
+        parseStatementFile('a,b,c\n1,2,3');
+    } catch (e) {
+        error = e;
+    }
+    assertEqual(!!error, true);
+});
+
+// ===== OFX / QFX =====
+console.log('\n🏦 Testing OFX/QFX:');
+
+test('OFX 1.x (SGML, no closing tags) with ledger balance', () => {
+    const ofx = `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX>
+<SIGNONMSGSRSV1><SONRS><FI><ORG>Chase</FI></SONRS></SIGNONMSGSRSV1>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS><CURDEF>USD
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20250304120000[0:GMT]
+<TRNAMT>-54.32
+<FITID>2025030401
+<NAME>WHOLE FOODS
+<MEMO>AUSTIN TX
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20250305
+<TRNAMT>1200.00
+<FITID>2025030501
+<MEMO>PAYROLL
+</BANKTRANLIST>
+<LEDGERBAL><BALAMT>2445.68<DTASOF>20250305</LEDGERBAL>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+    const parsed = parseStatementFile(ofx, 'export.ofx');
+    assertEqual(parsed.format, 'ofx');
+    assertEqual(parsed.profile, 'Chase');
+    assertEqual(parsed.transactions.length, 2);
+    assertEqual(parsed.transactions[0].payee, 'WHOLE FOODS');
+    assertEqual(parsed.transactions[0].memo, 'AUSTIN TX');
+    assertEqual(parsed.transactions[1].payee, 'PAYROLL', 'MEMO is the payee when there is no NAME');
+    assertEqual(parsed.statementBalance, 2445.68);
+});
+
+test('QFX 2.x (XML)', () => {
+    const qfx = `<?xml version="1.0"?><?OFX OFXHEADER="200"?>
+<OFX><CREDITCARDMSGSRSV1><CCSTMTTRNRS><CCSTMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT</TRNTYPE><DTPOSTED>20250306</DTPOSTED><TRNAMT>-15.99</TRNAMT><NAME>NETFLIX.COM</NAME></STMTTRN>
+</BANKTRANLIST><LEDGERBAL><BALAMT>-465.99</BALAMT></LEDGERBAL></CCSTMTRS></CCSTMTTRNRS></CREDITCARDMSGSRSV1></OFX>`;
+
+    const parsed = parseStatementFile(qfx, 'export.QFX');
+    assertEqual(parsed.transactions.length, 1);
+    assertEqual(parsed.transactions[0].amount, -15.99);
+    assertEqual(parsed.transactions[0].date, '2025-03-06');
+    assertEqual(parsed.statementBalance, -465.99);
+});
+
+// ===== RESULTS =====
+console.log('\n' + '='.repeat(50));
+console.log('📊 TEST RESULTS:');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+    console.log('\n⚠️  Some tests failed!');
+    process.exit(1);
+} else {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+}
@@ -0,0 +1,125 @@
+/**
+ * Storage Tests (offline)
+ *
+ * Tests the file-backed store (STORAGE_FILE): values, TTLs and flow sessions
+ * survive a restart, simulated with a new storage instance on the same file.
+ * Run with: node tests/storage.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestRunner } = require('./flow-tester');
+
+// The shared storage instance reads STORAGE_FILE when first required
+const storageFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'storage-')), 'storage.json');
+process.env.STORAGE_FILE = storageFile;
+
+const { Storage } = require('../storage');
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+/**
+ * Empty storage file in a temporary directory
+ */
+function freshFile() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'storage-')), 'storage.json');
+}
+
+/**
+ * Require the bot's modules again, as a restarted process would
+ */
+function restartModules() {
+    const root = path.resolve(__dirname, '..');
+    for (const file of Object.keys(require.cache)) {
+        if (file.startsWith(root) && !file.includes('node_modules')) {
+            delete require.cache[file];
+        }
+    }
+}
+
+const runner = new TestRunner();
+
+runner.addTest('Values and TTLs survive a new storage instance', async () => {
+    const filePath = freshFile();
+    const first = new Storage({ filePath });
+
+    await first.set('user:ana@c.us', { digest: { schedule: 'daily', hour: 8 } });
+    await first.set('cache:accounts', ['acc-1'], 1800);
+    await first.set('cache:expired', 'old', 1);
+    await first.set('user:removed@c.us', { trips: [] });
+    await first.delete('user:removed@c.us');
+    first.expiresAt.set('cache:expired', Date.now() - 1000);
+    await first.set('user:ana@c.us', { digest: { schedule: 'weekly', hour: 7 } });
+    await first.close();
+
+    const second = new Storage({ filePath });
+    assertEqual((await second.get('user:ana@c.us')).digest.schedule, 'weekly', 'Latest value');
+    assertEqual((await second.get('cache:accounts'))[0], 'acc-1');
+    assert(second.expiresAt.get('cache:accounts') > Date.now(), 'TTL is kept');
+    assertEqual(await second.get('user:removed@c.us'), null, 'Deleted keys stay deleted');
+    assertEqual(await second.get('cache:expired'), null, 'Expired keys are not loaded');
+    assertEqual((await second.keys('user:*')).length, 1);
+    await second.close();
+});
+
+runner.addTest('A corrupt storage file is kept aside, not overwritten', async () => {
+    const filePath = freshFile();
+    fs.writeFileSync(filePath, '{"user:ana@c.us": {"value": ');
+
+    const storage = new Storage({ filePath });
+    assertEqual(await storage.get('user:ana@c.us'), null);
+
+    const corrupt = fs.readdirSync(path.dirname(filePath)).filter(name => name.includes('.corrupt-'));
+    assertEqual(corrupt.length, 1, 'The corrupt file is renamed');
+
+    await storage.set('user:ana@c.us', { ok: true });
+    await storage.close();
+    assertEqual(JSON.parse(fs.readFileSync(filePath, 'utf8'))['user:ana@c.us'].expiresAt, null);
+});
+
+runner.addTest('A flow session is restored after a restart', async () => {
+    const userId = 'storage-restart@c.us';
+    const flowState = require('../flows/state');
+    const ScheduledTransactionsFlow = require('../flows/ScheduledTransactionsFlow');
+
+    const flow = new ScheduledTransactionsFlow(userId);
+    flowState.startFlowForUser(userId, flow);
+    const response = await flow.onStart('alquiler 1500 cada mes el día 1');
+    assert(response.includes('¿De qué presupuesto?'), 'Should ask for the budget');
+    await flowState.persistSession(userId);
+    await require('../storage').storage.close();
+
+    restartModules();
+    const restartedState = require('../flows/state');
+    assertEqual(restartedState.getUserSession(userId), null, 'Nothing in memory after the restart');
+
+    const restored = await restartedState.restoreSessions();
+    assertEqual(restored, 1);
+
+    const { flowInstance } = restartedState.getUserSession(userId);
+    assertEqual(flowInstance.constructor.name, 'ScheduledTransactionsFlow');
+    assertEqual(flowInstance.state.step, 'select_budget');
+    assertEqual(flowInstance.state.data.draft.payee, 'Alquiler');
+    assertEqual(flowInstance.state.data.draft.amount, -1500);
+});
+
+// Run all tests
+if (require.main === module) {
+    (async () => {
+        const results = await runner.run();
+        process.exit(results.failed > 0 ? 1 : 0);
+    })();
+}
+
+module.exports = { runner };
@@ -0,0 +1,155 @@
+/**
+ * Transaction Matcher Tests
+ *
+ * Tests duplicate detection and import_id generation for document imports.
+ * Run with: node tests/transaction-matcher.test.js
+ */
+
+const {
+    normalizePayee,
+    payeeSimilarity,
+    generateImportId,
+    assignImportIds,
+    findDuplicate,
+    flagDuplicates
+} = require('../services/transaction-matcher');
+
+// Test counter
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function ynabTx(id, date, amount, payee, extra = {}) {
+    return { id, date, amount, payee_name: payee, account_id: 'acc-1', deleted: false, ...extra };
+}
+
+console.log('\n🧪 Testing Transaction Matcher...\n');
+
+// ===== PAYEE NORMALIZATION =====
+console.log('📝 Testing Payee Normalization:');
+
+test('Strips store numbers and symbols', () => {
+    assertEqual(normalizePayee('UBER *TRIP 4821'), 'uber trip');
+});
+
+test('Strips accents and noise words', () => {
+    assertEqual(normalizePayee('Cafetería Ñaña S.A.C. LIMA PE'), 'cafeteria nana');
+});
+
+test('Similar bank descriptions score high', () => {
+    assertEqual(payeeSimilarity('PLAZA VEA MIRAFLORES', 'Plaza Vea') >= 0.5, true);
+    assertEqual(payeeSimilarity('Starbuks', 'Starbucks') >= 0.5, true);
+});
+
+test('Unrelated payees score low', () => {
+    assertEqual(payeeSimilarity('Netflix', 'Plaza Vea') < 0.5, true);
+});
+
+// ===== IMPORT IDS =====
+console.log('\n📝 Testing Import IDs:');
+
+test('Import IDs are stable and fit YNAB limit', () => {
+    const a = generateImportId(-45000, '2025-03-01', 'UBER *TRIP 4821');
+    const b = generateImportId(-45000, '2025-03-01', 'Uber Trip');
+    assertEqual(a, b, 'Same normalized payee should give same ID');
+    assertEqual(a.length <= 36, true, `ID too long: ${a}`);
+});
+
+test('Identical rows get different occurrences', () => {
+    const txs = assignImportIds([
+        { date: '2025-03-01', amount: -10, payee: 'Tambo' },
+        { date: '2025-03-01', amount: -10, payee: 'Tambo' }
+    ]);
+    assertEqual(txs[0].importId.endsWith(':1'), true);
+    assertEqual(txs[1].importId.endsWith(':2'), true);
+});
+
+// ===== DUPLICATE DETECTION =====
+console.log('\n📝 Testing Duplicate Detection:');
+
+test('Matches by import_id first', () => {
+    const [candidate] = assignImportIds([{ date: '2025-03-01', amount: -10, payee: 'Tambo' }]);
+    const existing = [ynabTx('t1', '2025-02-01', -99000, 'Otro', { import_id: candidate.importId })];
+    assertEqual(findDuplicate(candidate, existing).reason, 'import_id');
+});
+
+test('Matches same amount within date window and similar payee', () => {
+    const candidate = { date: '2025-03-03', amount: -45, payee: 'UBER TRIP' };
+    const match = findDuplicate(candidate, [ynabTx('t1', '2025-03-01', -45000, 'Uber')]);
+    assertEqual(match.reason, 'fuzzy');
+});
+
+test('Ignores different amounts and distant dates', () => {
+    const candidate = { date: '2025-03-10', amount: -45, payee: 'Uber' };
+    const existing = [
+        ynabTx('t1', '2025-03-10', -46000, 'Uber'),
+        ynabTx('t2', '2025-03-01', -45000, 'Uber')
+    ];
+    assertEqual(findDuplicate(candidate, existing), null);
+});
+
+test('Same day and amount is flagged even with a renamed payee', () => {
+    const candidate = { date: '2025-03-10', amount: -120, payee: 'LUZDELSUR RECIBO' };
+    const match = findDuplicate(candidate, [ynabTx('t1', '2025-03-10', -120000, 'Electricity')]);
+    assertEqual(match.reason, 'same_day');
+});
+
+test('Each existing transaction matches only one candidate', () => {
+    const candidates = [
+        { date: '2025-03-01', amount: -10, payee: 'Tambo' },
+        { date: '2025-03-01', amount: -10, payee: 'Tambo' }
+    ];
+    const flagged = flagDuplicates(candidates, [ynabTx('t1', '2025-03-01', -10000, 'Tambo')], { accountId: 'acc-1' });
+    assertEqual(flagged, 1);
+    assertEqual(!!candidates[0].duplicateOf, true);
+    assertEqual(candidates[1].duplicateOf, undefined);
+});
+
+test('Only compares against the selected account', () => {
+    const candidates = [{ date: '2025-03-01', amount: -10, payee: 'Tambo' }];
+    const existing = [ynabTx('t1', '2025-03-01', -10000, 'Tambo', { account_id: 'acc-2' })];
+    assertEqual(flagDuplicates(candidates, existing, { accountId: 'acc-1' }), 0);
+});
+
+test('Rows repeated across a page break stay flagged without a YNAB match', () => {
+    const pageBreak = { date: '2025-03-01', payee: 'Peaje', amount: -5.5, reason: 'page_break' };
+    const candidates = [
+        { date: '2025-03-01', amount: -5.5, payee: 'Peaje', duplicateOf: pageBreak },
+        { date: '2025-03-02', amount: -10, payee: 'Tambo', duplicateOf: { ...pageBreak } }
+    ];
+    flagDuplicates(candidates, [ynabTx('t1', '2025-03-02', -10000, 'Tambo')], { accountId: 'acc-1' });
+    assertEqual(candidates[0].duplicateOf.reason, 'page_break');
+    assertEqual(candidates[1].duplicateOf.id, 't1', 'A YNAB match wins');
+});
+
+// ===== RESULTS =====
+console.log('\n' + '='.repeat(50));
+console.log('📊 TEST RESULTS:');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+    console.log('\n⚠️  Some tests failed!');
+    process.exit(1);
+} else {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+}
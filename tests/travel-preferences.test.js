@@ -0,0 +1,160 @@
+/**
+ * Travel Preferences Tests (offline)
+ *
+ * Tests the /perfil commands and how the profile fills in flight and hotel
+ * searches: home airport, cabin, preferred airlines, max stops, hotel stars
+ * and loyalty numbers.
+ * Run with: node tests/travel-preferences.test.js
+ */
+
+const { TestRunner } = require('./flow-tester');
+const travelPreferences = require('../services/travel-preferences');
+const { UserStorage } = require('../storage');
+
+const USER = 'travel-preferences@c.us';
+
+/**
+ * Clear stored users before each test
+ */
+async function freshState() {
+    for (const userId of await UserStorage.getAllUsers()) {
+        await UserStorage.delete(userId);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function assertContains(text, expected, message) {
+    assert(text.includes(expected), `${message}\nExpected to contain: "${expected}"\nActual: "${text}"`);
+}
+
+const runner = new TestRunner();
+
+// Test 1: editing the profile from the chat
+runner.addTest('Travel preferences: /perfil sets, shows and clears fields', async () => {
+    await freshState();
+
+    let response = await travelPreferences.handleCommand(USER, '/perfil');
+    assertContains(response, '🏠 Aeropuerto: _sin definir_', 'Empty profile');
+
+    await travelPreferences.handleCommand(USER, '/perfil aeropuerto lim');
+    await travelPreferences.handleCommand(USER, '/perfil aerolíneas LATAM, Copa y American');
+    await travelPreferences.handleCommand(USER, '/perfil cabina Económica');
+    await travelPreferences.handleCommand(USER, '/perfil escalas directo');
+    await travelPreferences.handleCommand(USER, '/perfil estrellas 4');
+    await travelPreferences.handleCommand(USER, '/perfil hotel S/ 500');
+    await travelPreferences.handleCommand(USER, '/perfil dieta vegetariano, sin maní');
+
+    const preferences = await travelPreferences.getPreferences(USER);
+    assertEqual(preferences.homeAirport, 'LIM');
+    assertEqual(preferences.airlines.join('|'), 'LATAM|Copa|American');
+    assertEqual(preferences.cabin, 'ECONOMY');
+    assertEqual(preferences.maxStops, 0);
+    assertEqual(preferences.hotelStars.min, 4);
+    assertEqual(preferences.hotelStars.max, 5);
+    assertEqual(preferences.hotelBudget.amount, 500);
+    assertEqual(preferences.hotelBudget.currency, 'PEN');
+    assertEqual(preferences.dietary, 'vegetariano, sin maní');
+
+    response = await travelPreferences.handleCommand(USER, '/perfil');
+    assertContains(response, '🔁 Escalas: solo directos', 'Shows the stops');
+    assertContains(response, '⭐ Hotel: 4 estrellas o más', 'Shows the stars');
+    assertContains(response, '💰 Hotel por noche: hasta PEN 500', 'Shows the budget');
+
+    response = await travelPreferences.handleCommand(USER, '/perfil aeropuerto Lima');
+    assertContains(response, 'código del aeropuerto', 'Airport codes only');
+    response = await travelPreferences.handleCommand(USER, '/perfil estrellas 5-3');
+    assertContains(response, 'de menor a mayor', 'Invalid range');
+    response = await travelPreferences.handleCommand(USER, '/perfil asiento ventana');
+    assertContains(response, 'No conozco "asiento"', 'Unknown field');
+
+    await travelPreferences.handleCommand(USER, '/perfil borrar escalas');
+    assertEqual((await travelPreferences.getPreferences(USER)).maxStops, null);
+
+    await travelPreferences.handleCommand(USER, '/perfil borrar todo');
+    assertEqual((await travelPreferences.getPreferences(USER)).homeAirport, null);
+
+    assertEqual(await travelPreferences.handleCommand(USER, 'perfil'), null, 'Only the slash command');
+});
+
+// Test 2: loyalty numbers
+runner.addTest('Travel preferences: loyalty numbers matched to the airline', async () => {
+    await freshState();
+
+    await travelPreferences.handleCommand(USER, '/perfil millas LATAM Pass 12345678');
+    await travelPreferences.handleCommand(USER, '/perfil millas American AAdvantage ab-991');
+    await travelPreferences.handleCommand(USER, '/perfil millas LATAM Pass 87654321');
+
+    let preferences = await travelPreferences.getPreferences(USER);
+    assertEqual(preferences.loyalty.length, 2, 'Same program replaces the number');
+    assertEqual(travelPreferences.loyaltyFor(preferences, { airline: 'LA', airlineName: 'LATAM Airlines' }).number, '87654321');
+    assertEqual(travelPreferences.loyaltyFor(preferences, { airline: 'AA', airlineName: 'American Airlines' }).number, 'AB-991');
+    assertEqual(travelPreferences.loyaltyFor(preferences, { airline: 'CM', airlineName: 'Copa Airlines' }), null);
+
+    const response = await travelPreferences.handleCommand(USER, '/perfil millas LATAM');
+    assertContains(response, 'aerolínea y el número', 'Needs a number');
+
+    await travelPreferences.handleCommand(USER, '/perfil millas borrar latam');
+    preferences = await travelPreferences.getPreferences(USER);
+    assertEqual(preferences.loyalty.length, 1);
+    assertEqual(preferences.loyalty[0].program, 'American AAdvantage');
+});
+
+// Test 3: search defaults
+runner.addTest('Travel preferences: flight and hotel search defaults', async () => {
+    await freshState();
+
+    let preferences = await travelPreferences.getPreferences(USER);
+    let defaults = travelPreferences.flightDefaults(preferences, { to: 'Miami', dates: 'Dec 11' });
+    assertEqual(defaults.applied.length, 0, 'Empty profile changes nothing');
+    assertEqual(defaults.maxStops, null);
+
+    preferences = await travelPreferences.updatePreferences(USER, {
+        homeAirport: 'LIM',
+        airlines: ['LATAM'],
+        cabin: 'BUSINESS',
+        maxStops: 1,
+        hotelStars: { min: 3, max: 4 }
+    });
+
+    defaults = travelPreferences.flightDefaults(preferences, { to: 'Miami', dates: 'Dec 11' });
+    assertEqual(defaults.params.from, 'LIM', 'Home airport as origin');
+    assertEqual(defaults.params.class, 'BUSINESS');
+    assertEqual(defaults.params.prefer[0], 'LATAM');
+    assertEqual(defaults.maxStops, 1);
+    assertEqual(defaults.applied.join(','), 'homeAirport,cabin,airlines,maxStops');
+
+    // The message wins
+    defaults = travelPreferences.flightDefaults(preferences, { from: 'MIA', to: 'Lima', class: 'economy', prefer: ['Copa'] });
+    assertEqual(defaults.params.from, 'MIA');
+    assertEqual(defaults.params.class, 'economy');
+    assertEqual(defaults.params.prefer[0], 'Copa');
+    assertEqual(defaults.applied.join(','), 'maxStops');
+
+    assertEqual(travelPreferences.hotelRatings(preferences).join(','), '3,4');
+    assertEqual(travelPreferences.hotelRatings({ hotelStars: { min: 1, max: 5 } }), null, 'All stars is no filter');
+
+    const notes = travelPreferences.describeForPlanning(preferences);
+    assertContains(notes, 'flies from LIM', 'Planner notes');
+    assertContains(notes, 'hotels 3-4 stars', 'Planner notes');
+});
+
+// Run all tests
+if (require.main === module) {
+    (async () => {
+        const results = await runner.run();
+        process.exit(results.failed > 0 ? 1 : 0);
+    })();
+}
+
+module.exports = { runner, freshState };
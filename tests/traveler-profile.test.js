@@ -0,0 +1,153 @@
+/**
+ * Traveler Profile Tests
+ *
+ * Tests parsing of the passenger details asked before a flight order and the
+ * Amadeus traveler built from them.
+ * Run with: node tests/traveler-profile.test.js
+ */
+
+const {
+    TRAVELER_STEPS,
+    parseAnswer,
+    looksLikeAnswer,
+    nextStep,
+    toAmadeusTraveler,
+    describeTraveler
+} = require('../services/traveler-profile');
+
+// Test counter
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+        passed++;
+    } catch (error) {
+        console.log(`❌ ${name}`);
+        console.log(`   Error: ${error.message}`);
+        failed++;
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+console.log('\n🧪 Testing Traveler Profile...\n');
+
+// ===== ANSWERS =====
+console.log('🛂 Testing Answers:');
+
+test('Names are split like on the passport, without accents', () => {
+    const name = parseAnswer('name', 'Ana María Quispe Rojas').value;
+    assertEqual(name.firstName, 'ANA MARIA');
+    assertEqual(name.lastName, 'QUISPE ROJAS');
+
+    const comma = parseAnswer('name', 'Núñez del Prado, José').value;
+    assertEqual(comma.firstName, 'JOSE');
+    assertEqual(comma.lastName, 'NUNEZ DEL PRADO', 'Last name first when written with a comma');
+
+    assertEqual(parseAnswer('name', 'Ana').error !== undefined, true, 'One word is not enough');
+});
+
+test('Other requests are not taken as answers', () => {
+    assertEqual(parseAnswer('name', "what's my balance").error !== undefined, true, 'Not a name');
+    assertEqual(parseAnswer('name', 'search flights to Miami').error !== undefined, true, 'Not a name');
+    assertEqual(parseAnswer('name', 'cuánto gasté en comida?').error !== undefined, true, 'Not a name');
+    assertEqual(parseAnswer('name', "O'Brien Smith").value.firstName, "O'BRIEN");
+
+    // Mistyped answers are asked again, other messages route as usual
+    assertEqual(looksLikeAnswer('name', 'Ana'), true);
+    assertEqual(looksLikeAnswer('dateOfBirth', '31/02/1988'), true);
+    assertEqual(looksLikeAnswer('email', 'ana@mail'), true);
+    assertEqual(looksLikeAnswer('phone', '987654321'), true);
+    assertEqual(looksLikeAnswer('dateOfBirth', 'show my bookings'), false);
+    assertEqual(looksLikeAnswer('email', 'search hotels in Miami'), false);
+});
+
+test('Dates of birth are validated', () => {
+    assertEqual(parseAnswer('dateOfBirth', '23/04/1988').value, '1988-04-23');
+    assertEqual(parseAnswer('dateOfBirth', '1988-04-23').value, '1988-04-23');
+    assertEqual(parseAnswer('dateOfBirth', '31/02/1988').error !== undefined, true, 'No 31 February');
+    assertEqual(parseAnswer('dateOfBirth', '01/01/2999').error !== undefined, true, 'Not in the future');
+});
+
+test('Gender, email and phone', () => {
+    assertEqual(parseAnswer('gender', 'F').value, 'FEMALE');
+    assertEqual(parseAnswer('gender', 'masculino').value, 'MALE');
+    assertEqual(parseAnswer('gender', 'x').error !== undefined, true);
+
+    assertEqual(parseAnswer('email', 'Ana@Mail.com').value, 'ana@mail.com');
+    assertEqual(parseAnswer('email', 'ana@mail').error !== undefined, true);
+
+    const phone = parseAnswer('phone', '+51 987 654 321').value;
+    assertEqual(phone.countryCallingCode, '51');
+    assertEqual(phone.number, '987654321');
+    assertEqual(parseAnswer('phone', '987654321').error !== undefined, true, 'Country code required');
+});
+
+test('Passport can be skipped but not expired', () => {
+    assertEqual(parseAnswer('passport', 'skip').value, null);
+
+    const passport = parseAnswer('passport', 'p1234567 31/12/2099 pe').value;
+    assertEqual(passport.number, 'P1234567');
+    assertEqual(passport.expiryDate, '2099-12-31');
+    assertEqual(passport.nationality, 'PE');
+
+    assertEqual(parseAnswer('passport', 'P1234567 31/12/2001 PE').error, 'That passport has expired.');
+});
+
+// ===== TRAVELER =====
+console.log('\n👤 Testing Traveler:');
+
+const traveler = {
+    name: { firstName: 'ANA MARIA', lastName: 'QUISPE ROJAS' },
+    dateOfBirth: '1988-04-23',
+    gender: 'FEMALE',
+    email: 'ana@mail.com',
+    phone: { countryCallingCode: '51', number: '987654321' },
+    passport: { number: 'P1234567', expiryDate: '2099-12-31', nationality: 'PE', issuanceCountry: 'PE' }
+};
+
+test('Steps are asked in order until complete (skipped passport counts)', () => {
+    assertEqual(nextStep({}).field, TRAVELER_STEPS[0].field);
+    assertEqual(nextStep({ name: traveler.name, dateOfBirth: '1988-04-23' }).field, 'gender');
+    assertEqual(nextStep({ ...traveler, passport: null }), null);
+});
+
+test('Amadeus traveler has contact and passport document', () => {
+    const entry = toAmadeusTraveler(traveler, 2);
+    assertEqual(entry.id, '2');
+    assertEqual(entry.name.lastName, 'QUISPE ROJAS');
+    assertEqual(entry.contact.phones[0].deviceType, 'MOBILE');
+    assertEqual(entry.contact.phones[0].countryCallingCode, '51');
+    assertEqual(entry.documents[0].documentType, 'PASSPORT');
+    assertEqual(entry.documents[0].holder, true);
+
+    assertEqual(toAmadeusTraveler({ ...traveler, passport: null }, 1).documents, undefined, 'No document when skipped');
+});
+
+test('Description masks the passport number', () => {
+    const text = describeTraveler(traveler);
+    assertEqual(text.includes('P1234567'), false);
+    assertEqual(text.includes('···567 (PE)'), true);
+});
+
+// ===== RESULTS =====
+console.log('\n' + '='.repeat(50));
+console.log('📊 TEST RESULTS:');
+console.log(`✅ Passed: ${passed}`);
+console.log(`❌ Failed: ${failed}`);
+console.log(`Total: ${passed + failed}`);
+
+if (failed > 0) {
+    console.log('\n⚠️  Some tests failed!');
+    process.exit(1);
+} else {
+    console.log('\n🎉 All tests passed!');
+    process.exit(0);
+}
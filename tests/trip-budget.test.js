@@ -0,0 +1,234 @@
+/**
+ * Trip Budget Tests (offline)
+ *
+ * Tests the YNAB category group of a trip (created with the first expense,
+ * or chosen by the user), expenses posted through the
+ * BudgetAgent, and the /tripbudget breakdown by category and by day,
+ * against the fake YNAB server.
+ * Run with: node tests/trip-budget.test.js
+ */
+
+const { TestRunner } = require('./flow-tester');
+const { FakeYnabServer } = require('./fake-ynab-server');
+const ynabService = require('../services/ynab-service');
+const tripBudget = require('../services/trip-budget');
+const { today, addDays } = require('../services/recurrence');
+const BudgetAgent = require('../agents/budget/BudgetAgent');
+const { UserStorage } = require('../storage');
+
+const server = new FakeYnabServer();
+const budgetAgent = new BudgetAgent(null, ynabService);
+
+const USER = 'trip-user@c.us';
+
+/**
+ * Reset fixtures, caches and stored users before each test
+ */
+async function freshState() {
+    server.reset();
+    await ynabService.clearCache();
+    for (const userId of await UserStorage.getAllUsers()) {
+        await UserStorage.delete(userId);
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}. ${message}`);
+    }
+}
+
+function assertContains(text, expected, message) {
+    assert(text.includes(expected), `${message}\nExpected to contain: "${expected}"\nActual: "${text}"`);
+}
+
+const runner = new TestRunner();
+
+// Test 1: planning a trip splits the plan; its category group comes with the first expense
+runner.addTest('Trip budget: creates the YNAB category group with the first expense', async () => {
+    await freshState();
+
+    const trip = await tripBudget.createTrip(USER, {
+        destination: 'Cusco',
+        startDate: '2026-12-11',
+        endDate: '2026-12-15',
+        total: '$2000'
+    });
+
+    assertEqual(trip.groupName, '✈️ Cusco 2026-12');
+    assertEqual(trip.budgetId, 'budget-dolares');
+    assertEqual(trip.accountId, 'acc-dolares-ahorro');
+    assertEqual(trip.plan.flights, 700);
+    assertEqual(trip.plan.food, 300);
+    assertEqual(trip.groupId, null);
+    assertEqual(server.getRequests('POST').length, 0, 'Planning writes nothing to YNAB');
+
+    // Planning the same trip again returns it; with other dates nothing is written either
+    const again = await tripBudget.createTrip(USER, { destination: 'cusco', startDate: '2026-12-11' });
+    assertEqual(again.id, trip.id);
+    await tripBudget.createTrip(USER, { destination: 'Cusco', startDate: null, total: '$1500' });
+    assertEqual(server.getRequests('POST').length, 0, 'Re-planning creates no groups');
+
+    const { trip: booked } = await tripBudget.recordExpense(USER, { kind: 'flights', amount: 300, payee: 'LATAM' }, budgetAgent);
+    assertEqual(booked.id, trip.id, 'Expenses go to the upcoming trip');
+
+    const posts = server.getRequests('POST');
+    assertEqual(posts.filter(r => r.path.endsWith('/category_groups')).length, 1, 'One group');
+    assertEqual(posts.filter(r => r.path.endsWith('/categories')).length, 5, 'One category per kind');
+
+    const categories = await ynabService.getCategories('budget-dolares');
+    const stored = (await tripBudget.getTrips(USER))[0];
+    const vuelos = categories.find(c => c.group === '✈️ Cusco 2026-12' && c.name === 'Vuelos');
+    assert(vuelos && vuelos.id === stored.categories.flights.id, 'Vuelos should be in the trip group');
+
+    await tripBudget.recordExpense(USER, { kind: 'food', amount: 20, payee: 'Cicciolina' }, budgetAgent);
+    assertEqual(server.getRequests('POST').filter(r => r.path.endsWith('/category_groups')).length, 1, 'Created once');
+});
+
+// Test 2: an existing group with the trip's name is reused
+runner.addTest('Trip budget: reuses an existing group and its categories', async () => {
+    await freshState();
+
+    const group = await ynabService.createCategoryGroup('budget-dolares', '✈️ Lima');
+    const comida = await ynabService.createCategory('budget-dolares', group.id, 'Comida');
+    await ynabService.clearCache();
+
+    const trip = await tripBudget.createTrip(USER, { destination: 'Lima' });
+    assertEqual(trip.plan.food, 0, 'No total, no plan');
+
+    const { entry } = await tripBudget.recordExpense(USER, { kind: 'food', amount: 15, payee: 'La Mar' }, budgetAgent);
+    const stored = (await tripBudget.getTrips(USER))[0];
+    assertEqual(stored.groupId, group.id);
+    assertEqual(stored.categories.food.id, comida.id, 'Existing category is used');
+    assertEqual(entry.kind, 'food');
+    assertEqual(server.getRequests('POST').filter(r => r.path.endsWith('/category_groups')).length, 1, 'No new group');
+});
+
+// Test 2b: the user picks an existing group before the first expense
+runner.addTest('Trip budget: /tripbudget grupo lists and picks an existing group', async () => {
+    await freshState();
+
+    const group = await ynabService.createCategoryGroup('budget-dolares', 'Viajes');
+    await ynabService.createCategory('budget-dolares', group.id, 'Hospedaje');
+    await ynabService.clearCache();
+    await tripBudget.createTrip(USER, { destination: 'Cusco', startDate: '2026-12-11' });
+
+    let response = await tripBudget.handleCommand(USER, '/tripbudget');
+    assertContains(response, 'El grupo se crea en YNAB con el primer gasto', 'No group yet');
+
+    response = await tripBudget.handleCommand(USER, '/tripbudget grupo');
+    assertContains(response, '• Viajes', 'Should list the groups');
+    assert(!response.includes('Internal Master Category'), 'Internal group is hidden');
+
+    response = await tripBudget.handleCommand(USER, '/tripbudget grupo Vacaciones');
+    assertContains(response, 'No encontré el grupo "Vacaciones"', 'Only existing groups');
+    assertEqual(server.getRequests('POST').filter(r => r.path.endsWith('/category_groups')).length, 1, 'Nothing created');
+
+    response = await tripBudget.handleCommand(USER, '/tripbudget grupo viajes');
+    assertContains(response, 'en el grupo *Viajes*', 'Should link the group');
+
+    const { trip } = await tripBudget.recordExpense(USER, { kind: 'lodging', amount: 90, payee: 'Casa Andina' }, budgetAgent);
+    assertEqual(trip.groupId, group.id);
+    assertEqual(server.getRequests('POST').filter(r => r.path.endsWith('/category_groups')).length, 1, 'The chosen group is used');
+});
+
+// Test 3: expenses go through the BudgetAgent into the trip categories
+runner.addTest('Trip budget: expenses are posted to YNAB in the trip category', async () => {
+    await freshState();
+    await tripBudget.createTrip(USER, {
+        destination: 'Cusco',
+        startDate: addDays(today(), -1),
+        endDate: addDays(today(), 3),
+        total: 1000
+    });
+
+    const flight = await tripBudget.recordExpense(USER, {
+        kind: 'flights',
+        amount: 320.5,
+        currency: 'USD',
+        payee: 'LATAM',
+        memo: 'LIM → CUZ (TESTABC)',
+        confirmation: 'TESTABC'
+    }, budgetAgent);
+    assertEqual(flight.duplicate, false);
+
+    const transaction = server.getRequests('POST').find(r => r.path.endsWith('/transactions')).body.transaction;
+    assertEqual(transaction.amount, -320500);
+    assertEqual(transaction.account_id, 'acc-dolares-ahorro');
+    assertEqual(transaction.category_id, flight.trip.categories.flights.id);
+    assertEqual(transaction.payee_name, 'LATAM');
+
+    // The same booking is not posted twice
+    const again = await tripBudget.recordExpense(USER, { kind: 'flights', amount: 320.5, payee: 'LATAM', confirmation: 'TESTABC' }, budgetAgent);
+    assertEqual(again.duplicate, true);
+    assertEqual(server.getRequests('POST').filter(r => r.path.endsWith('/transactions')).length, 1);
+
+    // Soles are converted to the budget's dollars (default 3.75)
+    const parsed = tripBudget.parseAmount('taxi 75 soles');
+    const taxi = await tripBudget.recordExpense(USER, {
+        kind: tripBudget.guessKind('taxi'),
+        amount: parsed.amount,
+        currency: parsed.currency,
+        payee: 'Taxi'
+    }, budgetAgent);
+    assertEqual(taxi.entry.kind, 'transport');
+    assertEqual(taxi.entry.amount, 20);
+
+    const stored = await tripBudget.getActiveTrip(USER);
+    assertEqual(stored.transactions.length, 2);
+});
+
+// Test 4: /tripbudget shows spent vs plan by category and by day
+runner.addTest('Trip budget: /tripbudget breaks down by category and day', async () => {
+    await freshState();
+    const start = addDays(today(), -1);
+    await tripBudget.createTrip(USER, { destination: 'Cusco', startDate: start, endDate: addDays(today(), 2), total: '$2000' });
+
+    // Daily allowance: (300 + 200 + 200) / 4 days = 175
+    await tripBudget.recordExpense(USER, { kind: 'food', amount: 190, payee: 'Cicciolina', date: start }, budgetAgent);
+    await tripBudget.recordExpense(USER, { kind: 'activities', amount: 60, payee: 'Boleto turístico' }, budgetAgent);
+
+    const summary = tripBudget.summarize(await tripBudget.getActiveTrip(USER));
+    assertEqual(summary.dailyAllowance, 175);
+    assertEqual(summary.days.length, 2, 'Only days up to today');
+    assertEqual(summary.days[0].spent, 190);
+    assertEqual(summary.spent, 250);
+    assertEqual(summary.remainingPerDay, 150, '(700 - 250) / 3 days left');
+
+    const response = await tripBudget.handleCommand(USER, '/tripbudget');
+    assertContains(response, 'Presupuesto: Cusco', 'Should show the trip');
+    assertContains(response, '🟢 Comida: $190.00 / $300.00', 'Should show spent vs plan');
+    assertContains(response, `🔴 ${start}: $190.00`, 'Day over the allowance');
+    assertContains(response, 'Te quedan $150.00 por día', 'Should show what is left per day');
+
+    const plan = await tripBudget.handleCommand(USER, '/tripbudget plan comida 400');
+    assertContains(plan, 'Plan de *Comida*', 'Should confirm the new plan');
+    assertEqual((await tripBudget.getActiveTrip(USER)).plan.food, 400);
+
+    const list = await tripBudget.handleCommand(USER, '/tripbudget lista');
+    assertContains(list, '1. *Cusco*', 'Should list the trip');
+
+    assertEqual(await tripBudget.handleCommand(USER, 'tripbudget'), null, 'Only the slash command');
+});
+
+// Run all tests
+if (require.main === module) {
+    (async () => {
+        await server.start();
+        ynabService.baseUrl = server.baseUrl;
+        ynabService.apiKey = server.apiKey;
+
+        const results = await runner.run();
+
+        await server.stop();
+        process.exit(results.failed > 0 ? 1 : 0);
+    })();
+}
+
+module.exports = { runner, server, freshState };